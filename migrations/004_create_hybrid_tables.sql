@@ -0,0 +1,40 @@
+-- IoT Middleware V5 - Create Hybrid Storage Tables
+-- Database: iot_middleware
+-- Tables written by StorageService (see docs/UnifyNormalizer_V1.0.md)
+
+USE iot_middleware;
+
+-- Table 1: High volume telemetry (Temp, Hum, Noise, Voltage, Current)
+CREATE TABLE IF NOT EXISTS iot_telemetry (
+    ts          DATETIME(3) NOT NULL,
+    device_id   VARCHAR(32) NOT NULL,
+    mod_addr    INT NOT NULL DEFAULT 0,    -- Physical Location
+    sensor_addr INT NOT NULL DEFAULT 0,    -- Physical Location
+    metric_key  VARCHAR(20) NOT NULL,      -- 'temperature', 'humidity', 'voltage'
+    metric_val  DOUBLE,
+    PRIMARY KEY (ts, device_id, mod_addr, sensor_addr, metric_key),
+    INDEX idx_telemetry_sensor (device_id, mod_addr, sensor_addr, metric_key, ts)
+);
+
+-- Table 2: RFID attach/detach audit log
+CREATE TABLE IF NOT EXISTS iot_rfid_events (
+    id          BIGINT AUTO_INCREMENT PRIMARY KEY,
+    ts          DATETIME(3) NOT NULL,
+    device_id   VARCHAR(32) NOT NULL,
+    mod_addr    INT NOT NULL DEFAULT 0,
+    u_pos       INT NOT NULL,
+    action      VARCHAR(10) NOT NULL,      -- 'ATTACHED', 'DETACHED'
+    tag_id      VARCHAR(32),
+    INDEX idx_rfid_position (device_id, mod_addr, u_pos, ts),
+    INDEX idx_rfid_tag (tag_id, ts)
+);
+
+-- Table 3: Current state per device/module (upserted)
+CREATE TABLE IF NOT EXISTS iot_device_state (
+    device_id    VARCHAR(32) NOT NULL,
+    mod_addr     INT NOT NULL DEFAULT 0,
+    data_key     VARCHAR(32) NOT NULL,     -- 'rfid_map', 'door_state', 'device_info', 'status'
+    json_value   JSON,                     -- Stores the full object
+    last_updated DATETIME(3),
+    PRIMARY KEY (device_id, mod_addr, data_key)
+);
@@ -0,0 +1,34 @@
+-- IoT Middleware V5 - Separate Device, Receive and Processing Time
+-- Database: iot_middleware
+
+USE iot_middleware;
+
+-- ts_device holds the event time: the device clock where the protocol carries one,
+-- otherwise the MQTT receive time
+ALTER TABLE iot_unified_data
+    ADD COLUMN ts_received DATETIME(3) NULL AFTER ts_device,       -- When the broker delivered it
+    ADD COLUMN ts_processed DATETIME(3) NULL AFTER ts_received,    -- When the normalizer handled it
+    ADD COLUMN clock_skew_ms BIGINT NULL AFTER ts_processed,       -- ts_received - device clock
+    ADD COLUMN is_late TINYINT(1) NOT NULL DEFAULT 0 AFTER clock_skew_ms; -- Late or replayed
+
+-- Find late or replayed records per device
+CREATE INDEX idx_device_late ON iot_unified_data(device_id, is_late, ts_device);
+
+-- Hybrid tables (migration 004): ts / last_updated hold the event time
+ALTER TABLE iot_telemetry
+    ADD COLUMN ts_received DATETIME(3) NULL AFTER ts,
+    ADD COLUMN ts_processed DATETIME(3) NULL AFTER ts_received,
+    ADD COLUMN clock_skew_ms BIGINT NULL AFTER ts_processed,
+    ADD COLUMN is_late TINYINT(1) NOT NULL DEFAULT 0 AFTER clock_skew_ms;
+
+ALTER TABLE iot_rfid_events
+    ADD COLUMN ts_received DATETIME(3) NULL AFTER ts,
+    ADD COLUMN ts_processed DATETIME(3) NULL AFTER ts_received,
+    ADD COLUMN clock_skew_ms BIGINT NULL AFTER ts_processed,
+    ADD COLUMN is_late TINYINT(1) NOT NULL DEFAULT 0 AFTER clock_skew_ms;
+
+ALTER TABLE iot_device_state
+    ADD COLUMN ts_received DATETIME(3) NULL AFTER last_updated,
+    ADD COLUMN ts_processed DATETIME(3) NULL AFTER ts_received,
+    ADD COLUMN clock_skew_ms BIGINT NULL AFTER ts_processed,
+    ADD COLUMN is_late TINYINT(1) NOT NULL DEFAULT 0 AFTER clock_skew_ms;
@@ -0,0 +1,7 @@
+-- IoT Middleware V5 - Asset Tag Lookups
+-- Database: iot_middleware
+
+USE iot_middleware;
+
+-- RFID events keep the tag ID in str_value; find a tag's events in time order
+CREATE INDEX idx_tag_events ON iot_unified_data(data_key, str_value, ts_device);
@@ -0,0 +1,25 @@
+/**
+ * simulator.js
+ * Entry point for the V5008/V6800 device traffic simulator
+ * Usage: npm run simulate (settings in config/simulator.json, MQTT_* env overrides)
+ */
+
+import TrafficSimulator from './src/simulator/TrafficSimulator.js';
+import { configLoader } from './src/utils/index.js';
+
+const config = await configLoader.load('simulator');
+const simulator = new TrafficSimulator(config);
+
+const shutdown = async () => {
+  await simulator.stop();
+  console.log('Simulator stats:', simulator.getStats());
+  process.exit(0);
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+simulator.start().catch((error) => {
+  console.error('Failed to start simulator:', error);
+  process.exit(1);
+});
@@ -6,7 +6,19 @@
 
 import { eventBus, logger } from './core/index.js';
 import { configLoader } from './utils/index.js';
-import { MqttClient, UnifiedNormalizer, MemoryStorage, DatabaseStorage } from './modules/index.js';
+import {
+  MqttClient,
+  UnifiedNormalizer,
+  MemoryStorage,
+  DatabaseStorage,
+  CommandTracker,
+  PresenceTracker,
+  AlarmManager,
+  DoorTracker,
+  MovementMonitor,
+  V5008CommandPublisher,
+  V6800CommandPublisher,
+} from './modules/index.js';
 
 class Application {
   constructor() {
@@ -69,7 +81,36 @@ class Application {
       // Initialize modules in dependency order
       const moduleOrder = [
         { name: 'mqttClient', class: MqttClient, config: configs.mqtt },
-        { name: 'normalizer', class: UnifiedNormalizer, config: {} },
+        {
+          name: 'normalizer',
+          class: UnifiedNormalizer,
+          config: configs.modules?.normalizer || {},
+        },
+        {
+          name: 'commandTracker',
+          class: CommandTracker,
+          config: configs.modules?.commandTracker || {},
+        },
+        {
+          name: 'presenceTracker',
+          class: PresenceTracker,
+          config: configs.modules?.presenceTracker || {},
+        },
+        {
+          name: 'alarmManager',
+          class: AlarmManager,
+          config: configs.modules?.alarmManager || {},
+        },
+        {
+          name: 'doorTracker',
+          class: DoorTracker,
+          config: configs.modules?.doorTracker || {},
+        },
+        {
+          name: 'movementMonitor',
+          class: MovementMonitor,
+          config: configs.modules?.movementMonitor || {},
+        },
         {
           name: 'memoryStorage',
           class: MemoryStorage,
@@ -104,6 +145,8 @@ class Application {
         }
       }
 
+      this.connectCommandPublishers();
+
       this.logger.info('All modules initialized successfully');
     } catch (error) {
       this.logger.error('Failed to initialize modules', {
@@ -114,6 +157,24 @@ class Application {
     }
   }
 
+  /**
+   * Give modules that send device commands publishers on the MQTT client
+   */
+  connectCommandPublishers() {
+    const mqttClient = this.modules.get('mqttClient');
+    const movementMonitor = this.modules.get('movementMonitor');
+    if (!mqttClient || !movementMonitor) {
+      return;
+    }
+
+    // Commands resolve with the device response when the tracker runs
+    const tracker = this.modules.get('commandTracker');
+    movementMonitor.setCommandPublishers({
+      V5008: new V5008CommandPublisher(mqttClient, { tracker }),
+      V6800: new V6800CommandPublisher(mqttClient, { tracker }),
+    });
+  }
+
   /**
    * Start the application
    */
@@ -207,6 +268,15 @@ class Application {
     this.logger.error('Application error event', errorData);
   }
 
+  /**
+   * Get an initialized module instance
+   * @param {string} name - Module name (e.g. 'mqttClient', 'commandTracker')
+   * @returns {Object|null} Module instance or null if not enabled
+   */
+  getModule(name) {
+    return this.modules.get(name) || null;
+  }
+
   /**
    * Get application status
    * @returns {Object} Application status
@@ -0,0 +1,461 @@
+/**
+ * AlarmManager.js
+ * Tamper alarm lifecycle of RFID U-levels
+ *
+ * A U-level whose tag reports alarmStatus 1 in an RFID snapshot opens an alarm. Operators
+ * acknowledge it, CLR_ALARM commands sent to its position are linked to it together with the
+ * device's answer, and it closes when the device reports the position normal again or the tag
+ * leaves. Open alarms live in a persisted StateCache so they survive restarts. Every step is
+ * emitted as an alarm.* event and as a SYS_STATE_CHANGE 'tamper_alarm' record on
+ * message.normalized, so storage keeps the alarm history.
+ */
+
+import { randomUUID } from 'crypto';
+import { BaseComponent } from '../../core/index.js';
+import StateCache from '../normalizer/StateCache.js';
+
+// StateCache type of the open alarms of one module (uPos -> alarm)
+const STATE_TYPE = 'alarms';
+
+class AlarmManager extends BaseComponent {
+  constructor(options = {}) {
+    super('AlarmManager');
+    this.options = options;
+    this.stateCache = new StateCache({ snapshotFile: options.stateFile });
+    this.stateSaveInterval = options.stateSaveInterval || 5000;
+    this.stateSaveTimer = null;
+    this.maxHistory = options.maxHistory || 1000; // Closed alarms kept for queries
+    this.history = [];
+    this.stats = { opened: 0, acknowledged: 0, cleared: 0, closed: 0 };
+  }
+
+  /**
+   * Initialize the alarm manager
+   */
+  async initialize() {
+    try {
+      this.logger.info('Initializing Alarm Manager...');
+
+      // Restore open alarms before the first snapshot arrives
+      await this.loadState();
+
+      this.on('message.normalized', this.handleNormalizedMessages.bind(this));
+      this.on('command.sent', this.handleCommandSent.bind(this));
+      this.on('command.acked', (result) => this.handleCommandResult(result, result.result));
+      this.on('command.timeout', (details) => this.handleCommandResult(details, 'Timeout'));
+
+      this.initialized = true;
+      this.logger.info('Alarm Manager initialized successfully', { open: this.getOpen().length });
+
+      return true;
+    } catch (error) {
+      this.handleError(error, 'Failed to initialize Alarm Manager');
+      throw error;
+    }
+  }
+
+  /**
+   * Load persisted open alarms
+   * A corrupt snapshot is logged and skipped rather than blocking startup.
+   */
+  async loadState() {
+    if (!this.stateCache.snapshotFile) {
+      return;
+    }
+
+    try {
+      await this.stateCache.load();
+    } catch (error) {
+      this.logger.warn('Failed to restore open alarms, starting without them', {
+        file: this.stateCache.snapshotFile,
+        error: error.message,
+      });
+    }
+
+    this.stateSaveTimer = setInterval(() => this.saveState(), this.stateSaveInterval);
+    this.stateSaveTimer.unref();
+  }
+
+  /**
+   * Persist open alarms if they changed since the last save
+   */
+  async saveState() {
+    if (!this.stateCache.dirty) {
+      return;
+    }
+
+    try {
+      await this.stateCache.save();
+    } catch (error) {
+      this.logger.error('Failed to persist open alarms', {
+        file: this.stateCache.snapshotFile,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Follow the alarm status of every RFID snapshot in a batch
+   * Snapshots carry the full state of a module, so they are the only input.
+   * @param {Array<Object>} suos - Normalized records
+   */
+  handleNormalizedMessages(suos) {
+    try {
+      const records = suos
+        .filter((suo) => suo.type === 'SYS_RFID_SNAPSHOT')
+        .flatMap((suo) => this.applySnapshot(suo));
+      this.publish(records);
+    } catch (error) {
+      this.handleError(error, 'Failed to track tamper alarms');
+    }
+  }
+
+  /**
+   * Open and close the alarms of one module from its RFID snapshot
+   * @param {Object} suo - SYS_RFID_SNAPSHOT record
+   * @returns {Array<Object>} Alarm records
+   */
+  applySnapshot(suo) {
+    const { deviceId, deviceType, modAddr } = suo.identity;
+    const at = suo.meta.ts;
+    const alarms = { ...this.stateCache.get(deviceId, modAddr, STATE_TYPE) };
+    const records = [];
+    const listed = new Set();
+
+    for (const { uPos, tagId, alarmStatus } of suo.payload.value.items || []) {
+      listed.add(String(uPos));
+      const alarm = alarms[uPos];
+
+      if (alarm && (!alarmStatus || alarm.tagId !== tagId)) {
+        delete alarms[uPos];
+        const reason = alarm.tagId !== tagId ? 'tag_replaced' : 'normal';
+        records.push(this.close(alarm, at, reason));
+      }
+      if (alarmStatus && !alarms[uPos]) {
+        alarms[uPos] = this.open({ deviceId, deviceType, modAddr, uPos, tagId }, at);
+        records.push(this.createRecord(alarms[uPos], 'opened', at));
+      }
+    }
+
+    for (const [uPos, alarm] of Object.entries(alarms)) {
+      if (!listed.has(uPos)) {
+        delete alarms[uPos];
+        records.push(this.close(alarm, at, 'tag_detached'));
+      }
+    }
+
+    if (records.length > 0) {
+      this.saveModule(deviceId, modAddr, alarms);
+    }
+    return records;
+  }
+
+  /**
+   * Create a new alarm
+   * @param {Object} position - { deviceId, deviceType, modAddr, uPos, tagId }
+   * @param {string} at - ISO time the alarm was first reported
+   * @returns {Object} Alarm
+   */
+  open(position, at) {
+    const alarm = {
+      alarmId: randomUUID(),
+      ...position,
+      state: 'open',
+      openedAt: at,
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+      note: null,
+      clearCommands: [],
+      closedAt: null,
+      closeReason: null,
+      durationMs: null,
+    };
+
+    this.stats.opened++;
+    this.logger.warn('Tamper alarm opened', this.describe(alarm));
+    this.emit('alarm.opened', this.describe(alarm));
+    return alarm;
+  }
+
+  /**
+   * Close an alarm and move it to the history
+   * @param {Object} alarm - Open alarm
+   * @param {string} at - ISO time the position was reported normal
+   * @param {string} reason - 'normal', 'tag_detached' or 'tag_replaced'
+   * @returns {Object} Alarm record
+   */
+  close(alarm, at, reason) {
+    alarm.state = 'closed';
+    alarm.closedAt = at;
+    alarm.closeReason = reason;
+    alarm.durationMs = Math.max(0, Date.parse(at) - Date.parse(alarm.openedAt));
+
+    this.history.push(alarm);
+    if (this.history.length > this.maxHistory) {
+      this.history.shift();
+    }
+
+    this.stats.closed++;
+    this.logger.info('Tamper alarm closed', this.describe(alarm));
+    this.emit('alarm.closed', this.describe(alarm));
+    return this.createRecord(alarm, 'closed', at);
+  }
+
+  /**
+   * Record who acknowledged an open alarm
+   * Acknowledging again keeps the first acknowledgement.
+   * @param {string} alarmId - Alarm ID
+   * @param {Object} options - { by, note, at } (at defaults to now)
+   * @returns {Object} Alarm
+   * @throws {Error} If the alarm is unknown or already closed
+   */
+  acknowledge(alarmId, options = {}) {
+    const alarm = this.getOpen().find((candidate) => candidate.alarmId === alarmId);
+    if (!alarm) {
+      const closed = this.history.some((candidate) => candidate.alarmId === alarmId);
+      throw new Error(closed ? `Alarm already closed: ${alarmId}` : `Unknown alarm: ${alarmId}`);
+    }
+    if (alarm.state === 'acknowledged') {
+      return this.describe(alarm);
+    }
+
+    const at = options.at || new Date().toISOString();
+    alarm.state = 'acknowledged';
+    alarm.acknowledgedAt = at;
+    alarm.acknowledgedBy = options.by || null;
+    alarm.note = options.note || null;
+    this.touch(alarm);
+
+    this.stats.acknowledged++;
+    this.logger.info('Tamper alarm acknowledged', this.describe(alarm));
+    this.emit('alarm.acknowledged', this.describe(alarm));
+    this.publish([this.createRecord(alarm, 'acknowledged', at)]);
+    return this.describe(alarm);
+  }
+
+  /**
+   * Link a CLR_ALARM command to the open alarms at its positions
+   * @param {Object} command - command.sent details
+   */
+  handleCommandSent(command) {
+    try {
+      if (command.command !== 'CLR_ALARM' || command.modAddr === undefined) {
+        return;
+      }
+
+      const positions = new Set([command.uPos].flat());
+      const records = [];
+      for (const alarm of this.getOpen()) {
+        if (
+          alarm.deviceId === command.deviceId &&
+          alarm.modAddr === command.modAddr &&
+          positions.has(alarm.uPos)
+        ) {
+          alarm.clearCommands.push({
+            commandId: command.commandId,
+            sentAt: command.sentAt,
+            respondedAt: null,
+            result: null,
+          });
+          this.touch(alarm);
+          this.emit('alarm.clear_sent', this.describe(alarm));
+          records.push(this.createRecord(alarm, 'clear_sent', command.sentAt));
+        }
+      }
+      this.publish(records);
+    } catch (error) {
+      this.handleError(error, 'Failed to link CLR_ALARM command');
+    }
+  }
+
+  /**
+   * Record the device's answer (or its absence) to a linked CLR_ALARM command
+   * The alarm stays open until the device reports the position normal.
+   * @param {Object} details - command.acked result or command.timeout details
+   * @param {string} result - 'Success', 'Failure' or 'Timeout'
+   */
+  handleCommandResult(details, result) {
+    try {
+      if (details.command !== 'CLR_ALARM') {
+        return;
+      }
+
+      const respondedAt = details.ackedAt || new Date().toISOString();
+      const records = [];
+      for (const alarm of this.getOpen()) {
+        const command = alarm.clearCommands.find(
+          (candidate) => candidate.commandId === details.commandId,
+        );
+        if (command) {
+          command.respondedAt = respondedAt;
+          command.result = result;
+          this.touch(alarm);
+          if (result === 'Success') {
+            this.stats.cleared++;
+          }
+          this.emit('alarm.clear_result', this.describe(alarm));
+          records.push(this.createRecord(alarm, 'clear_result', respondedAt));
+        }
+      }
+      this.publish(records);
+    } catch (error) {
+      this.handleError(error, 'Failed to record CLR_ALARM result');
+    }
+  }
+
+  /**
+   * Store the open alarms of one module
+   * @param {string} deviceId - Device ID
+   * @param {number} modAddr - Module address
+   * @param {Object} alarms - uPos -> open alarm
+   */
+  saveModule(deviceId, modAddr, alarms) {
+    if (Object.keys(alarms).length > 0) {
+      this.stateCache.set(deviceId, modAddr, STATE_TYPE, alarms);
+    } else {
+      this.stateCache.delete(deviceId, modAddr, STATE_TYPE);
+    }
+  }
+
+  /**
+   * Mark an open alarm changed so it is persisted
+   * @param {Object} alarm - Open alarm
+   */
+  touch(alarm) {
+    const alarms = this.stateCache.get(alarm.deviceId, alarm.modAddr, STATE_TYPE);
+    this.saveModule(alarm.deviceId, alarm.modAddr, { ...alarms, [alarm.uPos]: alarm });
+  }
+
+  /**
+   * All open (including acknowledged) alarms
+   * @returns {Array<Object>} Alarms as stored
+   */
+  getOpen() {
+    return this.stateCache.list(STATE_TYPE).flatMap(({ state }) => Object.values(state));
+  }
+
+  /**
+   * Public view of an alarm with its durations up to now
+   * @param {Object} alarm - Alarm
+   * @param {number} now - Current time in ms
+   * @returns {Object} Alarm copy
+   */
+  describe(alarm, now = Date.now()) {
+    const openedAt = Date.parse(alarm.openedAt);
+    return {
+      ...alarm,
+      clearCommands: alarm.clearCommands.map((command) => ({ ...command })),
+      durationMs: alarm.durationMs ?? Math.max(0, now - openedAt),
+      acknowledgeDelayMs: alarm.acknowledgedAt ? Date.parse(alarm.acknowledgedAt) - openedAt : null,
+    };
+  }
+
+  /**
+   * Build the SUO stored for an alarm step
+   * @param {Object} alarm - Alarm
+   * @param {string} action - 'opened', 'acknowledged', 'clear_sent', 'clear_result' or 'closed'
+   * @param {string} at - ISO time of the step
+   * @returns {Object} SYS_STATE_CHANGE record
+   */
+  createRecord(alarm, action, at) {
+    const { deviceId, deviceType, modAddr, uPos } = alarm;
+    return {
+      meta: {
+        uuid: randomUUID(),
+        ts: at,
+        deviceTs: null,
+        receivedAt: null,
+        processedAt: new Date().toISOString(),
+        clockSkewMs: null,
+        late: false,
+        messageId: null,
+        path: `${deviceId}/M${modAddr}/S${uPos}`,
+      },
+      identity: { deviceId, deviceType, modAddr, sensorAddr: uPos },
+      type: 'SYS_STATE_CHANGE',
+      payload: { key: 'tamper_alarm', value: { action, ...this.describe(alarm, Date.parse(at)) } },
+    };
+  }
+
+  /**
+   * Hand alarm records to storage
+   * @param {Array<Object>} records - SYS_STATE_CHANGE records
+   */
+  publish(records) {
+    if (records.length > 0) {
+      this.emit('message.normalized', records);
+    }
+  }
+
+  /**
+   * Get one alarm, open or closed
+   * @param {string} alarmId - Alarm ID
+   * @returns {Object|null} Alarm or null if unknown
+   */
+  getAlarm(alarmId) {
+    const alarm = [...this.getOpen(), ...this.history].find(
+      (candidate) => candidate.alarmId === alarmId,
+    );
+    return alarm ? this.describe(alarm) : null;
+  }
+
+  /**
+   * List alarms, oldest first
+   * @param {Object} filter - { deviceId, state } ('open' includes acknowledged alarms)
+   * @returns {Array<Object>} Alarms
+   */
+  getAlarms(filter = {}) {
+    const now = Date.now();
+    return [...this.history, ...this.getOpen()]
+      .filter((alarm) => !filter.deviceId || alarm.deviceId === filter.deviceId)
+      .filter(
+        (alarm) =>
+          !filter.state ||
+          alarm.state === filter.state ||
+          (filter.state === 'open' && alarm.state === 'acknowledged'),
+      )
+      .sort((a, b) => Date.parse(a.openedAt) - Date.parse(b.openedAt))
+      .map((alarm) => this.describe(alarm, now));
+  }
+
+  /**
+   * Get alarm manager status
+   * @returns {Object} Alarm manager status
+   */
+  getStatus() {
+    const open = this.getOpen();
+    return {
+      ...super.getStatus(),
+      open: open.length,
+      unacknowledged: open.filter((alarm) => alarm.state === 'open').length,
+      ...this.stats,
+    };
+  }
+
+  /**
+   * Shutdown the alarm manager
+   */
+  async shutdown() {
+    if (this.shuttingDown) {
+      return;
+    }
+
+    this.shuttingDown = true;
+    this.logger.info('Shutting down Alarm Manager...');
+
+    try {
+      // Persist open alarms for the next start
+      clearInterval(this.stateSaveTimer);
+      await this.saveState();
+
+      this.removeAllEventListeners();
+
+      this.initialized = false;
+      this.logger.info('Alarm Manager shut down successfully');
+    } catch (error) {
+      this.handleError(error, 'Error during Alarm Manager shutdown');
+    }
+  }
+}
+
+export default AlarmManager;
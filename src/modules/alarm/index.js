@@ -0,0 +1,5 @@
+/**
+ * Alarm module exports
+ */
+
+export { default as AlarmManager } from './AlarmManager.js';
@@ -0,0 +1,382 @@
+/**
+ * CommandTracker.js
+ * Command/response correlation module for IoT Middleware V5
+ * Records outgoing device commands and matches incoming responses to them
+ *
+ * Matching rules:
+ * - V5008 set/color commands: the echoed originalReq equals the sent frame
+ * - V5008 queries without an echo: first response of the expected type (and module)
+ * - V6800 commands: the response uuid_number equals the request uuid_number
+ */
+
+import { randomUUID } from 'crypto';
+import { BaseComponent } from '../../core/index.js';
+
+// V5008 response messageType per command; echoed responses carry originalReq
+const V5008_RESPONSES = {
+  QRY_RFID: { messageType: 'RFID', perModule: true },
+  QRY_TEMP_HUM: { messageType: 'TEMP_HUM', perModule: true },
+  QRY_DOOR_STATE: { messageType: 'DOOR_STATE', perModule: true },
+  QRY_NOISE: { messageType: 'NOISE', perModule: true },
+  QRY_DEVICE: { messageType: 'QRY_DEVICE_RESP' },
+  QRY_MODULE: { messageType: 'QRY_MODULE_RESP' },
+  QRY_COLOR: { echoed: true },
+  SET_COLOR: { echoed: true },
+  CLR_ALARM: { echoed: true },
+};
+
+// Parsed fields that describe the envelope rather than the response itself
+const ENVELOPE_FIELDS = ['topic', 'deviceType', 'deviceId', 'ts', 'rawMessage', 'commandId'];
+
+class CommandTracker extends BaseComponent {
+  constructor(options = {}) {
+    super('CommandTracker');
+    this.options = options;
+    this.timeout = options.timeout || 10000; // Milliseconds to wait for a response
+    this.pending = new Map(); // match key -> queue of pending commands
+    this.stats = { sent: 0, acked: 0, failed: 0, timedOut: 0 };
+  }
+
+  /**
+   * Initialize the command tracker
+   */
+  async initialize() {
+    try {
+      this.logger.info('Initializing Command Tracker...', { timeout: this.timeout });
+
+      // Responses are matched as soon as they are parsed, before normalization
+      this.on('message.parsed', this.handleParsedMessage.bind(this));
+
+      this.initialized = true;
+      this.logger.info('Command Tracker initialized successfully');
+
+      return true;
+    } catch (error) {
+      this.handleError(error, 'Failed to initialize Command Tracker');
+      throw error;
+    }
+  }
+
+  /**
+   * Track a command and publish it
+   * The command is registered and its timer armed before publishing so a fast response cannot
+   * be missed. A response that arrives while publish() is still running is held until the
+   * command is reported sent, so command.sent always precedes command.acked.
+   * @param {Object} command - Command descriptor built by a command publisher
+   * @param {Function} publish - Async function that publishes the command
+   * @returns {Promise<Object>} Resolves with the command result, rejects on timeout
+   */
+  async track(command, publish) {
+    const key = this.getCommandKey(command);
+    const entry = {
+      ...command,
+      commandId: command.commandId || randomUUID(),
+      key,
+    };
+
+    const result = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+
+    entry.sentAt = new Date().toISOString();
+    entry.timer = setTimeout(() => this.handleTimeout(entry), this.timeout);
+    this.enqueue(entry);
+
+    try {
+      await publish();
+    } catch (error) {
+      clearTimeout(entry.timer);
+      this.dequeue(entry);
+      throw error;
+    }
+
+    // Timed out while publishing: the caller already has the timeout error
+    if (entry.settled) {
+      return result;
+    }
+
+    entry.published = true;
+    this.stats.sent++;
+    this.emit('command.sent', this.describe(entry));
+
+    if (entry.response) {
+      this.settle(entry, entry.response);
+    }
+
+    return result;
+  }
+
+  /**
+   * Match a parsed device message against pending commands
+   * @param {Object} parsedData - Parsed message from a device parser
+   */
+  handleParsedMessage(parsedData) {
+    try {
+      const key = this.getResponseKey(parsedData);
+      const entry = key ? this.pending.get(key)?.[0] : null;
+      if (!entry) {
+        return;
+      }
+
+      this.dequeue(entry);
+      clearTimeout(entry.timer);
+
+      // Link the response (and everything normalized from it) to its request
+      parsedData.commandId = entry.commandId;
+
+      const response = this.buildResult(entry, parsedData);
+      if (!entry.published) {
+        // Answered before publish() returned; settled once the command is reported sent
+        entry.response = response;
+        return;
+      }
+
+      this.settle(entry, response);
+    } catch (error) {
+      this.handleError(error, 'Failed to match command response');
+    }
+  }
+
+  /**
+   * Resolve a command with its response
+   * @param {Object} entry - Command entry, already removed from its match queue
+   * @param {Object} response - Command result
+   */
+  settle(entry, response) {
+    entry.settled = true;
+    if (response.result === 'Success') {
+      this.stats.acked++;
+    } else {
+      this.stats.failed++;
+    }
+
+    this.emit('command.acked', response);
+    entry.resolve(response);
+  }
+
+  /**
+   * Reject a command that was never answered
+   * @param {Object} entry - Pending command entry
+   */
+  handleTimeout(entry) {
+    // Already answered (a held response counts as answered)
+    if (entry.settled || entry.response) {
+      return;
+    }
+
+    entry.settled = true;
+    this.dequeue(entry);
+    this.stats.timedOut++;
+
+    const details = this.describe(entry);
+    this.logger.warn('Command timed out', details);
+    this.emit('command.timeout', { ...details, timeout: this.timeout });
+
+    const error = new Error(
+      `${entry.deviceType} command ${entry.command} to ${entry.deviceId} timed out after ${this.timeout}ms`,
+    );
+    error.code = 'COMMAND_TIMEOUT';
+    error.commandId = entry.commandId;
+    entry.reject(error);
+  }
+
+  /**
+   * Build the key a command's response will be matched on
+   * @param {Object} command - Command descriptor
+   * @returns {string} Match key
+   */
+  getCommandKey(command) {
+    const { deviceType, deviceId } = command;
+
+    if (deviceType === 'V6800') {
+      return `V6800:${deviceId}:${command.messageId}`;
+    }
+
+    if (deviceType === 'V5008') {
+      const response = V5008_RESPONSES[command.command];
+      if (!response) {
+        throw new Error(`Cannot track unknown V5008 command: ${command.command}`);
+      }
+      if (response.echoed) {
+        return `V5008:${deviceId}:${command.frame}`;
+      }
+      const modAddr = response.perModule ? command.modAddr : '';
+      return `V5008:${deviceId}:${response.messageType}:${modAddr}`;
+    }
+
+    throw new Error(`Cannot track commands for device type: ${deviceType}`);
+  }
+
+  /**
+   * Build the key a parsed message would satisfy
+   * @param {Object} parsedData - Parsed message
+   * @returns {string|null} Match key or null if the message cannot be a response
+   */
+  getResponseKey(parsedData) {
+    const { deviceType, deviceId } = parsedData;
+
+    if (deviceType === 'V6800') {
+      return parsedData.messageId ? `V6800:${deviceId}:${parsedData.messageId}` : null;
+    }
+
+    if (deviceType === 'V5008') {
+      if (parsedData.originalReq) {
+        return `V5008:${deviceId}:${parsedData.originalReq}`;
+      }
+      const modAddr = parsedData.modAddr ?? '';
+      const perModule = ['RFID', 'TEMP_HUM', 'DOOR_STATE', 'NOISE'].includes(
+        parsedData.messageType,
+      );
+      return `V5008:${deviceId}:${parsedData.messageType}:${perModule ? modAddr : ''}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the result a tracked command resolves with
+   * @param {Object} entry - Pending command entry
+   * @param {Object} parsedData - Matching parsed response
+   * @returns {Object} Command result
+   */
+  buildResult(entry, parsedData) {
+    const response = Object.fromEntries(
+      Object.entries(parsedData).filter(([field]) => !ENVELOPE_FIELDS.includes(field)),
+    );
+
+    return {
+      ...this.describe(entry),
+      result: this.getResultCode(parsedData),
+      response,
+      ackedAt: new Date().toISOString(),
+      latencyMs: Date.now() - Date.parse(entry.sentAt),
+    };
+  }
+
+  /**
+   * Derive a Success/Failure code from a parsed response
+   * @param {Object} parsedData - Parsed response
+   * @returns {string} "Success" or "Failure"
+   */
+  getResultCode(parsedData) {
+    if (parsedData.result) {
+      return parsedData.result;
+    }
+
+    // V6800 responses report one result per module
+    if (Array.isArray(parsedData.data)) {
+      const failed = parsedData.data.some((module) => module.result && module.result !== 'Success');
+      return failed ? 'Failure' : 'Success';
+    }
+
+    // Plain query responses carry data, so receiving one means success
+    return 'Success';
+  }
+
+  /**
+   * Public view of a command entry (no callbacks or timers)
+   * @param {Object} entry - Pending command entry
+   * @returns {Object} Command details
+   */
+  describe(entry) {
+    return {
+      commandId: entry.commandId,
+      deviceType: entry.deviceType,
+      deviceId: entry.deviceId,
+      command: entry.command,
+      topic: entry.topic,
+      messageId: entry.messageId,
+      frame: entry.frame,
+      modAddr: entry.modAddr,
+      uPos: entry.uPos,
+      sentAt: entry.sentAt,
+    };
+  }
+
+  /**
+   * Add a command to its match queue
+   * @param {Object} entry - Pending command entry
+   */
+  enqueue(entry) {
+    if (!this.pending.has(entry.key)) {
+      this.pending.set(entry.key, []);
+    }
+    this.pending.get(entry.key).push(entry);
+  }
+
+  /**
+   * Remove a command from its match queue
+   * @param {Object} entry - Pending command entry
+   */
+  dequeue(entry) {
+    const queue = this.pending.get(entry.key);
+    if (!queue) {
+      return;
+    }
+
+    const index = queue.indexOf(entry);
+    if (index !== -1) {
+      queue.splice(index, 1);
+    }
+    if (queue.length === 0) {
+      this.pending.delete(entry.key);
+    }
+  }
+
+  /**
+   * Get pending commands
+   * @returns {Array} Details of commands awaiting a response
+   */
+  getPendingCommands() {
+    return Array.from(this.pending.values())
+      .flat()
+      .map((entry) => this.describe(entry));
+  }
+
+  /**
+   * Get command tracker status
+   * @returns {Object} Command tracker status
+   */
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      timeout: this.timeout,
+      pending: this.getPendingCommands().length,
+      ...this.stats,
+    };
+  }
+
+  /**
+   * Shutdown the command tracker
+   */
+  async shutdown() {
+    if (this.shuttingDown) {
+      return;
+    }
+
+    this.shuttingDown = true;
+    this.logger.info('Shutting down Command Tracker...');
+
+    try {
+      // Fail anything still waiting so callers are not left hanging
+      for (const queue of Array.from(this.pending.values())) {
+        for (const entry of [...queue]) {
+          clearTimeout(entry.timer);
+          entry.settled = true;
+          this.dequeue(entry);
+          entry.reject(new Error(`Command Tracker shut down before ${entry.command} was answered`));
+        }
+      }
+
+      this.removeAllEventListeners();
+
+      this.initialized = false;
+      this.logger.info('Command Tracker shut down successfully');
+    } catch (error) {
+      this.handleError(error, 'Error during Command Tracker shutdown');
+    }
+  }
+}
+
+export default CommandTracker;
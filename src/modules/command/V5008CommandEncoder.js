@@ -0,0 +1,181 @@
+/**
+ * V5008CommandEncoder.js
+ * Encoder for V5008 download (server to device) commands
+ * Builds the binary frames listed in the V5008 Download Message Quick References
+ * Frame layouts come from the 'Download' definitions in protocol/V5008Frames.js
+ */
+
+import { COLOR_CODES } from '../protocol/ColorCodes.js';
+import FrameCodec from '../protocol/FrameCodec.js';
+import { V5008_FRAMES, DEFAULT_PROTOCOL_VERSION, framesFor } from '../protocol/V5008Frames.js';
+
+// Command codes as defined in the V5008 protocol (e.g. QRY_RFID: [0xe9, 0x01])
+const COMMAND_CODES = Object.fromEntries(
+  V5008_FRAMES[DEFAULT_PROTOCOL_VERSION].Download.map(({ name, fields }) => [
+    name,
+    [...Buffer.from(fields[0].value, 'hex')],
+  ]),
+);
+
+const MOD_ADDR_RANGE = { min: 1, max: 5 };
+const U_POS_RANGE = { min: 1, max: 54 };
+const COLOR_CODE_RANGE = { min: COLOR_CODES.OFF, max: COLOR_CODES.WHITE_F };
+
+class V5008CommandEncoder {
+  /**
+   * @param {Object} options - Encoder options
+   * @param {string} options.protocolVersion - V5008 protocol version (default: 1.4)
+   * @param {Object} options.frames - Frame definitions of versions not built in (see V5008Parser)
+   */
+  constructor(options = {}) {
+    this.deviceType = 'V5008';
+    this.protocolVersion = options.protocolVersion || DEFAULT_PROTOCOL_VERSION;
+
+    const frames = framesFor(this.protocolVersion, options.frames);
+    this.codec = new FrameCodec({ Download: frames.Download });
+  }
+
+  /**
+   * Query RFID tags of a module
+   * Format: [E901][modAddr]
+   * @param {number} modAddr - Module address (1-5)
+   * @returns {Buffer} Command frame
+   */
+  queryRfid(modAddr) {
+    return this.encodeModuleQuery('QRY_RFID', modAddr);
+  }
+
+  /**
+   * Query temperature/humidity sensors of a module
+   * Format: [E902][modAddr]
+   * @param {number} modAddr - Module address (1-5)
+   * @returns {Buffer} Command frame
+   */
+  queryTempHum(modAddr) {
+    return this.encodeModuleQuery('QRY_TEMP_HUM', modAddr);
+  }
+
+  /**
+   * Query door state of a module
+   * Format: [E903][modAddr]
+   * @param {number} modAddr - Module address (1-5)
+   * @returns {Buffer} Command frame
+   */
+  queryDoorState(modAddr) {
+    return this.encodeModuleQuery('QRY_DOOR_STATE', modAddr);
+  }
+
+  /**
+   * Query noise sensors of a module
+   * Format: [E904][modAddr]
+   * @param {number} modAddr - Module address (1-5)
+   * @returns {Buffer} Command frame
+   */
+  queryNoise(modAddr) {
+    return this.encodeModuleQuery('QRY_NOISE', modAddr);
+  }
+
+  /**
+   * Query gateway device information
+   * Format: [EF0100]
+   * @returns {Buffer} Command frame
+   */
+  queryDeviceInfo() {
+    return this.codec.encode('QRY_DEVICE');
+  }
+
+  /**
+   * Query module firmware information
+   * Format: [EF0200]
+   * @returns {Buffer} Command frame
+   */
+  queryModuleInfo() {
+    return this.codec.encode('QRY_MODULE');
+  }
+
+  /**
+   * Set U-level light colors
+   * Format: [E1][modAddr]([uPos][colorCode] x N)
+   * @param {number} modAddr - Module address (1-5)
+   * @param {Array<{uPos: number, colorCode: number}>} colors - U-levels to set
+   * @returns {Buffer} Command frame
+   */
+  setColor(modAddr, colors) {
+    this.checkRange('modAddr', modAddr, MOD_ADDR_RANGE);
+
+    if (!Array.isArray(colors) || colors.length === 0) {
+      throw new Error('colors must be a non-empty array of { uPos, colorCode }');
+    }
+
+    const seen = new Set();
+
+    for (const { uPos, colorCode } of colors) {
+      this.checkRange('uPos', uPos, U_POS_RANGE);
+      this.checkRange('colorCode', colorCode, COLOR_CODE_RANGE);
+
+      if (seen.has(uPos)) {
+        throw new Error(`Duplicate uPos in colors: ${uPos}`);
+      }
+      seen.add(uPos);
+    }
+
+    return this.codec.encode('SET_COLOR', { modAddr, colors });
+  }
+
+  /**
+   * Query U-level light colors of a module
+   * Format: [E4][modAddr]
+   * @param {number} modAddr - Module address (1-5)
+   * @returns {Buffer} Command frame
+   */
+  queryColor(modAddr) {
+    this.checkRange('modAddr', modAddr, MOD_ADDR_RANGE);
+    return this.codec.encode('QRY_COLOR', { modAddr });
+  }
+
+  /**
+   * Clear the tamper alarm of one or more U-levels
+   * Format: [E2][modAddr]([uPos] x N) - the spec sample echoes E2010605 (two positions)
+   * @param {number} modAddr - Module address (1-5)
+   * @param {number|Array<number>} uPos - U-level position(s) (1-54)
+   * @returns {Buffer} Command frame
+   */
+  clearAlarm(modAddr, uPos) {
+    this.checkRange('modAddr', modAddr, MOD_ADDR_RANGE);
+
+    const positions = Array.isArray(uPos) ? uPos : [uPos];
+    if (positions.length === 0) {
+      throw new Error('uPos must be a U-level position or a non-empty array of positions');
+    }
+    positions.forEach((position) => this.checkRange('uPos', position, U_POS_RANGE));
+
+    return this.codec.encode('CLR_ALARM', { modAddr, positions });
+  }
+
+  /**
+   * Encode an E9 module query
+   * @param {string} command - Download frame name (e.g. QRY_RFID)
+   * @param {number} modAddr - Module address (1-5)
+   * @returns {Buffer} Command frame
+   */
+  encodeModuleQuery(command, modAddr) {
+    this.checkRange('modAddr', modAddr, MOD_ADDR_RANGE);
+    return this.codec.encode(command, { modAddr });
+  }
+
+  /**
+   * Ensure a command argument is an integer within range
+   * @param {string} name - Argument name
+   * @param {*} value - Argument value
+   * @param {Object} range - Inclusive { min, max }
+   * @throws {Error} If the value is not an integer within range
+   */
+  checkRange(name, value, { min, max }) {
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new Error(`Invalid ${name}: ${value} (expected integer ${min}-${max})`);
+    }
+  }
+}
+
+export { COMMAND_CODES, COLOR_CODES };
+export default V5008CommandEncoder;
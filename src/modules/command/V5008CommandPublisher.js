@@ -0,0 +1,159 @@
+/**
+ * V5008CommandPublisher.js
+ * Publishes encoded V5008 download commands through the MQTT client
+ * Topic format: V5008Download/{deviceId}
+ */
+
+import { logger } from '../../core/index.js';
+import V5008CommandEncoder from './V5008CommandEncoder.js';
+
+class V5008CommandPublisher {
+  /**
+   * @param {Object} mqttClient - Connected MqttClient instance
+   * @param {Object} options - Publisher options
+   * @param {string} options.topicPrefix - Download topic prefix (default: V5008Download)
+   * @param {Object} options.tracker - CommandTracker; when set, commands resolve with the device response
+   */
+  constructor(mqttClient, options = {}) {
+    if (!mqttClient || typeof mqttClient.publish !== 'function') {
+      throw new Error('V5008CommandPublisher requires an MQTT client with a publish() method');
+    }
+
+    this.mqttClient = mqttClient;
+    this.topicPrefix = options.topicPrefix || 'V5008Download';
+    this.tracker = options.tracker || null;
+    this.encoder = new V5008CommandEncoder();
+    this.logger = logger.child('V5008CommandPublisher');
+  }
+
+  /**
+   * Query RFID tags of a module
+   * @param {string} deviceId - Gateway device ID
+   * @param {number} modAddr - Module address (1-5)
+   * @returns {Promise<Object>} Sent command descriptor
+   */
+  async queryRfid(deviceId, modAddr) {
+    return this.send(deviceId, 'QRY_RFID', this.encoder.queryRfid(modAddr), { modAddr });
+  }
+
+  /**
+   * Query temperature/humidity sensors of a module
+   * @param {string} deviceId - Gateway device ID
+   * @param {number} modAddr - Module address (1-5)
+   * @returns {Promise<Object>} Sent command descriptor
+   */
+  async queryTempHum(deviceId, modAddr) {
+    return this.send(deviceId, 'QRY_TEMP_HUM', this.encoder.queryTempHum(modAddr), { modAddr });
+  }
+
+  /**
+   * Query door state of a module
+   * @param {string} deviceId - Gateway device ID
+   * @param {number} modAddr - Module address (1-5)
+   * @returns {Promise<Object>} Sent command descriptor
+   */
+  async queryDoorState(deviceId, modAddr) {
+    return this.send(deviceId, 'QRY_DOOR_STATE', this.encoder.queryDoorState(modAddr), { modAddr });
+  }
+
+  /**
+   * Query noise sensors of a module
+   * @param {string} deviceId - Gateway device ID
+   * @param {number} modAddr - Module address (1-5)
+   * @returns {Promise<Object>} Sent command descriptor
+   */
+  async queryNoise(deviceId, modAddr) {
+    return this.send(deviceId, 'QRY_NOISE', this.encoder.queryNoise(modAddr), { modAddr });
+  }
+
+  /**
+   * Query gateway device information
+   * @param {string} deviceId - Gateway device ID
+   * @returns {Promise<Object>} Sent command descriptor
+   */
+  async queryDeviceInfo(deviceId) {
+    return this.send(deviceId, 'QRY_DEVICE', this.encoder.queryDeviceInfo());
+  }
+
+  /**
+   * Query module firmware information
+   * @param {string} deviceId - Gateway device ID
+   * @returns {Promise<Object>} Sent command descriptor
+   */
+  async queryModuleInfo(deviceId) {
+    return this.send(deviceId, 'QRY_MODULE', this.encoder.queryModuleInfo());
+  }
+
+  /**
+   * Set U-level light colors
+   * @param {string} deviceId - Gateway device ID
+   * @param {number} modAddr - Module address (1-5)
+   * @param {Array<{uPos: number, colorCode: number}>} colors - U-levels to set
+   * @returns {Promise<Object>} Sent command descriptor
+   */
+  async setColor(deviceId, modAddr, colors) {
+    return this.send(deviceId, 'SET_COLOR', this.encoder.setColor(modAddr, colors), { modAddr });
+  }
+
+  /**
+   * Query U-level light colors of a module
+   * @param {string} deviceId - Gateway device ID
+   * @param {number} modAddr - Module address (1-5)
+   * @returns {Promise<Object>} Sent command descriptor
+   */
+  async queryColor(deviceId, modAddr) {
+    return this.send(deviceId, 'QRY_COLOR', this.encoder.queryColor(modAddr), { modAddr });
+  }
+
+  /**
+   * Clear the tamper alarm of a U-level
+   * @param {string} deviceId - Gateway device ID
+   * @param {number} modAddr - Module address (1-5)
+   * @param {number|Array<number>} uPos - U-level position(s) to clear (1-54)
+   * @returns {Promise<Object>} Sent command descriptor
+   */
+  async clearAlarm(deviceId, modAddr, uPos) {
+    return this.send(deviceId, 'CLR_ALARM', this.encoder.clearAlarm(modAddr, uPos), {
+      modAddr,
+      uPos,
+    });
+  }
+
+  /**
+   * Publish an encoded frame to the device download topic
+   * @param {string} deviceId - Gateway device ID
+   * @param {string} command - Command name
+   * @param {Buffer} frame - Encoded command frame
+   * @param {Object} details - Extra descriptor fields (e.g. modAddr)
+   * @returns {Promise<Object>} Sent command descriptor, or the command result when tracked
+   */
+  async send(deviceId, command, frame, details = {}) {
+    if (typeof deviceId !== 'string' || !/^\d+$/.test(deviceId)) {
+      throw new Error(`Invalid V5008 deviceId: ${deviceId}`);
+    }
+
+    const topic = `${this.topicPrefix}/${deviceId}`;
+    const descriptor = {
+      deviceType: 'V5008',
+      deviceId,
+      command,
+      topic,
+      frame: frame.toString('hex').toUpperCase(),
+      ...details,
+    };
+
+    const publish = async () => {
+      await this.mqttClient.publish(topic, frame);
+      this.logger.info('Sent V5008 command', { deviceId, command, frame: descriptor.frame });
+    };
+
+    if (this.tracker) {
+      return this.tracker.track(descriptor, publish);
+    }
+
+    await publish();
+    return { ...descriptor, sentAt: new Date().toISOString() };
+  }
+}
+
+export default V5008CommandPublisher;
@@ -0,0 +1,153 @@
+/**
+ * V6800CommandBuilder.js
+ * Builder for V6800 download (server to device) JSON commands
+ * Request keys mirror the matching responses understood by V6800Parser
+ */
+
+import { randomInt } from 'crypto';
+import { COLOR_CODES } from '../protocol/ColorCodes.js';
+import { MSG_TYPES } from '../protocol/V6800Messages.js';
+
+const MOD_ADDR_RANGE = { min: 1, max: 255 };
+const U_POS_RANGE = { min: 1, max: 54 };
+const COLOR_CODE_RANGE = { min: COLOR_CODES.OFF, max: COLOR_CODES.WHITE_F };
+
+// uuid_number is a positive 32-bit signed integer in all observed gateway traffic
+const UUID_NUMBER_MAX = 2 ** 31 - 1;
+
+class V6800CommandBuilder {
+  /**
+   * @param {Object} options - Builder options
+   * @param {Function} options.generateUuid - uuid_number generator (default: random int)
+   */
+  constructor(options = {}) {
+    this.deviceType = 'V6800';
+    this.generateUuid = options.generateUuid || (() => randomInt(1, UUID_NUMBER_MAX));
+  }
+
+  /**
+   * Query RFID tags of a module
+   * Response: u_state_resp
+   * @param {string} deviceId - Gateway serial number
+   * @param {number} modAddr - Module port index
+   * @returns {Object} Command JSON object
+   */
+  queryRfid(deviceId, modAddr) {
+    this.checkRange('modAddr', modAddr, MOD_ADDR_RANGE);
+
+    return {
+      msg_type: MSG_TYPES.QRY_RFID.request,
+      gateway_sn: this.checkDeviceId(deviceId),
+      uuid_number: this.generateUuid(),
+      data: [{ host_gateway_port_index: modAddr }],
+    };
+  }
+
+  /**
+   * Query U-level light colors of a module
+   * Response: u_color
+   * @param {string} deviceId - Gateway serial number
+   * @param {number} modAddr - Module port index
+   * @returns {Object} Command JSON object
+   */
+  queryColor(deviceId, modAddr) {
+    this.checkRange('modAddr', modAddr, MOD_ADDR_RANGE);
+
+    return {
+      msg_type: MSG_TYPES.QRY_COLOR.request,
+      gateway_id: this.checkDeviceId(deviceId),
+      uuid_number: this.generateUuid(),
+      data: [{ index: modAddr }],
+    };
+  }
+
+  /**
+   * Set U-level light colors of a module
+   * Response: set_module_property_result_req
+   * @param {string} deviceId - Gateway serial number
+   * @param {number} modAddr - Module port index
+   * @param {Array<{uPos: number, colorCode: number}>} colors - U-levels to set
+   * @returns {Object} Command JSON object
+   */
+  setColor(deviceId, modAddr, colors) {
+    this.checkRange('modAddr', modAddr, MOD_ADDR_RANGE);
+
+    if (!Array.isArray(colors) || colors.length === 0) {
+      throw new Error('colors must be a non-empty array of { uPos, colorCode }');
+    }
+
+    const seen = new Set();
+    const colorData = colors.map(({ uPos, colorCode }) => {
+      this.checkRange('uPos', uPos, U_POS_RANGE);
+      this.checkRange('colorCode', colorCode, COLOR_CODE_RANGE);
+
+      if (seen.has(uPos)) {
+        throw new Error(`Duplicate uPos in colors: ${uPos}`);
+      }
+      seen.add(uPos);
+
+      return { u_index: uPos, color_code: colorCode };
+    });
+
+    return {
+      msg_type: MSG_TYPES.SET_COLOR.request,
+      gateway_sn: this.checkDeviceId(deviceId),
+      uuid_number: this.generateUuid(),
+      data: [{ host_gateway_port_index: modAddr, u_color_data: colorData }],
+    };
+  }
+
+  /**
+   * Clear the tamper warning of one or more U-levels
+   * Response: clear_u_warning
+   * @param {string} deviceId - Gateway serial number
+   * @param {number} modAddr - Module port index
+   * @param {number|Array<number>} uPos - U-level position(s) to clear
+   * @returns {Object} Command JSON object
+   */
+  clearAlarm(deviceId, modAddr, uPos) {
+    this.checkRange('modAddr', modAddr, MOD_ADDR_RANGE);
+
+    const positions = Array.isArray(uPos) ? uPos : [uPos];
+    if (positions.length === 0) {
+      throw new Error('uPos must be a U-level position or a non-empty array of positions');
+    }
+    positions.forEach((position) => this.checkRange('uPos', position, U_POS_RANGE));
+
+    return {
+      msg_type: MSG_TYPES.CLR_ALARM.request,
+      gateway_id: this.checkDeviceId(deviceId),
+      uuid_number: this.generateUuid(),
+      data: [{ index: modAddr, u_index_list: positions }],
+    };
+  }
+
+  /**
+   * Ensure a device ID is a non-empty string
+   * @param {*} deviceId - Gateway serial number
+   * @returns {string} The device ID
+   * @throws {Error} If the device ID is not usable in a topic
+   */
+  checkDeviceId(deviceId) {
+    if (typeof deviceId !== 'string' || deviceId.length === 0 || /[/+#]/.test(deviceId)) {
+      throw new Error(`Invalid V6800 deviceId: ${deviceId}`);
+    }
+    return deviceId;
+  }
+
+  /**
+   * Ensure a command argument is an integer within range
+   * @param {string} name - Argument name
+   * @param {*} value - Argument value
+   * @param {Object} range - Inclusive { min, max }
+   * @throws {Error} If the value is not an integer within range
+   */
+  checkRange(name, value, { min, max }) {
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new Error(`Invalid ${name}: ${value} (expected integer ${min}-${max})`);
+    }
+  }
+}
+
+export { MSG_TYPES };
+export default V6800CommandBuilder;
@@ -0,0 +1,113 @@
+/**
+ * V6800CommandPublisher.js
+ * Publishes V6800 JSON download commands through the MQTT client
+ * Topic format: V6800Download/{deviceId}
+ */
+
+import { logger } from '../../core/index.js';
+import V6800CommandBuilder from './V6800CommandBuilder.js';
+
+class V6800CommandPublisher {
+  /**
+   * @param {Object} mqttClient - Connected MqttClient instance
+   * @param {Object} options - Publisher options
+   * @param {string} options.topicPrefix - Download topic prefix (default: V6800Download)
+   * @param {Function} options.generateUuid - uuid_number generator passed to the builder
+   * @param {Object} options.tracker - CommandTracker; when set, commands resolve with the device response
+   */
+  constructor(mqttClient, options = {}) {
+    if (!mqttClient || typeof mqttClient.publish !== 'function') {
+      throw new Error('V6800CommandPublisher requires an MQTT client with a publish() method');
+    }
+
+    this.mqttClient = mqttClient;
+    this.topicPrefix = options.topicPrefix || 'V6800Download';
+    this.tracker = options.tracker || null;
+    this.builder = new V6800CommandBuilder({ generateUuid: options.generateUuid });
+    this.logger = logger.child('V6800CommandPublisher');
+  }
+
+  /**
+   * Query RFID tags of a module
+   * @param {string} deviceId - Gateway serial number
+   * @param {number} modAddr - Module port index
+   * @returns {Promise<Object>} Sent command descriptor
+   */
+  async queryRfid(deviceId, modAddr) {
+    return this.send(deviceId, 'QRY_RFID', this.builder.queryRfid(deviceId, modAddr));
+  }
+
+  /**
+   * Query U-level light colors of a module
+   * @param {string} deviceId - Gateway serial number
+   * @param {number} modAddr - Module port index
+   * @returns {Promise<Object>} Sent command descriptor
+   */
+  async queryColor(deviceId, modAddr) {
+    return this.send(deviceId, 'QRY_COLOR', this.builder.queryColor(deviceId, modAddr));
+  }
+
+  /**
+   * Set U-level light colors of a module
+   * @param {string} deviceId - Gateway serial number
+   * @param {number} modAddr - Module port index
+   * @param {Array<{uPos: number, colorCode: number}>} colors - U-levels to set
+   * @returns {Promise<Object>} Sent command descriptor
+   */
+  async setColor(deviceId, modAddr, colors) {
+    return this.send(deviceId, 'SET_COLOR', this.builder.setColor(deviceId, modAddr, colors));
+  }
+
+  /**
+   * Clear the tamper warning of one or more U-levels
+   * @param {string} deviceId - Gateway serial number
+   * @param {number} modAddr - Module port index
+   * @param {number|Array<number>} uPos - U-level position(s) to clear
+   * @returns {Promise<Object>} Sent command descriptor
+   */
+  async clearAlarm(deviceId, modAddr, uPos) {
+    return this.send(deviceId, 'CLR_ALARM', this.builder.clearAlarm(deviceId, modAddr, uPos), {
+      modAddr,
+      uPos,
+    });
+  }
+
+  /**
+   * Publish a command object to the device download topic
+   * @param {string} deviceId - Gateway serial number
+   * @param {string} command - Command name
+   * @param {Object} payload - Command JSON object
+   * @param {Object} details - Extra descriptor fields (e.g. modAddr)
+   * @returns {Promise<Object>} Sent command descriptor, or the command result when tracked
+   */
+  async send(deviceId, command, payload, details = {}) {
+    const topic = `${this.topicPrefix}/${deviceId}`;
+    const descriptor = {
+      deviceType: 'V6800',
+      deviceId,
+      command,
+      topic,
+      messageId: payload.uuid_number.toString(),
+      payload,
+      ...details,
+    };
+
+    const publish = async () => {
+      await this.mqttClient.publish(topic, JSON.stringify(payload));
+      this.logger.info('Sent V6800 command', {
+        deviceId,
+        command,
+        messageId: descriptor.messageId,
+      });
+    };
+
+    if (this.tracker) {
+      return this.tracker.track(descriptor, publish);
+    }
+
+    await publish();
+    return { ...descriptor, sentAt: new Date().toISOString() };
+  }
+}
+
+export default V6800CommandPublisher;
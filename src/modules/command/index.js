@@ -0,0 +1,9 @@
+/**
+ * Command module exports
+ */
+
+export { default as V5008CommandEncoder } from './V5008CommandEncoder.js';
+export { default as V5008CommandPublisher } from './V5008CommandPublisher.js';
+export { default as V6800CommandBuilder } from './V6800CommandBuilder.js';
+export { default as V6800CommandPublisher } from './V6800CommandPublisher.js';
+export { default as CommandTracker } from './CommandTracker.js';
@@ -0,0 +1,450 @@
+/**
+ * DoorTracker.js
+ * Door sessions per module: open time, close time and duration, door-left-open alerts and
+ * daily open time per rack
+ *
+ * Each OPEN door_state record starts a session of its module (a rack) unless one is already
+ * running, and the next CLOSED ends it. A session still open after the left-open threshold raises
+ * door.left_open once. Open sessions and the daily totals of closed ones live in a persisted
+ * StateCache, so a restart neither loses a running session nor the audit figures. Every step is
+ * emitted as a door.* event and as a SYS_STATE_CHANGE 'door_session' record on
+ * message.normalized, so storage keeps the session history.
+ */
+
+import { randomUUID } from 'crypto';
+import { BaseComponent } from '../../core/index.js';
+import StateCache from '../normalizer/StateCache.js';
+
+// StateCache types of a module's running session and of its open time per day
+const SESSION_TYPE = 'door';
+const DAILY_TYPE = 'door_daily';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class DoorTracker extends BaseComponent {
+  constructor(options = {}) {
+    super('DoorTracker');
+    this.options = options;
+    this.leftOpenThreshold = options.leftOpenThreshold || 300000; // Unless configured per device
+    this.leftOpenThresholds = options.leftOpenThresholds || {}; // deviceId or deviceType -> ms
+    this.checkInterval = options.checkInterval || 5000;
+    this.checkTimer = null;
+    this.retentionDays = options.retentionDays || 400; // Daily totals kept per module
+    this.maxHistory = options.maxHistory || 1000; // Closed sessions kept for queries
+    this.history = [];
+    this.stateCache = new StateCache({ snapshotFile: options.stateFile });
+    this.stateSaveInterval = options.stateSaveInterval || 5000;
+    this.stateSaveTimer = null;
+    this.stats = { opened: 0, closed: 0, leftOpen: 0 };
+  }
+
+  /**
+   * Initialize the door tracker
+   */
+  async initialize() {
+    try {
+      this.logger.info('Initializing Door Tracker...', {
+        leftOpenThreshold: this.leftOpenThreshold,
+      });
+
+      // Restore running sessions and daily totals before the first door record arrives
+      await this.loadState();
+
+      this.on('message.normalized', this.handleNormalizedMessages.bind(this));
+
+      this.checkTimer = setInterval(() => this.check(), this.checkInterval);
+      this.checkTimer.unref();
+
+      this.initialized = true;
+      this.logger.info('Door Tracker initialized successfully');
+
+      return true;
+    } catch (error) {
+      this.handleError(error, 'Failed to initialize Door Tracker');
+      throw error;
+    }
+  }
+
+  /**
+   * Load persisted sessions and daily totals
+   * A corrupt snapshot is logged and skipped rather than blocking startup.
+   */
+  async loadState() {
+    if (!this.stateCache.snapshotFile) {
+      return;
+    }
+
+    try {
+      await this.stateCache.load();
+    } catch (error) {
+      this.logger.warn('Failed to restore door sessions, starting without them', {
+        file: this.stateCache.snapshotFile,
+        error: error.message,
+      });
+    }
+
+    this.stateSaveTimer = setInterval(() => this.saveState(), this.stateSaveInterval);
+    this.stateSaveTimer.unref();
+  }
+
+  /**
+   * Persist sessions and daily totals if they changed since the last save
+   */
+  async saveState() {
+    if (!this.stateCache.dirty) {
+      return;
+    }
+
+    try {
+      await this.stateCache.save();
+    } catch (error) {
+      this.logger.error('Failed to persist door sessions', {
+        file: this.stateCache.snapshotFile,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Follow every door_state record in a batch
+   * @param {Array<Object>} suos - Normalized records
+   */
+  handleNormalizedMessages(suos) {
+    try {
+      const records = suos
+        .filter((suo) => suo.type === 'SYS_STATE_CHANGE' && suo.payload?.key === 'door_state')
+        .flatMap((suo) => this.applyDoorState(suo));
+      this.publish(records);
+    } catch (error) {
+      this.handleError(error, 'Failed to track door sessions');
+    }
+  }
+
+  /**
+   * Start or end the session of one module
+   * @param {Object} suo - door_state record
+   * @returns {Array<Object>} Session records
+   */
+  applyDoorState(suo) {
+    const { deviceId, deviceType, modAddr } = suo.identity;
+    const at = suo.meta.ts;
+    const session = this.stateCache.get(deviceId, modAddr, SESSION_TYPE);
+    const state = suo.payload.value.state;
+
+    if (state === 'OPEN' && !session) {
+      return [this.open({ deviceId, deviceType, modAddr }, at)];
+    }
+    if (state === 'CLOSED' && session) {
+      return [this.close(session, at)];
+    }
+    return [];
+  }
+
+  /**
+   * Start a session
+   * @param {Object} module - { deviceId, deviceType, modAddr }
+   * @param {string} at - ISO time the door was reported open
+   * @returns {Object} Session record
+   */
+  open(module, at) {
+    const session = {
+      sessionId: randomUUID(),
+      ...module,
+      openedAt: at,
+      closedAt: null,
+      durationMs: null,
+      leftOpenAt: null,
+    };
+    this.stateCache.set(module.deviceId, module.modAddr, SESSION_TYPE, session);
+
+    this.stats.opened++;
+    this.emit('door.opened', this.describe(session));
+    return this.createRecord(session, 'opened', at);
+  }
+
+  /**
+   * End a session and add its duration to the daily totals
+   * @param {Object} session - Running session
+   * @param {string} at - ISO time the door was reported closed
+   * @returns {Object} Session record
+   */
+  close(session, at) {
+    const { deviceId, modAddr } = session;
+    const closed = {
+      ...session,
+      closedAt: at,
+      durationMs: Math.max(0, Date.parse(at) - Date.parse(session.openedAt)),
+    };
+    this.stateCache.delete(deviceId, modAddr, SESSION_TYPE);
+    this.addDailyTotals(closed);
+
+    this.history.push(closed);
+    if (this.history.length > this.maxHistory) {
+      this.history.shift();
+    }
+
+    this.stats.closed++;
+    this.emit('door.closed', this.describe(closed));
+    return this.createRecord(closed, 'closed', at);
+  }
+
+  /**
+   * Raise door.left_open for sessions running longer than their threshold
+   * Each session is reported once.
+   * @param {number} now - Current time in ms
+   */
+  check(now = Date.now()) {
+    const records = [];
+
+    for (const { state: session } of this.stateCache.list(SESSION_TYPE)) {
+      const threshold = this.getThreshold(session);
+      if (session.leftOpenAt || now - Date.parse(session.openedAt) < threshold) {
+        continue;
+      }
+
+      const at = new Date(now).toISOString();
+      session.leftOpenAt = at;
+      this.stateCache.set(session.deviceId, session.modAddr, SESSION_TYPE, session);
+
+      const event = { ...this.describe(session, now), threshold };
+      this.stats.leftOpen++;
+      this.logger.warn('Door left open', event);
+      this.emit('door.left_open', event);
+      records.push(this.createRecord(session, 'left_open', at));
+    }
+
+    this.publish(records);
+  }
+
+  /**
+   * Left-open threshold of a session's device
+   * @param {Object} session - Session
+   * @returns {number} Threshold in ms
+   */
+  getThreshold(session) {
+    return (
+      this.leftOpenThresholds[session.deviceId] ||
+      this.leftOpenThresholds[session.deviceType] ||
+      this.leftOpenThreshold
+    );
+  }
+
+  /**
+   * Split a closed session over the days it spans and add it to the module's totals
+   * @param {Object} session - Closed session
+   */
+  addDailyTotals(session) {
+    const { deviceId, modAddr } = session;
+    const daily = { ...this.stateCache.get(deviceId, modAddr, DAILY_TYPE) };
+
+    // A session counts on the day it was opened
+    this.splitByDay(session, Date.parse(session.closedAt), 0).forEach(({ date, openMs }, index) => {
+      const day = daily[date] || { openMs: 0, sessions: 0 };
+      daily[date] = { openMs: day.openMs + openMs, sessions: day.sessions + (index === 0 ? 1 : 0) };
+    });
+
+    // Forget days beyond the retention period
+    const oldest = new Date(Date.parse(session.closedAt) - this.retentionDays * DAY_MS)
+      .toISOString()
+      .slice(0, 10);
+    for (const date of Object.keys(daily)) {
+      if (date < oldest) {
+        delete daily[date];
+      }
+    }
+
+    this.stateCache.set(deviceId, modAddr, DAILY_TYPE, daily);
+  }
+
+  /**
+   * Open time of a session per calendar day
+   * @param {Object} session - Session
+   * @param {number} end - End of the session (or now) in ms
+   * @param {number} utcOffsetMinutes - Offset of the calendar from UTC
+   * @returns {Array<Object>} { date: 'YYYY-MM-DD', openMs } per day, oldest first
+   */
+  splitByDay(session, end, utcOffsetMinutes) {
+    const offset = utcOffsetMinutes * 60000;
+    const start = Date.parse(session.openedAt) + offset;
+    const days = [];
+
+    let from = start;
+    const until = Math.max(start, end + offset);
+    do {
+      const nextDay = (Math.floor(from / DAY_MS) + 1) * DAY_MS;
+      const to = Math.min(until, nextDay);
+      days.push({ date: new Date(from).toISOString().slice(0, 10), openMs: to - from });
+      from = nextDay;
+    } while (from < until);
+
+    return days;
+  }
+
+  /**
+   * Open time per rack (gateway module) per day
+   * UTC days come from the persisted totals; other calendars are computed from the sessions
+   * still in memory. A running session counts up to now.
+   * @param {Object} filter - { deviceId, modAddr, from, to } (dates as 'YYYY-MM-DD') and
+   *   utcOffsetMinutes (default 0)
+   * @returns {Array<Object>} { deviceId, modAddr, date, openMs, sessions }, sorted
+   */
+  getDailyOpenTime(filter = {}) {
+    const utcOffsetMinutes = filter.utcOffsetMinutes || 0;
+    const totals = new Map(); // deviceId:modAddr:date -> row
+    const add = (session, date, openMs, sessions) => {
+      const key = `${session.deviceId}:${session.modAddr}:${date}`;
+      const row = totals.get(key) || {
+        deviceId: session.deviceId,
+        modAddr: session.modAddr,
+        date,
+        openMs: 0,
+        sessions: 0,
+      };
+      row.openMs += openMs;
+      row.sessions += sessions;
+      totals.set(key, row);
+    };
+    // A session counts on the day it was opened
+    const addSession = (session, end) =>
+      this.splitByDay(session, end, utcOffsetMinutes).forEach(({ date, openMs }, index) =>
+        add(session, date, openMs, index === 0 ? 1 : 0),
+      );
+
+    if (utcOffsetMinutes === 0) {
+      for (const { deviceId, modAddr, state } of this.stateCache.list(DAILY_TYPE)) {
+        for (const [date, { openMs, sessions }] of Object.entries(state)) {
+          add({ deviceId, modAddr }, date, openMs, sessions);
+        }
+      }
+    } else {
+      this.history.forEach((session) => addSession(session, Date.parse(session.closedAt)));
+    }
+    const now = Date.now();
+    this.stateCache.list(SESSION_TYPE).forEach(({ state }) => addSession(state, now));
+
+    return Array.from(totals.values())
+      .filter((row) => !filter.deviceId || row.deviceId === filter.deviceId)
+      .filter((row) => filter.modAddr === undefined || row.modAddr === filter.modAddr)
+      .filter(
+        (row) => (!filter.from || row.date >= filter.from) && (!filter.to || row.date <= filter.to),
+      )
+      .sort(
+        (a, b) =>
+          a.deviceId.localeCompare(b.deviceId) ||
+          a.modAddr - b.modAddr ||
+          a.date.localeCompare(b.date),
+      );
+  }
+
+  /**
+   * List sessions, oldest first
+   * @param {Object} filter - { deviceId, modAddr, open } (open: only running sessions)
+   * @returns {Array<Object>} Sessions
+   */
+  getSessions(filter = {}) {
+    const now = Date.now();
+    const running = this.stateCache.list(SESSION_TYPE).map(({ state }) => state);
+    return [...(filter.open ? [] : this.history), ...running]
+      .filter((session) => !filter.deviceId || session.deviceId === filter.deviceId)
+      .filter((session) => filter.modAddr === undefined || session.modAddr === filter.modAddr)
+      .sort((a, b) => Date.parse(a.openedAt) - Date.parse(b.openedAt))
+      .map((session) => this.describe(session, now));
+  }
+
+  /**
+   * Public view of a session with its duration up to now
+   * @param {Object} session - Session
+   * @param {number} now - Current time in ms
+   * @returns {Object} Session copy
+   */
+  describe(session, now = Date.now()) {
+    return {
+      ...session,
+      open: session.closedAt === null,
+      durationMs: session.durationMs ?? Math.max(0, now - Date.parse(session.openedAt)),
+    };
+  }
+
+  /**
+   * Build the SUO stored for a session step
+   * @param {Object} session - Session
+   * @param {string} action - 'opened', 'left_open' or 'closed'
+   * @param {string} at - ISO time of the step
+   * @returns {Object} SYS_STATE_CHANGE record
+   */
+  createRecord(session, action, at) {
+    const { deviceId, deviceType, modAddr } = session;
+    return {
+      meta: {
+        uuid: randomUUID(),
+        ts: at,
+        deviceTs: null,
+        receivedAt: null,
+        processedAt: new Date().toISOString(),
+        clockSkewMs: null,
+        late: false,
+        messageId: null,
+        path: `${deviceId}/M${modAddr}/S0`,
+      },
+      identity: { deviceId, deviceType, modAddr, sensorAddr: 0 },
+      type: 'SYS_STATE_CHANGE',
+      payload: {
+        key: 'door_session',
+        value: { action, ...this.describe(session, Date.parse(at)) },
+      },
+    };
+  }
+
+  /**
+   * Hand session records to storage
+   * @param {Array<Object>} records - SYS_STATE_CHANGE records
+   */
+  publish(records) {
+    if (records.length > 0) {
+      this.emit('message.normalized', records);
+    }
+  }
+
+  /**
+   * Get door tracker status
+   * @returns {Object} Door tracker status
+   */
+  getStatus() {
+    const running = this.stateCache.list(SESSION_TYPE).map(({ state }) => state);
+    return {
+      ...super.getStatus(),
+      open: running.length,
+      leftOpenNow: running.filter((session) => session.leftOpenAt).length,
+      ...this.stats,
+    };
+  }
+
+  /**
+   * Shutdown the door tracker
+   */
+  async shutdown() {
+    if (this.shuttingDown) {
+      return;
+    }
+
+    this.shuttingDown = true;
+    this.logger.info('Shutting down Door Tracker...');
+
+    try {
+      clearInterval(this.checkTimer);
+
+      // Persist running sessions and daily totals for the next start
+      clearInterval(this.stateSaveTimer);
+      await this.saveState();
+
+      this.removeAllEventListeners();
+
+      this.initialized = false;
+      this.logger.info('Door Tracker shut down successfully');
+    } catch (error) {
+      this.handleError(error, 'Error during Door Tracker shutdown');
+    }
+  }
+}
+
+export default DoorTracker;
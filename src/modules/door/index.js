@@ -0,0 +1,5 @@
+/**
+ * Door module exports
+ */
+
+export { default as DoorTracker } from './DoorTracker.js';
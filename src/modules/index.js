@@ -5,3 +5,9 @@
 export * from './mqtt/index.js';
 export * from './normalizer/index.js';
 export * from './storage/index.js';
+export * from './command/index.js';
+export * from './presence/index.js';
+export * from './alarm/index.js';
+export * from './door/index.js';
+export * from './movement/index.js';
+export * from './protocol/index.js';
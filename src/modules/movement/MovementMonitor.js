@@ -0,0 +1,385 @@
+/**
+ * MovementMonitor.js
+ * Unauthorized asset movement: RFID attach/detach events checked against the tag registry
+ *
+ * The normalizer enriches RFID events of registered tags with their asset, including where it is
+ * expected (gateway, module, U-level). An attach somewhere else is an unexpected_position, a
+ * registered tag detached outside a change window is an unauthorized_removal, and a tag without
+ * an asset is an unknown_tag. Each violation is emitted as asset.violation and as a
+ * SYS_STATE_CHANGE 'asset_violation' record on message.normalized, so storage and outputs see it,
+ * and can flash the affected U-level through the gateway's SET_COLOR command.
+ */
+
+import { randomUUID } from 'crypto';
+import { BaseComponent } from '../../core/index.js';
+import { COLOR_CODES } from '../protocol/ColorCodes.js';
+
+class MovementMonitor extends BaseComponent {
+  constructor(options = {}) {
+    super('MovementMonitor');
+    this.options = options;
+    this.reportUnknownTags = options.reportUnknownTags ?? true;
+    this.flashLed = options.flashLed ?? false; // SET_COLOR the affected U-level
+    this.ledColorCode = options.ledColorCode ?? COLOR_CODES.RED_F;
+    this.maxHistory = options.maxHistory || 1000; // Violations kept for queries
+    this.history = [];
+    this.changeWindows = new Map(); // windowId -> window
+    (options.changeWindows || []).forEach((changeWindow) => this.openChangeWindow(changeWindow));
+    // Command publishers per deviceType, set by the application (see setCommandPublishers)
+    this.publishers = options.publishers || {};
+    this.stats = {
+      unexpectedPosition: 0,
+      unauthorizedRemoval: 0,
+      unknownTag: 0,
+      ledCommands: 0,
+      ledFailures: 0,
+    };
+  }
+
+  /**
+   * Initialize the movement monitor
+   */
+  async initialize() {
+    try {
+      this.logger.info('Initializing Movement Monitor...', {
+        reportUnknownTags: this.reportUnknownTags,
+        flashLed: this.flashLed,
+        changeWindows: this.changeWindows.size,
+      });
+
+      this.on('message.normalized', this.handleNormalizedMessages.bind(this));
+
+      this.initialized = true;
+      this.logger.info('Movement Monitor initialized successfully');
+
+      return true;
+    } catch (error) {
+      this.handleError(error, 'Failed to initialize Movement Monitor');
+      throw error;
+    }
+  }
+
+  /**
+   * Set the publishers used to flash U-levels
+   * @param {Object} publishers - { V5008, V6800 } command publishers with setColor()
+   */
+  setCommandPublishers(publishers) {
+    this.publishers = { ...publishers };
+  }
+
+  /**
+   * Check every RFID attach/detach event in a batch
+   * @param {Array<Object>} suos - Normalized records
+   */
+  handleNormalizedMessages(suos) {
+    try {
+      const violations = suos
+        .filter((suo) => suo.type === 'SYS_RFID_EVENT' && suo.payload?.value?.tagId)
+        .map((suo) => this.check(suo))
+        .filter(Boolean);
+      if (violations.length === 0) {
+        return;
+      }
+
+      this.emit(
+        'message.normalized',
+        violations.map((violation) => this.createRecord(violation)),
+      );
+      // LED failures are logged and counted; the violations stand either way
+      if (this.flashLed) {
+        this.flash(violations);
+      }
+    } catch (error) {
+      this.handleError(error, 'Failed to check asset movements');
+    }
+  }
+
+  /**
+   * Check one RFID event against its tag's asset
+   * Attaches from a module's first snapshot (initial, no baseline yet) are not movements.
+   * @param {Object} suo - SYS_RFID_EVENT record
+   * @returns {Object|null} Violation, or null if the event is allowed
+   */
+  check(suo) {
+    const { action, tagId, uPos, asset = null, initial = false } = suo.payload.value;
+    if (initial) {
+      return null;
+    }
+    const { deviceId, deviceType, modAddr } = suo.identity;
+    const position = { deviceId, deviceType, modAddr, uPos: uPos ?? suo.identity.sensorAddr };
+    const at = suo.meta.ts;
+    const expected = asset && this.expectedPosition(asset);
+
+    let violation = null;
+    if (action === 'ATTACHED' && !asset) {
+      violation = this.reportUnknownTags ? 'unknown_tag' : null;
+    } else if (action === 'ATTACHED' && expected && !this.isExpected(position, expected)) {
+      violation = 'unexpected_position';
+    } else if (action === 'DETACHED' && asset) {
+      violation = this.findChangeWindow(position, at) ? null : 'unauthorized_removal';
+    }
+
+    if (!violation) {
+      return null;
+    }
+
+    return this.record({
+      violationId: randomUUID(),
+      violation,
+      tagId,
+      ...position,
+      at,
+      asset,
+      expected,
+    });
+  }
+
+  /**
+   * Where an asset is expected, from the fields its registry entry sets
+   * @param {Object} asset - Tag registry asset
+   * @returns {Object|null} { deviceId, modAddr, uPos } (null fields unchecked), or null if the
+   *   registry doesn't say
+   */
+  expectedPosition(asset) {
+    const expected = {
+      deviceId: asset.expectedDeviceId ?? null,
+      modAddr: asset.expectedModAddr ?? null,
+      uPos: asset.expectedUPos ?? null,
+    };
+    return Object.values(expected).some((value) => value !== null) ? expected : null;
+  }
+
+  /**
+   * Check a position against the expected one
+   * @param {Object} position - { deviceId, modAddr, uPos }
+   * @param {Object} expected - Expected position (null fields match anything)
+   * @returns {boolean} True if the position is where the asset belongs
+   */
+  isExpected(position, expected) {
+    return ['deviceId', 'modAddr', 'uPos'].every(
+      (field) => expected[field] === null || String(expected[field]) === String(position[field]),
+    );
+  }
+
+  /**
+   * Keep a violation for queries and announce it
+   * @param {Object} violation - Violation
+   * @returns {Object} Violation
+   */
+  record(violation) {
+    this.history.push(violation);
+    if (this.history.length > this.maxHistory) {
+      this.history.shift();
+    }
+
+    const counter = violation.violation.replace(/_(\w)/g, (_, letter) => letter.toUpperCase());
+    this.stats[counter]++;
+    this.logger.warn('Asset movement violation', {
+      violation: violation.violation,
+      tagId: violation.tagId,
+      deviceId: violation.deviceId,
+      modAddr: violation.modAddr,
+      uPos: violation.uPos,
+    });
+    this.emit('asset.violation', { ...violation });
+
+    return violation;
+  }
+
+  /**
+   * Open a change window: detaches inside it are authorized
+   * @param {Object} changeWindow - { deviceId, modAddr (both optional: any), start, end (ISO
+   *   times), reason }
+   * @returns {Object} Window with its windowId
+   */
+  openChangeWindow(changeWindow) {
+    const start = Date.parse(changeWindow.start);
+    const end = Date.parse(changeWindow.end);
+    if (Number.isNaN(start) || Number.isNaN(end) || end <= start) {
+      throw new Error(`Invalid change window: ${changeWindow.start} - ${changeWindow.end}`);
+    }
+
+    const opened = {
+      windowId: changeWindow.windowId || randomUUID(),
+      deviceId: changeWindow.deviceId ?? null,
+      modAddr: changeWindow.modAddr ?? null,
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString(),
+      reason: changeWindow.reason ?? null,
+    };
+    this.changeWindows.set(opened.windowId, opened);
+    this.logger.info('Change window opened', opened);
+
+    return { ...opened };
+  }
+
+  /**
+   * Close a change window early
+   * @param {string} windowId - Window ID
+   * @returns {boolean} True if the window existed
+   */
+  closeChangeWindow(windowId) {
+    return this.changeWindows.delete(windowId);
+  }
+
+  /**
+   * Change windows that have not ended
+   * @param {number} now - Current time in ms
+   * @returns {Array<Object>} Windows by start time
+   */
+  getChangeWindows(now = Date.now()) {
+    return Array.from(this.changeWindows.values())
+      .filter((changeWindow) => Date.parse(changeWindow.end) >= now)
+      .sort((a, b) => Date.parse(a.start) - Date.parse(b.start))
+      .map((changeWindow) => ({ ...changeWindow }));
+  }
+
+  /**
+   * Find a change window covering a position at a time
+   * @param {Object} position - { deviceId, modAddr }
+   * @param {string} at - ISO time
+   * @returns {Object|null} Window or null
+   */
+  findChangeWindow(position, at) {
+    const time = Date.parse(at);
+    for (const changeWindow of this.changeWindows.values()) {
+      if (
+        time >= Date.parse(changeWindow.start) &&
+        time <= Date.parse(changeWindow.end) &&
+        (changeWindow.deviceId === null || changeWindow.deviceId === position.deviceId) &&
+        (changeWindow.modAddr === null || changeWindow.modAddr === position.modAddr)
+      ) {
+        return changeWindow;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Flash the U-levels of violations, one SET_COLOR per module
+   * @param {Array<Object>} violations - Violations
+   * @returns {Promise<Array<Object>>} Sent command descriptors (failed modules omitted)
+   */
+  async flash(violations) {
+    const modules = new Map(); // deviceId:modAddr -> { deviceId, deviceType, modAddr, uPos set }
+    for (const { deviceId, deviceType, modAddr, uPos } of violations) {
+      const key = `${deviceId}:${modAddr}`;
+      if (!modules.has(key)) {
+        modules.set(key, { deviceId, deviceType, modAddr, uPos: new Set() });
+      }
+      modules.get(key).uPos.add(uPos);
+    }
+
+    const results = await Promise.all(
+      Array.from(modules.values(), (module) => this.flashModule(module)),
+    );
+    return results.filter(Boolean);
+  }
+
+  /**
+   * Send SET_COLOR for the flagged U-levels of one module
+   * @param {Object} module - { deviceId, deviceType, modAddr, uPos: Set }
+   * @returns {Promise<Object|null>} Sent command descriptor, or null if it could not be sent
+   */
+  async flashModule(module) {
+    const { deviceId, deviceType, modAddr } = module;
+    const publisher = this.publishers[deviceType];
+    if (!publisher) {
+      this.logger.warn('No command publisher to flash violation LEDs', { deviceId, deviceType });
+      this.stats.ledFailures++;
+      return null;
+    }
+
+    const colors = Array.from(module.uPos, (uPos) => ({ uPos, colorCode: this.ledColorCode }));
+    try {
+      const result = await publisher.setColor(deviceId, modAddr, colors);
+      this.stats.ledCommands++;
+      return result;
+    } catch (error) {
+      this.stats.ledFailures++;
+      this.logger.warn('Failed to flash violation LEDs', {
+        deviceId,
+        modAddr,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * List violations, newest first
+   * @param {Object} filter - { deviceId, tagId, violation, since (ISO time), limit }
+   * @returns {Array<Object>} Violations
+   */
+  getViolations(filter = {}) {
+    const since = filter.since ? Date.parse(filter.since) : -Infinity;
+    const results = this.history
+      .filter((violation) => !filter.deviceId || violation.deviceId === filter.deviceId)
+      .filter((violation) => !filter.tagId || violation.tagId === filter.tagId)
+      .filter((violation) => !filter.violation || violation.violation === filter.violation)
+      .filter((violation) => Date.parse(violation.at) >= since)
+      .reverse()
+      .map((violation) => ({ ...violation }));
+    return filter.limit ? results.slice(0, filter.limit) : results;
+  }
+
+  /**
+   * Build the SUO stored for a violation
+   * @param {Object} violation - Violation
+   * @returns {Object} SYS_STATE_CHANGE record
+   */
+  createRecord(violation) {
+    const { deviceId, deviceType, modAddr, uPos } = violation;
+    return {
+      meta: {
+        uuid: randomUUID(),
+        ts: violation.at,
+        deviceTs: null,
+        receivedAt: null,
+        processedAt: new Date().toISOString(),
+        clockSkewMs: null,
+        late: false,
+        messageId: null,
+        path: `${deviceId}/M${modAddr}/S${uPos}`,
+      },
+      identity: { deviceId, deviceType, modAddr, sensorAddr: uPos },
+      type: 'SYS_STATE_CHANGE',
+      payload: { key: 'asset_violation', value: { ...violation } },
+    };
+  }
+
+  /**
+   * Get movement monitor status
+   * @returns {Object} Movement monitor status
+   */
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      changeWindows: this.getChangeWindows().length,
+      ...this.stats,
+    };
+  }
+
+  /**
+   * Shutdown the movement monitor
+   */
+  async shutdown() {
+    if (this.shuttingDown) {
+      return;
+    }
+
+    this.shuttingDown = true;
+    this.logger.info('Shutting down Movement Monitor...');
+
+    try {
+      this.removeAllEventListeners();
+
+      this.initialized = false;
+      this.logger.info('Movement Monitor shut down successfully');
+    } catch (error) {
+      this.handleError(error, 'Error during Movement Monitor shutdown');
+    }
+  }
+}
+
+export default MovementMonitor;
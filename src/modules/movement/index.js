@@ -0,0 +1,5 @@
+/**
+ * Movement module exports
+ */
+
+export { default as MovementMonitor } from './MovementMonitor.js';
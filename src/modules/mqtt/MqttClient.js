@@ -7,6 +7,12 @@
 import mqtt from 'mqtt';
 import { BaseComponent } from '../../core/index.js';
 
+// Leading bytes that mark a payload as a JSON document (after optional whitespace)
+const JSON_START_BYTES = new Set([0x7b, 0x5b]); // '{', '['
+const WHITESPACE_BYTES = new Set([0x20, 0x09, 0x0a, 0x0d]);
+
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
 class MqttClient extends BaseComponent {
   constructor(options = {}) {
     super('MqttClient');
@@ -89,8 +95,8 @@ class MqttClient extends BaseComponent {
       this.emit('mqtt.error', { error });
     });
 
-    this.client.on('message', (topic, message) => {
-      this.handleMessage(topic, message);
+    this.client.on('message', (topic, message, packet) => {
+      this.handleMessage(topic, message, packet);
     });
 
     this.client.on('offline', () => {
@@ -158,25 +164,56 @@ class MqttClient extends BaseComponent {
 
   /**
    * Handle incoming MQTT messages
+   * The payload is forwarded as the original Buffer so binary frames (V5008) reach
+   * the parsers byte-for-byte; JSON payloads additionally carry a decoded text form.
+   * The receive time is taken before any processing so it can be compared with device time.
    * @param {string} topic - MQTT topic
    * @param {Buffer} message - MQTT message payload
+   * @param {Object} packet - MQTT publish packet (retain flag)
    */
-  handleMessage(topic, message) {
+  handleMessage(topic, message, packet = {}) {
+    const timestamp = new Date().toISOString();
+
     try {
-      const messageString = message.toString();
-      this.logger.debug('Received MQTT message', { topic, message: messageString });
+      const text = this.decodeText(message);
+      this.logger.debug('Received MQTT message', {
+        topic,
+        bytes: message.length,
+        message: text ?? message.toString('hex').toUpperCase(),
+      });
 
       // Emit message event for other modules to process
       this.emit('mqtt.message', {
         topic,
-        message: messageString,
-        timestamp: new Date().toISOString(),
+        message,
+        text,
+        timestamp,
+        retained: packet.retain === true,
       });
     } catch (error) {
       this.handleError(error, 'Failed to handle MQTT message', { topic });
     }
   }
 
+  /**
+   * Decode a payload as UTF-8 text when it looks like a JSON document
+   * @param {Buffer} message - MQTT message payload
+   * @returns {string|null} Decoded text, or null for binary payloads
+   */
+  decodeText(message) {
+    const firstByte = message.find((byte) => !WHITESPACE_BYTES.has(byte));
+    if (!JSON_START_BYTES.has(firstByte)) {
+      return null;
+    }
+
+    try {
+      return utf8Decoder.decode(message);
+    } catch {
+      // Not valid UTF-8, treat as binary
+      return null;
+    }
+  }
+
   /**
    * Publish a message to an MQTT topic
    * @param {string} topic - MQTT topic
@@ -205,7 +242,10 @@ class MqttClient extends BaseComponent {
         });
       });
 
-      this.logger.debug('Published MQTT message', { topic, message: message.toString() });
+      this.logger.debug('Published MQTT message', {
+        topic,
+        message: Buffer.isBuffer(message) ? message.toString('hex').toUpperCase() : message,
+      });
     } catch (error) {
       this.handleError(error, 'Failed to publish MQTT message', { topic });
       throw error;
@@ -0,0 +1,100 @@
+/**
+ * ClockSkewTracker.js
+ * Per-device skew between the device clock and MQTT receive time
+ * Messages whose skew exceeds the device's usual skew by more than the threshold arrived
+ * late (queued by the gateway or broker, or replayed) and are flagged as such.
+ */
+
+const DEFAULT_LATE_THRESHOLD_MS = 30000;
+
+// Weight of a new on-time sample when the skew baseline rises
+const SMOOTHING = 0.1;
+
+// Consecutive late samples after which the device clock is assumed to have been reset
+const REBASELINE_AFTER = 5;
+
+class ClockSkewTracker {
+  /**
+   * @param {Object} options - Tracker options
+   * @param {number} options.lateThresholdMs - Extra skew before a message counts as late
+   */
+  constructor(options = {}) {
+    this.lateThresholdMs = options.lateThresholdMs ?? DEFAULT_LATE_THRESHOLD_MS;
+    // deviceId -> { skewMs, lastSkewMs, samples, lateCount, consecutiveLate }
+    this.devices = new Map();
+  }
+
+  /**
+   * Record the timing of one message and classify it
+   * Network and queueing delays only ever add to the skew, so the baseline follows
+   * lower samples immediately and higher ones slowly.
+   * @param {string} deviceId - Device ID
+   * @param {string|null} deviceTs - Device time (ISO 8601), null if the protocol has no clock
+   * @param {string} receivedAt - MQTT receive time (ISO 8601)
+   * @returns {Object} { clockSkewMs, late } - clockSkewMs is receive minus device time
+   */
+  observe(deviceId, deviceTs, receivedAt) {
+    const skew = deviceTs ? Date.parse(receivedAt) - Date.parse(deviceTs) : NaN;
+    if (!Number.isFinite(skew)) {
+      return { clockSkewMs: null, late: false };
+    }
+
+    let entry = this.devices.get(deviceId);
+    if (!entry) {
+      entry = { skewMs: skew, lastSkewMs: skew, samples: 0, lateCount: 0, consecutiveLate: 0 };
+      this.devices.set(deviceId, entry);
+    }
+
+    entry.samples++;
+    entry.lastSkewMs = skew;
+
+    let late = skew - entry.skewMs > this.lateThresholdMs;
+    if (late && ++entry.consecutiveLate >= REBASELINE_AFTER) {
+      entry.skewMs = skew;
+      late = false;
+    }
+
+    if (late) {
+      entry.lateCount++;
+    } else {
+      entry.consecutiveLate = 0;
+      entry.skewMs =
+        skew < entry.skewMs ? skew : Math.round(entry.skewMs + (skew - entry.skewMs) * SMOOTHING);
+    }
+
+    return { clockSkewMs: skew, late };
+  }
+
+  /**
+   * Get the skew statistics of one device
+   * @param {string} deviceId - Device ID
+   * @returns {Object|null} { skewMs, lastSkewMs, samples, lateCount } or null if unknown
+   */
+  get(deviceId) {
+    const entry = this.devices.get(deviceId);
+    if (!entry) {
+      return null;
+    }
+    const { skewMs, lastSkewMs, samples, lateCount } = entry;
+    return { skewMs, lastSkewMs, samples, lateCount };
+  }
+
+  /**
+   * Get the skew statistics of every device with a clock
+   * @returns {Object} deviceId -> statistics
+   */
+  getStatus() {
+    return Object.fromEntries(
+      Array.from(this.devices.keys(), (deviceId) => [deviceId, this.get(deviceId)]),
+    );
+  }
+
+  /**
+   * Forget all devices (for testing)
+   */
+  clear() {
+    this.devices.clear();
+  }
+}
+
+export default ClockSkewTracker;
@@ -0,0 +1,111 @@
+/**
+ * DuplicateFilter.js
+ * Per-device window of recently seen message IDs, to drop MQTT QoS 1 redeliveries
+ * A message is a duplicate when the same device sent the same messageId on the same topic
+ * with the same payload within the window. The window is bounded by age and entry count.
+ */
+
+import { createHash } from 'crypto';
+
+const DEFAULT_WINDOW_MS = 60000;
+const DEFAULT_MAX_ENTRIES = 1000;
+
+class DuplicateFilter {
+  /**
+   * @param {Object} options - Filter options
+   * @param {number} options.windowMs - How long a message ID is remembered
+   * @param {number} options.maxEntries - Message IDs remembered per device
+   */
+  constructor(options = {}) {
+    this.windowMs = options.windowMs ?? DEFAULT_WINDOW_MS;
+    this.maxEntries = options.maxEntries ?? DEFAULT_MAX_ENTRIES;
+    // deviceId -> Map(topic|messageId -> { at, digest }), in arrival order
+    this.devices = new Map();
+    this.suppressed = 0;
+    this.suppressedByDevice = new Map();
+  }
+
+  /**
+   * Record a message and report whether it was already seen
+   * Messages without a messageId are never duplicates.
+   * @param {string} deviceId - Device ID
+   * @param {string} messageId - Message ID extracted by the parser
+   * @param {Object} message - Message details
+   * @param {string} message.topic - MQTT topic
+   * @param {Buffer} message.payload - Raw payload
+   * @param {string} message.receivedAt - MQTT receive time (ISO 8601)
+   * @returns {boolean} True if the message is a duplicate
+   */
+  check(deviceId, messageId, { topic, payload, receivedAt }) {
+    if (!deviceId || messageId === undefined || messageId === null || messageId === '') {
+      return false;
+    }
+
+    const now = Date.parse(receivedAt) || Date.now();
+    let seen = this.devices.get(deviceId);
+    if (!seen) {
+      seen = new Map();
+      this.devices.set(deviceId, seen);
+    }
+    this.prune(seen, now);
+
+    const key = `${topic}|${messageId}`;
+    const digest = createHash('sha1').update(payload).digest('base64');
+    const previous = seen.get(key);
+
+    if (previous && previous.digest === digest) {
+      this.suppressed++;
+      this.suppressedByDevice.set(deviceId, (this.suppressedByDevice.get(deviceId) || 0) + 1);
+      return true;
+    }
+
+    // A reused ID with new content (e.g. after a device reboot) replaces the old entry
+    seen.delete(key);
+    seen.set(key, { at: now, digest });
+    while (seen.size > this.maxEntries) {
+      seen.delete(seen.keys().next().value);
+    }
+    return false;
+  }
+
+  /**
+   * Drop entries that fell out of the time window
+   * @param {Map} seen - Entries of one device, oldest first
+   * @param {number} now - Current time in ms
+   */
+  prune(seen, now) {
+    for (const [key, { at }] of seen) {
+      if (now - at <= this.windowMs) {
+        break;
+      }
+      seen.delete(key);
+    }
+  }
+
+  /**
+   * Get suppression counters
+   * @returns {Object} { suppressed, byDevice, tracked }
+   */
+  getStatus() {
+    let tracked = 0;
+    for (const seen of this.devices.values()) {
+      tracked += seen.size;
+    }
+    return {
+      suppressed: this.suppressed,
+      byDevice: Object.fromEntries(this.suppressedByDevice),
+      tracked,
+    };
+  }
+
+  /**
+   * Forget all message IDs and counters (for testing)
+   */
+  clear() {
+    this.devices.clear();
+    this.suppressed = 0;
+    this.suppressedByDevice.clear();
+  }
+}
+
+export default DuplicateFilter;
@@ -0,0 +1,58 @@
+/**
+ * ParseError.js
+ * Structured error raised by device parsers for frames that must be discarded
+ */
+
+// Bytes of the offending frame kept on the error for logs
+const EXCERPT_BYTES = 32;
+
+class ParseError extends Error {
+  /**
+   * @param {string} code - Error code (e.g. 'FRAME_TOO_SHORT', 'UNKNOWN_HEADER')
+   * @param {string} message - Human readable description
+   * @param {Object} context - Where the frame came from
+   * @param {string} context.deviceId - Device ID
+   * @param {string} context.topic - MQTT topic
+   * @param {string} context.hex - Frame as an uppercase hex string
+   */
+  constructor(code, message, context = {}) {
+    super(message);
+    this.name = 'ParseError';
+    this.code = code;
+    this.deviceId = null;
+    this.topic = null;
+    this.hexExcerpt = null;
+    this.withContext(context);
+  }
+
+  /**
+   * Fill in frame context that was not known where the error was raised
+   * @param {Object} context - { deviceId, topic, hex }
+   * @returns {ParseError} This error
+   */
+  withContext({ deviceId, topic, hex } = {}) {
+    this.deviceId = this.deviceId ?? deviceId ?? null;
+    this.topic = this.topic ?? topic ?? null;
+    if (this.hexExcerpt === null && typeof hex === 'string') {
+      this.hexExcerpt =
+        hex.length > EXCERPT_BYTES * 2 ? `${hex.substring(0, EXCERPT_BYTES * 2)}...` : hex;
+    }
+    return this;
+  }
+
+  /**
+   * Plain object form for logs and events
+   * @returns {Object} { code, message, deviceId, topic, hexExcerpt }
+   */
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      deviceId: this.deviceId,
+      topic: this.topic,
+      hexExcerpt: this.hexExcerpt,
+    };
+  }
+}
+
+export default ParseError;
@@ -0,0 +1,189 @@
+/**
+ * ParserRegistry.js
+ * Registry of device parsers, loaded from a directory and/or a package list
+ *
+ * A parser module default-exports a class whose instances declare:
+ * - deviceType: device family handled (e.g. 'V5008')
+ * - version: parser version string
+ * - topics: MQTT topic filters claimed by the parser (e.g. ['V5008Upload/#'])
+ * - parse(topic, message, context): returns the intermediate format; context.firmwareOf(deviceId)
+ *   gives the device's last reported firmware version (or null) for firmware-specific layouts
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+// Parsers shipped with the middleware
+const BUILTIN_DIRECTORY = fileURLToPath(new URL('./parsers/', import.meta.url));
+
+/**
+ * Check whether an MQTT topic filter matches a topic
+ * @param {string} filter - Topic filter ('+' matches one level, '#' the remaining levels)
+ * @param {string} topic - Concrete topic
+ * @returns {boolean} True if the filter matches
+ */
+export function topicMatches(filter, topic) {
+  const filterLevels = filter.split('/');
+  const topicLevels = topic.split('/');
+
+  for (let i = 0; i < filterLevels.length; i++) {
+    if (filterLevels[i] === '#') {
+      return true;
+    }
+    if (i >= topicLevels.length) {
+      return false;
+    }
+    if (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i]) {
+      return false;
+    }
+  }
+
+  return filterLevels.length === topicLevels.length;
+}
+
+/**
+ * Check whether two topic filters can match the same topic
+ * @param {string} a - Topic filter
+ * @param {string} b - Topic filter
+ * @returns {boolean} True if some topic matches both filters
+ */
+export function topicsOverlap(a, b) {
+  const aLevels = a.split('/');
+  const bLevels = b.split('/');
+
+  for (let i = 0; i < Math.max(aLevels.length, bLevels.length); i++) {
+    if (aLevels[i] === '#' || bLevels[i] === '#') {
+      return true;
+    }
+    if (aLevels[i] === undefined || bLevels[i] === undefined) {
+      return false;
+    }
+    if (aLevels[i] !== '+' && bLevels[i] !== '+' && aLevels[i] !== bLevels[i]) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+class ParserRegistry {
+  constructor() {
+    this.parsers = new Map();
+  }
+
+  /**
+   * Load parsers from a directory and a package list
+   * @param {Object} options - Load options
+   * @param {string} options.directory - Directory of *Parser.js modules (default: built-in parsers)
+   * @param {Array<string>} options.packages - Module specifiers of additional parsers
+   * @param {Object} options.deviceOptions - Constructor options per device type
+   *   (e.g. { V5008: { firmwareVariants } })
+   * @returns {Promise<Array<Object>>} Descriptions of the registered parsers
+   */
+  async load(options = {}) {
+    const directory = path.resolve(options.directory || BUILTIN_DIRECTORY);
+    const files = (await fs.readdir(directory)).filter((file) => file.endsWith('Parser.js')).sort();
+
+    const specifiers = [
+      ...files.map((file) => pathToFileURL(path.join(directory, file)).href),
+      ...(options.packages || []).map((specifier) =>
+        // Relative entries are resolved from the working directory, like the directory option
+        specifier.startsWith('.') ? pathToFileURL(path.resolve(specifier)).href : specifier,
+      ),
+    ];
+
+    for (const specifier of specifiers) {
+      const module = await import(specifier);
+      const ParserClass = module.default;
+      if (typeof ParserClass !== 'function') {
+        throw new Error(`Parser module ${specifier} has no default export class`);
+      }
+      const parser = new ParserClass();
+      const deviceOptions = options.deviceOptions?.[parser.deviceType];
+      this.register(deviceOptions ? new ParserClass(deviceOptions) : parser, specifier);
+    }
+
+    return this.list();
+  }
+
+  /**
+   * Register a parser instance
+   * @param {Object} parser - Parser instance
+   * @param {string} source - Where the parser came from (for error messages)
+   */
+  register(parser, source = 'inline') {
+    const { deviceType, version, topics } = parser;
+
+    if (typeof deviceType !== 'string' || !deviceType) {
+      throw new Error(`Parser from ${source} does not declare a deviceType`);
+    }
+    if (typeof version !== 'string' || !version) {
+      throw new Error(`Parser ${deviceType} (${source}) does not declare a version`);
+    }
+    if (
+      !Array.isArray(topics) ||
+      topics.length === 0 ||
+      topics.some((t) => typeof t !== 'string')
+    ) {
+      throw new Error(`Parser ${deviceType} (${source}) must declare topic filters`);
+    }
+    if (typeof parser.parse !== 'function') {
+      throw new Error(`Parser ${deviceType} (${source}) has no parse() method`);
+    }
+    if (this.parsers.has(deviceType)) {
+      throw new Error(`Duplicate parser for device type ${deviceType} (${source})`);
+    }
+
+    // No topic may be claimed by two parsers
+    for (const other of this.parsers.values()) {
+      for (const filter of topics) {
+        const clash = other.topics.find((claimed) => topicsOverlap(filter, claimed));
+        if (clash) {
+          throw new Error(
+            `Parser ${deviceType} topic ${filter} overlaps ${clash} claimed by ${other.deviceType}`,
+          );
+        }
+      }
+    }
+
+    this.parsers.set(deviceType, parser);
+  }
+
+  /**
+   * Find the parser that claims a topic
+   * @param {string} topic - MQTT topic
+   * @returns {Object|null} Parser instance or null if no parser claims the topic
+   */
+  resolve(topic) {
+    for (const parser of this.parsers.values()) {
+      if (parser.topics.some((filter) => topicMatches(filter, topic))) {
+        return parser;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the parser for a device type
+   * @param {string} deviceType - Device type
+   * @returns {Object|null} Parser instance
+   */
+  get(deviceType) {
+    return this.parsers.get(deviceType) || null;
+  }
+
+  /**
+   * Describe the registered parsers
+   * @returns {Array<Object>} [{ deviceType, version, topics }]
+   */
+  list() {
+    return Array.from(this.parsers.values(), ({ deviceType, version, topics }) => ({
+      deviceType,
+      version,
+      topics,
+    }));
+  }
+}
+
+export default ParserRegistry;
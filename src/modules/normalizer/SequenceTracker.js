@@ -0,0 +1,182 @@
+/**
+ * SequenceTracker.js
+ * Per-device message ID sequence: gaps (lost messages), out-of-order arrival and counter
+ * resets (device reboots)
+ *
+ * Tracking assumes a device numbers its uploads with a wrapping counter. An ID ahead of the
+ * last one by up to maxGap is in sequence, and the IDs skipped are counted lost until they
+ * arrive out of order. An ID that is neither ahead nor a missing one means the counter was
+ * reset.
+ *
+ * The protocol documents describe messageId as a random identifier (docs/V5008_V1.4.md), so no
+ * device type is tracked by default; enable the types whose gateways are known to count.
+ */
+
+import { MSG_TYPES } from '../protocol/V6800Messages.js';
+
+// Counter range per device type that can be tracked
+const COUNTER_MODULUS = {
+  V5008: 2 ** 32,
+  V6800: 2 ** 31,
+};
+
+// V6800 command responses echo the request uuid_number instead of advancing the counter
+const V6800_RESPONSE_TYPES = new Set(Object.values(MSG_TYPES).map(({ response }) => response));
+
+const DEFAULT_MAX_GAP = 1000;
+const DEFAULT_MAX_MISSING = 1000;
+
+class SequenceTracker {
+  /**
+   * @param {Object} options - Tracker options
+   * @param {Array<string>} options.deviceTypes - Device types whose message IDs are counters
+   *   (default: none)
+   * @param {number} options.maxGap - Largest jump still counted as lost messages
+   * @param {number} options.maxMissing - Missing IDs remembered per device for reorder matching
+   */
+  constructor(options = {}) {
+    this.deviceTypes = new Set(options.deviceTypes || []);
+    for (const deviceType of this.deviceTypes) {
+      if (!COUNTER_MODULUS[deviceType]) {
+        throw new Error(`Unsupported sequence device type: ${deviceType}`);
+      }
+    }
+    this.maxGap = options.maxGap ?? DEFAULT_MAX_GAP;
+    this.maxMissing = options.maxMissing ?? DEFAULT_MAX_MISSING;
+    // deviceId -> { deviceType, lastId, missing: Set, received, lost, gaps, outOfOrder, resets }
+    this.devices = new Map();
+  }
+
+  /**
+   * Check whether a message's ID belongs to the device counter
+   * @param {Object} parsedData - Parsed message data
+   * @returns {boolean} True if the message is sequenced
+   */
+  isSequenced(parsedData) {
+    const { deviceType, messageId, rawMessageType } = parsedData;
+    if (!this.deviceTypes.has(deviceType) || !/^\d+$/.test(messageId ?? '')) {
+      return false;
+    }
+    return !(deviceType === 'V6800' && V6800_RESPONSE_TYPES.has(rawMessageType));
+  }
+
+  /**
+   * Record the ID of one message and classify it
+   * @param {Object} parsedData - Parsed message data
+   * @returns {Object|null} { status, ... } - status is 'first', 'next', 'gap' (with expected
+   *   and missing), 'reordered', 'repeated' or 'reset' (with previousId); null if not sequenced
+   */
+  observe(parsedData) {
+    if (!this.isSequenced(parsedData)) {
+      return null;
+    }
+
+    const { deviceId, deviceType } = parsedData;
+    const id = Number(parsedData.messageId);
+    const modulus = COUNTER_MODULUS[deviceType];
+
+    let entry = this.devices.get(deviceId);
+    if (!entry) {
+      entry = {
+        deviceType,
+        lastId: id,
+        missing: new Set(),
+        received: 1,
+        lost: 0,
+        gaps: 0,
+        outOfOrder: 0,
+        resets: 0,
+      };
+      this.devices.set(deviceId, entry);
+      return { status: 'first' };
+    }
+
+    entry.received++;
+    const previousId = entry.lastId;
+    const ahead = (((id - previousId) % modulus) + modulus) % modulus;
+
+    if (ahead === 0) {
+      return { status: 'repeated' };
+    }
+
+    if (ahead <= this.maxGap) {
+      entry.lastId = id;
+      if (ahead === 1) {
+        return { status: 'next' };
+      }
+
+      const missing = ahead - 1;
+      for (let i = Math.max(1, ahead - this.maxMissing); i < ahead; i++) {
+        this.addMissing(entry, (previousId + i) % modulus);
+      }
+      entry.lost += missing;
+      entry.gaps++;
+      return { status: 'gap', expected: (previousId + 1) % modulus, missing };
+    }
+
+    if (entry.missing.delete(id)) {
+      // A message reported lost arrived after all
+      entry.lost--;
+      entry.outOfOrder++;
+      return { status: 'reordered' };
+    }
+
+    entry.lastId = id;
+    entry.missing.clear();
+    entry.resets++;
+    return { status: 'reset', previousId };
+  }
+
+  /**
+   * Remember a missing ID, forgetting the oldest beyond maxMissing
+   * @param {Object} entry - Device entry
+   * @param {number} id - Missing message ID
+   */
+  addMissing(entry, id) {
+    entry.missing.add(id);
+    if (entry.missing.size > this.maxMissing) {
+      entry.missing.delete(entry.missing.values().next().value);
+    }
+  }
+
+  /**
+   * Get the loss statistics of one device
+   * @param {string} deviceId - Device ID
+   * @returns {Object|null} Statistics or null if unknown
+   */
+  get(deviceId) {
+    const entry = this.devices.get(deviceId);
+    if (!entry) {
+      return null;
+    }
+    const { lastId, received, lost, gaps, outOfOrder, resets } = entry;
+    return {
+      lastMessageId: String(lastId),
+      received,
+      lost,
+      gaps,
+      outOfOrder,
+      resets,
+      lossRate: received + lost > 0 ? lost / (received + lost) : 0,
+    };
+  }
+
+  /**
+   * Get the loss statistics of every tracked device
+   * @returns {Object} deviceId -> statistics
+   */
+  getStatus() {
+    return Object.fromEntries(
+      Array.from(this.devices.keys(), (deviceId) => [deviceId, this.get(deviceId)]),
+    );
+  }
+
+  /**
+   * Forget all devices (for testing)
+   */
+  clear() {
+    this.devices.clear();
+  }
+}
+
+export default SequenceTracker;
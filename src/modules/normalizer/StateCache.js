@@ -0,0 +1,181 @@
+/**
+ * StateCache.js
+ * Per device/module state used for diffing (e.g. RFID snapshots)
+ * Optionally persisted to a JSON snapshot file so baselines survive restarts
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const SNAPSHOT_VERSION = 1;
+
+class StateCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {string} options.snapshotFile - Path of the JSON snapshot file (optional)
+   */
+  constructor(options = {}) {
+    this.cache = new Map();
+    this.snapshotFile = options.snapshotFile || null;
+    this.dirty = false;
+    this.saving = null; // Snapshot write in progress
+    this.queuedSave = null; // Save requested while one was running
+  }
+
+  /**
+   * Get state for a specific device and module
+   * @param {string} deviceId - Device ID
+   * @param {number} modAddr - Module address
+   * @param {string} type - State type (e.g., 'rfid')
+   * @returns {Object|null} State object or null if not found
+   */
+  get(deviceId, modAddr, type) {
+    const key = `${deviceId}:${modAddr}:${type}`;
+    return this.cache.get(key) || null;
+  }
+
+  /**
+   * Set state for a specific device and module
+   * @param {string} deviceId - Device ID
+   * @param {number} modAddr - Module address
+   * @param {string} type - State type
+   * @param {Object} state - State object
+   */
+  set(deviceId, modAddr, type, state) {
+    const key = `${deviceId}:${modAddr}:${type}`;
+    this.cache.set(key, state);
+    this.dirty = true;
+  }
+
+  /**
+   * Remove state for a specific device and module
+   * @param {string} deviceId - Device ID
+   * @param {number} modAddr - Module address
+   * @param {string} type - State type
+   */
+  delete(deviceId, modAddr, type) {
+    if (this.cache.delete(`${deviceId}:${modAddr}:${type}`)) {
+      this.dirty = true;
+    }
+  }
+
+  /**
+   * List the cached states of one type
+   * @param {string} type - State type
+   * @returns {Array<Object>} { deviceId, modAddr, state } per entry
+   */
+  list(type) {
+    const entries = [];
+    for (const [key, state] of this.cache) {
+      const [deviceId, modAddr, entryType] = key.split(':');
+      if (entryType === type) {
+        entries.push({ deviceId, modAddr: Number(modAddr), state });
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Number of cached entries
+   * @returns {number} Entry count
+   */
+  get size() {
+    return this.cache.size;
+  }
+
+  /**
+   * Load cached state from the snapshot file
+   * A missing file is not an error (first start).
+   * @returns {Promise<number>} Number of entries loaded
+   */
+  async load() {
+    if (!this.snapshotFile) {
+      return 0;
+    }
+
+    let content;
+    try {
+      content = await fs.readFile(this.snapshotFile, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+
+    const snapshot = JSON.parse(content);
+    if (snapshot.version !== SNAPSHOT_VERSION || typeof snapshot.entries !== 'object') {
+      throw new Error(`Unsupported state snapshot format in ${this.snapshotFile}`);
+    }
+
+    for (const [key, state] of Object.entries(snapshot.entries)) {
+      this.cache.set(key, state);
+    }
+    this.dirty = false;
+
+    return this.cache.size;
+  }
+
+  /**
+   * Write cached state to the snapshot file
+   * Saves never overlap: a save requested while one is running waits for it and then writes the
+   * latest state once, however many callers asked for it.
+   * @returns {Promise<boolean>} True if a snapshot was written
+   */
+  async save() {
+    if (!this.snapshotFile) {
+      return false;
+    }
+
+    if (this.saving) {
+      this.queuedSave ||= this.saving
+        .catch(() => {})
+        .then(() => {
+          this.queuedSave = null;
+          return this.save();
+        });
+      return this.queuedSave;
+    }
+
+    this.saving = this.writeSnapshot().finally(() => {
+      this.saving = null;
+    });
+    return this.saving;
+  }
+
+  /**
+   * Replace the snapshot file atomically so a crash mid-write keeps the previous snapshot
+   * Changes made during the write mark the cache dirty again; a failed write leaves it dirty.
+   * @returns {Promise<boolean>} True once written
+   */
+  async writeSnapshot() {
+    const snapshot = {
+      version: SNAPSHOT_VERSION,
+      savedAt: new Date().toISOString(),
+      entries: Object.fromEntries(this.cache),
+    };
+    this.dirty = false;
+
+    const tempFile = `${this.snapshotFile}.tmp`;
+    try {
+      await fs.mkdir(path.dirname(this.snapshotFile), { recursive: true });
+      await fs.writeFile(tempFile, JSON.stringify(snapshot));
+      await fs.rename(tempFile, this.snapshotFile);
+    } catch (error) {
+      this.dirty = true;
+      throw error;
+    }
+
+    return true;
+  }
+
+  /**
+   * Clear all cached state (for testing)
+   */
+  clear() {
+    this.cache.clear();
+    this.dirty = true;
+  }
+}
+
+export default StateCache;
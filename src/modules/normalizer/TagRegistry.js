@@ -0,0 +1,344 @@
+/**
+ * TagRegistry.js
+ * Asset metadata per RFID tag: what a tag ID is fitted to (hostname, owner, serial) and where the
+ * asset belongs (expected gateway, module and U-level)
+ *
+ * The registry is maintained as CSV or JSON (import/export) and optionally kept in a file whose
+ * extension picks the format. RFID events and snapshots of registered tags are enriched with an
+ * `asset` object before they are emitted, so storage and subscribers see the metadata.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// Asset fields in CSV column order; tagId is the key
+const FIELDS = [
+  'tagId',
+  'hostname',
+  'owner',
+  'serial',
+  'expectedDeviceId',
+  'expectedModAddr',
+  'expectedUPos',
+];
+const NUMERIC_FIELDS = new Set(['expectedModAddr', 'expectedUPos']);
+
+class TagRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {string} options.file - CSV or JSON file the registry is loaded from and saved to
+   */
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.assets = new Map(); // tagId -> asset
+  }
+
+  /**
+   * Registry key of a tag ID (tag IDs are hex, compared case-insensitively)
+   * @param {string} tagId - Tag ID
+   * @returns {string} Normalized tag ID
+   */
+  static normalizeTagId(tagId) {
+    return String(tagId).trim().toUpperCase();
+  }
+
+  /**
+   * Validate and normalize one asset entry
+   * @param {Object} entry - Asset fields (tagId required)
+   * @returns {Object} Asset with every field, missing ones null
+   */
+  createAsset(entry) {
+    if (!entry || entry.tagId === undefined || entry.tagId === null || entry.tagId === '') {
+      throw new Error('Tag registry entry requires a tagId');
+    }
+
+    const asset = {};
+    for (const field of FIELDS) {
+      const value = entry[field];
+      if (value === undefined || value === null || value === '') {
+        asset[field] = null;
+      } else if (NUMERIC_FIELDS.has(field)) {
+        asset[field] = Number(value);
+        if (!Number.isInteger(asset[field])) {
+          throw new Error(`Invalid ${field} for tag ${entry.tagId}: ${value}`);
+        }
+      } else {
+        asset[field] = String(value).trim();
+      }
+    }
+    asset.tagId = TagRegistry.normalizeTagId(entry.tagId);
+
+    return asset;
+  }
+
+  /**
+   * Register or replace a tag's asset
+   * @param {Object} entry - Asset fields (tagId required)
+   * @returns {Object} Stored asset
+   */
+  set(entry) {
+    const asset = this.createAsset(entry);
+    this.assets.set(asset.tagId, asset);
+    return { ...asset };
+  }
+
+  /**
+   * Get a tag's asset
+   * @param {string} tagId - Tag ID
+   * @returns {Object|null} Asset or null if unregistered
+   */
+  get(tagId) {
+    const asset = this.assets.get(TagRegistry.normalizeTagId(tagId));
+    return asset ? { ...asset } : null;
+  }
+
+  /**
+   * Remove a tag from the registry
+   * @param {string} tagId - Tag ID
+   * @returns {boolean} True if it was registered
+   */
+  delete(tagId) {
+    return this.assets.delete(TagRegistry.normalizeTagId(tagId));
+  }
+
+  /**
+   * All assets, by tag ID
+   * @returns {Array<Object>} Assets
+   */
+  list() {
+    return Array.from(this.assets.values(), (asset) => ({ ...asset })).sort((a, b) =>
+      a.tagId.localeCompare(b.tagId),
+    );
+  }
+
+  /**
+   * Number of registered tags
+   * @returns {number} Tag count
+   */
+  get size() {
+    return this.assets.size;
+  }
+
+  /**
+   * Import assets; every entry is validated before any is applied
+   * @param {Array<Object>} entries - Asset entries
+   * @param {Object} options - Import options (replace: drop tags missing from the import)
+   * @returns {number} Number of imported assets
+   */
+  import(entries, options = {}) {
+    const assets = entries.map((entry, index) => {
+      try {
+        return this.createAsset(entry);
+      } catch (error) {
+        throw new Error(`Tag registry entry ${index + 1}: ${error.message}`);
+      }
+    });
+
+    if (options.replace) {
+      this.assets.clear();
+    }
+    assets.forEach((asset) => this.assets.set(asset.tagId, asset));
+
+    return assets.length;
+  }
+
+  /**
+   * Import assets from JSON (an array of assets)
+   * @param {string|Array<Object>} json - JSON text or parsed array
+   * @param {Object} options - Import options (replace)
+   * @returns {number} Number of imported assets
+   */
+  importJson(json, options = {}) {
+    const entries = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!Array.isArray(entries)) {
+      throw new Error('Tag registry JSON must be an array of assets');
+    }
+    return this.import(entries, options);
+  }
+
+  /**
+   * Import assets from CSV with a header row naming the columns (any order; unknown columns are
+   * ignored, tagId is required)
+   * @param {string} csv - CSV text
+   * @param {Object} options - Import options (replace)
+   * @returns {number} Number of imported assets
+   */
+  importCsv(csv, options = {}) {
+    const [header, ...rows] = this.parseCsv(csv);
+    if (!header || !header.includes('tagId')) {
+      throw new Error('Tag registry CSV needs a header row with a tagId column');
+    }
+
+    const entries = rows
+      .filter((row) => row.some((cell) => cell !== ''))
+      .map((row) => Object.fromEntries(header.map((column, i) => [column, row[i] ?? ''])));
+
+    return this.import(entries, options);
+  }
+
+  /**
+   * Export the registry as JSON
+   * @returns {string} JSON array of assets
+   */
+  exportJson() {
+    return `${JSON.stringify(this.list(), null, 2)}\n`;
+  }
+
+  /**
+   * Export the registry as CSV
+   * @returns {string} CSV with header row
+   */
+  exportCsv() {
+    const escape = (value) => {
+      const text = value === null ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [FIELDS.join(',')];
+    for (const asset of this.list()) {
+      lines.push(FIELDS.map((field) => escape(asset[field])).join(','));
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Split CSV text into rows of cells (RFC 4180 quoting)
+   * @param {string} csv - CSV text
+   * @returns {Array<Array<string>>} Rows
+   */
+  parseCsv(csv) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const text = csv.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(cell.trim());
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        row.push(cell.trim());
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (quoted) {
+      throw new Error('Tag registry CSV has an unterminated quoted field');
+    }
+    if (cell !== '' || row.length > 0) {
+      row.push(cell.trim());
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Whether the registry file is CSV (else JSON)
+   * @returns {boolean} True for a .csv file
+   */
+  isCsvFile() {
+    return path.extname(this.file).toLowerCase() === '.csv';
+  }
+
+  /**
+   * Load the registry file, replacing the current assets
+   * @returns {Promise<number>} Number of loaded assets (0 without a file or if it doesn't exist)
+   */
+  async load() {
+    if (!this.file) {
+      return 0;
+    }
+
+    let content;
+    try {
+      content = await fs.readFile(this.file, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+
+    const replace = { replace: true };
+    return this.isCsvFile() ? this.importCsv(content, replace) : this.importJson(content, replace);
+  }
+
+  /**
+   * Write the registry file
+   * The file is replaced atomically so a crash mid-write keeps the previous registry.
+   * @returns {Promise<boolean>} True if written, false without a file
+   */
+  async save() {
+    if (!this.file) {
+      return false;
+    }
+
+    const tempFile = `${this.file}.tmp`;
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.writeFile(tempFile, this.isCsvFile() ? this.exportCsv() : this.exportJson());
+    await fs.rename(tempFile, this.file);
+
+    return true;
+  }
+
+  /**
+   * Add asset metadata to RFID events and snapshot items of registered tags
+   * @param {Array<Object>} suos - Normalized records (changed in place)
+   * @returns {number} Number of tags enriched
+   */
+  enrich(suos) {
+    if (this.assets.size === 0) {
+      return 0;
+    }
+
+    let enriched = 0;
+    const describe = (tagId) => {
+      const asset = tagId && this.get(tagId);
+      if (asset) {
+        enriched++;
+      }
+      return asset;
+    };
+
+    for (const suo of suos) {
+      const value = suo.payload?.value;
+      if (suo.type === 'SYS_RFID_EVENT' && value?.tagId) {
+        const asset = describe(value.tagId);
+        if (asset) {
+          value.asset = asset;
+        }
+      } else if (suo.type === 'SYS_RFID_SNAPSHOT' && Array.isArray(value?.items)) {
+        for (const item of value.items) {
+          const asset = describe(item.tagId);
+          if (asset) {
+            item.asset = asset;
+          }
+        }
+      }
+    }
+
+    return enriched;
+  }
+}
+
+export default TagRegistry;
@@ -0,0 +1,111 @@
+/**
+ * TopologyTracker.js
+ * Per-gateway module topology from heartbeats: modules added, removed, replaced (same address,
+ * new modId) or resized (uTotal changed)
+ *
+ * Each heartbeat lists the modules a gateway currently sees. The last known topology is kept in
+ * the shared StateCache so a restart compares against it instead of reporting every module as
+ * new. The first heartbeat of an unknown gateway only records the baseline.
+ */
+
+import StateCache from './StateCache.js';
+
+// StateCache type of the gateway-level (modAddr 0) topology entry
+const STATE_TYPE = 'topology';
+
+class TopologyTracker {
+  /**
+   * @param {Object} options - Tracker options
+   * @param {StateCache} options.stateCache - Shared (optionally persisted) state cache
+   */
+  constructor(options = {}) {
+    this.stateCache = options.stateCache || new StateCache();
+    // Changes seen since start, per change type
+    this.counts = { added: 0, removed: 0, replaced: 0, resized: 0 };
+  }
+
+  /**
+   * Compare a heartbeat's module list with the last known topology and record it
+   * Modules that drop out are remembered, so a different modId showing up at the same address
+   * later is still reported as a replacement.
+   * @param {Object} parsedData - Parsed heartbeat ({ deviceId, modules, receivedAt })
+   * @returns {Array<Object>|null} Changes ({ change, modAddr, modId, uTotal, previousModId,
+   *   previousUTotal }) in modAddr order; null if the message lists no modules
+   */
+  observe(parsedData) {
+    const { deviceId, modules, receivedAt } = parsedData;
+    if (!deviceId || !Array.isArray(modules)) {
+      return null;
+    }
+
+    const previous = this.get(deviceId);
+    const known = { ...previous?.modules };
+    const listed = new Map(modules.map((module) => [Number(module.modAddr), module]));
+    const changes = [];
+
+    for (const [modAddr, { modId, uTotal }] of listed) {
+      const last = known[modAddr];
+      known[modAddr] = { modId, uTotal, present: true };
+      if (!previous) {
+        continue;
+      }
+
+      const change = {
+        modAddr,
+        modId,
+        uTotal,
+        previousModId: last?.modId ?? null,
+        previousUTotal: last?.uTotal ?? null,
+      };
+      if (last && last.modId !== modId) {
+        changes.push({ change: 'replaced', ...change });
+      } else if (!last?.present) {
+        changes.push({ change: 'added', ...change });
+      } else if (last.uTotal !== uTotal) {
+        changes.push({ change: 'resized', ...change });
+      }
+    }
+
+    for (const [modAddr, last] of Object.entries(known)) {
+      if (last.present && !listed.has(Number(modAddr))) {
+        known[modAddr] = { ...last, present: false };
+        changes.push({
+          change: 'removed',
+          modAddr: Number(modAddr),
+          modId: null,
+          uTotal: null,
+          previousModId: last.modId,
+          previousUTotal: last.uTotal,
+        });
+      }
+    }
+
+    if (!previous || changes.length > 0) {
+      this.stateCache.set(deviceId, 0, STATE_TYPE, { modules: known, changedAt: receivedAt });
+    }
+
+    changes.sort((a, b) => a.modAddr - b.modAddr);
+    changes.forEach(({ change }) => this.counts[change]++);
+    return changes;
+  }
+
+  /**
+   * Get the last known topology of a gateway
+   * @param {string} deviceId - Device ID
+   * @returns {Object|null} { modules: { modAddr: { modId, uTotal, present } }, changedAt }
+   *   or null if no heartbeat was seen
+   */
+  get(deviceId) {
+    return this.stateCache.get(deviceId, 0, STATE_TYPE);
+  }
+
+  /**
+   * Get change counts since start
+   * @returns {Object} Counts per change type
+   */
+  getStatus() {
+    return { ...this.counts };
+  }
+}
+
+export default TopologyTracker;
@@ -1,38 +1,51 @@
 /**
  * UnifiedNormalizer.js
  * Unified normalizer module for IoT Middleware V5
- * Handles message normalization from different device types
+ * Parses device messages and emits them as arrays of Standardized Unified Objects (SUO)
  */
 
 import { BaseComponent } from '../../core/index.js';
-import { V5008Parser, V6800Parser, G6000Parser } from './parsers/index.js';
+import ParseError from './ParseError.js';
+import ParserRegistry from './ParserRegistry.js';
+import ClockSkewTracker from './ClockSkewTracker.js';
+import DuplicateFilter from './DuplicateFilter.js';
+import SequenceTracker from './SequenceTracker.js';
+import StateCache from './StateCache.js';
+import TagRegistry from './TagRegistry.js';
+import TopologyTracker from './TopologyTracker.js';
+import UnifyNormalizer from './UnifyNormalizer.js';
+
+// Message types whose module list is the gateway's full topology
+const HEARTBEAT_TYPES = new Set(['HEARTBEAT', 'HeartBeat']);
 
 class UnifiedNormalizer extends BaseComponent {
   constructor(options = {}) {
     super('UnifiedNormalizer');
     this.options = options;
-    this.parsers = new Map();
-    this.deviceHistory = new Map(); // Store previous messages for comparison
-    this.setupParsers();
-
-    // Color code to name mapping for V5008 (updated to match v1.4rev spec)
-    this.colorCodeMap = {
-      0: 'OFF',
-      1: 'RED',
-      2: 'PURPLE',
-      3: 'YELLOW',
-      4: 'GREEN',
-      5: 'CYAN',
-      6: 'BLUE',
-      7: 'WHITE',
-      8: 'RED_F',      // Flash colors
-      9: 'PURPLE_F',
-      10: 'YELLOW_F',
-      11: 'GREEN_F',
-      12: 'CYAN_F',
-      13: 'BLUE_F',
-      14: 'WHITE_F',
-    };
+    this.registry = new ParserRegistry();
+    // Frames discarded by the parsers, per ParseError code
+    this.parseErrors = { total: 0, byCode: {} };
+    // RFID baselines per device/module, persisted so restarts don't replay attach events
+    this.stateCache = new StateCache({ snapshotFile: options.stateFile });
+    this.stateSaveInterval = options.stateSaveInterval || 5000;
+    this.stateSaveTimer = null;
+    // Device clock vs receive time per device, to flag late or replayed messages
+    this.clockSkew = new ClockSkewTracker({ lateThresholdMs: options.lateThresholdMs });
+    // Recent message IDs per device; QoS 1 redeliveries are dropped before normalization
+    this.duplicates = new DuplicateFilter(options.dedup);
+    // Message ID sequence per device, for loss, reorder and reboot detection
+    this.sequences = new SequenceTracker(options.sequence);
+    // Last module list per gateway, to report modules added, removed, replaced or resized
+    this.topology = new TopologyTracker({ stateCache: this.stateCache });
+    // Asset metadata per RFID tag, added to RFID events and snapshots before they are emitted
+    this.tagRegistry = new TagRegistry(options.tagRegistry);
+    this.enrichedTags = 0;
+    this.normalizer = new UnifyNormalizer({
+      stateCache: this.stateCache,
+      clockSkew: this.clockSkew,
+    });
+    // Lets parsers pick the protocol variant of each device's firmware
+    this.parseContext = { firmwareOf: (deviceId) => this.firmwareOf(deviceId) };
   }
 
   /**
@@ -42,6 +55,15 @@ class UnifiedNormalizer extends BaseComponent {
     try {
       this.logger.info('Initializing Unified Normalizer...');
 
+      // Load device parsers; conflicting topic claims fail startup
+      await this.setupParsers();
+
+      // Restore diff baselines before the first message arrives
+      await this.loadState();
+
+      // Asset metadata for RFID enrichment
+      await this.loadTagRegistry();
+
       // Subscribe to MQTT message events
       this.on('mqtt.message', this.handleMqttMessage.bind(this));
 
@@ -56,662 +78,286 @@ class UnifiedNormalizer extends BaseComponent {
   }
 
   /**
-   * Set up device parsers
+   * Load persisted device state (RFID baselines)
+   * A corrupt snapshot is logged and skipped rather than blocking startup.
    */
-  setupParsers() {
-    this.parsers.set('V5008', new V5008Parser());
-    this.parsers.set('V6800', new V6800Parser());
-    this.parsers.set('G6000', new G6000Parser());
+  async loadState() {
+    if (!this.stateCache.snapshotFile) {
+      return;
+    }
 
-    this.logger.info('Device parsers set up', {
-      deviceTypes: Array.from(this.parsers.keys()),
-    });
+    try {
+      const count = await this.stateCache.load();
+      this.logger.info('Restored device state', {
+        entries: count,
+        file: this.stateCache.snapshotFile,
+      });
+    } catch (error) {
+      this.logger.warn('Failed to restore device state, starting with empty baselines', {
+        file: this.stateCache.snapshotFile,
+        error: error.message,
+      });
+    }
+
+    this.stateSaveTimer = setInterval(() => this.saveState(), this.stateSaveInterval);
+    this.stateSaveTimer.unref();
   }
 
   /**
-   * Handle incoming MQTT messages
-   * @param {Object} messageData - MQTT message data
+   * Load the tag registry file
+   * A missing or invalid file is logged and leaves RFID records unenriched rather than blocking
+   * startup.
    */
-  async handleMqttMessage(messageData) {
-    try {
-      const { topic, message, timestamp } = messageData;
-
-      this.logger.debug('Processing MQTT message', { topic });
-
-      // Determine device type from topic
-      const deviceType = this.extractDeviceTypeFromTopic(topic);
-      if (!deviceType) {
-        throw new Error(`Cannot determine device type from topic: ${topic}`);
-      }
-
-      // Get appropriate parser
-      const parser = this.parsers.get(deviceType);
-      if (!parser) {
-        throw new Error(`No parser found for device type: ${deviceType}`);
-      }
+  async loadTagRegistry() {
+    if (!this.tagRegistry.file) {
+      return;
+    }
 
-      // Parse the message
-      const parsedData = parser.parse(topic, message);
-
-      // Normalize the message
-      const normalizedMessages = await this.normalizeMessage(parsedData);
-
-      // Store current message for future comparison
-      this.storeDeviceHistory(parsedData.deviceId, parsedData);
-
-      // Emit normalized messages
-      for (const normalized of normalizedMessages) {
-        this.emit('message.normalized', normalized);
-        this.logger.debug('Emitted normalized message', {
-          deviceId: normalized.deviceId,
-          deviceType: normalized.deviceType,
-          sensorType: normalized.sensorType,
-          msgType: normalized.msgType,
-        });
-      }
+    try {
+      const count = await this.tagRegistry.load();
+      this.logger.info('Loaded tag registry', { assets: count, file: this.tagRegistry.file });
     } catch (error) {
-      this.handleError(error, 'Failed to process MQTT message', { topic: messageData.topic });
-      this.emit('message.error', { error, data: messageData });
+      this.logger.warn('Failed to load tag registry, RFID records are not enriched', {
+        file: this.tagRegistry.file,
+        error: error.message,
+      });
     }
   }
 
   /**
-   * Extract device type from MQTT topic
-   * @param {string} topic - MQTT topic
-   * @returns {string|null} Device type or null if not found
+   * Persist device state if it changed since the last save
    */
-  extractDeviceTypeFromTopic(topic) {
-    for (const [deviceType, parser] of this.parsers) {
-      if (parser.canHandle(topic)) {
-        return deviceType;
-      }
+  async saveState() {
+    if (!this.stateCache.dirty) {
+      return;
     }
-    return null;
-  }
 
-  /**
-   * Normalize parsed message into unified format
-   * @param {Object} parsedData - Parsed message data
-   * @returns {Array} Array of normalized messages
-   */
-  async normalizeMessage(parsedData) {
     try {
-      const { deviceId, deviceType, data, timestamp, messageClass } = parsedData;
-
-      // Handle V5008 normalization
-      if (deviceType === 'V5008') {
-        return this.normalizeV5008Message(parsedData);
-      }
-
-      // For other device types, use basic normalization
-      return this.normalizeGenericMessage(parsedData);
+      await this.stateCache.save();
     } catch (error) {
-      throw new Error(`Normalization error: ${error.message}`);
+      this.logger.error('Failed to persist device state', {
+        file: this.stateCache.snapshotFile,
+        error: error.message,
+      });
     }
   }
 
   /**
-   * Create unified data record for hybrid storage model
-   * @param {Object} params - Parameters for unified record
-   * @returns {Object} Unified data record
+   * Set up device parsers from the configured directory and package list
+   * (options.parsers: { directory, packages, deviceOptions }; defaults to the built-in parsers)
    */
-  createUnifiedRecord({
-    deviceId,
-    deviceType,
-    moduleIndex = 0,
-    sensorIndex = 0,
-    messageClass,
-    dataKey,
-    numValue = null,
-    strValue = null,
-    jsonValue = null,
-    tsDevice,
-    messageId = null,
-    rawMessage = null
-  }) {
-    return {
-      deviceId,
-      deviceType,
-      moduleIndex,
-      sensorIndex,
-      messageClass,
-      dataKey,
-      numValue,
-      strValue,
-      jsonValue,
-      tsDevice,
-      messageId,
-      rawMessage
-    };
+  async setupParsers() {
+    const parsers = await this.registry.load(this.options.parsers);
+
+    this.logger.info('Device parsers set up', {
+      parsers: parsers.map(({ deviceType, version }) => `${deviceType}@${version}`),
+    });
   }
 
   /**
-   * Normalize V5008 messages according to specification
-   * @param {Object} parsedData - Parsed V5008 message data
-   * @returns {Array} Array of normalized messages
+   * Handle incoming MQTT messages
+   * @param {Object} messageData - MQTT message data
    */
-  normalizeV5008Message(parsedData) {
-    const { deviceId, deviceType, data, timestamp, messageClass } = parsedData;
-    const normalizedMessages = [];
-
-    switch (data.msgType) {
-      case 'HEARTBEAT':
-        normalizedMessages.push(
-          this.createUnifiedRecord({
-            deviceId,
-            deviceType,
-            messageClass: 'STATE',
-            dataKey: 'heartbeat',
-            jsonValue: {
-              modules: data.modules.map((module) => ({
-                modAddr: module.modAddr,
-                modId: module.modId.toString(16).toUpperCase().padStart(8, '0'),
-                uTotal: module.uTotal,
-              })),
-            },
-            tsDevice: timestamp,
-            messageId: data.msgId.toString(16).toUpperCase().padStart(8, '0'),
-            rawMessage: parsedData.rawMessage,
-          }),
-        );
-        break;
-
-      case 'RFID':
-        const rfidMessages = this.normalizeRfidMessage(parsedData);
-        normalizedMessages.push(...rfidMessages);
-        break;
-
-      case 'TEMP_HUM':
-        // Create separate records for each sensor (split telemetry)
-        for (const sensor of data.sensors) {
-          if (sensor.temp !== null) {
-            normalizedMessages.push(
-              this.createUnifiedRecord({
-                deviceId,
-                deviceType,
-                moduleIndex: data.modAddr,
-                sensorIndex: sensor.sensorAddr,
-                messageClass: 'TELEMETRY',
-                dataKey: 'temperature',
-                numValue: sensor.temp,
-                tsDevice: timestamp,
-                messageId: data.msgId.toString(16).toUpperCase().padStart(8, '0'),
-                rawMessage: parsedData.rawMessage,
-              }),
-            );
-          }
-          
-          if (sensor.hum !== null) {
-            normalizedMessages.push(
-              this.createUnifiedRecord({
-                deviceId,
-                deviceType,
-                moduleIndex: data.modAddr,
-                sensorIndex: sensor.sensorAddr,
-                messageClass: 'TELEMETRY',
-                dataKey: 'humidity',
-                numValue: sensor.hum,
-                tsDevice: timestamp,
-                messageId: data.msgId.toString(16).toUpperCase().padStart(8, '0'),
-                rawMessage: parsedData.rawMessage,
-              }),
-            );
-          }
-        }
-        break;
-
-      case 'NOISE':
-        // Create separate records for each sensor (split telemetry)
-        for (const sensor of data.sensors) {
-          if (sensor.noise !== null) {
-            normalizedMessages.push(
-              this.createUnifiedRecord({
-                deviceId,
-                deviceType,
-                moduleIndex: data.modAddr,
-                sensorIndex: sensor.sensorAddr,
-                messageClass: 'TELEMETRY',
-                dataKey: 'noise',
-                numValue: sensor.noise,
-                tsDevice: timestamp,
-                messageId: data.msgId.toString(16).toUpperCase().padStart(8, '0'),
-                rawMessage: parsedData.rawMessage,
-              }),
-            );
-          }
-        }
-        break;
-
-      case 'DOOR':
-        normalizedMessages.push(
-          this.createUnifiedRecord({
-            deviceId,
-            deviceType,
-            moduleIndex: data.modAddr,
-            sensorIndex: 0, // Door is per module
-            messageClass: 'EVENT',
-            dataKey: 'door_state',
-            strValue: data.doorState === '01' ? 'OPEN' : 'CLOSED',
-            numValue: data.doorState === '01' ? 1 : 0,
-            tsDevice: timestamp,
-            messageId: data.msgId.toString(16).toUpperCase().padStart(8, '0'),
-            rawMessage: parsedData.rawMessage,
-          }),
-        );
-        break;
-
-      case 'QRY_DEVICE':
-        normalizedMessages.push(
-          this.createUnifiedRecord({
-            deviceId,
-            deviceType,
-            messageClass: 'STATE',
-            dataKey: 'device_info',
-            jsonValue: {
-              model: data.deviceType.toString(16).toUpperCase(),
-              fwVer: data.fwVersion.toString(16).toUpperCase().padStart(8, '0'),
-              ip: this.convertIpToString(data.ip),
-              mask: this.convertIpToString(data.mask),
-              gatewayIp: this.convertIpToString(data.gateway),
-              mac: this.convertMacToString(data.mac),
-            },
-            tsDevice: timestamp,
-            messageId: data.msgId.toString(16).toUpperCase().padStart(8, '0'),
-            rawMessage: parsedData.rawMessage,
-          }),
-        );
-        break;
+  async handleMqttMessage(messageData) {
+    try {
+      const { topic, message, text, timestamp, retained } = messageData;
 
-      case 'QRY_MODULE':
-        normalizedMessages.push(
-          this.createUnifiedRecord({
-            deviceId,
-            deviceType,
-            messageClass: 'STATE',
-            dataKey: 'module_info',
-            jsonValue: {
-              modules: data.modules.map((module) => ({
-                modAddr: module.modAddr,
-                fwVer: module.fwVersion,
-              })),
-            },
-            tsDevice: timestamp,
-            messageId: data.msgId.toString(16).toUpperCase().padStart(8, '0'),
-            rawMessage: parsedData.rawMessage,
-          }),
-        );
-        break;
+      // Parsers work from the raw bytes; never hand them a lossy decoded string
+      const payload = Buffer.isBuffer(message) ? message : Buffer.from(message);
 
-      case 'QRY_COLOR':
-        normalizedMessages.push(
-          this.createUnifiedRecord({
-            deviceId,
-            deviceType,
-            moduleIndex: data.modNum,
-            sensorIndex: 0,
-            messageClass: 'STATE',
-            dataKey: 'color_map',
-            jsonValue: {
-              result: data.cmdResult === 0xA1 ? 'Success' : 'Failure',
-              colorMap: data.colors.map((color) => ({
-                uPos: color.uPos,
-                colorCode: color.colorCode,
-                colorName: this.colorCodeMap[color.colorCode] || 'UNKNOWN',
-              })),
-            },
-            tsDevice: timestamp,
-            messageId: data.msgId.toString(16).toUpperCase().padStart(8, '0'),
-            rawMessage: parsedData.rawMessage,
-          }),
-        );
-        break;
+      this.logger.debug('Processing MQTT message', { topic, bytes: payload.length });
 
-      case 'SET_COLOR':
-        normalizedMessages.push(
-          this.createUnifiedRecord({
-            deviceId,
-            deviceType,
-            moduleIndex: data.modNum,
-            sensorIndex: 0,
-            messageClass: 'EVENT',
-            dataKey: 'color_set',
-            jsonValue: {
-              result: data.cmdResult === 0xA1 ? 'Success' : 'Failure',
-              originalReq: data.originalReq,
-              colors: data.colors.map((color) => ({
-                uPos: color.uPos,
-                colorCode: color.colorCode,
-                colorName: this.colorCodeMap[color.colorCode] || 'UNKNOWN',
-              })),
-            },
-            tsDevice: timestamp,
-            messageId: data.msgId.toString(16).toUpperCase().padStart(8, '0'),
-            rawMessage: parsedData.rawMessage,
-          }),
-        );
-        break;
+      // Find the parser that claims this topic
+      const parser = this.registry.resolve(topic);
+      if (!parser) {
+        throw new Error(`No parser registered for topic: ${topic}`);
+      }
 
-      case 'CLR_ALARM':
-        normalizedMessages.push(
-          this.createUnifiedRecord({
-            deviceId,
-            deviceType,
-            moduleIndex: data.modNum,
-            sensorIndex: 0,
-            messageClass: 'EVENT',
-            dataKey: 'alarm_clear',
-            jsonValue: {
-              result: data.cmdResult === 0xA1 ? 'Success' : 'Failure',
-              originalReq: data.originalReq,
-              uPositions: data.uPositions || [],
-            },
-            tsDevice: timestamp,
-            messageId: data.msgId.toString(16).toUpperCase().padStart(8, '0'),
-            rawMessage: parsedData.rawMessage,
-          }),
-        );
-        break;
+      // Parse the message
+      const parsedData = parser.parse(topic, payload, this.parseContext);
 
-      default:
-        // Handle unknown message types
-        normalizedMessages.push(
-          this.createNormalizedMessage({
-            deviceId,
-            deviceType,
-            sensorType: 'UNKNOWN',
-            msgType: data.msgType,
-            modNum: data.modNum || null,
-            modId: data.modId ? data.modId.toString(16).toUpperCase().padStart(8, '0') : null,
-            ts: timestamp,
-            payload: data,
-            meta: {
-              messageClass,
-              rawMessage: parsedData.rawMessage,
-            },
-          }),
-        );
-    }
+      // Keep a printable copy of the payload for tracing
+      if (!parsedData.rawMessage) {
+        parsedData.rawMessage = text ?? payload.toString('hex').toUpperCase();
+      }
 
-    return normalizedMessages;
-  }
+      // Broker receive time, kept apart from device time (deviceTs) and parse time (ts)
+      parsedData.receivedAt = timestamp || new Date().toISOString();
+      if (retained) {
+        parsedData.retained = true;
+      }
 
-  /**
-   * Normalize RFID message with attach/detach detection
-   * @param {Object} parsedData - Parsed RFID message data
-   * @returns {Array} Array of normalized RFID messages
-   */
-  normalizeRfidMessage(parsedData) {
-    const { deviceId, deviceType, data, timestamp, messageClass } = parsedData;
-    const normalizedMessages = [];
-
-    // Get previous RFID state for this device
-    const previousState = this.getPreviousRfidState(deviceId);
-    const currentRfidMap = new Map();
-
-    // Build current RFID state map
-    for (const rfidItem of data.items) {
-      currentRfidMap.set(rfidItem.tagId, {
-        uPos: rfidItem.uPos,
-        alarmStatus: rfidItem.alarmStatus,
-      });
-    }
+      if (
+        this.duplicates.check(parsedData.deviceId, parsedData.messageId, {
+          topic,
+          payload,
+          receivedAt: parsedData.receivedAt,
+        })
+      ) {
+        this.logger.debug('Suppressed duplicate message', {
+          deviceId: parsedData.deviceId,
+          messageId: parsedData.messageId,
+          topic,
+        });
+        return;
+      }
 
-    // Create full RFID map as JSON blob for preservation
-    const rfidFullMap = {
-      uTotal: data.uTotal,
-      onlineCount: data.onlineCount,
-      items: data.items.map((item) => ({
-        uPos: item.uPos,
-        alarmStatus: item.alarmStatus,
-        tagId: item.tagId.toString(16).toUpperCase().padStart(8, '0'),
-      })),
-    };
+      // Device info messages tell which firmware (and protocol variant) later frames use
+      this.recordFirmware(parsedData);
 
-    // Always store the full RFID map as a JSON blob
-    normalizedMessages.push(
-      this.createUnifiedRecord({
-        deviceId,
-        deviceType,
-        moduleIndex: data.modAddr,
-        sensorIndex: 0, // RFID applies to whole module
-        messageClass: 'STATE',
-        dataKey: 'rfid_full_map',
-        jsonValue: rfidFullMap,
-        tsDevice: timestamp,
-        messageId: data.msgId.toString(16).toUpperCase().padStart(8, '0'),
-        rawMessage: parsedData.rawMessage,
-      }),
-    );
-
-    // Detect attached RFID tags (new or changed)
-    for (const [tagId, rfidInfo] of currentRfidMap) {
-      const previousRfid = previousState.get(tagId);
-
-      if (!previousRfid || previousRfid.alarmStatus !== rfidInfo.alarmStatus) {
-        // New tag or alarm state changed
-        normalizedMessages.push(
-          this.createUnifiedRecord({
-            deviceId,
-            deviceType,
-            moduleIndex: data.modAddr,
-            sensorIndex: rfidInfo.uPos,
-            messageClass: 'EVENT',
-            dataKey: 'rfid_attach',
-            jsonValue: {
-              uPos: rfidInfo.uPos,
-              tagId: tagId.toString(16).toUpperCase().padStart(8, '0'),
-              alarmStatus: rfidInfo.alarmStatus,
-              action: previousRfid ? 'alarm_change' : 'attach',
-            },
-            tsDevice: timestamp,
-            messageId: data.msgId.toString(16).toUpperCase().padStart(8, '0'),
-            rawMessage: parsedData.rawMessage,
-          }),
-        );
+      // Retained messages are replays and say nothing about the current sequence or topology
+      if (!retained) {
+        this.trackSequence(parsedData);
+        this.trackTopology(parsedData);
       }
-    }
 
-    // Detect detached RFID tags
-    for (const [tagId, rfidInfo] of previousState) {
-      if (!currentRfidMap.has(tagId)) {
-        // Tag was removed
-        normalizedMessages.push(
-          this.createUnifiedRecord({
-            deviceId,
-            deviceType,
-            moduleIndex: data.modAddr,
-            sensorIndex: rfidInfo.uPos,
-            messageClass: 'EVENT',
-            dataKey: 'rfid_detach',
-            jsonValue: {
-              uPos: rfidInfo.uPos,
-              tagId: tagId.toString(16).toUpperCase().padStart(8, '0'),
-              action: 'detach',
-            },
-            tsDevice: timestamp,
-            messageId: data.msgId.toString(16).toUpperCase().padStart(8, '0'),
-            rawMessage: parsedData.rawMessage,
-          }),
-        );
-      }
-    }
+      // Let listeners (e.g. CommandTracker) inspect or annotate the parsed message
+      this.emit('message.parsed', parsedData);
 
-    // Store current RFID state for next comparison
-    this.storeCurrentRfidState(deviceId, currentRfidMap);
+      // Normalize into SUO objects (command responses carry parsedData.commandId)
+      const normalizedMessages = this.normalizeMessage(parsedData);
+      if (normalizedMessages.length === 0) {
+        return;
+      }
 
-    return normalizedMessages;
-  }
+      // Tell operators which asset a tag ID is before the records are stored or forwarded
+      this.enrichedTags += this.tagRegistry.enrich(normalizedMessages);
 
-  /**
-   * Get previous RFID state for a device
-   * @param {string} deviceId - Device ID
-   * @returns {Map} Previous RFID state map
-   */
-  getPreviousRfidState(deviceId) {
-    const history = this.getDeviceHistory(deviceId);
-
-    // Find the last RFID message
-    for (let i = history.length - 1; i >= 0; i--) {
-      const message = history[i];
-      if (message.data.msgType === 'RFID') {
-        const rfidMap = new Map();
-        for (const rfidItem of message.data.items) {
-          rfidMap.set(rfidItem.tagId, {
-            uPos: rfidItem.uPos,
-            alarmStatus: rfidItem.alarmStatus,
-          });
-        }
-        return rfidMap;
+      this.emit('message.normalized', normalizedMessages);
+      this.logger.debug('Emitted normalized messages', {
+        deviceId: parsedData.deviceId,
+        deviceType: parsedData.deviceType,
+        count: normalizedMessages.length,
+      });
+    } catch (error) {
+      if (error instanceof ParseError) {
+        this.recordParseError(error, messageData);
+        return;
       }
+      this.handleError(error, 'Failed to process MQTT message', { topic: messageData.topic });
+      this.emit('message.error', { error, data: messageData });
     }
-
-    return new Map(); // No previous RFID state found
   }
 
   /**
-   * Store current RFID state for a device
+   * Get the last firmware version a device reported
    * @param {string} deviceId - Device ID
-   * @param {Map} currentRfidMap - Current RFID state map
+   * @returns {string|null} Firmware version or null if unknown
    */
-  storeCurrentRfidState(deviceId, currentRfidMap) {
-    // This is handled by storeDeviceHistory, but we could add a specific
-    // RFID state cache if needed for performance
+  firmwareOf(deviceId) {
+    return this.stateCache.get(deviceId, 0, 'firmware')?.fwVer ?? null;
   }
 
   /**
-   * Normalize generic messages for non-V5008 devices
+   * Remember the gateway firmware reported by a device info message
+   * V5008 reports it in QRY_DEVICE_RESP. V6800 Init only carries the module (U-sensor)
+   * software versions, which say nothing about the gateway, so no V6800 firmware is recorded.
+   * Kept in the state cache so the variant survives restarts.
    * @param {Object} parsedData - Parsed message data
-   * @returns {Array} Array of normalized messages
-   */
-  normalizeGenericMessage(parsedData) {
-    const { deviceId, deviceType, data, timestamp, messageClass } = parsedData;
-
-    return [
-      this.createUnifiedRecord({
-        deviceId,
-        deviceType,
-        moduleIndex: this.extractModNum(data),
-        sensorIndex: 0,
-        messageClass: 'STATE',
-        dataKey: (data.msgType || messageClass).toLowerCase(),
-        jsonValue: data,
-        tsDevice: timestamp,
-        messageId: data.msgId || null,
-        rawMessage: parsedData.rawMessage,
-      }),
-    ];
-  }
-
-  /**
-   * Create a normalized message object
-   * @param {Object} data - Message data
-   * @returns {Object} Normalized message
    */
-  createNormalizedMessage(data) {
-    return {
-      deviceId: data.deviceId,
-      deviceType: data.deviceType,
-      sensorType: data.sensorType,
-      msgType: data.msgType,
-      modNum: data.modNum,
-      modId: data.modId,
-      ts: data.ts,
-      payload: data.payload,
-      meta: data.meta,
-    };
-  }
+  recordFirmware(parsedData) {
+    const { deviceId, deviceType } = parsedData;
+    const fwVer = parsedData.fwVer || parsedData.device?.fwVer;
+    if (!fwVer || !deviceId) {
+      return;
+    }
 
-  /**
-   * Convert door status to string
-   * @param {number} status - Door status byte
-   * @returns {string} Door status string
-   */
-  convertDoorStatus(status) {
-    // Bit 0: 0=close, 1=open
-    // Bit 1: 0=normal, 1=alarm
-    const isOpen = (status & 0x01) !== 0;
-    const isAlarm = (status & 0x02) !== 0;
-
-    if (isAlarm) {
-      return isOpen ? 'OPEN_ALARM' : 'CLOSE_ALARM';
-    } else {
-      return isOpen ? 'OPEN' : 'CLOSE';
+    const previous = this.firmwareOf(deviceId);
+    if (previous === fwVer) {
+      return;
     }
-  }
 
-  /**
-   * Convert IP address from dword to string
-   * @param {number} ipDword - IP address as dword
-   * @returns {string} IP address string
-   */
-  convertIpToString(ipDword) {
-    return [
-      (ipDword >>> 24) & 0xff,
-      (ipDword >>> 16) & 0xff,
-      (ipDword >>> 8) & 0xff,
-      ipDword & 0xff,
-    ].join('.');
+    this.stateCache.set(deviceId, 0, 'firmware', { fwVer, reportedAt: parsedData.receivedAt });
+    this.logger.info('Device firmware recorded', { deviceId, deviceType, fwVer, previous });
   }
 
   /**
-   * Convert MAC address from hex string to formatted string
-   * @param {string} macHex - MAC address as hex string
-   * @returns {string} Formatted MAC address
+   * Check a message ID against the device's sequence and report gaps and counter resets
+   * @param {Object} parsedData - Parsed message data
    */
-  convertMacToString(macHex) {
-    // Insert colons every 2 characters
-    return macHex.match(/.{1,2}/g).join(':');
-  }
+  trackSequence(parsedData) {
+    const result = this.sequences.observe(parsedData);
+    if (!result) {
+      return;
+    }
 
-  /**
-   * Extract module number from data
-   * @param {Object} data - Parsed data
-   * @returns {number|null} Module number
-   */
-  extractModNum(data) {
-    return data.modNum || data.moduleNumber || null;
+    const { deviceId, deviceType, messageId, receivedAt } = parsedData;
+    switch (result.status) {
+      case 'gap':
+        this.logger.warn('Message sequence gap', { deviceId, missing: result.missing });
+        this.emit('device.sequence_gap', {
+          deviceId,
+          deviceType,
+          expectedMessageId: String(result.expected),
+          messageId,
+          missing: result.missing,
+          receivedAt,
+        });
+        break;
+      case 'reset':
+        this.logger.info('Device message counter reset', {
+          deviceId,
+          previousMessageId: String(result.previousId),
+          messageId,
+        });
+        this.emit('device.rebooted', {
+          deviceId,
+          deviceType,
+          previousMessageId: String(result.previousId),
+          messageId,
+          receivedAt,
+        });
+        break;
+      case 'reordered':
+        this.logger.debug('Message arrived out of order', { deviceId, messageId });
+        break;
+      default:
+        break;
+    }
   }
 
   /**
-   * Extract module ID from data
-   * @param {Object} data - Parsed data
-   * @returns {string|null} Module ID
+   * Compare a heartbeat's module list with the gateway's last known topology and emit
+   * module.added, module.removed, module.replaced or module.resized per change
+   * @param {Object} parsedData - Parsed message data
    */
-  extractModId(data) {
-    if (data.modId) {
-      return typeof data.modId === 'string'
-        ? data.modId
-        : data.modId.toString(16).toUpperCase().padStart(8, '0');
+  trackTopology(parsedData) {
+    const { deviceId, deviceType, messageType, receivedAt } = parsedData;
+    if (!HEARTBEAT_TYPES.has(messageType)) {
+      return;
+    }
+
+    for (const { change, ...details } of this.topology.observe(parsedData) || []) {
+      this.logger.info(`Module ${change}`, { deviceId, ...details });
+      this.emit(`module.${change}`, { deviceId, deviceType, ...details, receivedAt });
     }
-    return data.moduleId || null;
   }
 
   /**
-   * Store device message history for comparison
-   * @param {string} deviceId - Device ID
-   * @param {Object} parsedData - Parsed message data
+   * Count and report a frame the parser discarded
+   * Malformed device data is expected in the field, so it is logged as a warning.
+   * @param {ParseError} error - Parse error
+   * @param {Object} messageData - MQTT message data
    */
-  storeDeviceHistory(deviceId, parsedData) {
-    if (!this.deviceHistory.has(deviceId)) {
-      this.deviceHistory.set(deviceId, []);
-    }
+  recordParseError(error, messageData) {
+    this.parseErrors.total++;
+    this.parseErrors.byCode[error.code] = (this.parseErrors.byCode[error.code] || 0) + 1;
 
-    const history = this.deviceHistory.get(deviceId);
-    history.push(parsedData);
-
-    // Keep only last 10 messages to prevent memory issues
-    if (history.length > 10) {
-      history.shift();
-    }
+    this.logger.warn(`Discarded message: ${error.message}`, error.toJSON());
+    this.emit('message.error', { error, data: messageData });
   }
 
   /**
-   * Get device message history
-   * @param {string} deviceId - Device ID
-   * @returns {Array} Message history
+   * Normalize parsed message into SUO objects
+   * @param {Object} parsedData - Parsed message data
+   * @returns {Array<Object>} Array of SUO objects
    */
-  getDeviceHistory(deviceId) {
-    return this.deviceHistory.get(deviceId) || [];
+  normalizeMessage(parsedData) {
+    try {
+      return this.normalizer.normalize(parsedData);
+    } catch (error) {
+      throw new Error(`Normalization error: ${error.message}`);
+    }
   }
 
   /**
@@ -721,8 +367,17 @@ class UnifiedNormalizer extends BaseComponent {
   getStatus() {
     return {
       ...super.getStatus(),
-      parsers: Array.from(this.parsers.keys()),
-      deviceHistoryCount: this.deviceHistory.size,
+      parsers: this.registry.list(),
+      parseErrors: {
+        total: this.parseErrors.total,
+        byCode: { ...this.parseErrors.byCode },
+      },
+      stateEntries: this.stateCache.size,
+      clockSkew: this.clockSkew.getStatus(),
+      duplicates: this.duplicates.getStatus(),
+      sequences: this.sequences.getStatus(),
+      topologyChanges: this.topology.getStatus(),
+      tagRegistry: { assets: this.tagRegistry.size, enrichedTags: this.enrichedTags },
     };
   }
 
@@ -738,8 +393,9 @@ class UnifiedNormalizer extends BaseComponent {
     this.logger.info('Shutting down Unified Normalizer...');
 
     try {
-      // Clear device history
-      this.deviceHistory.clear();
+      // Persist diff baselines for the next start
+      clearInterval(this.stateSaveTimer);
+      await this.saveState();
 
       // Remove all event listeners
       this.removeAllEventListeners();
@@ -7,69 +7,86 @@
  */
 
 import { randomUUID } from 'crypto';
-
-/**
- * Simple in-memory StateCache to simulate database state retrieval
- */
-class StateCache {
-  constructor() {
-    this.cache = new Map();
-  }
-
-  /**
-   * Get state for a specific device and module
-   * @param {string} deviceId - Device ID
-   * @param {number} modAddr - Module address
-   * @param {string} type - State type (e.g., 'rfid')
-   * @returns {Object|null} State object or null if not found
-   */
-  get(deviceId, modAddr, type) {
-    const key = `${deviceId}:${modAddr}:${type}`;
-    return this.cache.get(key) || null;
-  }
-
-  /**
-   * Set state for a specific device and module
-   * @param {string} deviceId - Device ID
-   * @param {number} modAddr - Module address
-   * @param {string} type - State type
-   * @param {Object} state - State object
-   */
-  set(deviceId, modAddr, type, state) {
-    const key = `${deviceId}:${modAddr}:${type}`;
-    this.cache.set(key, state);
-  }
-
-  /**
-   * Clear all cached state (for testing)
-   */
-  clear() {
-    this.cache.clear();
-  }
-}
+import StateCache from './StateCache.js';
+import ClockSkewTracker from './ClockSkewTracker.js';
+import { COLOR_CODES } from '../protocol/ColorCodes.js';
+
+// Color code -> name (e.g. 8 -> 'RED_F'), shared with the command encoder
+const COLOR_NAMES = Object.fromEntries(
+  Object.entries(COLOR_CODES).map(([name, code]) => [code, name]),
+);
+
+// Echoed request command code -> operation name for V5008 command responses
+const V5008_OPERATIONS = {
+  E1: 'SET_COLOR',
+  E2: 'CLR_ALARM',
+  E4: 'QRY_COLOR',
+};
+
+// V6800 OpeAck msg_type -> operation name
+const V6800_OPERATIONS = {
+  set_module_property_result_req: 'SET_COLOR',
+  clear_u_warning: 'CLR_ALARM',
+};
+
+// Units for G6000 aggregated readings (temperature uses the unit reported by the gateway)
+const TELEMETRY_UNITS = {
+  temperature: 'celsius',
+  humidity: 'percent',
+  noise: 'db',
+  voltage: 'volts',
+  current: 'amps',
+};
+
+// G6000 query response class -> SYS_DEVICE_INFO key
+const G6000_QUERY_KEYS = {
+  QRY_STATUS: 'gateway_status',
+  QRY_SENSORS: 'sensor_inventory',
+  QRY_GATEWAY: 'device_info',
+};
 
 /**
  * Main UnifyNormalizer class
  */
 class UnifyNormalizer {
-  constructor() {
-    this.stateCache = new StateCache();
+  /**
+   * @param {Object} options - Normalizer options
+   * @param {StateCache} options.stateCache - Shared (optionally persisted) state cache
+   * @param {ClockSkewTracker} options.clockSkew - Per-device clock skew tracker
+   */
+  constructor(options = {}) {
+    this.stateCache = options.stateCache || new StateCache();
+    this.clockSkew = options.clockSkew || new ClockSkewTracker();
   }
 
   /**
    * Normalize parsed JSON into Array of Standardized Unified Objects (SUO)
-   * @param {Object} parsedJson - Parsed JSON from V5008Parser or V6800Parser
+   * @param {Object} parsedJson - Parsed JSON from V5008Parser, V6800Parser or G6000Parser
    * @returns {Array<Object>} Array of SUO objects
    */
   normalize(parsedJson) {
     const results = [];
     const { deviceId, deviceType, messageType } = parsedJson;
 
+    // Timing: device clock (only where the protocol carries one), MQTT receive time and
+    // processing time; ts is the event time used by storage and queries
+    const processedAt = new Date().toISOString();
+    const deviceTs = parsedJson.deviceTs || null;
+    const receivedAt = parsedJson.receivedAt || processedAt;
+    const { clockSkewMs, late } = this.clockSkew.observe(deviceId, deviceTs, receivedAt);
+
     // Generate common metadata
     const meta = {
       uuid: randomUUID(),
-      ts: parsedJson.ts || new Date().toISOString(),
-      receivedAt: new Date().toISOString()
+      ts: deviceTs || receivedAt,
+      deviceTs,
+      receivedAt,
+      processedAt,
+      clockSkewMs,
+      // Retained messages are replayed by the broker on subscribe
+      late: late || parsedJson.retained === true,
+      messageId: parsedJson.messageId || null,
+      commandId: parsedJson.commandId || null,
     };
 
     // Route to appropriate normalizer based on message type
@@ -78,6 +95,7 @@ class UnifyNormalizer {
       case 'TEMP_HUM':
       case 'Noise':
       case 'NOISE':
+      case 'SENSOR_DATA':
         results.push(...this._normalizeTelemetry(parsedJson, meta));
         break;
 
@@ -100,11 +118,36 @@ class UnifyNormalizer {
         results.push(...this._normalizeInit(parsedJson, meta));
         break;
 
+      case 'QRY_DEVICE_RESP':
+      case 'QRY_MODULE_RESP':
+        results.push(...this._normalizeDeviceQuery(parsedJson, meta));
+        break;
+
+      case 'QRY_COLOR_RESP':
+      case 'SET_COLOR_RESP':
+      case 'CLR_ALARM_RESP':
+      case 'UNKNOWN_RESP':
+        results.push(...this._normalizeCommandResponse(parsedJson, meta));
+        break;
+
       case 'OpeAck':
-        // Handle various operation acknowledgments
-        if (parsedJson.result !== undefined) {
-          results.push(...this._normalizeStateChange(parsedJson, meta));
-        }
+        // V6800 operation acknowledgments (query and command responses)
+        results.push(...this._normalizeOpeAckV6800(parsedJson, meta));
+        break;
+
+      case 'GATEWAY_STATUS':
+        results.push(...this._normalizeGatewayStatusG6000(parsedJson, meta));
+        break;
+
+      case 'ALERT':
+      case 'SYSTEM_EVENT':
+        results.push(...this._normalizeAlertG6000(parsedJson, meta));
+        break;
+
+      case 'QRY_STATUS':
+      case 'QRY_SENSORS':
+      case 'QRY_GATEWAY':
+        results.push(...this._normalizeQueryG6000(parsedJson, meta));
         break;
 
       default:
@@ -257,6 +300,34 @@ class UnifyNormalizer {
       }
     }
 
+    // Handle G6000 format (readings aggregated from a downstream device)
+    if (parsedJson.readings && Array.isArray(parsedJson.readings)) {
+      const { source = {} } = parsedJson;
+      const identity = {
+        deviceId: source.deviceId || deviceId,
+        deviceType: source.deviceType || deviceType,
+        modAddr: source.modAddr ?? 0,
+        sensorAddr: 0,
+      };
+
+      for (const reading of parsedJson.readings) {
+        const unit = reading.key === 'temperature' && parsedJson.unit
+          ? parsedJson.unit
+          : TELEMETRY_UNITS[reading.key];
+
+        results.push(this._createSUO(
+          identity,
+          'SYS_TELEMETRY',
+          {
+            key: reading.key,
+            value: reading.value,
+            ...(unit && { unit }),
+          },
+          meta,
+        ));
+      }
+    }
+
     return results;
   }
 
@@ -273,6 +344,9 @@ class UnifyNormalizer {
     // Handle V5008 (snapshot) vs V6800 (event) differently
     if (deviceType === 'V5008') {
       return this._normalizeRfidV5008(parsedJson, meta);
+    } else if (deviceType === 'V6800' && parsedJson.rawMessageType === 'u_state_resp') {
+      // RFID query responses are full snapshots, not change events
+      return this._normalizeRfidSnapshotV6800(parsedJson, meta);
     } else if (deviceType === 'V6800') {
       return this._normalizeRfidV6800(parsedJson, meta);
     }
@@ -287,16 +361,39 @@ class UnifyNormalizer {
    * @returns {Array<Object>} Array of SUO objects
    */
   _normalizeRfidV5008(parsedJson, meta) {
-    const results = [];
     const { deviceId, deviceType, modAddr, items } = parsedJson;
 
+    return this._diffRfidSnapshot(
+      { deviceId, deviceType, modAddr },
+      items || [],
+      { uTotal: parsedJson.uTotal, onlineCount: parsedJson.onlineCount },
+      meta,
+    );
+  }
+
+  /**
+   * Diff a full RFID snapshot of one module against the cached baseline
+   * Emits ATTACHED/DETACHED events, the snapshot itself and updates the cache.
+   * Without a baseline (first snapshot of the module) every tag is reported ATTACHED with
+   * initial: true, since those tags were not necessarily just fitted.
+   * @param {Object} module - { deviceId, deviceType, modAddr }
+   * @param {Array<Object>} items - Occupied U-levels ({ uPos, tagId, alarmStatus })
+   * @param {Object} extras - Additional snapshot fields (e.g. uTotal)
+   * @param {Object} meta - Common metadata
+   * @returns {Array<Object>} Array of SUO objects
+   */
+  _diffRfidSnapshot(module, items, extras, meta) {
+    const results = [];
+    const { deviceId, deviceType, modAddr } = module;
+
     // Get previous state from cache
-    const previousState = this.stateCache.get(deviceId, modAddr, 'rfid') || {};
+    const baseline = this.stateCache.get(deviceId, modAddr, 'rfid');
+    const previousState = baseline || {};
     const currentState = {};
 
     // Build current state map
     const currentItems = [];
-    for (const item of items || []) {
+    for (const item of items) {
       const uPos = item.uPos;
       const tagId = item.tagId;
       
@@ -318,91 +415,25 @@ class UnifyNormalizer {
       const previousInfo = previousState[uPos];
 
       if (!previousInfo) {
-        // New tag attached
-        results.push(this._createSUO(
-          {
-            deviceId,
-            deviceType,
-            modAddr,
-            sensorAddr: uPosNum
-          },
-          'SYS_RFID_EVENT',
-          {
-            key: 'rfid_event',
-            value: {
-              action: 'ATTACHED',
-              uPos: uPosNum,
-              tagId: currentInfo.tagId,
-              alarmStatus: currentInfo.alarmStatus
-            }
-          },
-          meta
-        ));
+        // New tag attached (or first seen, without a baseline)
+        const event = this._createRfidEvent(module, 'ATTACHED', uPosNum, currentInfo, meta);
+        if (!baseline) {
+          event.payload.value.initial = true;
+        }
+        results.push(event);
       } else if (previousInfo.tagId !== currentInfo.tagId) {
         // Tag changed (detached + attached)
-        results.push(this._createSUO(
-          {
-            deviceId,
-            deviceType,
-            modAddr,
-            sensorAddr: uPosNum
-          },
-          'SYS_RFID_EVENT',
-          {
-            key: 'rfid_event',
-            value: {
-              action: 'DETACHED',
-              uPos: uPosNum,
-              tagId: previousInfo.tagId
-            }
-          },
-          meta
-        ));
-
-        results.push(this._createSUO(
-          {
-            deviceId,
-            deviceType,
-            modAddr,
-            sensorAddr: uPosNum
-          },
-          'SYS_RFID_EVENT',
-          {
-            key: 'rfid_event',
-            value: {
-              action: 'ATTACHED',
-              uPos: uPosNum,
-              tagId: currentInfo.tagId,
-              alarmStatus: currentInfo.alarmStatus
-            }
-          },
-          meta
-        ));
+        results.push(this._createRfidEvent(module, 'DETACHED', uPosNum, previousInfo, meta));
+        results.push(this._createRfidEvent(module, 'ATTACHED', uPosNum, currentInfo, meta));
       }
     }
 
     // Check for detached tags
     for (const [uPos, previousInfo] of Object.entries(previousState)) {
       if (!currentState[uPos]) {
-        const uPosNum = parseInt(uPos);
-        results.push(this._createSUO(
-          {
-            deviceId,
-            deviceType,
-            modAddr,
-            sensorAddr: uPosNum
-          },
-          'SYS_RFID_EVENT',
-          {
-            key: 'rfid_event',
-            value: {
-              action: 'DETACHED',
-              uPos: uPosNum,
-              tagId: previousInfo.tagId
-            }
-          },
-          meta
-        ));
+        results.push(
+          this._createRfidEvent(module, 'DETACHED', parseInt(uPos), previousInfo, meta),
+        );
       }
     }
 
@@ -419,8 +450,7 @@ class UnifyNormalizer {
         key: 'rfid_snapshot',
         value: {
           items: currentItems,
-          uTotal: parsedJson.uTotal,
-          onlineCount: parsedJson.onlineCount
+          ...extras,
         }
       },
       meta
@@ -432,6 +462,29 @@ class UnifyNormalizer {
     return results;
   }
 
+  /**
+   * Create an RFID attach/detach event
+   * @param {Object} module - { deviceId, deviceType, modAddr }
+   * @param {string} action - 'ATTACHED' or 'DETACHED'
+   * @param {number} uPos - U-level position
+   * @param {Object} info - { tagId, alarmStatus }
+   * @param {Object} meta - Common metadata
+   * @returns {Object} SUO object
+   */
+  _createRfidEvent(module, action, uPos, info, meta) {
+    const value = { action, uPos, tagId: info.tagId };
+    if (action === 'ATTACHED') {
+      value.alarmStatus = info.alarmStatus;
+    }
+
+    return this._createSUO(
+      { ...module, sensorAddr: uPos },
+      'SYS_RFID_EVENT',
+      { key: 'rfid_event', value },
+      meta,
+    );
+  }
+
   /**
    * Normalize V6800 RFID messages (event-based)
    * @param {Object} parsedJson - Parsed JSON
@@ -487,6 +540,9 @@ class UnifyNormalizer {
           };
         } else if (action === 'detached') {
           delete previousState[uPos];
+        } else if (previousState[uPos]) {
+          // Tag stayed in place; only its tamper warning changed
+          previousState[uPos].alarmStatus = item.alarmStatus;
         }
       }
 
@@ -556,6 +612,45 @@ class UnifyNormalizer {
       ));
     }
 
+    // Handle G6000 HEARTBEAT with system load data
+    if (deviceType === 'G6000' && parsedJson.meta) {
+      const { uptime, networkStatus, activeConnections } = parsedJson.meta;
+      const gateway = { deviceId, deviceType, modAddr: 0, sensorAddr: 0 };
+
+      results.push(this._createSUO(
+        gateway,
+        'SYS_LIFECYCLE',
+        {
+          key: 'device_status',
+          value: {
+            status: 'online',
+            uptime,
+            networkStatus,
+            activeConnections,
+            fwVer: parsedJson.device?.fwVer,
+            hwVer: parsedJson.device?.hwVer,
+          },
+        },
+        meta,
+      ));
+
+      const usage = [
+        ['cpu_usage', parsedJson.meta.cpuUsage],
+        ['memory_usage', parsedJson.meta.memoryUsage],
+        ['disk_usage', parsedJson.meta.diskUsage],
+      ];
+      for (const [key, value] of usage) {
+        if (value !== null && value !== undefined) {
+          results.push(this._createSUO(
+            gateway,
+            'SYS_TELEMETRY',
+            { key, value, unit: 'percent' },
+            meta,
+          ));
+        }
+      }
+    }
+
     // Handle V6800 HeartBeat with power data
     if (deviceType === 'V6800' && parsedJson.meta) {
       // Create lifecycle event
@@ -622,7 +717,7 @@ class UnifyNormalizer {
   }
 
   /**
-   * Normalize state change messages (Door, Alarm)
+   * Normalize state change messages (Door)
    * @param {Object} parsedJson - Parsed JSON
    * @param {Object} meta - Common metadata
    * @returns {Array<Object>} Array of SUO objects
@@ -681,47 +776,215 @@ class UnifyNormalizer {
       }
     }
 
-    // Handle operation results
-    if (parsedJson.result !== undefined) {
-      // Handle V6800 operation results
-      if (deviceType === 'V6800' && parsedJson.data) {
-        for (const item of parsedJson.data) {
+    return results;
+  }
+
+  /**
+   * Normalize V5008 device and module query responses
+   * @param {Object} parsedJson - Parsed JSON
+   * @param {Object} meta - Common metadata
+   * @returns {Array<Object>} Array of SUO objects
+   */
+  _normalizeDeviceQuery(parsedJson, meta) {
+    const results = [];
+    const { deviceId, deviceType } = parsedJson;
+
+    if (parsedJson.messageType === 'QRY_DEVICE_RESP') {
+      const { model, fwVer, ip, mask, gatewayIp, mac } = parsedJson;
+      results.push(this._createSUO(
+        {
+          deviceId,
+          deviceType,
+          modAddr: null, // Gateway level
+          sensorAddr: null,
+        },
+        'SYS_DEVICE_INFO',
+        {
+          key: 'device_info',
+          value: { model, fwVer, ip, mask, gatewayIp, mac },
+        },
+        meta,
+      ));
+    }
+
+    for (const module of parsedJson.modules || []) {
+      results.push(this._createSUO(
+        {
+          deviceId,
+          deviceType,
+          modAddr: module.modAddr,
+          sensorAddr: null,
+        },
+        'SYS_DEVICE_INFO',
+        {
+          key: 'module_info',
+          value: {
+            fwVer: module.fwVer,
+          },
+        },
+        meta,
+      ));
+    }
+
+    return results;
+  }
+
+  /**
+   * Normalize V5008 command responses (QRY_COLOR, SET_COLOR, CLR_ALARM)
+   * The module address is the second byte of the echoed request.
+   * @param {Object} parsedJson - Parsed JSON
+   * @param {Object} meta - Common metadata
+   * @returns {Array<Object>} Array of SUO objects
+   */
+  _normalizeCommandResponse(parsedJson, meta) {
+    const { deviceId, deviceType, originalReq = '', result } = parsedJson;
+    const identity = {
+      deviceId,
+      deviceType,
+      modAddr: parseInt(originalReq.substring(2, 4), 16) || 0,
+      sensorAddr: 0,
+    };
+
+    if (parsedJson.messageType === 'QRY_COLOR_RESP') {
+      return [this._createSUO(
+        identity,
+        'SYS_STATE_CHANGE',
+        {
+          key: 'color_map',
+          value: {
+            result,
+            colorMap: this._toColorMap(parsedJson.colorMap),
+          },
+        },
+        meta,
+      )];
+    }
+
+    return [this._createSUO(
+      identity,
+      'SYS_STATE_CHANGE',
+      {
+        key: 'operation_result',
+        value: {
+          operation: V5008_OPERATIONS[originalReq.substring(0, 2)] || 'UNKNOWN',
+          result,
+          originalReq,
+        },
+      },
+      meta,
+    )];
+  }
+
+  /**
+   * Normalize V6800 RFID query responses (u_state_resp)
+   * Each module is a full snapshot and is diffed like V5008 LabelState; empty
+   * U-levels are reported with a null tagId and skipped.
+   * @param {Object} parsedJson - Parsed JSON
+   * @param {Object} meta - Common metadata
+   * @returns {Array<Object>} Array of SUO objects
+   */
+  _normalizeRfidSnapshotV6800(parsedJson, meta) {
+    const { deviceId, deviceType } = parsedJson;
+
+    return (parsedJson.data || []).flatMap((moduleData) =>
+      this._diffRfidSnapshot(
+        { deviceId, deviceType, modAddr: moduleData.modAddr },
+        (moduleData.items || []).filter((item) => item.tagId),
+        {},
+        meta,
+      ),
+    );
+  }
+
+  /**
+   * Normalize V6800 OpeAck messages (query and command responses)
+   * @param {Object} parsedJson - Parsed JSON
+   * @param {Object} meta - Common metadata
+   * @returns {Array<Object>} Array of SUO objects
+   */
+  _normalizeOpeAckV6800(parsedJson, meta) {
+    const results = [];
+    const { deviceId, deviceType, rawMessageType } = parsedJson;
+
+    if (rawMessageType === 'u_state_resp') {
+      return this._normalizeRfidSnapshotV6800(parsedJson, meta);
+    }
+
+    for (const moduleData of parsedJson.data || []) {
+      const { modAddr } = moduleData;
+
+      switch (rawMessageType) {
+        case 'u_color':
           results.push(this._createSUO(
+            { deviceId, deviceType, modAddr, sensorAddr: 0 },
+            'SYS_STATE_CHANGE',
             {
-              deviceId,
-              deviceType,
-              modAddr: item.modAddr,
-              sensorAddr: 0
+              key: 'color_map',
+              value: {
+                result: 'Success',
+                colorMap: this._toColorMap(moduleData.colorMap),
+              },
             },
+            meta,
+          ));
+          break;
+
+        default:
+          results.push(this._createSUO(
+            { deviceId, deviceType, modAddr, sensorAddr: 0 },
             'SYS_STATE_CHANGE',
             {
               key: 'operation_result',
               value: {
-                result: item.result || parsedJson.result,
-                operation: parsedJson.rawMessageType
+                operation: V6800_OPERATIONS[rawMessageType] || 'UNKNOWN',
+                result: moduleData.result,
               }
             },
             meta
           ));
-        }
-      } else {
-        // Handle V5008 operation results
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Normalize G6000 GATEWAY_STATUS messages (status record plus data rate telemetry)
+   * @param {Object} parsedJson - Parsed JSON
+   * @param {Object} meta - Common metadata
+   * @returns {Array<Object>} Array of SUO objects
+   */
+  _normalizeGatewayStatusG6000(parsedJson, meta) {
+    const { deviceId, deviceType, status, dataRate = {} } = parsedJson;
+    const gateway = { deviceId, deviceType, modAddr: 0, sensorAddr: 0 };
+
+    const results = [this._createSUO(
+      gateway,
+      'SYS_STATE_CHANGE',
+      {
+        key: 'gateway_status',
+        value: {
+          status: status.systemHealth,
+          connectedDevices: status.connectedDevices,
+          totalDevices: status.totalDevices,
+          protocols: status.protocols,
+          services: status.services,
+        },
+      },
+      meta,
+    )];
+
+    const rates = [
+      ['data_rate_in', dataRate.incoming],
+      ['data_rate_out', dataRate.outgoing],
+    ];
+    for (const [key, value] of rates) {
+      if (value !== null && value !== undefined) {
         results.push(this._createSUO(
-          {
-            deviceId,
-            deviceType,
-            modAddr,
-            sensorAddr: 0
-          },
-          'SYS_STATE_CHANGE',
-          {
-            key: 'operation_result',
-            value: {
-              result: parsedJson.result,
-              originalReq: parsedJson.originalReq
-            }
-          },
-          meta
+          gateway,
+          'SYS_TELEMETRY',
+          { key, value, unit: dataRate.unit },
+          meta,
         ));
       }
     }
@@ -729,6 +992,68 @@ class UnifyNormalizer {
     return results;
   }
 
+  /**
+   * Normalize G6000 ALERT and SYSTEM_EVENT messages
+   * @param {Object} parsedJson - Parsed JSON
+   * @param {Object} meta - Common metadata
+   * @returns {Array<Object>} Array of SUO objects
+   */
+  _normalizeAlertG6000(parsedJson, meta) {
+    const { deviceId, deviceType, messageType } = parsedJson;
+
+    return [this._createSUO(
+      {
+        deviceId,
+        deviceType,
+        modAddr: 0, // Gateway level
+        sensorAddr: 0,
+      },
+      'SYS_ALERT',
+      messageType === 'ALERT'
+        ? { key: 'alert', value: parsedJson.alert }
+        : { key: 'system_event', value: parsedJson.event },
+      meta,
+    )];
+  }
+
+  /**
+   * Normalize G6000 query responses into device info records
+   * @param {Object} parsedJson - Parsed JSON
+   * @param {Object} meta - Common metadata
+   * @returns {Array<Object>} Array of SUO objects
+   */
+  _normalizeQueryG6000(parsedJson, meta) {
+    const { deviceId, deviceType, messageType } = parsedJson;
+
+    return [this._createSUO(
+      {
+        deviceId,
+        deviceType,
+        modAddr: null, // Gateway level
+        sensorAddr: null,
+      },
+      'SYS_DEVICE_INFO',
+      {
+        key: G6000_QUERY_KEYS[messageType],
+        value: parsedJson.response,
+      },
+      meta,
+    )];
+  }
+
+  /**
+   * Expand a per-U-level color code array into named entries
+   * @param {Array<number>} codes - Color codes indexed by uPos - 1
+   * @returns {Array<Object>} [{ uPos, colorCode, colorName }]
+   */
+  _toColorMap(codes = []) {
+    return codes.map((colorCode, index) => ({
+      uPos: index + 1,
+      colorCode,
+      colorName: COLOR_NAMES[colorCode] || 'UNKNOWN',
+    }));
+  }
+
   /**
    * Normalize V6800 Init messages (split device and module info)
    * @param {Object} parsedJson - Parsed JSON
@@ -826,7 +1151,13 @@ class UnifyNormalizer {
       meta: {
         uuid: meta.uuid,
         ts: meta.ts,
+        deviceTs: meta.deviceTs,
         receivedAt: meta.receivedAt,
+        processedAt: meta.processedAt,
+        clockSkewMs: meta.clockSkewMs,
+        late: meta.late,
+        messageId: meta.messageId,
+        ...(meta.commandId && { commandId: meta.commandId }),
         path: this._generatePath(identity.deviceId, identity.modAddr, identity.sensorAddr)
       },
       identity: {
@@ -856,6 +1187,7 @@ class UnifyNormalizer {
    */
   clearCache() {
     this.stateCache.clear();
+    this.clockSkew.clear();
   }
 }
 
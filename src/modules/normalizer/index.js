@@ -3,4 +3,6 @@
  */
 
 export { default as UnifiedNormalizer } from './UnifiedNormalizer.js';
+export { default as ParserRegistry } from './ParserRegistry.js';
+export { default as ParseError } from './ParseError.js';
 export * from './parsers/index.js';
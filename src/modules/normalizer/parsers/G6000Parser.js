@@ -1,24 +1,46 @@
 /**
  * G6000Parser.js
- * Parser for G6000 device messages
- * Minimal skeleton implementation - TODO: Implement based on device specifications
+ * Parser for G6000 gateway messages
+ * Implements the JSON protocol described in outdated-doc/message-format-g6000.md
  */
 
+// Fields every upload must carry, per message class
+const REQUIRED_FIELDS = {
+  HEARTBEAT: ['uptime'],
+  GATEWAY_STATUS: ['systemHealth'],
+  SENSOR_DATA: ['data'],
+  ALERT: ['alertId', 'severity', 'category'],
+  SYSTEM_EVENT: ['eventId', 'eventType'],
+  QRY_STATUS: ['responseData'],
+  QRY_SENSORS: ['responseData'],
+  QRY_GATEWAY: ['responseData'],
+};
+
 class G6000Parser {
   constructor() {
     this.deviceType = 'G6000';
+    this.version = '1.0.0';
+    this.topics = ['G6000Upload/#'];
   }
 
   /**
    * Parse G6000 specific MQTT message
    * @param {string} topic - MQTT topic
-   * @param {Buffer|string} message - MQTT message payload
+   * @param {Buffer|string} message - MQTT message payload (raw bytes or decoded text)
    * @returns {Object} Parsed intermediate format
    */
   parse(topic, message) {
     try {
-      // Minimal skeleton implementation - just extract basic info
-      const messageString = message.toString();
+      // Decode raw bytes as UTF-8, otherwise use as-is
+      const messageString =
+        message instanceof Uint8Array ? Buffer.from(message).toString('utf8') : String(message);
+
+      let rawMessage;
+      try {
+        rawMessage = JSON.parse(messageString);
+      } catch (parseError) {
+        throw new Error(`Invalid JSON in G6000 message: ${parseError.message}`);
+      }
 
       // Extract device information from topic
       // Expected topic format: G6000Upload/{deviceId}/{messageClass}
@@ -30,17 +52,44 @@ class G6000Parser {
       const deviceId = topicParts[1];
       const messageClass = topicParts[2];
 
-      // Skeleton parsing logic - return minimal structure for app to run
+      if (!REQUIRED_FIELDS[messageClass]) {
+        throw new Error(`Unsupported G6000 message class: ${messageClass}`);
+      }
+      this.validateMessage(rawMessage, messageClass);
+
+      let parsedData;
+
+      // Parse based on message class
+      switch (messageClass) {
+        case 'HEARTBEAT':
+          parsedData = this.parseHeartbeatMessage(rawMessage);
+          break;
+        case 'GATEWAY_STATUS':
+          parsedData = this.parseGatewayStatusMessage(rawMessage);
+          break;
+        case 'SENSOR_DATA':
+          parsedData = this.parseSensorDataMessage(rawMessage);
+          break;
+        case 'ALERT':
+          parsedData = this.parseAlertMessage(rawMessage);
+          break;
+        case 'SYSTEM_EVENT':
+          parsedData = this.parseSystemEventMessage(rawMessage);
+          break;
+        default:
+          parsedData = this.parseQueryResponse(rawMessage);
+      }
+
       return {
-        deviceId,
+        topic,
         deviceType: this.deviceType,
-        messageClass,
-        timestamp: new Date().toISOString(),
-        rawMessage: messageString,
-        data: {
-          msgType: 'UNKNOWN', // Placeholder
-          raw: messageString,
-        },
+        deviceId,
+        messageType: messageClass,
+        messageId: '',
+        ...parsedData,
+        // Gateways report their own ISO 8601 timestamp (device clock)
+        deviceTs: this.parseTimestamp(rawMessage.timestamp),
+        ts: new Date().toISOString(),
       };
     } catch (error) {
       throw new Error(`G6000 parser error: ${error.message}`);
@@ -48,12 +97,197 @@ class G6000Parser {
   }
 
   /**
-   * Validate if this parser can handle given topic
-   * @param {string} topic - MQTT topic
-   * @returns {boolean} True if this parser can handle topic
+   * Check that a message is an object carrying the fields its class requires
+   * @param {Object} rawMessage - Raw message object
+   * @param {string} messageClass - Message class from the topic
+   */
+  validateMessage(rawMessage, messageClass) {
+    if (!rawMessage || typeof rawMessage !== 'object' || Array.isArray(rawMessage)) {
+      throw new Error(`${messageClass} payload must be a JSON object`);
+    }
+
+    const missing = REQUIRED_FIELDS[messageClass].filter((field) => rawMessage[field] == null);
+    if (missing.length > 0) {
+      throw new Error(`${messageClass} message missing required field(s): ${missing.join(', ')}`);
+    }
+
+    if (rawMessage.queryType && rawMessage.queryType !== messageClass) {
+      throw new Error(`queryType ${rawMessage.queryType} does not match topic ${messageClass}`);
+    }
+  }
+
+  /**
+   * Parse HEARTBEAT message
+   * @param {Object} rawMessage - Raw message object
+   * @returns {Object} Parsed data
    */
-  canHandle(topic) {
-    return topic.startsWith('G6000Upload/');
+  parseHeartbeatMessage(rawMessage) {
+    return {
+      meta: {
+        uptime: Number(rawMessage.uptime) || 0,
+        cpuUsage: this.parseNumber(rawMessage.cpuUsage),
+        memoryUsage: this.parseNumber(rawMessage.memoryUsage),
+        diskUsage: this.parseNumber(rawMessage.diskUsage),
+        networkStatus: rawMessage.networkStatus || null,
+        activeConnections: this.parseNumber(rawMessage.activeConnections),
+      },
+      device: {
+        fwVer: rawMessage.firmwareVersion || null,
+        hwVer: rawMessage.hardwareVersion || null,
+      },
+    };
+  }
+
+  /**
+   * Parse GATEWAY_STATUS message
+   * @param {Object} rawMessage - Raw message object
+   * @returns {Object} Parsed data
+   */
+  parseGatewayStatusMessage(rawMessage) {
+    const dataRate = rawMessage.dataRate || {};
+
+    return {
+      status: {
+        systemHealth: rawMessage.systemHealth,
+        connectedDevices: this.parseNumber(rawMessage.connectedDevices),
+        totalDevices: this.parseNumber(rawMessage.totalDevices),
+        protocols: rawMessage.protocols || {},
+        services: rawMessage.services || {},
+      },
+      dataRate: {
+        incoming: this.parseNumber(dataRate.incoming),
+        outgoing: this.parseNumber(dataRate.outgoing),
+        unit: dataRate.unit || 'bytes/sec',
+      },
+    };
+  }
+
+  /**
+   * Parse SENSOR_DATA message (readings aggregated from a downstream device)
+   * @param {Object} rawMessage - Raw message object
+   * @returns {Object} Parsed data
+   */
+  parseSensorDataMessage(rawMessage) {
+    const { unit, ...values } = rawMessage.data;
+    const readings = [];
+
+    for (const [key, value] of Object.entries(values)) {
+      const number = this.parseNumber(value);
+      if (number !== null) {
+        readings.push({ key, value: number });
+      }
+    }
+
+    return {
+      source: {
+        deviceId: this.stripTypePrefix(rawMessage.sourceDevice, rawMessage.sourceDeviceType),
+        deviceType: rawMessage.sourceDeviceType || null,
+        modAddr: this.parseNumber(rawMessage.modNum),
+        modId: rawMessage.modId || null,
+      },
+      sensorType: rawMessage.sensorType || null,
+      unit: unit || null,
+      readings,
+      aggregation: {
+        quality: rawMessage.quality || null,
+        method: rawMessage.aggregationMethod || null,
+        period: this.parseNumber(rawMessage.aggregationPeriod),
+      },
+    };
+  }
+
+  /**
+   * Parse ALERT message
+   * @param {Object} rawMessage - Raw message object
+   * @returns {Object} Parsed data
+   */
+  parseAlertMessage(rawMessage) {
+    return {
+      messageId: String(rawMessage.alertId),
+      alert: {
+        alertId: String(rawMessage.alertId),
+        severity: rawMessage.severity,
+        category: rawMessage.category,
+        sourceDevice: rawMessage.sourceDevice || null,
+        sourceDeviceType: rawMessage.sourceDeviceType || null,
+        message: rawMessage.message || '',
+        details: rawMessage.details || {},
+        acknowledged: rawMessage.acknowledged === true,
+        resolved: rawMessage.resolved === true,
+      },
+    };
+  }
+
+  /**
+   * Parse SYSTEM_EVENT message
+   * @param {Object} rawMessage - Raw message object
+   * @returns {Object} Parsed data
+   */
+  parseSystemEventMessage(rawMessage) {
+    return {
+      messageId: String(rawMessage.eventId),
+      event: {
+        eventId: String(rawMessage.eventId),
+        eventType: rawMessage.eventType,
+        severity: rawMessage.severity || 'info',
+        message: rawMessage.message || '',
+        details: rawMessage.details || {},
+        impact: rawMessage.impact || null,
+      },
+    };
+  }
+
+  /**
+   * Parse QRY_STATUS / QRY_SENSORS / QRY_GATEWAY responses
+   * @param {Object} rawMessage - Raw message object
+   * @returns {Object} Parsed data
+   */
+  parseQueryResponse(rawMessage) {
+    return {
+      messageId: rawMessage.queryId ? String(rawMessage.queryId) : '',
+      queryId: rawMessage.queryId || null,
+      response: rawMessage.responseData,
+    };
+  }
+
+  /**
+   * Parse a numeric field, tolerating numeric strings
+   * @param {*} value - Field value
+   * @returns {number|null} Number or null if absent/not numeric
+   */
+  parseNumber(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  /**
+   * Use the device timestamp when it is a valid date
+   * @param {string} timestamp - ISO 8601 timestamp from the message
+   * @returns {string|null} ISO 8601 timestamp, or null if missing or invalid
+   */
+  parseTimestamp(timestamp) {
+    const date = timestamp ? new Date(timestamp) : null;
+    return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+  }
+
+  /**
+   * Gateways name downstream devices "<type>-<id>" (e.g. V5008-2437871205); strip the
+   * prefix so aggregated readings share the deviceId used by direct uploads
+   * @param {string} sourceDevice - Source device name
+   * @param {string} sourceDeviceType - Source device type
+   * @returns {string|null} Source deviceId
+   */
+  stripTypePrefix(sourceDevice, sourceDeviceType) {
+    if (!sourceDevice) {
+      return null;
+    }
+    const prefix = `${sourceDeviceType}-`;
+    return sourceDeviceType && sourceDevice.startsWith(prefix)
+      ? sourceDevice.slice(prefix.length)
+      : sourceDevice;
   }
 
   /**
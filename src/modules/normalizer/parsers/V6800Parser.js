@@ -4,21 +4,26 @@
  * Implements JSON protocol parsing for V6800 IoT devices
  */
 
+// Message fields that carry the device time, in order of preference
+const DEVICE_TIME_FIELDS = ['time_stamp', 'timestamp', 'time'];
+
 class V6800Parser {
   constructor() {
     this.deviceType = 'V6800';
+    this.version = '1.0.0';
+    this.topics = ['V6800Upload/#'];
   }
 
   /**
    * Parse V6800 specific MQTT message
    * @param {string} topic - MQTT topic
-   * @param {Buffer|string} message - MQTT message payload
+   * @param {Buffer|string} message - MQTT message payload (raw bytes or decoded text)
    * @returns {Object} Parsed intermediate format
    */
   parse(topic, message) {
     try {
-      // Convert message to string if it's a Buffer, otherwise use as-is
-      const messageString = message instanceof Buffer ? message.toString() : message;
+      // Decode raw bytes as UTF-8, otherwise use as-is
+      const messageString = message instanceof Uint8Array ? Buffer.from(message).toString('utf8') : message;
       
       // Parse JSON with error handling
       let rawMessage;
@@ -64,6 +69,9 @@ class V6800Parser {
           throw new Error(`Unsupported V6800 message class: ${messageClass}`);
       }
 
+      // Device clock, when the gateway firmware includes one
+      parsedData.deviceTs = this.parseDeviceTime(rawMessage);
+
       // Add ISO 8601 timestamp to root of parsed object
       parsedData.ts = new Date().toISOString();
 
@@ -325,12 +333,10 @@ class V6800Parser {
 
             // Parse color data
             if (module.color_data && Array.isArray(module.color_data)) {
-              for (const color of module.color_data) {
-                // Ensure colorMap has the right size based on u_num
-                for (let i = 0; i < (module.u_num || 0); i++) {
-                  const colorItem = color.color_data.find(c => c.index === i + 1);
-                  colorMap.push(colorItem ? colorItem.code : 0);
-                }
+              // Ensure colorMap has the right size based on u_num
+              for (let i = 0; i < (module.u_num || 0); i++) {
+                const colorItem = module.color_data.find(c => c.index === i + 1);
+                colorMap.push(colorItem ? colorItem.code : 0);
               }
             }
 
@@ -405,12 +411,22 @@ class V6800Parser {
   }
 
   /**
-   * Validate if this parser can handle the given topic
-   * @param {string} topic - MQTT topic
-   * @returns {boolean} True if this parser can handle the topic
+   * Read the device time of a message
+   * Firmware builds name the field differently and send ISO strings or epoch seconds/ms.
+   * @param {Object} rawMessage - Raw message object
+   * @returns {string|null} ISO 8601 timestamp, or null if the message carries none
    */
-  canHandle(topic) {
-    return topic.startsWith('V6800Upload/');
+  parseDeviceTime(rawMessage) {
+    const value = DEVICE_TIME_FIELDS.map(field => rawMessage[field]).find(v => v !== undefined && v !== null && v !== '');
+    if (value === undefined) {
+      return null;
+    }
+
+    // Epoch values below 1e12 are seconds
+    const date = typeof value === 'number'
+      ? new Date(value < 1e12 ? value * 1000 : value)
+      : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
   }
 
   /**
@@ -0,0 +1,412 @@
+/**
+ * PresenceTracker.js
+ * Heartbeat-driven online/offline tracking of gateways and their modules
+ *
+ * Every message from a device proves it is alive; heartbeats also teach the tracker the
+ * device's heartbeat interval unless one is configured. A device that stays silent for
+ * missedHeartbeats intervals goes offline, and so do its modules. A module that drops out of
+ * its gateway's heartbeat goes offline on its own. Each transition is emitted as an event
+ * (device.online/offline, module.online/offline) and as a SYS_LIFECYCLE 'presence' record on
+ * message.normalized, so storage keeps it like any other record.
+ */
+
+import { randomUUID } from 'crypto';
+import { BaseComponent } from '../../core/index.js';
+
+// Parsed messageType of gateway heartbeats (V5008/G6000, V6800)
+const HEARTBEAT_TYPES = new Set(['HEARTBEAT', 'HeartBeat']);
+
+// Weight of a new heartbeat gap in the learned interval
+const SMOOTHING = 0.2;
+
+class PresenceTracker extends BaseComponent {
+  constructor(options = {}) {
+    super('PresenceTracker');
+    this.options = options;
+    this.missedHeartbeats = options.missedHeartbeats || 3;
+    this.defaultInterval = options.defaultHeartbeatInterval || 60000; // Until one is learned
+    this.intervals = options.heartbeatIntervals || {}; // deviceId or deviceType -> ms
+    this.checkInterval = options.checkInterval || 5000;
+    this.checkTimer = null;
+    this.devices = new Map(); // deviceId -> device entry (with modules Map)
+    this.stats = { wentOnline: 0, wentOffline: 0 };
+  }
+
+  /**
+   * Initialize the presence tracker
+   */
+  async initialize() {
+    try {
+      this.logger.info('Initializing Presence Tracker...', {
+        missedHeartbeats: this.missedHeartbeats,
+        defaultHeartbeatInterval: this.defaultInterval,
+      });
+
+      // Duplicates and parse failures never reach message.parsed
+      this.on('message.parsed', this.handleParsedMessage.bind(this));
+
+      this.checkTimer = setInterval(() => this.check(), this.checkInterval);
+      this.checkTimer.unref();
+
+      this.initialized = true;
+      this.logger.info('Presence Tracker initialized successfully');
+
+      return true;
+    } catch (error) {
+      this.handleError(error, 'Failed to initialize Presence Tracker');
+      throw error;
+    }
+  }
+
+  /**
+   * Record that a device was heard from
+   * @param {Object} parsedData - Parsed message from a device parser
+   */
+  handleParsedMessage(parsedData) {
+    try {
+      const { deviceId, deviceType } = parsedData;
+      // Retained messages are replays, not signs of life
+      if (!deviceId || parsedData.retained) {
+        return;
+      }
+
+      const at = Date.parse(parsedData.receivedAt) || Date.now();
+      const device = this.getDevice(deviceId, deviceType, at);
+      const records = [];
+
+      device.lastSeenAt = Math.max(device.lastSeenAt || 0, at);
+      if (device.status !== 'online') {
+        records.push(this.transition(device, null, 'online', at, 'message_received'));
+      }
+
+      if (HEARTBEAT_TYPES.has(parsedData.messageType)) {
+        this.learnInterval(device, at);
+        device.lastHeartbeatAt = at;
+        if (Array.isArray(parsedData.modules)) {
+          records.push(...this.updateModules(device, parsedData.modules, at));
+        }
+      }
+
+      this.publish(records);
+    } catch (error) {
+      this.handleError(error, 'Failed to track device presence');
+    }
+  }
+
+  /**
+   * Mark devices offline that missed too many heartbeats
+   * @param {number} now - Current time in ms
+   */
+  check(now = Date.now()) {
+    const records = [];
+
+    for (const device of this.devices.values()) {
+      const interval = this.getInterval(device);
+      if (
+        device.status !== 'online' ||
+        now - device.lastSeenAt <= interval * this.missedHeartbeats
+      ) {
+        continue;
+      }
+
+      // Offline since the first heartbeat that did not arrive
+      const since = Math.min(device.lastSeenAt + interval, now);
+      records.push(this.transition(device, null, 'offline', since, 'missed_heartbeats'));
+      for (const module of device.modules.values()) {
+        if (module.status === 'online') {
+          records.push(this.transition(device, module, 'offline', since, 'gateway_offline'));
+        }
+      }
+    }
+
+    this.publish(records);
+  }
+
+  /**
+   * Bring listed modules online and take unlisted ones offline
+   * @param {Object} device - Device entry
+   * @param {Array<Object>} modules - Heartbeat module list [{ modAddr, modId, uTotal }]
+   * @param {number} at - Heartbeat time in ms
+   * @returns {Array<Object>} Transition records
+   */
+  updateModules(device, modules, at) {
+    const records = [];
+    const listed = new Set();
+
+    for (const { modAddr, modId } of modules) {
+      listed.add(modAddr);
+      let module = device.modules.get(modAddr);
+      if (!module) {
+        module = this.createEntry(at);
+        module.modAddr = modAddr;
+        device.modules.set(modAddr, module);
+      }
+      module.modId = modId;
+      module.lastSeenAt = at;
+      if (module.status !== 'online') {
+        records.push(this.transition(device, module, 'online', at, 'listed_in_heartbeat'));
+      }
+    }
+
+    for (const module of device.modules.values()) {
+      if (!listed.has(module.modAddr) && module.status === 'online') {
+        records.push(this.transition(device, module, 'offline', at, 'missing_from_heartbeat'));
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Update the learned heartbeat interval with the gap since the previous heartbeat
+   * Gaps long enough to have taken the device offline are outages, not intervals.
+   * @param {Object} device - Device entry
+   * @param {number} at - Heartbeat time in ms
+   */
+  learnInterval(device, at) {
+    if (!device.lastHeartbeatAt || at <= device.lastHeartbeatAt) {
+      return;
+    }
+
+    const gap = at - device.lastHeartbeatAt;
+    if (!device.learnedInterval) {
+      device.learnedInterval = gap;
+    } else if (gap <= device.learnedInterval * this.missedHeartbeats) {
+      device.learnedInterval = Math.round(
+        device.learnedInterval + (gap - device.learnedInterval) * SMOOTHING,
+      );
+    }
+  }
+
+  /**
+   * Heartbeat interval of a device: configured, learned or the default
+   * @param {Object} device - Device entry
+   * @returns {number} Interval in ms
+   */
+  getInterval(device) {
+    return (
+      this.intervals[device.deviceId] ??
+      this.intervals[device.deviceType] ??
+      device.learnedInterval ??
+      this.defaultInterval
+    );
+  }
+
+  /**
+   * Get or create the entry of a device
+   * @param {string} deviceId - Device ID
+   * @param {string} deviceType - Device type
+   * @param {number} at - First-seen time in ms
+   * @returns {Object} Device entry
+   */
+  getDevice(deviceId, deviceType, at) {
+    let device = this.devices.get(deviceId);
+    if (!device) {
+      device = {
+        ...this.createEntry(at),
+        deviceId,
+        deviceType,
+        lastHeartbeatAt: null,
+        learnedInterval: null,
+        modules: new Map(),
+      };
+      this.devices.set(deviceId, device);
+    }
+    return device;
+  }
+
+  /**
+   * New presence entry in the 'unknown' state
+   * @param {number} at - Creation time in ms
+   * @returns {Object} Entry
+   */
+  createEntry(at) {
+    return {
+      status: 'unknown',
+      since: at,
+      lastSeenAt: null,
+      onlineMs: 0,
+      offlineMs: 0,
+      transitions: 0,
+    };
+  }
+
+  /**
+   * Change the status of a device or module, accounting the time spent in the old one
+   * @param {Object} device - Device entry
+   * @param {Object|null} module - Module entry, null for the gateway itself
+   * @param {string} status - 'online' or 'offline'
+   * @param {number} at - Transition time in ms
+   * @param {string} reason - Why the status changed
+   * @returns {Object} SYS_LIFECYCLE record of the transition
+   */
+  transition(device, module, status, at, reason) {
+    const entry = module || device;
+    const previousStatus = entry.status;
+    const since = Math.max(at, entry.since);
+
+    if (previousStatus === 'online') {
+      entry.onlineMs += since - entry.since;
+    } else if (previousStatus === 'offline') {
+      entry.offlineMs += since - entry.since;
+    }
+    entry.status = status;
+    entry.since = since;
+    entry.transitions++;
+
+    const event = {
+      deviceId: device.deviceId,
+      deviceType: device.deviceType,
+      modAddr: module ? module.modAddr : 0,
+      ...(module && { modId: module.modId }),
+      status,
+      previousStatus,
+      reason,
+      since: new Date(since).toISOString(),
+      lastSeenAt: entry.lastSeenAt ? new Date(entry.lastSeenAt).toISOString() : null,
+      heartbeatInterval: this.getInterval(device),
+    };
+
+    if (status === 'online') {
+      this.stats.wentOnline++;
+    } else {
+      this.stats.wentOffline++;
+      this.logger.warn(`${module ? 'Module' : 'Device'} went offline`, event);
+    }
+    this.emit(`${module ? 'module' : 'device'}.${status}`, event);
+
+    return this.createRecord(event);
+  }
+
+  /**
+   * Build the SUO stored for a transition
+   * @param {Object} event - Transition event
+   * @returns {Object} SYS_LIFECYCLE record
+   */
+  createRecord(event) {
+    const { deviceId, deviceType, modAddr, since, ...value } = event;
+    return {
+      meta: {
+        uuid: randomUUID(),
+        ts: since,
+        deviceTs: null,
+        receivedAt: null,
+        processedAt: new Date().toISOString(),
+        clockSkewMs: null,
+        late: false,
+        messageId: null,
+        path: `${deviceId}/M${modAddr}/S0`,
+      },
+      identity: { deviceId, deviceType, modAddr, sensorAddr: 0 },
+      type: 'SYS_LIFECYCLE',
+      payload: { key: 'presence', value: { ...value, since } },
+    };
+  }
+
+  /**
+   * Hand transition records to storage
+   * @param {Array<Object>} records - SYS_LIFECYCLE records
+   */
+  publish(records) {
+    if (records.length > 0) {
+      this.emit('message.normalized', records);
+    }
+  }
+
+  /**
+   * Presence and uptime of an entry up to now
+   * @param {Object} entry - Device or module entry
+   * @param {number} now - Current time in ms
+   * @returns {Object} Statistics
+   */
+  describeEntry(entry, now) {
+    const current = Math.max(0, now - entry.since);
+    const onlineMs = entry.onlineMs + (entry.status === 'online' ? current : 0);
+    const offlineMs = entry.offlineMs + (entry.status === 'offline' ? current : 0);
+    return {
+      status: entry.status,
+      since: new Date(entry.since).toISOString(),
+      lastSeenAt: entry.lastSeenAt ? new Date(entry.lastSeenAt).toISOString() : null,
+      onlineMs,
+      offlineMs,
+      uptimeRatio: onlineMs + offlineMs > 0 ? onlineMs / (onlineMs + offlineMs) : null,
+      transitions: entry.transitions,
+    };
+  }
+
+  /**
+   * Get presence and uptime statistics of a device and its modules
+   * @param {string} deviceId - Device ID
+   * @param {number} now - Current time in ms
+   * @returns {Object|null} Statistics or null if the device was never heard from
+   */
+  getPresence(deviceId, now = Date.now()) {
+    const device = this.devices.get(deviceId);
+    if (!device) {
+      return null;
+    }
+
+    return {
+      deviceId,
+      deviceType: device.deviceType,
+      ...this.describeEntry(device, now),
+      heartbeatInterval: this.getInterval(device),
+      lastHeartbeatAt: device.lastHeartbeatAt
+        ? new Date(device.lastHeartbeatAt).toISOString()
+        : null,
+      modules: Array.from(device.modules.values(), (module) => ({
+        modAddr: module.modAddr,
+        modId: module.modId,
+        ...this.describeEntry(module, now),
+      })).sort((a, b) => a.modAddr - b.modAddr),
+    };
+  }
+
+  /**
+   * Get presence of every known device
+   * @returns {Array<Object>} Statistics per device
+   */
+  getAllPresence() {
+    const now = Date.now();
+    return Array.from(this.devices.keys(), (deviceId) => this.getPresence(deviceId, now));
+  }
+
+  /**
+   * Get presence tracker status
+   * @returns {Object} Presence tracker status
+   */
+  getStatus() {
+    const devices = Array.from(this.devices.values());
+    return {
+      ...super.getStatus(),
+      devices: devices.length,
+      online: devices.filter((device) => device.status === 'online').length,
+      offline: devices.filter((device) => device.status === 'offline').length,
+      ...this.stats,
+    };
+  }
+
+  /**
+   * Shutdown the presence tracker
+   */
+  async shutdown() {
+    if (this.shuttingDown) {
+      return;
+    }
+
+    this.shuttingDown = true;
+    this.logger.info('Shutting down Presence Tracker...');
+
+    try {
+      clearInterval(this.checkTimer);
+      this.removeAllEventListeners();
+
+      this.initialized = false;
+      this.logger.info('Presence Tracker shut down successfully');
+    } catch (error) {
+      this.handleError(error, 'Error during Presence Tracker shutdown');
+    }
+  }
+}
+
+export default PresenceTracker;
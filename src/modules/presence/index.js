@@ -0,0 +1,5 @@
+/**
+ * Presence module exports
+ */
+
+export { default as PresenceTracker } from './PresenceTracker.js';
@@ -0,0 +1,26 @@
+/**
+ * ColorCodes.js
+ * U-level light color codes shared by the V5008 and V6800 protocols: read from QRY_COLOR
+ * responses and written by SET_COLOR commands
+ */
+
+// Flash colors are base color + 7
+export const COLOR_CODES = {
+  OFF: 0,
+  RED: 1,
+  PURPLE: 2,
+  YELLOW: 3,
+  GREEN: 4,
+  CYAN: 5,
+  BLUE: 6,
+  WHITE: 7,
+  RED_F: 8,
+  PURPLE_F: 9,
+  YELLOW_F: 10,
+  GREEN_F: 11,
+  CYAN_F: 12,
+  BLUE_F: 13,
+  WHITE_F: 14,
+};
+
+export default COLOR_CODES;
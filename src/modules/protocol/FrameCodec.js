@@ -0,0 +1,397 @@
+/**
+ * FrameCodec.js
+ * Declarative binary frame engine: the same frame definitions drive decoding and encoding
+ *
+ * A frame definition is { name, match, fields }:
+ * - match: { byteOffset: hex | [hex, ...] } bytes that identify the frame within its group
+ * - fields: ordered field definitions { name, type, ... }
+ *
+ * Field types (multi-byte integers are big-endian):
+ * - uint8, int8, uint16, uint32: integers
+ * - hex: raw bytes as an uppercase hex string ({ size, min, value })
+ * - decimal: signed integer byte + hundredths byte (e.g. 1C 30 = 28.48)
+ * - ipv4: 4 bytes as dotted notation
+ * - mac: 6 bytes as colon-separated hex
+ * - skip: unnamed bytes ({ size, sizes, encodeSize }), zero-filled when encoding
+ * - repeat: { count, fields } (items are objects) or { count, item } (items are scalars)
+ *
+ * Sizes and counts are numbers or functions of the frame ({ totalBytes, values }) so that
+ * lengths derived from the packet size (e.g. N = (Total_Packet_Bytes - 6) / 5) are declared
+ * next to the fields they size. A repeat count may also name an earlier field.
+ *
+ * Decoding raises ParseError (FRAME_TOO_SHORT, FRAME_LENGTH_MISMATCH, UNKNOWN_HEADER,
+ * UNSUPPORTED_MESSAGE_CLASS); encoding raises Error for values that do not fit.
+ */
+
+import ParseError from '../normalizer/ParseError.js';
+
+// Fixed sizes of the scalar field types in bytes
+const TYPE_SIZES = {
+  uint8: 1,
+  int8: 1,
+  uint16: 2,
+  uint32: 4,
+  decimal: 2,
+  ipv4: 4,
+  mac: 6,
+};
+
+// Value ranges accepted when encoding integer types
+const INTEGER_RANGES = {
+  uint8: { min: 0, max: 0xff },
+  int8: { min: -0x80, max: 0x7f },
+  uint16: { min: 0, max: 0xffff },
+  uint32: { min: 0, max: 0xffffffff },
+};
+
+/**
+ * Read one scalar field
+ * @param {Object} field - Field definition
+ * @param {Buffer} buffer - Frame
+ * @param {number} offset - Byte offset
+ * @param {number} size - Field size in bytes
+ * @returns {*} Decoded value
+ */
+function readScalar(field, buffer, offset, size) {
+  switch (field.type) {
+    case 'uint8':
+      return buffer.readUInt8(offset);
+    case 'int8':
+      return buffer.readInt8(offset);
+    case 'uint16':
+      return buffer.readUInt16BE(offset);
+    case 'uint32':
+      return buffer.readUInt32BE(offset);
+    case 'decimal': {
+      const integer = buffer.readInt8(offset);
+      const value = Math.abs(integer) + buffer.readUInt8(offset + 1) / 100.0;
+      return integer < 0 ? -value : value;
+    }
+    case 'ipv4':
+      return Array.from(buffer.subarray(offset, offset + 4)).join('.');
+    case 'mac':
+      return buffer
+        .subarray(offset, offset + 6)
+        .toString('hex')
+        .toUpperCase()
+        .match(/../g)
+        .join(':');
+    case 'hex':
+      return buffer
+        .subarray(offset, offset + size)
+        .toString('hex')
+        .toUpperCase();
+    default:
+      throw new Error(`Unknown field type: ${field.type}`);
+  }
+}
+
+/**
+ * Convert one scalar value to bytes
+ * @param {Object} field - Field definition
+ * @param {*} value - Value to encode
+ * @param {string} path - Field path for error messages
+ * @returns {Array<number>} Bytes
+ */
+function writeScalar(field, value, path) {
+  const invalid = (expected) => new Error(`Invalid ${path}: ${value} (expected ${expected})`);
+
+  switch (field.type) {
+    case 'uint8':
+    case 'int8':
+    case 'uint16':
+    case 'uint32': {
+      const { min, max } = INTEGER_RANGES[field.type];
+      if (!Number.isInteger(value) || value < min || value > max) {
+        throw invalid(`${field.type} ${min}-${max}`);
+      }
+      const size = TYPE_SIZES[field.type];
+      const bytes = Buffer.alloc(size);
+      if (field.type === 'int8') {
+        bytes.writeInt8(value);
+      } else {
+        bytes.writeUIntBE(value, 0, size);
+      }
+      return [...bytes];
+    }
+    case 'decimal': {
+      if (typeof value !== 'number' || !Number.isFinite(value) || Math.abs(value) >= 128) {
+        throw invalid('number between -127.99 and 127.99');
+      }
+      let integer = Math.trunc(value);
+      let hundredths = Math.round(Math.abs(value - integer) * 100);
+      if (hundredths === 100) {
+        integer += value < 0 ? -1 : 1;
+        hundredths = 0;
+      }
+      return [integer & 0xff, hundredths];
+    }
+    case 'ipv4': {
+      const parts = typeof value === 'string' ? value.split('.').map(Number) : [];
+      if (
+        parts.length !== 4 ||
+        parts.some((part) => !Number.isInteger(part) || part < 0 || part > 255)
+      ) {
+        throw invalid('dotted IPv4 address');
+      }
+      return parts;
+    }
+    case 'mac': {
+      const hex = typeof value === 'string' ? value.replace(/:/g, '') : '';
+      if (!/^[0-9A-Fa-f]{12}$/.test(hex)) {
+        throw invalid('MAC address');
+      }
+      return [...Buffer.from(hex, 'hex')];
+    }
+    case 'hex': {
+      if (typeof value !== 'string' || !/^([0-9A-Fa-f]{2})*$/.test(value)) {
+        throw invalid('hex string of whole bytes');
+      }
+      return [...Buffer.from(value, 'hex')];
+    }
+    default:
+      throw new Error(`Unknown field type: ${field.type}`);
+  }
+}
+
+/**
+ * Decode a frame against one definition
+ * @param {Object} definition - Frame definition
+ * @param {Buffer} buffer - Frame
+ * @returns {Object} Field values by name
+ */
+export function decodeFrame(definition, buffer) {
+  const frame = { totalBytes: buffer.length, values: {} };
+  let offset = 0;
+
+  const fail = (code, detail) =>
+    new ParseError(code, `${definition.name} frame is ${frame.totalBytes} bytes, ${detail}`);
+
+  // Evaluate a declared size or count, rejecting lengths the frame cannot have
+  const resolve = (spec, field, scope) => {
+    const n =
+      typeof spec === 'function' ? spec(frame) : typeof spec === 'string' ? scope[spec] : spec;
+    if (n < 0) {
+      throw fail('FRAME_TOO_SHORT', `too short for ${field.name || field.type}`);
+    }
+    if (!Number.isInteger(n)) {
+      throw fail('FRAME_LENGTH_MISMATCH', `does not fit whole ${field.name || field.type} entries`);
+    }
+    if (field.sizes && !field.sizes.includes(n)) {
+      throw fail(
+        'FRAME_LENGTH_MISMATCH',
+        `${field.name || field.type} size ${n} not in [${field.sizes}]`,
+      );
+    }
+    if (field.min !== undefined && n < field.min) {
+      throw fail('FRAME_TOO_SHORT', `${field.name} needs at least ${field.min} bytes`);
+    }
+    return n;
+  };
+
+  const readField = (field, scope) => {
+    if (field.type === 'repeat') {
+      const count = resolve(field.count, field, scope);
+      const items = [];
+      for (let i = 0; i < count; i++) {
+        items.push(field.item ? readField(field.item, scope) : readFields(field.fields, {}));
+      }
+      return items;
+    }
+
+    const size = TYPE_SIZES[field.type] ?? resolve(field.size, field, scope);
+    if (offset + size > frame.totalBytes) {
+      throw fail('FRAME_TOO_SHORT', `too short for ${field.name || field.type} at byte ${offset}`);
+    }
+
+    const value = field.type === 'skip' ? undefined : readScalar(field, buffer, offset, size);
+    offset += size;
+    return value;
+  };
+
+  const readFields = (fields, scope) => {
+    for (const field of fields) {
+      const value = readField(field, scope);
+      if (field.name) {
+        scope[field.name] = value;
+      }
+    }
+    return scope;
+  };
+
+  readFields(definition.fields, frame.values);
+
+  if (offset !== frame.totalBytes) {
+    throw fail('FRAME_LENGTH_MISMATCH', `expected ${offset}`);
+  }
+
+  return frame.values;
+}
+
+/**
+ * Encode values into a frame
+ * Fields missing from values fall back to the definition's fixed value (e.g. command codes);
+ * counts that name another field are filled in from the repeated array when absent.
+ * @param {Object} definition - Frame definition
+ * @param {Object} values - Field values by name
+ * @returns {Buffer} Frame
+ */
+export function encodeFrame(definition, values = {}) {
+  const bytes = [];
+
+  const writeField = (field, value, path) => {
+    if (field.type === 'skip') {
+      const size = field.encodeSize ?? field.size;
+      if (!Number.isInteger(size)) {
+        throw new Error(`${path} has no fixed size to encode`);
+      }
+      bytes.push(...new Array(size).fill(0));
+      return;
+    }
+
+    if (field.type === 'repeat') {
+      if (!Array.isArray(value)) {
+        throw new Error(`Invalid ${path}: expected an array`);
+      }
+      if (Number.isInteger(field.count) && value.length !== field.count) {
+        throw new Error(`Invalid ${path}: expected ${field.count} entries, got ${value.length}`);
+      }
+      value.forEach((item, i) =>
+        field.item
+          ? writeField(field.item, item, `${path}[${i}]`)
+          : writeFields(field.fields, item || {}, `${path}[${i}].`),
+      );
+      return;
+    }
+
+    const resolved = value ?? field.value;
+    if (resolved === undefined || resolved === null) {
+      throw new Error(`Missing value for ${path}`);
+    }
+
+    const encoded = writeScalar(field, resolved, path);
+    if (field.type === 'hex') {
+      if (Number.isInteger(field.size) && encoded.length !== field.size) {
+        throw new Error(`Invalid ${path}: ${resolved} (expected ${field.size} bytes)`);
+      }
+      if (field.min !== undefined && encoded.length < field.min) {
+        throw new Error(`Invalid ${path}: ${resolved} (expected at least ${field.min} bytes)`);
+      }
+    }
+    bytes.push(...encoded);
+  };
+
+  const writeFields = (fields, scope, prefix = '') => {
+    const filled = { ...scope };
+    for (const field of fields) {
+      if (field.type === 'repeat' && typeof field.count === 'string') {
+        const items = filled[field.name];
+        const declared = filled[field.count];
+        if (declared === undefined || declared === null) {
+          filled[field.count] = Array.isArray(items) ? items.length : declared;
+        } else if (Array.isArray(items) && declared !== items.length) {
+          throw new Error(
+            `Invalid ${prefix}${field.count}: ${declared} (${field.name} has ${items.length} entries)`,
+          );
+        }
+      }
+    }
+    for (const field of fields) {
+      writeField(
+        field,
+        field.name ? filled[field.name] : undefined,
+        `${prefix}${field.name || field.type}`,
+      );
+    }
+  };
+
+  writeFields(definition.fields, values);
+  return Buffer.from(bytes);
+}
+
+/**
+ * Check whether a frame carries the identifying bytes of a definition
+ * @param {Object} definition - Frame definition
+ * @param {Buffer} buffer - Frame
+ * @returns {boolean} True if every match offset holds an allowed byte
+ */
+export function matchesFrame(definition, buffer) {
+  return Object.entries(definition.match || {}).every(([offset, allowed]) => {
+    const index = Number(offset);
+    if (index >= buffer.length) {
+      return false;
+    }
+    const byte = buffer
+      .subarray(index, index + 1)
+      .toString('hex')
+      .toUpperCase();
+    return [].concat(allowed).includes(byte);
+  });
+}
+
+class FrameCodec {
+  /**
+   * @param {Object} frames - Frame definitions grouped by topic class, e.g.
+   *   { OpeAck: [definition, ...], TemHum: [...], Download: [...] }
+   */
+  constructor(frames) {
+    this.frames = frames;
+    this.definitions = new Map();
+
+    for (const definitions of Object.values(frames)) {
+      for (const definition of definitions) {
+        if (this.definitions.has(definition.name)) {
+          throw new Error(`Duplicate frame definition: ${definition.name}`);
+        }
+        this.definitions.set(definition.name, definition);
+      }
+    }
+  }
+
+  /**
+   * Decode a frame received on a topic class
+   * Definitions of a group are tried in order; the first whose match bytes fit is used.
+   * @param {string} group - Topic class (e.g. 'OpeAck', 'TemHum', 'Download')
+   * @param {Buffer} buffer - Frame
+   * @returns {Object} { name, values }
+   */
+  decode(group, buffer) {
+    const definitions = this.frames[group];
+    if (!definitions) {
+      throw new ParseError('UNSUPPORTED_MESSAGE_CLASS', `Unsupported message class: ${group}`);
+    }
+
+    const definition = definitions.find((candidate) => matchesFrame(candidate, buffer));
+    if (!definition) {
+      const header = buffer.subarray(0, 2).toString('hex').toUpperCase();
+      throw new ParseError('UNKNOWN_HEADER', `Unknown ${group} message header: ${header}`);
+    }
+
+    return { name: definition.name, values: decodeFrame(definition, buffer) };
+  }
+
+  /**
+   * Encode a frame by definition name
+   * @param {string} name - Frame name (e.g. 'SET_COLOR')
+   * @param {Object} values - Field values by name
+   * @returns {Buffer} Frame
+   */
+  encode(name, values) {
+    return encodeFrame(this.getDefinition(name), values);
+  }
+
+  /**
+   * Get a frame definition by name
+   * @param {string} name - Frame name
+   * @returns {Object} Frame definition
+   */
+  getDefinition(name) {
+    const definition = this.definitions.get(name);
+    if (!definition) {
+      throw new Error(`Unknown frame: ${name}`);
+    }
+    return definition;
+  }
+}
+
+export default FrameCodec;
@@ -0,0 +1,330 @@
+/**
+ * V5008Frames.js
+ * V5008 binary frame definitions, per protocol version (see docs/V5008_V1.4.md)
+ *
+ * Upload frames are grouped by topic class (V5008Upload/{deviceId}/{class}) and tried in
+ * order; download frames (V5008Download/{deviceId}) are grouped under 'Download'.
+ * Every frame ends with a 4-byte messageId except download commands.
+ *
+ * Only the documented 1.4 layout is built in. Gateway firmware that differs in layout is
+ * described by extra frame definitions (see framesFor) and mapped to them by configured
+ * firmware variants (see protocolVersionFor); neither is part of the protocol document.
+ */
+
+const messageId = { name: 'messageId', type: 'uint32' };
+
+// Upload header byte + gateway deviceId + result code shared by command responses
+const RESPONSE_HEADER = [
+  { name: 'header', type: 'hex', size: 1, value: 'AA' },
+  { name: 'gatewayId', type: 'uint32' },
+  { name: 'resultCode', type: 'uint8' },
+];
+
+// Echoed request of variable length: Total - Header(1) - DevId(4) - Result(1) - msgId(4)
+const originalReq = {
+  name: 'originalReq',
+  type: 'hex',
+  size: ({ totalBytes }) => totalBytes - 10,
+  min: 2,
+};
+
+/**
+ * Download command addressed to one module: [command][modAddr]
+ * @param {string} name - Frame name
+ * @param {string} command - Command code as hex
+ * @returns {Object} Frame definition
+ */
+const moduleQuery = (name, command) => ({
+  name,
+  match: { 0: command.substring(0, 2), 1: command.substring(2, 4) },
+  fields: [
+    { name: 'command', type: 'hex', size: 2, value: command },
+    { name: 'modAddr', type: 'uint8' },
+  ],
+});
+
+const V1_4 = {
+  OpeAck: [
+    {
+      // [CB/CC]([modAddr + modId(4B) + uTotal] x 10) [msgId(4B)]
+      name: 'HEARTBEAT',
+      match: { 0: ['CB', 'CC'] },
+      fields: [
+        { name: 'header', type: 'hex', size: 1, value: 'CC' },
+        {
+          name: 'modules',
+          type: 'repeat',
+          count: 10,
+          fields: [
+            { name: 'modAddr', type: 'uint8' },
+            { name: 'modId', type: 'uint32' },
+            { name: 'uTotal', type: 'uint8' },
+          ],
+        },
+        messageId,
+      ],
+    },
+    {
+      // [BA][modAddr][modId(4B)][doorState] [msgId(4B)]
+      name: 'DOOR_STATE',
+      match: { 0: 'BA' },
+      fields: [
+        { name: 'header', type: 'hex', size: 1, value: 'BA' },
+        { name: 'modAddr', type: 'uint8' },
+        { name: 'modId', type: 'uint32' },
+        { name: 'doorState', type: 'uint8' },
+        messageId,
+      ],
+    },
+    {
+      // [EF][01][model(2B)][fwVersion(4B)][ip(4B)][mask(4B)][gateway(4B)][mac(6B)] [msgId(4B)]
+      name: 'QRY_DEVICE_RESP',
+      match: { 0: 'EF', 1: '01' },
+      fields: [
+        { name: 'header', type: 'hex', size: 2, value: 'EF01' },
+        { name: 'model', type: 'hex', size: 2 },
+        { name: 'fwVer', type: 'uint32' },
+        { name: 'ip', type: 'ipv4' },
+        { name: 'mask', type: 'ipv4' },
+        { name: 'gatewayIp', type: 'ipv4' },
+        { name: 'mac', type: 'mac' },
+        messageId,
+      ],
+    },
+    {
+      // [EF][02]([modAddr + fwVersion(4B)] x N) [msgId(4B)], N = (Total_Packet_Bytes - 6) / 5
+      name: 'QRY_MODULE_RESP',
+      match: { 0: 'EF', 1: '02' },
+      fields: [
+        { name: 'header', type: 'hex', size: 2, value: 'EF02' },
+        {
+          name: 'modules',
+          type: 'repeat',
+          count: ({ totalBytes }) => (totalBytes - 6) / 5,
+          fields: [
+            { name: 'modAddr', type: 'uint8' },
+            { name: 'fwVer', type: 'uint32' },
+          ],
+        },
+        messageId,
+      ],
+    },
+    {
+      // [AA][deviceId(4B)][result][E4][modAddr]([colorCode] x N) [msgId(4B)]
+      // No count field: N = Total_Packet_Bytes - 12
+      name: 'QRY_COLOR_RESP',
+      match: { 0: 'AA', 6: 'E4' },
+      fields: [
+        ...RESPONSE_HEADER,
+        { name: 'originalReq', type: 'hex', size: 2 },
+        {
+          name: 'colorMap',
+          type: 'repeat',
+          count: ({ totalBytes }) => totalBytes - 12,
+          item: { type: 'uint8' },
+        },
+        messageId,
+      ],
+    },
+    {
+      // [AA][deviceId(4B)][result][E1 + modAddr + ...] [msgId(4B)]
+      name: 'SET_COLOR_RESP',
+      match: { 0: 'AA', 6: 'E1' },
+      fields: [...RESPONSE_HEADER, originalReq, messageId],
+    },
+    {
+      // [AA][deviceId(4B)][result][E2 + modAddr + ...] [msgId(4B)]
+      name: 'CLR_ALARM_RESP',
+      match: { 0: 'AA', 6: 'E2' },
+      fields: [...RESPONSE_HEADER, originalReq, messageId],
+    },
+    {
+      // Response to any other command, kept raw for tracing
+      name: 'UNKNOWN_RESP',
+      match: { 0: 'AA' },
+      fields: [...RESPONSE_HEADER, originalReq, messageId],
+    },
+  ],
+
+  LabelState: [
+    {
+      // [BB][modAddr][modId(4B)][reserved][uTotal][onlineCount]
+      // ([uPos][alarmStatus][tagId(4B)] x onlineCount) [msgId(4B)]
+      name: 'RFID',
+      match: { 0: 'BB' },
+      fields: [
+        { name: 'header', type: 'hex', size: 1, value: 'BB' },
+        { name: 'modAddr', type: 'uint8' },
+        { name: 'modId', type: 'uint32' },
+        { type: 'skip', size: 1 },
+        { name: 'uTotal', type: 'uint8' },
+        { name: 'onlineCount', type: 'uint8' },
+        {
+          name: 'items',
+          type: 'repeat',
+          count: 'onlineCount',
+          fields: [
+            { name: 'uPos', type: 'uint8' },
+            { name: 'alarmStatus', type: 'uint8' },
+            { name: 'tagId', type: 'hex', size: 4 },
+          ],
+        },
+        messageId,
+      ],
+    },
+  ],
+
+  TemHum: [
+    {
+      // [modAddr][modId(4B)]([sensorAddr + temp(2B) + hum(2B)] x 6) [msgId(4B)]
+      name: 'TEMP_HUM',
+      fields: [
+        { name: 'modAddr', type: 'uint8' },
+        { name: 'modId', type: 'uint32' },
+        {
+          name: 'sensors',
+          type: 'repeat',
+          count: 6,
+          fields: [
+            { name: 'sensorAddr', type: 'uint8' },
+            { name: 'temp', type: 'decimal' },
+            { name: 'hum', type: 'decimal' },
+          ],
+        },
+        messageId,
+      ],
+    },
+  ],
+
+  Noise: [
+    {
+      // [modAddr][modId(4B)]([sensorAddr + noise(2B) (+ padding)] x 3) [msgId(4B)]
+      // The spec table lists 3-byte slots, but devices pad each slot to 5 bytes
+      // (same width as a TemHum slot); the padding comes from the frame length
+      name: 'NOISE',
+      fields: [
+        { name: 'modAddr', type: 'uint8' },
+        { name: 'modId', type: 'uint32' },
+        {
+          name: 'sensors',
+          type: 'repeat',
+          count: 3,
+          fields: [
+            { name: 'sensorAddr', type: 'uint8' },
+            { name: 'noise', type: 'decimal' },
+            {
+              type: 'skip',
+              size: ({ totalBytes }) => (totalBytes - 9) / 3 - 3,
+              sizes: [0, 2],
+              encodeSize: 2,
+            },
+          ],
+        },
+        messageId,
+      ],
+    },
+  ],
+
+  Download: [
+    moduleQuery('QRY_RFID', 'E901'),
+    moduleQuery('QRY_TEMP_HUM', 'E902'),
+    moduleQuery('QRY_DOOR_STATE', 'E903'),
+    moduleQuery('QRY_NOISE', 'E904'),
+    {
+      name: 'QRY_DEVICE',
+      match: { 0: 'EF', 1: '01' },
+      fields: [{ name: 'command', type: 'hex', size: 3, value: 'EF0100' }],
+    },
+    {
+      name: 'QRY_MODULE',
+      match: { 0: 'EF', 1: '02' },
+      fields: [{ name: 'command', type: 'hex', size: 3, value: 'EF0200' }],
+    },
+    {
+      // [E1][modAddr]([uPos][colorCode] x N)
+      name: 'SET_COLOR',
+      match: { 0: 'E1' },
+      fields: [
+        { name: 'command', type: 'hex', size: 1, value: 'E1' },
+        { name: 'modAddr', type: 'uint8' },
+        {
+          name: 'colors',
+          type: 'repeat',
+          count: ({ totalBytes }) => (totalBytes - 2) / 2,
+          fields: [
+            { name: 'uPos', type: 'uint8' },
+            { name: 'colorCode', type: 'uint8' },
+          ],
+        },
+      ],
+    },
+    {
+      // [E4][modAddr]
+      name: 'QRY_COLOR',
+      match: { 0: 'E4' },
+      fields: [
+        { name: 'command', type: 'hex', size: 1, value: 'E4' },
+        { name: 'modAddr', type: 'uint8' },
+      ],
+    },
+    {
+      // [E2][modAddr]([uPos] x N)
+      name: 'CLR_ALARM',
+      match: { 0: 'E2' },
+      fields: [
+        { name: 'command', type: 'hex', size: 1, value: 'E2' },
+        { name: 'modAddr', type: 'uint8' },
+        {
+          name: 'positions',
+          type: 'repeat',
+          count: ({ totalBytes }) => totalBytes - 2,
+          item: { type: 'uint8' },
+        },
+      ],
+    },
+  ],
+};
+
+// Frame definitions by protocol version
+export const V5008_FRAMES = {
+  1.4: V1_4,
+};
+
+export const DEFAULT_PROTOCOL_VERSION = '1.4';
+
+/**
+ * Get the frame definitions of a protocol version
+ * @param {string} protocolVersion - V5008 protocol version
+ * @param {Object} extraFrames - Additional frame definitions by protocol version, e.g. the
+ *   layout of a firmware variant taken from a frame capture (checked before V5008_FRAMES)
+ * @returns {Object} Frame definitions
+ * @throws {Error} If the version is not defined
+ */
+export function framesFor(protocolVersion, extraFrames = {}) {
+  const frames = extraFrames[protocolVersion] || V5008_FRAMES[protocolVersion];
+  if (!frames) {
+    throw new Error(`Unsupported V5008 protocol version: ${protocolVersion}`);
+  }
+  return frames;
+}
+
+/**
+ * Select the protocol version of a gateway firmware build
+ * @param {string|null} fwVer - Firmware version from QRY_DEVICE_RESP, null if unknown
+ * @param {Array<Object>} variants - Configured firmware variants: { minFwVer, protocolVersion }
+ *   for the builds (fwVer, yyMMddHHmm) from minFwVer on
+ * @returns {string} Protocol version of the newest variant the build reaches
+ *   (DEFAULT_PROTOCOL_VERSION if the firmware is unknown or no variant applies)
+ */
+export function protocolVersionFor(fwVer, variants = []) {
+  const build = Number(fwVer);
+  if (!fwVer || !Number.isFinite(build)) {
+    return DEFAULT_PROTOCOL_VERSION;
+  }
+  const variant = [...variants]
+    .sort((a, b) => Number(b.minFwVer) - Number(a.minFwVer))
+    .find(({ minFwVer }) => build >= Number(minFwVer));
+  return variant ? variant.protocolVersion : DEFAULT_PROTOCOL_VERSION;
+}
+
+export default V5008_FRAMES;
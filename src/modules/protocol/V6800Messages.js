@@ -0,0 +1,14 @@
+/**
+ * V6800Messages.js
+ * V6800 JSON message types (see docs/V6800_V1.3.md)
+ */
+
+// Request msg_type per command, paired with the response msg_type the gateway answers with
+export const MSG_TYPES = {
+  QRY_RFID: { request: 'u_state_req', response: 'u_state_resp' },
+  QRY_COLOR: { request: 'get_u_color', response: 'u_color' },
+  SET_COLOR: { request: 'set_module_property_req', response: 'set_module_property_result_req' },
+  CLR_ALARM: { request: 'clear_u_warning', response: 'clear_u_warning' },
+};
+
+export default MSG_TYPES;
@@ -0,0 +1,13 @@
+/**
+ * Protocol module exports
+ */
+
+export { default as FrameCodec, decodeFrame, encodeFrame, matchesFrame } from './FrameCodec.js';
+export { COLOR_CODES } from './ColorCodes.js';
+export { MSG_TYPES as V6800_MSG_TYPES } from './V6800Messages.js';
+export {
+  V5008_FRAMES,
+  DEFAULT_PROTOCOL_VERSION as V5008_DEFAULT_PROTOCOL_VERSION,
+  protocolVersionFor as v5008ProtocolVersionFor,
+  framesFor as v5008FramesFor,
+} from './V5008Frames.js';
@@ -9,11 +9,101 @@ import { BaseComponent } from '../../core/index.js';
 import WriteBuffer from './WriteBuffer.js';
 import Cache from './Cache.js';
 import DatabaseConfigManager from './DatabaseConfigManager.js';
+import TagInventory from './TagInventory.js';
+
+// Table layouts: 'unified' is iot_unified_data (migrations 003 and 005), 'sensor_data' is the
+// legacy table (timing fields, the SUO type and sensor address stay in its meta JSON)
+const SCHEMAS = {
+  unified: {
+    table: 'iot_unified_data',
+    columns: [
+      'device_id',
+      'device_type',
+      'module_index',
+      'sensor_index',
+      'message_class',
+      'data_key',
+      'num_value',
+      'str_value',
+      'json_value',
+      'ts_device',
+      'ts_received',
+      'ts_processed',
+      'clock_skew_ms',
+      'is_late',
+      'message_id',
+      'raw_message',
+    ],
+    ts: 'ts_device',
+    late: 'is_late',
+    module: 'module_index',
+    sensor: 'sensor_index',
+    messageClass: 'message_class',
+    dataKey: 'data_key',
+    // RFID events keep the tag ID in str_value (migration 006 indexes it)
+    tag: 'str_value',
+  },
+  sensor_data: {
+    table: 'sensor_data',
+    columns: [
+      'device_id',
+      'device_type',
+      'module_number',
+      'module_id',
+      'sensor_type',
+      'msg_type',
+      'payload',
+      'meta',
+      'ts',
+    ],
+    ts: 'ts',
+    late: null,
+    module: 'module_number',
+    sensor: null,
+    messageClass: 'sensor_type',
+    dataKey: "JSON_UNQUOTE(JSON_EXTRACT(payload, '$.key'))",
+    tag: "JSON_UNQUOTE(JSON_EXTRACT(payload, '$.value.tagId'))",
+  },
+};
+
+// SUO type -> iot_unified_data message_class
+const MESSAGE_CLASSES = {
+  SYS_TELEMETRY: 'TELEMETRY',
+  SYS_RFID_EVENT: 'EVENT',
+  SYS_RFID_SNAPSHOT: 'STATE',
+  SYS_STATE_CHANGE: 'STATE',
+  SYS_DEVICE_INFO: 'STATE',
+  SYS_LIFECYCLE: 'STATE',
+  SYS_ALERT: 'EVENT',
+};
+
+// SUO payload key -> sensor_data [sensor_type, msg_type], as documented by migration 001
+const SENSOR_DATA_TYPES = {
+  temperature: ['TEMP_HUM', 'TEMP_HUM'],
+  humidity: ['TEMP_HUM', 'TEMP_HUM'],
+  noise: ['NOISE', 'NOISE'],
+  rfid_event: ['USENSOR', 'RFID'],
+  rfid_snapshot: ['USENSOR', 'RFID'],
+  door_state: ['DOOR', 'DOOR'],
+  device_status: ['DEVICE', 'HEARTBEAT'],
+  device_info: ['DEVICE', 'QRY_DEVICE'],
+  module_info: ['MODULE', 'QRY_MODULE'],
+};
+
+// Command operations with a documented sensor_data msg_type
+const SENSOR_DATA_OPERATIONS = new Set(['SET_COLOR', 'CLR_ALARM']);
 
 class DatabaseStorage extends BaseComponent {
+  /**
+   * @param {Object} options - Storage options
+   * @param {string} options.configPath - Database config file
+   * @param {string} options.schema - 'unified' (default) or 'sensor_data' for legacy installations
+   */
   constructor(options = {}) {
     super('DatabaseStorage');
     this.options = options;
+    this.schemaName = options.schema || 'unified';
+    this.schema = SCHEMAS[this.schemaName];
     this.pool = null;
     this.writeBuffer = null;
     this.cache = null;
@@ -25,7 +115,13 @@ class DatabaseStorage extends BaseComponent {
    */
   async initialize() {
     try {
-      this.logger.info('Initializing Database Storage...');
+      this.logger.info('Initializing Database Storage...', { schema: this.schemaName });
+
+      if (!this.schema) {
+        throw new Error(
+          `Unknown storage schema: ${this.schemaName} (expected ${Object.keys(SCHEMAS).join(', ')})`,
+        );
+      }
 
       // Initialize configuration manager
       this.configManager = new DatabaseConfigManager(this.options.configPath);
@@ -52,7 +148,10 @@ class DatabaseStorage extends BaseComponent {
       await this.testConnection();
 
       // Initialize write buffer
-      this.writeBuffer = new WriteBuffer(config.writeBuffer || {});
+      this.writeBuffer = new WriteBuffer({
+        ...config.writeBuffer,
+        writeFunction: this.writeToDatabase.bind(this),
+      });
       await this.writeBuffer.initialize();
 
       // Initialize cache
@@ -161,69 +260,176 @@ class DatabaseStorage extends BaseComponent {
 
   /**
    * Handle normalized messages
-   * @param {Object} normalizedMessage - Normalized message data
+   * @param {Array<Object>} normalizedMessages - SUO objects from the normalizer
    */
-  async handleNormalizedMessage(normalizedMessage) {
+  async handleNormalizedMessage(normalizedMessages) {
+    const { deviceId, deviceType } = normalizedMessages[0]?.identity || {};
+
     try {
       // Add to write buffer
-      this.writeBuffer.add(normalizedMessage);
+      this.writeBuffer.addMultiple(normalizedMessages);
 
-      // Also cache the latest message
-      const cacheKey = `latest:${normalizedMessage.deviceId}`;
-      this.cache.set(cacheKey, normalizedMessage, 300000); // 5 minutes cache
+      // Also cache the latest message in the shape reads return
+      const cacheKey = `latest:${deviceId}`;
+      // (late or replayed messages are older than what is already cached)
+      const latest = normalizedMessages[normalizedMessages.length - 1];
+      if (!latest.meta.late) {
+        this.cache.set(cacheKey, this.toRecord(latest), 300000); // 5 minutes cache
+      }
 
-      this.logger.debug('Message added to write buffer', {
-        deviceId: normalizedMessage.deviceId,
-        deviceType: normalizedMessage.deviceType,
-        sensorType: normalizedMessage.sensorType,
+      this.logger.debug('Messages added to write buffer', {
+        deviceId,
+        deviceType,
+        count: normalizedMessages.length,
       });
     } catch (error) {
-      this.handleError(error, 'Failed to handle normalized message', {
-        deviceId: normalizedMessage.deviceId,
-      });
+      this.handleError(error, 'Failed to handle normalized message', { deviceId });
     }
   }
 
+  /**
+   * Convert an SUO to the record format returned by reads for the active schema
+   * @param {Object} suo - Standardized Unified Object
+   * @returns {Object} Unified record, or the SUO itself in sensor_data mode
+   */
+  toRecord(suo) {
+    return this.schemaName === 'unified' ? this.toUnifiedRecord(suo) : suo;
+  }
+
+  /**
+   * Map an SUO onto the iot_unified_data record format
+   * Numbers go to numValue, plain states and tag IDs to strValue, objects to jsonValue.
+   * @param {Object} suo - Standardized Unified Object
+   * @returns {Object} Unified record
+   */
+  toUnifiedRecord(suo) {
+    const { meta, identity, type, payload } = suo;
+    const { value } = payload;
+
+    let numValue = null;
+    let strValue = null;
+    let jsonValue = null;
+
+    if (typeof value === 'number') {
+      numValue = value;
+    } else if (typeof value === 'string') {
+      strValue = value;
+    } else if (value !== null && value !== undefined) {
+      jsonValue = value;
+      strValue =
+        value.state ?? value.status ?? value.tagId ?? value.result ?? value.severity ?? null;
+    }
+
+    return {
+      deviceId: identity.deviceId,
+      deviceType: identity.deviceType,
+      moduleIndex: identity.modAddr || 0,
+      sensorIndex: identity.sensorAddr || 0,
+      messageClass: MESSAGE_CLASSES[type] || 'STATE',
+      dataKey: payload.key,
+      numValue,
+      strValue,
+      jsonValue,
+      tsDevice: meta.ts,
+      tsReceived: meta.receivedAt || null,
+      tsProcessed: meta.processedAt || null,
+      clockSkewMs: meta.clockSkewMs ?? null,
+      late: meta.late === true,
+      messageId: meta.messageId || null,
+      rawMessage: null,
+    };
+  }
+
+  /**
+   * Map an SUO onto the iot_unified_data columns
+   * @param {Object} suo - Standardized Unified Object
+   * @returns {Array} Insert values in column order
+   */
+  toUnifiedRow(suo) {
+    const record = this.toUnifiedRecord(suo);
+
+    return [
+      record.deviceId,
+      record.deviceType,
+      record.moduleIndex,
+      record.sensorIndex,
+      record.messageClass,
+      record.dataKey,
+      record.numValue,
+      record.strValue,
+      record.jsonValue === null ? null : JSON.stringify(record.jsonValue),
+      new Date(record.tsDevice),
+      record.tsReceived === null ? null : new Date(record.tsReceived),
+      record.tsProcessed === null ? null : new Date(record.tsProcessed),
+      record.clockSkewMs,
+      record.late ? 1 : 0,
+      record.messageId,
+      record.rawMessage,
+    ];
+  }
+
+  /**
+   * sensor_type and msg_type of an SUO in the values existing sensor_data queries use
+   * Records without a documented value keep sensor_type null and their key as msg_type.
+   * @param {Object} suo - Standardized Unified Object
+   * @returns {Array<string|null>} [sensorType, msgType]
+   */
+  toSensorDataTypes(suo) {
+    const { key, value } = suo.payload;
+    if (key === 'operation_result' && SENSOR_DATA_OPERATIONS.has(value?.operation)) {
+      return ['USENSOR', value.operation];
+    }
+    return SENSOR_DATA_TYPES[key] || [null, key.toUpperCase()];
+  }
+
+  /**
+   * Map an SUO onto the legacy sensor_data columns
+   * @param {Object} suo - Standardized Unified Object
+   * @returns {Array} Insert values in column order
+   */
+  toSensorDataRow(suo) {
+    const { meta, identity, type, payload } = suo;
+    const [sensorType, msgType] = this.toSensorDataTypes(suo);
+
+    return [
+      identity.deviceId,
+      identity.deviceType,
+      identity.modAddr ?? null,
+      identity.modId ?? null,
+      sensorType,
+      msgType,
+      JSON.stringify(payload),
+      JSON.stringify({ ...meta, type, sensorAddr: identity.sensorAddr }),
+      new Date(meta.ts),
+    ];
+  }
+
   /**
    * Write items to database
-   * @param {Array} items - Items to write
+   * @param {Array} items - SUO objects to write
    */
   async writeToDatabase(items) {
     if (!this.pool) {
       throw new Error('Database pool not initialized');
     }
 
+    const { table, columns } = this.schema;
+    const rows = items.map((item) =>
+      this.schemaName === 'unified' ? this.toUnifiedRow(item) : this.toSensorDataRow(item),
+    );
+
     const connection = await this.pool.getConnection();
 
     try {
       await connection.beginTransaction();
 
-      const insertQuery = `
-        INSERT INTO sensor_data (
-          device_id, device_type, module_number, module_id, sensor_type, 
-          msg_type, payload, meta, ts
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `;
-
-      for (const item of items) {
-        const values = [
-          item.deviceId,
-          item.deviceType,
-          item.modNum,
-          item.modId,
-          item.sensorType,
-          item.msgType,
-          JSON.stringify(item.payload),
-          JSON.stringify(item.meta),
-          item.ts,
-        ];
-
-        await connection.execute(insertQuery, values);
-      }
+      // One multi-row statement; mysql2 expands "VALUES ?" from the nested rows array
+      await connection.query(`INSERT INTO ${table} (${columns.join(', ')}) VALUES ?`, [rows]);
 
       await connection.commit();
 
       this.logger.debug('Items written to database', {
+        table,
         itemCount: items.length,
       });
     } catch (error) {
@@ -249,10 +455,11 @@ class DatabaseStorage extends BaseComponent {
         return cached;
       }
 
+      const { table, ts } = this.schema;
       const query = `
-        SELECT * FROM sensor_data 
-        WHERE device_id = ? 
-        ORDER BY ts DESC 
+        SELECT * FROM ${table}
+        WHERE device_id = ?
+        ORDER BY ${ts} DESC, id DESC
         LIMIT 1
       `;
 
@@ -278,41 +485,47 @@ class DatabaseStorage extends BaseComponent {
   /**
    * Get historical data for a device
    * @param {string} deviceId - Device ID
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options (limit, startTime, endTime, messageClass, dataKey, late)
    * @returns {Array} Array of sensor data
    */
   async getDeviceHistory(deviceId, options = {}) {
     try {
-      const { limit = 50, startTime, endTime, sensorType, msgType } = options;
+      const { limit = 50, startTime, endTime, messageClass, dataKey, late } = options;
+      const schema = this.schema;
 
       let query = `
-        SELECT * FROM sensor_data 
+        SELECT * FROM ${schema.table}
         WHERE device_id = ?
       `;
       const params = [deviceId];
 
       // Add optional filters
-      if (sensorType) {
-        query += ' AND sensor_type = ?';
-        params.push(sensorType);
+      if (messageClass) {
+        query += ` AND ${schema.messageClass} = ?`;
+        params.push(messageClass);
       }
 
-      if (msgType) {
-        query += ' AND msg_type = ?';
-        params.push(msgType);
+      if (dataKey) {
+        query += ` AND ${schema.dataKey} = ?`;
+        params.push(dataKey);
       }
 
       if (startTime) {
-        query += ' AND ts >= ?';
+        query += ` AND ${schema.ts} >= ?`;
         params.push(startTime);
       }
 
       if (endTime) {
-        query += ' AND ts <= ?';
+        query += ` AND ${schema.ts} <= ?`;
         params.push(endTime);
       }
 
-      query += ' ORDER BY ts DESC LIMIT ?';
+      if (late !== undefined && schema.late) {
+        query += ` AND ${schema.late} = ?`;
+        params.push(late ? 1 : 0);
+      }
+
+      query += ` ORDER BY ${schema.ts} DESC LIMIT ?`;
       params.push(limit);
 
       const [rows] = await this.pool.execute(query, params);
@@ -334,14 +547,16 @@ class DatabaseStorage extends BaseComponent {
 
   /**
    * Query specific sensor data
-   * @param {Object} query - Query parameters
+   * @param {Object} query - Query parameters (late: true for late or replayed records only)
    * @returns {Array} Array of matching sensor data
    */
   async querySpecific(query) {
     try {
-      const { deviceId, modNum, modId, sensorType, limit = 50, startTime, endTime } = query;
+      const { deviceId, modAddr, sensorAddr, messageClass, dataKey, limit = 50 } = query;
+      const { startTime, endTime, late } = query;
+      const schema = this.schema;
 
-      let sql = 'SELECT * FROM sensor_data WHERE 1=1';
+      let sql = `SELECT * FROM ${schema.table} WHERE 1=1`;
       const params = [];
 
       // Build dynamic query
@@ -350,32 +565,42 @@ class DatabaseStorage extends BaseComponent {
         params.push(deviceId);
       }
 
-      if (modNum) {
-        sql += ' AND module_number = ?';
-        params.push(modNum);
+      if (modAddr !== undefined) {
+        sql += ` AND ${schema.module} = ?`;
+        params.push(modAddr);
+      }
+
+      if (sensorAddr !== undefined && schema.sensor) {
+        sql += ` AND ${schema.sensor} = ?`;
+        params.push(sensorAddr);
       }
 
-      if (modId) {
-        sql += ' AND module_id = ?';
-        params.push(modId);
+      if (messageClass) {
+        sql += ` AND ${schema.messageClass} = ?`;
+        params.push(messageClass);
       }
 
-      if (sensorType) {
-        sql += ' AND sensor_type = ?';
-        params.push(sensorType);
+      if (dataKey) {
+        sql += ` AND ${schema.dataKey} = ?`;
+        params.push(dataKey);
       }
 
       if (startTime) {
-        sql += ' AND ts >= ?';
+        sql += ` AND ${schema.ts} >= ?`;
         params.push(startTime);
       }
 
       if (endTime) {
-        sql += ' AND ts <= ?';
+        sql += ` AND ${schema.ts} <= ?`;
         params.push(endTime);
       }
 
-      sql += ' ORDER BY ts DESC LIMIT ?';
+      if (late !== undefined && schema.late) {
+        sql += ` AND ${schema.late} = ?`;
+        params.push(late ? 1 : 0);
+      }
+
+      sql += ` ORDER BY ${schema.ts} DESC LIMIT ?`;
       params.push(limit);
 
       const [rows] = await this.pool.execute(sql, params);
@@ -394,22 +619,160 @@ class DatabaseStorage extends BaseComponent {
   }
 
   /**
-   * Format database row to normalized message format
+   * Find where an asset tag is, from its stored RFID events
+   * @param {string} tagId - Tag ID
+   * @param {Object} options - Query options (limit: events read, default 1000)
+   * @returns {Promise<Object|null>} Current (present: true) or last known position, or null
+   */
+  async findTag(tagId, options = {}) {
+    const events = await this.queryTagEvents({ tagId, limit: options.limit });
+    return this.replayTagEvents(events).locate(tagId);
+  }
+
+  /**
+   * Get the rack positions an asset tag has occupied
+   * @param {string} tagId - Tag ID
+   * @param {Object} options - Query options (limit: events read, default 1000)
+   * @returns {Promise<Array<Object>>} Positions with arrivedAt/departedAt, oldest first
+   */
+  async getTagHistory(tagId, options = {}) {
+    const events = await this.queryTagEvents({ tagId, limit: options.limit });
+    return this.replayTagEvents(events).getHistory(tagId);
+  }
+
+  /**
+   * Get tag attach/detach movements (e.g. what moved in the last 24 hours)
+   * A move's origin (from) is only known when its detach is inside the queried range.
+   * @param {Object} query - Query parameters (since, until, deviceId, tagId, movedOnly, limit)
+   * @returns {Promise<Array<Object>>} Movements, newest first
+   */
+  async getTagMovements(query = {}) {
+    const events = await this.queryTagEvents(query);
+    return this.replayTagEvents(events).getMovements(query);
+  }
+
+  /**
+   * Read stored RFID attach/detach events
+   * @param {Object} filter - { tagId, deviceId, since, until, limit (default 1000) }
+   * @returns {Promise<Array<Object>>} Tag events, newest first
+   */
+  async queryTagEvents(filter) {
+    try {
+      const { tagId, deviceId, since, until, limit = 1000 } = filter;
+      const schema = this.schema;
+
+      let sql = `SELECT * FROM ${schema.table} WHERE ${schema.dataKey} = ?`;
+      const params = ['rfid_event'];
+
+      if (tagId) {
+        sql += ` AND ${schema.tag} = ?`;
+        params.push(tagId);
+      }
+
+      if (deviceId) {
+        sql += ' AND device_id = ?';
+        params.push(deviceId);
+      }
+
+      if (since) {
+        sql += ` AND ${schema.ts} >= ?`;
+        params.push(since);
+      }
+
+      if (until) {
+        sql += ` AND ${schema.ts} <= ?`;
+        params.push(until);
+      }
+
+      // Events of one snapshot share a timestamp; id keeps their order
+      sql += ` ORDER BY ${schema.ts} DESC, id DESC LIMIT ?`;
+      params.push(limit);
+
+      const [rows] = await this.pool.execute(sql, params);
+      return rows.map((row) => this.toTagEvent(this.formatDatabaseRow(row))).filter(Boolean);
+    } catch (error) {
+      this.handleError(error, 'Failed to query tag events', { filter });
+      throw error;
+    }
+  }
+
+  /**
+   * Tag event of a stored RFID event record
+   * @param {Object} record - Record in the format of the active schema
+   * @returns {Object|null} Tag event (see TagInventory.eventFromSuo)
+   */
+  toTagEvent(record) {
+    if (this.schemaName !== 'unified') {
+      return TagInventory.eventFromSuo(record);
+    }
+
+    return {
+      tagId: record.strValue,
+      action: record.jsonValue?.action,
+      deviceId: record.deviceId,
+      deviceType: record.deviceType,
+      modAddr: record.moduleIndex,
+      uPos: record.sensorIndex,
+      at: record.tsDevice,
+    };
+  }
+
+  /**
+   * Replay tag events (newest first) into a fresh inventory
+   * @param {Array<Object>} events - Tag events, newest first
+   * @returns {TagInventory} Inventory of the events
+   */
+  replayTagEvents(events) {
+    const size = Math.max(events.length, 1);
+    const inventory = new TagInventory({ maxMovements: size, maxStaysPerTag: size });
+    for (let i = events.length - 1; i >= 0; i--) {
+      inventory.apply(events[i]);
+    }
+    return inventory;
+  }
+
+  /**
+   * Format database row into the record format of the active schema
    * @param {Object} row - Database row
-   * @returns {Object} Formatted message
+   * @returns {Object} Unified record, or an SUO in sensor_data mode
    */
   formatDatabaseRow(row) {
+    const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+    if (this.schemaName === 'unified') {
+      return {
+        deviceId: row.device_id,
+        deviceType: row.device_type,
+        moduleIndex: row.module_index,
+        sensorIndex: row.sensor_index,
+        messageClass: row.message_class,
+        dataKey: row.data_key,
+        numValue: row.num_value,
+        strValue: row.str_value,
+        jsonValue: parse(row.json_value),
+        tsDevice: row.ts_device ? row.ts_device.toISOString() : null,
+        tsReceived: row.ts_received ? row.ts_received.toISOString() : null,
+        tsProcessed: row.ts_processed ? row.ts_processed.toISOString() : null,
+        tsServer: row.ts_server ? row.ts_server.toISOString() : null,
+        clockSkewMs: row.clock_skew_ms ?? null,
+        late: Boolean(row.is_late),
+        messageId: row.message_id,
+        rawMessage: row.raw_message,
+      };
+    }
+
+    const { sensorAddr = null, type = row.sensor_type, ...meta } = parse(row.meta);
+
     return {
-      deviceId: row.device_id,
-      deviceType: row.device_type,
-      sensorType: row.sensor_type,
-      msgType: row.msg_type,
-      modNum: row.module_number,
-      modId: row.module_id,
-      ts: row.ts.toISOString(),
-      payload: typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload,
-      meta: typeof row.meta === 'string' ? JSON.parse(row.meta) : row.meta,
-      createdAt: row.created_at.toISOString(),
+      meta: { ...meta, ts: row.ts.toISOString() },
+      identity: {
+        deviceId: row.device_id,
+        deviceType: row.device_type,
+        modAddr: row.module_number,
+        sensorAddr,
+      },
+      type,
+      payload: parse(row.payload),
     };
   }
 
@@ -419,12 +782,13 @@ class DatabaseStorage extends BaseComponent {
    */
   async getAllDevices() {
     try {
+      const { table, ts } = this.schema;
       const query = `
-        SELECT DISTINCT 
-          device_id, 
-          device_type, 
-          MAX(ts) as last_seen
-        FROM sensor_data 
+        SELECT
+          device_id,
+          device_type,
+          MAX(${ts}) as last_seen
+        FROM ${table}
         GROUP BY device_id, device_type
         ORDER BY last_seen DESC
       `;
@@ -451,9 +815,10 @@ class DatabaseStorage extends BaseComponent {
    */
   async getStatistics() {
     try {
-      const [totalRows] = await this.pool.execute('SELECT COUNT(*) as total FROM sensor_data');
+      const { table } = this.schema;
+      const [totalRows] = await this.pool.execute(`SELECT COUNT(*) as total FROM ${table}`);
       const [deviceRows] = await this.pool.execute(
-        'SELECT COUNT(DISTINCT device_id) as devices FROM sensor_data',
+        `SELECT COUNT(DISTINCT device_id) as devices FROM ${table}`,
       );
 
       const poolInfo =
@@ -495,6 +860,7 @@ class DatabaseStorage extends BaseComponent {
     return {
       ...super.getStatus(),
       connected: this.pool !== null,
+      schema: this.schemaName,
       cacheStats: this.cache ? this.cache.getStatistics() : null,
       bufferStats: this.writeBuffer ? this.writeBuffer.getStatistics() : null,
     };
@@ -1,20 +1,23 @@
 /**
  * MemoryStorage.js
  * In-memory storage module for IoT Middleware V5
- * Stores latest sensor data in memory for fast access
+ * Stores the latest SUO per sensor path and data key in memory for fast access
  */
 
 import { BaseComponent } from '../../core/index.js';
+import TagInventory from './TagInventory.js';
 
 class MemoryStorage extends BaseComponent {
   constructor(options = {}) {
     super('MemoryStorage');
     this.options = options;
-    this.storage = new Map(); // deviceId -> latest message
+    this.storage = new Map(); // deviceId -> { deviceId, deviceType, lastSeen, records }
     this.deviceList = new Set(); // Set of all device IDs
     this.deviceTypeList = new Map(); // deviceType -> Set of device IDs
     this.maxMemoryUsage = options.maxMemoryUsage || 100 * 1024 * 1024; // 100MB default
     this.maxEntries = options.maxEntries || 10000; // Maximum number of devices
+    // Tag-centric view of RFID events: where each asset tag is and where it has been
+    this.tags = new TagInventory(options.tagInventory);
   }
 
   /**
@@ -42,47 +45,82 @@ class MemoryStorage extends BaseComponent {
 
   /**
    * Handle normalized messages
-   * @param {Object} normalizedMessage - Normalized message data
+   * @param {Array<Object>} normalizedMessages - SUO objects from the normalizer
    */
-  handleNormalizedMessage(normalizedMessage) {
-    try {
-      const { deviceId, deviceType } = normalizedMessage;
+  handleNormalizedMessage(normalizedMessages) {
+    for (const suo of normalizedMessages) {
+      try {
+        this.store(suo);
+      } catch (error) {
+        this.handleError(error, 'Failed to store normalized message', {
+          deviceId: suo.identity?.deviceId,
+        });
+      }
+    }
 
-      // Store the message
-      this.storage.set(deviceId, normalizedMessage);
+    // Check memory usage and cleanup if necessary
+    this.checkMemoryUsage();
+  }
 
-      // Update device list
-      this.deviceList.add(deviceId);
+  /**
+   * Store a single SUO, replacing the previous value of the same path and key
+   * A late or replayed SUO does not replace a value with a newer event time.
+   * @param {Object} suo - Standardized Unified Object
+   */
+  store(suo) {
+    const { deviceId, deviceType } = suo.identity;
 
-      // Update device type list
-      if (!this.deviceTypeList.has(deviceType)) {
-        this.deviceTypeList.set(deviceType, new Set());
-      }
-      this.deviceTypeList.get(deviceType).add(deviceId);
+    let device = this.storage.get(deviceId);
+    if (!device) {
+      device = { deviceId, deviceType, lastSeen: null, records: new Map() };
+      this.storage.set(deviceId, device);
+    }
 
-      // Check memory usage and cleanup if necessary
-      this.checkMemoryUsage();
+    const tagEvent = TagInventory.eventFromSuo(suo);
+    if (tagEvent) {
+      this.tags.apply(tagEvent);
+    }
+    const tagSnapshot = TagInventory.snapshotFromSuo(suo);
+    if (tagSnapshot && !suo.meta.late) {
+      this.tags.reconcile(tagSnapshot);
+    }
 
-      this.logger.debug('Stored normalized message', {
-        deviceId,
-        deviceType,
-        sensorType: normalizedMessage.sensorType,
-        msgType: normalizedMessage.msgType,
-      });
-    } catch (error) {
-      this.handleError(error, 'Failed to store normalized message', {
-        deviceId: normalizedMessage.deviceId,
-      });
+    const recordKey = `${suo.meta.path}:${suo.payload.key}`;
+    const previous = device.records.get(recordKey);
+    if (!(suo.meta.late && previous && Date.parse(previous.meta.ts) > Date.parse(suo.meta.ts))) {
+      device.records.set(recordKey, suo);
     }
+
+    // Last contact is when the broker delivered a message, whatever the device clock says
+    const seenAt = suo.meta.receivedAt || suo.meta.ts;
+    if (!device.lastSeen || Date.parse(seenAt) > Date.parse(device.lastSeen)) {
+      device.lastSeen = seenAt;
+    }
+
+    // Update device list
+    this.deviceList.add(deviceId);
+
+    // Update device type list
+    if (!this.deviceTypeList.has(deviceType)) {
+      this.deviceTypeList.set(deviceType, new Set());
+    }
+    this.deviceTypeList.get(deviceType).add(deviceId);
+
+    this.logger.debug('Stored normalized message', {
+      path: suo.meta.path,
+      type: suo.type,
+      key: suo.payload.key,
+    });
   }
 
   /**
-   * Get latest message for a specific device
+   * Get latest SUOs for a specific device
    * @param {string} deviceId - Device ID
-   * @returns {Object|null} Latest message or null if not found
+   * @returns {Array<Object>|null} Latest SUO per path and key, or null if not found
    */
   getLatestByDevice(deviceId) {
-    return this.storage.get(deviceId) || null;
+    const device = this.storage.get(deviceId);
+    return device ? Array.from(device.records.values()) : null;
   }
 
   /**
@@ -90,18 +128,11 @@ class MemoryStorage extends BaseComponent {
    * @returns {Array} Array of device information
    */
   getAllDevices() {
-    const devices = [];
-    for (const deviceId of this.deviceList) {
-      const message = this.storage.get(deviceId);
-      if (message) {
-        devices.push({
-          deviceId,
-          deviceType: message.deviceType,
-          lastSeen: message.ts,
-        });
-      }
-    }
-    return devices;
+    return Array.from(this.storage.values(), ({ deviceId, deviceType, lastSeen }) => ({
+      deviceId,
+      deviceType,
+      lastSeen,
+    }));
   }
 
   /**
@@ -115,41 +146,29 @@ class MemoryStorage extends BaseComponent {
   }
 
   /**
-   * Get latest messages for multiple devices
+   * Get latest SUOs for multiple devices
    * @param {Array} deviceIds - Array of device IDs
-   * @returns {Array} Array of latest messages
+   * @returns {Array} Array of latest SUOs
    */
   getLatestByDevices(deviceIds) {
-    const messages = [];
-    for (const deviceId of deviceIds) {
-      const message = this.storage.get(deviceId);
-      if (message) {
-        messages.push(message);
-      }
-    }
-    return messages;
+    return deviceIds.flatMap((deviceId) => this.getLatestByDevice(deviceId) || []);
   }
 
   /**
    * Query specific sensor data
-   * @param {Object} query - Query parameters
-   * @returns {Array} Array of matching messages
+   * @param {Object} query - Query parameters (deviceId, modAddr, sensorAddr, type, key, late)
+   * @returns {Array} Array of matching SUOs
    */
   querySpecific(query) {
-    const { deviceId, modNum, modId, sensorType, msgType } = query;
-    const results = [];
+    const devices = query.deviceId
+      ? [this.storage.get(query.deviceId)].filter(Boolean)
+      : Array.from(this.storage.values());
 
-    if (deviceId) {
-      // Query specific device
-      const message = this.storage.get(deviceId);
-      if (message && this.matchesQuery(message, query)) {
-        results.push(message);
-      }
-    } else {
-      // Query all devices
-      for (const message of this.storage.values()) {
-        if (this.matchesQuery(message, query)) {
-          results.push(message);
+    const results = [];
+    for (const device of devices) {
+      for (const suo of device.records.values()) {
+        if (this.matchesQuery(suo, query)) {
+          results.push(suo);
         }
       }
     }
@@ -158,27 +177,67 @@ class MemoryStorage extends BaseComponent {
   }
 
   /**
-   * Check if message matches query criteria
-   * @param {Object} message - Normalized message
+   * Find where an asset tag is
+   * @param {string} tagId - Tag ID
+   * @returns {Object|null} Current (present: true) or last known position, or null if never seen
+   */
+  findTag(tagId) {
+    return this.tags.locate(tagId);
+  }
+
+  /**
+   * Get the rack positions an asset tag has occupied
+   * @param {string} tagId - Tag ID
+   * @returns {Array<Object>} Positions with arrivedAt/departedAt, oldest first
+   */
+  getTagHistory(tagId) {
+    return this.tags.getHistory(tagId);
+  }
+
+  /**
+   * Get tag attach/detach movements (e.g. what moved in the last 24 hours)
+   * @param {Object} query - Query parameters (since, until, deviceId, tagId, movedOnly, limit)
+   * @returns {Array<Object>} Movements, newest first
+   */
+  getTagMovements(query = {}) {
+    return this.tags.getMovements(query);
+  }
+
+  /**
+   * Get the tags currently present
+   * @param {Object} query - Query parameters (deviceId, modAddr)
+   * @returns {Array<Object>} Tags by position
+   */
+  getTagsPresent(query = {}) {
+    return this.tags.getPresent(query);
+  }
+
+  /**
+   * Check if an SUO matches query criteria
+   * @param {Object} suo - Standardized Unified Object
    * @param {Object} query - Query parameters
-   * @returns {boolean} True if message matches query
+   * @returns {boolean} True if the SUO matches the query
    */
-  matchesQuery(message, query) {
-    const { modNum, modId, sensorType, msgType } = query;
+  matchesQuery(suo, query) {
+    const { modAddr, sensorAddr, type, key, late } = query;
 
-    if (modNum !== undefined && message.modNum !== modNum) {
+    if (modAddr !== undefined && suo.identity.modAddr !== modAddr) {
       return false;
     }
 
-    if (modId !== undefined && message.modId !== modId) {
+    if (sensorAddr !== undefined && suo.identity.sensorAddr !== sensorAddr) {
       return false;
     }
 
-    if (sensorType !== undefined && message.sensorType !== sensorType) {
+    if (type !== undefined && suo.type !== type) {
       return false;
     }
 
-    if (msgType !== undefined && message.msgType !== msgType) {
+    if (key !== undefined && suo.payload.key !== key) {
+      return false;
+    }
+
+    if (late !== undefined && Boolean(suo.meta.late) !== late) {
       return false;
     }
 
@@ -214,8 +273,20 @@ class MemoryStorage extends BaseComponent {
    * @returns {number} Estimated memory usage in bytes
    */
   estimateMemoryUsage() {
-    // Rough estimation: each entry ~1KB average
-    return this.storage.size * 1024;
+    // Rough estimation: each stored SUO ~1KB average
+    return this.countRecords() * 1024;
+  }
+
+  /**
+   * Count stored SUOs across all devices
+   * @returns {number} Record count
+   */
+  countRecords() {
+    let records = 0;
+    for (const device of this.storage.values()) {
+      records += device.records.size;
+    }
+    return records;
   }
 
   /**
@@ -226,7 +297,7 @@ class MemoryStorage extends BaseComponent {
     const entriesToRemove = Math.floor(entries.length * 0.25);
 
     // Sort by timestamp and remove oldest
-    entries.sort((a, b) => new Date(a[1].ts) - new Date(b[1].ts));
+    entries.sort((a, b) => new Date(a[1].lastSeen) - new Date(b[1].lastSeen));
 
     for (let i = 0; i < entriesToRemove; i++) {
       const [deviceId] = entries[i];
@@ -244,8 +315,8 @@ class MemoryStorage extends BaseComponent {
    * @param {string} deviceId - Device ID to remove
    */
   removeDevice(deviceId) {
-    const message = this.storage.get(deviceId);
-    if (message) {
+    const device = this.storage.get(deviceId);
+    if (device) {
       // Remove from storage
       this.storage.delete(deviceId);
 
@@ -253,11 +324,11 @@ class MemoryStorage extends BaseComponent {
       this.deviceList.delete(deviceId);
 
       // Remove from device type list
-      const deviceTypeSet = this.deviceTypeList.get(message.deviceType);
+      const deviceTypeSet = this.deviceTypeList.get(device.deviceType);
       if (deviceTypeSet) {
         deviceTypeSet.delete(deviceId);
         if (deviceTypeSet.size === 0) {
-          this.deviceTypeList.delete(message.deviceType);
+          this.deviceTypeList.delete(device.deviceType);
         }
       }
     }
@@ -270,7 +341,8 @@ class MemoryStorage extends BaseComponent {
   getStatistics() {
     return {
       totalDevices: this.deviceList.size,
-      totalEntries: this.storage.size,
+      totalEntries: this.countRecords(),
+      trackedTags: this.tags.size,
       deviceTypes: Object.fromEntries(
         Array.from(this.deviceTypeList.entries()).map(([type, devices]) => [type, devices.size]),
       ),
@@ -298,6 +370,7 @@ class MemoryStorage extends BaseComponent {
     this.storage.clear();
     this.deviceList.clear();
     this.deviceTypeList.clear();
+    this.tags.clear();
     this.logger.info('Memory storage cleared');
   }
 
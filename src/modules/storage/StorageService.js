@@ -3,6 +3,7 @@
  *
  * This module is responsible for taking Normalized Data from UnifyNormalizer
  * and persisting it to the Database using the hybrid schema defined in UnifyNormalizer_V1.0.md
+ * (tables created by migrations/004_create_hybrid_tables.sql)
  *
  * It maps "System Message Types" to specific SQL Tables:
  * - SYS_TELEMETRY -> iot_telemetry
@@ -11,57 +12,77 @@
  * - SYS_STATE_CHANGE -> iot_device_state (Key: 'door_state', etc.)
  * - SYS_DEVICE_INFO -> iot_device_state (Key: 'device_info')
  * - SYS_LIFECYCLE -> iot_device_state (Key: 'status')
+ *
+ * Each batch is written in one transaction with one multi-row statement per table.
+ * Every row carries the receive and processing time, clock skew and late flag (migration 005);
+ * a device state upsert only replaces the stored value when its last_updated is not older.
  */
 
-/**
- * Mock Database Interface
- * This simulates a database connection with query execution
- * In a real implementation, this would be replaced with actual DB driver (mysql2, pg, etc.)
- */
-class MockDatabase {
-  constructor() {
-    this.connected = true;
-  }
-
-  /**
-   * Execute SQL query with parameters
-   * @param {string} sql - SQL query
-   * @param {Array} params - Query parameters
-   * @returns {Promise<Object>} Query result
-   */
-  async query(sql, params = []) {
-    // Mock implementation - in real scenario, this would execute actual SQL
-    console.log(`[MOCK DB] Executing query: ${sql}`);
-    console.log(`[MOCK DB] Parameters:`, params);
-    
-    // Simulate different results based on query type
-    if (sql.includes('INSERT')) {
-      return { insertId: Math.floor(Math.random() * 1000), affectedRows: params.length / 7 };
-    } else if (sql.includes('UPDATE')) {
-      return { affectedRows: 1, changedRows: 1 };
-    } else if (sql.includes('SELECT')) {
-      return [];
-    }
-    
-    return { affectedRows: 0 };
-  }
-
-  /**
-   * Close database connection
-   */
-  async close() {
-    this.connected = false;
-    console.log('[MOCK DB] Connection closed');
-  }
-}
+import mysql from 'mysql2/promise';
+import DatabaseConfigManager from './DatabaseConfigManager.js';
+
+// A late message must not overwrite newer device state (MySQL applies assignments in order,
+// so last_updated is compared before it is assigned last)
+const NEWER_STATE = 'last_updated IS NULL OR VALUES(last_updated) >= last_updated';
+
+// Multi-row statements; mysql2 expands "VALUES ?" from a nested array of rows
+const SQL = {
+  telemetry: `
+    INSERT INTO iot_telemetry (
+      ts, device_id, mod_addr, sensor_addr, metric_key, metric_val,
+      ts_received, ts_processed, clock_skew_ms, is_late
+    ) VALUES ?
+    ON DUPLICATE KEY UPDATE
+      metric_val = VALUES(metric_val),
+      ts_received = VALUES(ts_received),
+      ts_processed = VALUES(ts_processed),
+      clock_skew_ms = VALUES(clock_skew_ms),
+      is_late = VALUES(is_late)
+  `,
+  rfidEvents: `
+    INSERT INTO iot_rfid_events (
+      ts, device_id, mod_addr, u_pos, action, tag_id,
+      ts_received, ts_processed, clock_skew_ms, is_late
+    ) VALUES ?
+  `,
+  deviceState: `
+    INSERT INTO iot_device_state (
+      device_id, mod_addr, data_key, json_value, last_updated,
+      ts_received, ts_processed, clock_skew_ms, is_late
+    ) VALUES ?
+    ON DUPLICATE KEY UPDATE
+      json_value = IF(${NEWER_STATE}, VALUES(json_value), json_value),
+      ts_received = IF(${NEWER_STATE}, VALUES(ts_received), ts_received),
+      ts_processed = IF(${NEWER_STATE}, VALUES(ts_processed), ts_processed),
+      clock_skew_ms = IF(${NEWER_STATE}, VALUES(clock_skew_ms), clock_skew_ms),
+      is_late = IF(${NEWER_STATE}, VALUES(is_late), is_late),
+      last_updated = IF(${NEWER_STATE}, VALUES(last_updated), last_updated)
+  `,
+};
+
+// iot_device_state data_key per SUO type (null: use payload.key)
+const STATE_KEYS = {
+  SYS_RFID_SNAPSHOT: 'rfid_map',
+  SYS_STATE_CHANGE: null,
+  SYS_DEVICE_INFO: null,
+  SYS_LIFECYCLE: 'status',
+};
 
 /**
  * Storage Service class for handling normalized data persistence
  */
 class StorageService {
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.pool - Existing mysql2/promise pool (optional, not closed on shutdown)
+   * @param {string} options.configPath - Database config file used when no pool is given
+   * @param {number} options.maxRowsPerInsert - Rows per INSERT statement (default 500)
+   */
   constructor(options = {}) {
     this.options = options;
-    this.db = null;
+    this.pool = null;
+    this.ownsPool = false;
+    this.maxRowsPerInsert = options.maxRowsPerInsert || 500;
     this.initialized = false;
     this.shuttingDown = false;
   }
@@ -73,8 +94,14 @@ class StorageService {
     try {
       console.log('Initializing Storage Service...');
 
-      // Initialize database connection (mock for now)
-      this.db = new MockDatabase();
+      if (this.options.pool) {
+        this.pool = this.options.pool;
+      } else {
+        const configManager = new DatabaseConfigManager(this.options.configPath);
+        await configManager.loadConfiguration();
+        this.pool = this.createPool(configManager.getConfig());
+        this.ownsPool = true;
+      }
 
       this.initialized = true;
       console.log('Storage Service initialized successfully');
@@ -85,13 +112,33 @@ class StorageService {
     }
   }
 
+  /**
+   * Create the mysql2 connection pool
+   * @param {Object} config - Database configuration
+   * @returns {Object} mysql2/promise pool
+   */
+  createPool(config) {
+    return mysql.createPool({
+      host: config.host,
+      port: config.port || 3306,
+      user: config.user,
+      password: config.password,
+      database: config.database,
+      connectionLimit: config.connectionLimit || 10,
+      charset: config.charset || 'utf8mb4',
+      ssl: config.ssl || undefined,
+      timezone: config.timezone || '+00:00',
+    });
+  }
+
   /**
    * Save a batch of normalized data to appropriate database tables
+   * The batch is written atomically; on failure nothing is stored and the error is rethrown.
    * @param {Array<Object>} normalizedDataArray - Array of SUO objects from UnifyNormalizer
    * @returns {Promise<Object>} Save operation results
    */
   async saveBatch(normalizedDataArray) {
-    if (!this.db) {
+    if (!this.pool) {
       throw new Error('Database not initialized');
     }
 
@@ -100,346 +147,177 @@ class StorageService {
       return { totalProcessed: 0, results: [] };
     }
 
-    console.log(`Processing batch of ${normalizedDataArray.length} normalized items`);
-
     const results = {
       totalProcessed: 0,
       telemetry: { processed: 0, errors: 0 },
       rfidEvents: { processed: 0, errors: 0 },
-      deviceState: { processed: 0, errors: 0 }
+      deviceState: { processed: 0, errors: 0 },
     };
 
-    // Group data by type for batch processing
-    const groupedData = this._groupByType(normalizedDataArray);
+    const rows = this._buildRows(normalizedDataArray, results);
+    const connection = await this.pool.getConnection();
 
     try {
-      // Process each type with appropriate SQL
-      for (const [type, items] of Object.entries(groupedData)) {
-        switch (type) {
-          case 'SYS_TELEMETRY':
-            await this._processTelemetry(items, results);
-            break;
-          case 'SYS_RFID_EVENT':
-            await this._processRfidEvents(items, results);
-            break;
-          case 'SYS_RFID_SNAPSHOT':
-            await this._processRfidSnapshots(items, results);
-            break;
-          case 'SYS_STATE_CHANGE':
-            await this._processStateChanges(items, results);
-            break;
-          case 'SYS_DEVICE_INFO':
-            await this._processDeviceInfo(items, results);
-            break;
-          case 'SYS_LIFECYCLE':
-            await this._processLifecycle(items, results);
-            break;
-          default:
-            console.warn(`Unknown data type: ${type}`, { count: items.length });
-        }
-      }
+      await connection.beginTransaction();
 
-      results.totalProcessed = normalizedDataArray.length;
-      
-      console.log('Batch processing completed', {
-        total: results.totalProcessed,
-        telemetry: results.telemetry,
-        rfidEvents: results.rfidEvents,
-        deviceState: results.deviceState
-      });
+      await this._insertRows(connection, SQL.telemetry, rows.telemetry);
+      await this._insertRows(connection, SQL.rfidEvents, rows.rfidEvents);
+      await this._insertRows(connection, SQL.deviceState, rows.deviceState);
 
-      return results;
+      await connection.commit();
     } catch (error) {
-      console.error('Failed to save batch:', error, {
-        totalItems: normalizedDataArray.length
+      await connection.rollback();
+      console.error('Failed to save batch:', error.message, {
+        totalItems: normalizedDataArray.length,
       });
       throw error;
+    } finally {
+      connection.release();
     }
+
+    results.totalProcessed = normalizedDataArray.length;
+    return results;
   }
 
   /**
-   * Group normalized data by type for batch processing
+   * Map SUO objects to table rows
+   * Invalid items are counted as errors and skipped rather than failing the batch.
    * @param {Array<Object>} normalizedDataArray - Array of SUO objects
-   * @returns {Object} Data grouped by type
+   * @param {Object} results - Results object to update
+   * @returns {Object} { telemetry, rfidEvents, deviceState } row arrays
    */
-  _groupByType(normalizedDataArray) {
-    const grouped = {};
-    
+  _buildRows(normalizedDataArray, results) {
+    const telemetry = [];
+    const rfidEvents = [];
+    // Keyed by primary key so the latest value wins within a batch
+    const deviceState = new Map();
+
     for (const item of normalizedDataArray) {
-      if (!grouped[item.type]) {
-        grouped[item.type] = [];
+      if (item.type === 'SYS_TELEMETRY') {
+        const row = this._toTelemetryRow(item);
+        if (row) {
+          telemetry.push(row);
+          results.telemetry.processed++;
+        } else {
+          results.telemetry.errors++;
+        }
+      } else if (item.type === 'SYS_RFID_EVENT') {
+        const row = this._toRfidEventRow(item);
+        if (row) {
+          rfidEvents.push(row);
+          results.rfidEvents.processed++;
+        } else {
+          results.rfidEvents.errors++;
+        }
+      } else if (item.type in STATE_KEYS) {
+        const row = this._toDeviceStateRow(item, STATE_KEYS[item.type] || item.payload?.key);
+        if (row) {
+          const key = `${row[0]}:${row[1]}:${row[2]}`;
+          const previous = deviceState.get(key);
+          if (!previous || previous[4] <= row[4]) {
+            deviceState.set(key, row);
+          }
+          results.deviceState.processed++;
+        } else {
+          results.deviceState.errors++;
+        }
+      } else {
+        console.warn(`Unknown data type: ${item.type}`);
       }
-      grouped[item.type].push(item);
     }
-    
-    return grouped;
-  }
 
-  /**
-   * Process telemetry data for iot_telemetry table
-   * @param {Array<Object>} items - Telemetry items
-   * @param {Object} results - Results object to update
-   */
-  async _processTelemetry(items, results) {
-    console.log(`Processing ${items.length} telemetry items`);
-
-    // SQL for batch insert into iot_telemetry
-    const sql = `
-      INSERT INTO iot_telemetry (
-        ts, device_id, mod_addr, sensor_addr, metric_key, metric_val
-      ) VALUES
-        (?, ?, ?, ?, ?, ?)
-    `;
-
-    for (const item of items) {
-      try {
-        // Extract data from SUO structure
-        const { meta, identity, payload } = item;
-        const { deviceId, modAddr, sensorAddr } = identity;
-
-        // Map payload.key to metric_key and payload.value to metric_val
-        const params = [
-          meta.ts,
-          deviceId,
-          modAddr || 0,
-          sensorAddr || 0,
-          payload.key,        // metric_key
-          payload.value      // metric_val
-        ];
-
-        await this.db.query(sql, params);
-        results.telemetry.processed++;
-      } catch (error) {
-        console.error('Failed to process telemetry item:', {
-          deviceId: identity.deviceId,
-          error: error.message
-        });
-        results.telemetry.errors++;
-      }
-    }
+    return { telemetry, rfidEvents, deviceState: Array.from(deviceState.values()) };
   }
 
   /**
-   * Process RFID events for iot_rfid_events table
-   * @param {Array<Object>} items - RFID event items
-   * @param {Object} results - Results object to update
+   * Map a telemetry SUO to an iot_telemetry row
+   * @param {Object} item - SYS_TELEMETRY SUO
+   * @returns {Array|null} Row values or null if the value is not numeric
    */
-  async _processRfidEvents(items, results) {
-    console.log(`Processing ${items.length} RFID event items`);
-
-    // SQL for batch insert into iot_rfid_events
-    const sql = `
-      INSERT INTO iot_rfid_events (
-        ts, device_id, mod_addr, u_pos, action, tag_id
-      ) VALUES
-        (?, ?, ?, ?, ?, ?)
-    `;
-
-    for (const item of items) {
-      try {
-        // Extract data from SUO structure
-        const { meta, identity, payload } = item;
-        const { deviceId, modAddr, sensorAddr } = identity;
-
-        // Map RFID event data
-        const params = [
-          meta.ts,
-          deviceId,
-          modAddr || 0,
-          sensorAddr || 0,        // u_pos
-          payload.value.action,     // action (ATTACHED/DETACHED)
-          payload.value.tagId      // tag_id
-        ];
-
-        await this.db.query(sql, params);
-        results.rfidEvents.processed++;
-      } catch (error) {
-        console.error('Failed to process RFID event item:', {
-          deviceId: identity.deviceId,
-          error: error.message
-        });
-        results.rfidEvents.errors++;
-      }
+  _toTelemetryRow(item) {
+    const { meta, identity, payload } = item;
+    if (!identity?.deviceId || typeof payload?.value !== 'number') {
+      return null;
     }
+
+    return [
+      new Date(meta.ts),
+      identity.deviceId,
+      identity.modAddr || 0,
+      identity.sensorAddr || 0,
+      payload.key, // metric_key
+      payload.value, // metric_val
+      ...this._toTimingValues(meta),
+    ];
   }
 
   /**
-   * Process RFID snapshots for iot_device_state table (upsert)
-   * @param {Array<Object>} items - RFID snapshot items
-   * @param {Object} results - Results object to update
+   * Map an RFID event SUO to an iot_rfid_events row
+   * @param {Object} item - SYS_RFID_EVENT SUO
+   * @returns {Array|null} Row values or null if the event is incomplete
    */
-  async _processRfidSnapshots(items, results) {
-    console.log(`Processing ${items.length} RFID snapshot items`);
-
-    // SQL for upsert into iot_device_state
-    const sql = `
-      INSERT INTO iot_device_state (
-        device_id, mod_addr, data_key, json_value, last_updated
-      ) VALUES (?, ?, ?, ?, ?)
-      ON DUPLICATE KEY UPDATE
-        json_value = VALUES(json_value),
-        last_updated = VALUES(last_updated)
-    `;
-
-    for (const item of items) {
-      try {
-        // Extract data from SUO structure
-        const { meta, identity, payload } = item;
-        const { deviceId, modAddr } = identity;
-
-        // Map RFID snapshot data - store entire payload as JSON
-        const params = [
-          deviceId,
-          modAddr || 0,
-          'rfid_map',         // data_key
-          JSON.stringify(payload.value),  // json_value
-          meta.ts             // last_updated
-        ];
-
-        await this.db.query(sql, params);
-        results.deviceState.processed++;
-      } catch (error) {
-        console.error('Failed to process RFID snapshot item:', {
-          deviceId: identity.deviceId,
-          error: error.message
-        });
-        results.deviceState.errors++;
-      }
+  _toRfidEventRow(item) {
+    const { meta, identity, payload } = item;
+    if (!identity?.deviceId || !payload?.value?.action) {
+      return null;
     }
+
+    return [
+      new Date(meta.ts),
+      identity.deviceId,
+      identity.modAddr || 0,
+      payload.value.uPos ?? identity.sensorAddr ?? 0, // u_pos
+      payload.value.action, // action (ATTACHED/DETACHED)
+      payload.value.tagId, // tag_id
+      ...this._toTimingValues(meta),
+    ];
   }
 
   /**
-   * Process state changes for iot_device_state table (upsert)
-   * @param {Array<Object>} items - State change items
-   * @param {Object} results - Results object to update
+   * Map a state SUO to an iot_device_state row
+   * @param {Object} item - SUO stored as current state
+   * @param {string} dataKey - iot_device_state data_key
+   * @returns {Array|null} Row values or null if the item has no identity or key
    */
-  async _processStateChanges(items, results) {
-    console.log(`Processing ${items.length} state change items`);
-
-    // SQL for upsert into iot_device_state
-    const sql = `
-      INSERT INTO iot_device_state (
-        device_id, mod_addr, data_key, json_value, last_updated
-      ) VALUES (?, ?, ?, ?, ?)
-      ON DUPLICATE KEY UPDATE
-        json_value = VALUES(json_value),
-        last_updated = VALUES(last_updated)
-    `;
-
-    for (const item of items) {
-      try {
-        // Extract data from SUO structure
-        const { meta, identity, payload } = item;
-        const { deviceId, modAddr } = identity;
-
-        // Map state change data - store entire payload as JSON
-        const params = [
-          deviceId,
-          modAddr || 0,
-          payload.key,           // data_key (door_state, operation_result, etc.)
-          JSON.stringify(payload.value),  // json_value
-          meta.ts                // last_updated
-        ];
-
-        await this.db.query(sql, params);
-        results.deviceState.processed++;
-      } catch (error) {
-        console.error('Failed to process state change item:', {
-          deviceId: identity.deviceId,
-          error: error.message
-        });
-        results.deviceState.errors++;
-      }
+  _toDeviceStateRow(item, dataKey) {
+    const { meta, identity, payload } = item;
+    if (!identity?.deviceId || !dataKey) {
+      return null;
     }
+
+    return [
+      identity.deviceId,
+      identity.modAddr || 0,
+      dataKey,
+      JSON.stringify(payload.value), // json_value
+      new Date(meta.ts), // last_updated
+      ...this._toTimingValues(meta),
+    ];
   }
 
   /**
-   * Process device info for iot_device_state table (upsert)
-   * @param {Array<Object>} items - Device info items
-   * @param {Object} results - Results object to update
+   * Timing columns shared by the hybrid tables
+   * @param {Object} meta - SUO meta
+   * @returns {Array} [ts_received, ts_processed, clock_skew_ms, is_late]
    */
-  async _processDeviceInfo(items, results) {
-    console.log(`Processing ${items.length} device info items`);
-
-    // SQL for upsert into iot_device_state
-    const sql = `
-      INSERT INTO iot_device_state (
-        device_id, mod_addr, data_key, json_value, last_updated
-      ) VALUES (?, ?, ?, ?, ?)
-      ON DUPLICATE KEY UPDATE
-        json_value = VALUES(json_value),
-        last_updated = VALUES(last_updated)
-    `;
-
-    for (const item of items) {
-      try {
-        // Extract data from SUO structure
-        const { meta, identity, payload } = item;
-        const { deviceId, modAddr } = identity;
-
-        // Map device info data - store entire payload as JSON
-        const params = [
-          deviceId,
-          modAddr || 0,
-          payload.key,           // data_key (device_info, module_info)
-          JSON.stringify(payload.value),  // json_value
-          meta.ts                // last_updated
-        ];
-
-        await this.db.query(sql, params);
-        results.deviceState.processed++;
-      } catch (error) {
-        console.error('Failed to process device info item:', {
-          deviceId: identity.deviceId,
-          error: error.message
-        });
-        results.deviceState.errors++;
-      }
-    }
+  _toTimingValues(meta) {
+    return [
+      meta.receivedAt ? new Date(meta.receivedAt) : null,
+      meta.processedAt ? new Date(meta.processedAt) : null,
+      meta.clockSkewMs ?? null,
+      meta.late ? 1 : 0,
+    ];
   }
 
   /**
-   * Process lifecycle data for iot_device_state table (upsert)
-   * @param {Array<Object>} items - Lifecycle items
-   * @param {Object} results - Results object to update
+   * Insert rows with multi-row statements of at most maxRowsPerInsert rows
+   * @param {Object} connection - mysql2 connection
+   * @param {string} sql - Statement with a single "VALUES ?" placeholder
+   * @param {Array<Array>} rows - Row values
    */
-  async _processLifecycle(items, results) {
-    console.log(`Processing ${items.length} lifecycle items`);
-
-    // SQL for upsert into iot_device_state
-    const sql = `
-      INSERT INTO iot_device_state (
-        device_id, mod_addr, data_key, json_value, last_updated
-      ) VALUES (?, ?, ?, ?, ?)
-      ON DUPLICATE KEY UPDATE
-        json_value = VALUES(json_value),
-        last_updated = VALUES(last_updated)
-    `;
-
-    for (const item of items) {
-      try {
-        // Extract data from SUO structure
-        const { meta, identity, payload } = item;
-        const { deviceId, modAddr } = identity;
-
-        // Map lifecycle data - store entire payload as JSON
-        const params = [
-          deviceId,
-          modAddr || 0,
-          'status',             // data_key
-          JSON.stringify(payload.value),  // json_value
-          meta.ts               // last_updated
-        ];
-
-        await this.db.query(sql, params);
-        results.deviceState.processed++;
-      } catch (error) {
-        console.error('Failed to process lifecycle item:', {
-          deviceId: identity.deviceId,
-          error: error.message
-        });
-        results.deviceState.errors++;
-      }
+  async _insertRows(connection, sql, rows) {
+    for (let start = 0; start < rows.length; start += this.maxRowsPerInsert) {
+      await connection.query(sql, [rows.slice(start, start + this.maxRowsPerInsert)]);
     }
   }
 
@@ -451,7 +329,7 @@ class StorageService {
     return {
       name: 'StorageService',
       initialized: this.initialized,
-      connected: this.db ? this.db.connected : false,
+      connected: this.pool !== null,
     };
   }
 
@@ -467,11 +345,11 @@ class StorageService {
     console.log('Shutting down Storage Service...');
 
     try {
-      // Close database connection
-      if (this.db) {
-        await this.db.close();
-        this.db = null;
+      // Only close pools this service created
+      if (this.pool && this.ownsPool) {
+        await this.pool.end();
       }
+      this.pool = null;
 
       this.initialized = false;
       console.log('Storage Service shut down successfully');
@@ -481,4 +359,4 @@ class StorageService {
   }
 }
 
-export default StorageService;
\ No newline at end of file
+export default StorageService;
@@ -0,0 +1,282 @@
+/**
+ * TagInventory.js
+ * Tag-centric view of RFID attach/detach events: where each asset tag is now, since when, and
+ * every rack position it has occupied
+ *
+ * The normalizer's RFID diff turns snapshots and V6800 change reports into ATTACHED/DETACHED
+ * events per U-level; this replays them per tagId. A tag attached somewhere else while still
+ * present (the new rack reported before the old one) leaves its old position at that moment.
+ *
+ * Snapshots reconcile the current positions without recording movements, so tags that have not
+ * moved since a restart (whose saved RFID baseline suppresses their ATTACHED events) are known.
+ */
+
+const DEFAULT_MAX_MOVEMENTS = 10000;
+const DEFAULT_MAX_STAYS = 100;
+
+class TagInventory {
+  /**
+   * @param {Object} options - Inventory options
+   * @param {number} options.maxMovements - Movements kept for getMovements()
+   * @param {number} options.maxStaysPerTag - Positions kept per tag for getHistory()
+   */
+  constructor(options = {}) {
+    this.maxMovements = options.maxMovements ?? DEFAULT_MAX_MOVEMENTS;
+    this.maxStays = options.maxStaysPerTag ?? DEFAULT_MAX_STAYS;
+    this.tags = new Map(); // tagId -> { current, stays: [...] }
+    this.movements = [];
+  }
+
+  /**
+   * Tag event of an SYS_RFID_EVENT SUO
+   * @param {Object} suo - Standardized Unified Object
+   * @returns {Object|null} { tagId, action, deviceId, deviceType, modAddr, uPos, at } or null if
+   *   the SUO is not an attach/detach event
+   */
+  static eventFromSuo(suo) {
+    const value = suo.payload?.value;
+    if (suo.type !== 'SYS_RFID_EVENT' || !value?.tagId) {
+      return null;
+    }
+    return {
+      tagId: value.tagId,
+      action: value.action,
+      deviceId: suo.identity.deviceId,
+      deviceType: suo.identity.deviceType,
+      modAddr: suo.identity.modAddr,
+      uPos: value.uPos ?? suo.identity.sensorAddr,
+      at: suo.meta.ts,
+    };
+  }
+
+  /**
+   * Module contents of an SYS_RFID_SNAPSHOT SUO
+   * @param {Object} suo - Standardized Unified Object
+   * @returns {Object|null} { deviceId, deviceType, modAddr, items: [{ uPos, tagId }], at } or
+   *   null if the SUO is not a snapshot
+   */
+  static snapshotFromSuo(suo) {
+    const items = suo.payload?.value?.items;
+    if (suo.type !== 'SYS_RFID_SNAPSHOT' || !Array.isArray(items)) {
+      return null;
+    }
+    return {
+      deviceId: suo.identity.deviceId,
+      deviceType: suo.identity.deviceType,
+      modAddr: suo.identity.modAddr,
+      items: items.filter((item) => item.tagId).map(({ uPos, tagId }) => ({ uPos, tagId })),
+      at: suo.meta.ts,
+    };
+  }
+
+  /**
+   * Reconcile current positions with a module snapshot, without recording movements
+   * Listed tags are placed at their U-level; tags placed on the module but no longer listed
+   * have left it.
+   * @param {Object} snapshot - Module snapshot (see snapshotFromSuo)
+   * @returns {number} Number of tags whose position changed
+   */
+  reconcile(snapshot) {
+    const { deviceId, deviceType, modAddr, items, at } = snapshot;
+    const listed = new Set();
+    let changed = 0;
+
+    for (const { uPos, tagId } of items) {
+      listed.add(tagId);
+      const position = { deviceId, deviceType, modAddr, uPos };
+      let tag = this.tags.get(tagId);
+      if (!tag) {
+        tag = { current: null, stays: [] };
+        this.tags.set(tagId, tag);
+      }
+      if (tag.current && this.samePosition(tag.current, position)) {
+        continue;
+      }
+      if (tag.current) {
+        tag.current.departedAt = at;
+      }
+      tag.current = { ...position, arrivedAt: at, departedAt: null };
+      tag.stays.push(tag.current);
+      if (tag.stays.length > this.maxStays) {
+        tag.stays.shift();
+      }
+      changed++;
+    }
+
+    for (const [tagId, tag] of this.tags) {
+      const { current } = tag;
+      if (
+        current &&
+        !listed.has(tagId) &&
+        current.deviceId === deviceId &&
+        current.modAddr === modAddr
+      ) {
+        current.departedAt = at;
+        tag.current = null;
+        changed++;
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Apply one attach/detach event
+   * @param {Object} event - Tag event (see eventFromSuo)
+   * @returns {Object|null} Recorded movement, or null for other actions
+   */
+  apply(event) {
+    const { tagId, action, at } = event;
+    if (action !== 'ATTACHED' && action !== 'DETACHED') {
+      return null;
+    }
+
+    let tag = this.tags.get(tagId);
+    if (!tag) {
+      tag = { current: null, stays: [] };
+      this.tags.set(tagId, tag);
+    }
+
+    const position = {
+      deviceId: event.deviceId,
+      deviceType: event.deviceType,
+      modAddr: event.modAddr,
+      uPos: event.uPos,
+    };
+    const movement = { tagId, action, at, ...position };
+
+    if (action === 'ATTACHED') {
+      const previous = tag.current || tag.stays[tag.stays.length - 1] || null;
+      if (tag.current && !this.samePosition(tag.current, position)) {
+        tag.current.departedAt = at;
+      }
+      if (!tag.current || !this.samePosition(tag.current, position)) {
+        tag.current = { ...position, arrivedAt: at, departedAt: null };
+        tag.stays.push(tag.current);
+        if (tag.stays.length > this.maxStays) {
+          tag.stays.shift();
+        }
+      }
+      movement.from = previous && this.describePosition(previous);
+      movement.moved = Boolean(previous) && !this.samePosition(previous, position);
+    } else if (tag.current && this.samePosition(tag.current, position)) {
+      tag.current.departedAt = at;
+      tag.current = null;
+    }
+
+    this.movements.push(movement);
+    if (this.movements.length > this.maxMovements) {
+      this.movements.shift();
+    }
+    return movement;
+  }
+
+  /**
+   * Check whether two positions are the same U-level
+   * @param {Object} a - Position
+   * @param {Object} b - Position
+   * @returns {boolean} True if equal
+   */
+  samePosition(a, b) {
+    return a.deviceId === b.deviceId && a.modAddr === b.modAddr && a.uPos === b.uPos;
+  }
+
+  /**
+   * Copy of a position without its stay times
+   * @param {Object} stay - Stay
+   * @returns {Object} { deviceId, deviceType, modAddr, uPos }
+   */
+  describePosition(stay) {
+    const { deviceId, deviceType, modAddr, uPos } = stay;
+    return { deviceId, deviceType, modAddr, uPos };
+  }
+
+  /**
+   * Where a tag is
+   * @param {string} tagId - Tag ID
+   * @returns {Object|null} { tagId, present, deviceId, deviceType, modAddr, uPos, arrivedAt,
+   *   departedAt } for its current or last position, or null if never seen
+   */
+  locate(tagId) {
+    const tag = this.tags.get(tagId);
+    const stay = tag?.current || tag?.stays[tag.stays.length - 1];
+    if (!stay) {
+      return null;
+    }
+    return { tagId, present: Boolean(tag.current), ...stay };
+  }
+
+  /**
+   * Positions a tag has occupied, oldest first
+   * @param {string} tagId - Tag ID
+   * @returns {Array<Object>} { deviceId, deviceType, modAddr, uPos, arrivedAt, departedAt }
+   */
+  getHistory(tagId) {
+    return (this.tags.get(tagId)?.stays || []).map((stay) => ({ ...stay }));
+  }
+
+  /**
+   * Attach/detach movements, newest first
+   * @param {Object} filter - { since, until (ISO times), deviceId, tagId, movedOnly, limit }
+   * @returns {Array<Object>} Movements ({ tagId, action, at, position, from and moved on
+   *   attaches })
+   */
+  getMovements(filter = {}) {
+    const since = filter.since ? Date.parse(filter.since) : -Infinity;
+    const until = filter.until ? Date.parse(filter.until) : Infinity;
+    const results = [];
+
+    for (let i = this.movements.length - 1; i >= 0; i--) {
+      const movement = this.movements[i];
+      const at = Date.parse(movement.at);
+      if (
+        at < since ||
+        at > until ||
+        (filter.deviceId && movement.deviceId !== filter.deviceId) ||
+        (filter.tagId && movement.tagId !== filter.tagId) ||
+        (filter.movedOnly && !movement.moved)
+      ) {
+        continue;
+      }
+      results.push({ ...movement });
+      if (filter.limit && results.length >= filter.limit) {
+        break;
+      }
+    }
+
+    return results.sort((a, b) => Date.parse(b.at) - Date.parse(a.at));
+  }
+
+  /**
+   * Tags currently present
+   * @param {Object} filter - { deviceId, modAddr }
+   * @returns {Array<Object>} Located tags, by position
+   */
+  getPresent(filter = {}) {
+    return Array.from(this.tags.keys(), (tagId) => this.locate(tagId))
+      .filter((tag) => tag.present)
+      .filter((tag) => !filter.deviceId || tag.deviceId === filter.deviceId)
+      .filter((tag) => filter.modAddr === undefined || tag.modAddr === filter.modAddr)
+      .sort(
+        (a, b) => a.deviceId.localeCompare(b.deviceId) || a.modAddr - b.modAddr || a.uPos - b.uPos,
+      );
+  }
+
+  /**
+   * Number of tags ever seen
+   * @returns {number} Tag count
+   */
+  get size() {
+    return this.tags.size;
+  }
+
+  /**
+   * Forget all tags and movements
+   */
+  clear() {
+    this.tags.clear();
+    this.movements = [];
+  }
+}
+
+export default TagInventory;
@@ -16,6 +16,9 @@ class WriteBuffer extends BaseComponent {
       ...options,
     };
 
+    // Used by size- and timer-triggered flushes, which have no caller to pass one
+    this.writeFunction = options.writeFunction || null;
+
     this.buffer = [];
     this.flushTimer = null;
     this.isFlushing = false;
@@ -96,13 +99,20 @@ class WriteBuffer extends BaseComponent {
 
   /**
    * Flush buffer to database
-   * @param {Function} writeFunction - Function to write items to database
+   * @param {Function} writeFunction - Function to write items (defaults to options.writeFunction)
    */
-  async flush(writeFunction) {
+  async flush(writeFunction = this.writeFunction) {
     if (this.isFlushing || this.buffer.length === 0) {
       return;
     }
 
+    if (!writeFunction) {
+      this.logger.warn('No write function configured, keeping items buffered', {
+        itemCount: this.buffer.length,
+      });
+      return;
+    }
+
     this.isFlushing = true;
     const itemsToFlush = [...this.buffer];
     this.buffer = [];
@@ -137,7 +147,7 @@ class WriteBuffer extends BaseComponent {
    * Retry failed flush operations
    * @param {Function} writeFunction - Function to write items to database
    */
-  async retryFlush(writeFunction) {
+  async retryFlush(writeFunction = this.writeFunction) {
     if (this.retryQueue.length === 0) {
       return;
     }
@@ -193,7 +203,7 @@ class WriteBuffer extends BaseComponent {
    * Force flush buffer
    * @param {Function} writeFunction - Function to write items to database
    */
-  async forceFlush(writeFunction) {
+  async forceFlush(writeFunction = this.writeFunction) {
     if (this.flushTimer) {
       clearInterval(this.flushTimer);
       this.flushTimer = null;
@@ -264,7 +274,7 @@ class WriteBuffer extends BaseComponent {
   /**
    * Shutdown write buffer
    */
-  async shutdown(writeFunction) {
+  async shutdown(writeFunction = this.writeFunction) {
     if (this.shuttingDown) {
       return;
     }
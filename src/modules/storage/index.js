@@ -7,4 +7,5 @@ export { default as DatabaseStorage } from './DatabaseStorage.js';
 export { default as DatabaseConfigManager } from './DatabaseConfigManager.js';
 export { default as WriteBuffer } from './WriteBuffer.js';
 export { default as Cache } from './Cache.js';
+export { default as TagInventory } from './TagInventory.js';
 export { default as StorageService } from './StorageService.js';
@@ -0,0 +1,279 @@
+/**
+ * SimulatedDevice.js
+ * Rack state shared by the simulated gateways: modules, RFID tags, alarms, doors and sensors
+ *
+ * Subclasses turn this state into device-specific uploads and answer download commands.
+ * Every upload method returns a list of { topic, payload } messages to publish.
+ */
+
+// Default module layout when a device config lists none
+const DEFAULT_MODULES = [{ uTotal: 12 }, { uTotal: 6 }];
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32) so scenarios can be replayed
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+export function createRandom(seed = Date.now()) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Round a reading to the two decimals the devices report
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class SimulatedDevice {
+  /**
+   * @param {Object} options - Device options
+   * @param {string} options.deviceId - Gateway ID
+   * @param {Array<Object>} options.modules - Module layout [{ modAddr, modId, uTotal, fwVer }]
+   * @param {number} options.tagFill - Share of U-levels holding a tag at start (0-1)
+   * @param {number} options.thSensors - Temperature/humidity sensors per module
+   * @param {Function} options.random - Random generator (see createRandom)
+   */
+  constructor(deviceType, options = {}) {
+    this.deviceType = deviceType;
+    this.deviceId = String(options.deviceId);
+    this.random = options.random || createRandom();
+    this.thSensors = options.thSensors ?? 2;
+    this.messageId = this.randomInt(1, this.messageIdMax);
+
+    const tagFill = options.tagFill ?? 0.5;
+    this.modules = (options.modules || DEFAULT_MODULES).map((module, index) => {
+      const uTotal = module.uTotal ?? 12;
+      const state = {
+        modAddr: module.modAddr ?? index + 1,
+        modId: String(module.modId ?? this.randomInt(1, 0xffffffff)),
+        uTotal,
+        fwVer: String(module.fwVer ?? '2307101644'),
+        // uPos -> { tagId, alarmStatus }
+        tags: new Map(),
+        colors: new Array(uTotal).fill(0),
+        doorState: 0,
+        temp: round2(22 + this.random() * 6),
+        hum: round2(45 + this.random() * 15),
+        noise: round2(40 + this.random() * 20),
+      };
+
+      for (let uPos = 1; uPos <= uTotal; uPos++) {
+        if (this.random() < tagFill) {
+          state.tags.set(uPos, { tagId: this.randomTagId(), alarmStatus: 0 });
+        }
+      }
+      return state;
+    });
+  }
+
+  /**
+   * Random integer in [min, max]
+   * @param {number} min - Lower bound
+   * @param {number} max - Upper bound
+   * @returns {number} Integer
+   */
+  randomInt(min, max) {
+    return min + Math.floor(this.random() * (max - min + 1));
+  }
+
+  /**
+   * Pick a random element
+   * @param {Array} list - Candidates
+   * @returns {*} Element or undefined if the list is empty
+   */
+  pick(list) {
+    return list[Math.floor(this.random() * list.length)];
+  }
+
+  /**
+   * Random 4-byte RFID tag ID as uppercase hex
+   * @returns {string} Tag ID
+   */
+  randomTagId() {
+    return this.randomInt(0, 0xffffffff).toString(16).toUpperCase().padStart(8, '0');
+  }
+
+  /**
+   * Largest upload message ID before wrapping to 1
+   * @returns {number} Maximum message ID
+   */
+  get messageIdMax() {
+    return 0xffffffff;
+  }
+
+  /**
+   * Next upload message ID
+   * @returns {number} Message ID
+   */
+  nextMessageId() {
+    this.messageId = this.messageId >= this.messageIdMax ? 1 : this.messageId + 1;
+    return this.messageId;
+  }
+
+  /**
+   * Get a module by address
+   * @param {number} modAddr - Module address
+   * @returns {Object|undefined} Module state
+   */
+  getModule(modAddr) {
+    return this.modules.find((module) => module.modAddr === modAddr);
+  }
+
+  /**
+   * Build the upload topic of a message class
+   * @param {string} messageClass - Topic suffix (e.g. 'TemHum')
+   * @returns {string} Topic
+   */
+  uploadTopic(messageClass) {
+    return `${this.deviceType}Upload/${this.deviceId}/${messageClass}`;
+  }
+
+  /**
+   * Messages of one periodic kind for the whole device
+   * @param {string} kind - 'heartbeat', 'rfid', 'temHum', 'noise' or 'door'
+   * @returns {Array<Object>} Messages
+   */
+  messagesFor(kind) {
+    if (kind === 'heartbeat') {
+      return this.heartbeat();
+    }
+    if (typeof this[kind] !== 'function') {
+      throw new Error(`Unknown message kind: ${kind}`);
+    }
+    return this.modules.flatMap((module) => this[kind](module));
+  }
+
+  /**
+   * Move a tag to a free U-level (any module), or attach a new tag if the rack is empty
+   * @returns {Array<Object>} Uploads reporting the change
+   */
+  moveTag() {
+    const tagged = this.modules.flatMap((module) =>
+      Array.from(module.tags.keys(), (uPos) => ({ module, uPos })),
+    );
+    const free = this.modules.flatMap((module) =>
+      Array.from({ length: module.uTotal }, (_, i) => i + 1)
+        .filter((uPos) => !module.tags.has(uPos))
+        .map((uPos) => ({ module, uPos })),
+    );
+
+    const to = this.pick(free);
+    if (!to) {
+      return [];
+    }
+
+    const from = this.pick(tagged);
+    const tag = from ? from.module.tags.get(from.uPos) : { tagId: this.randomTagId() };
+    const changes = [];
+
+    if (from) {
+      from.module.tags.delete(from.uPos);
+      changes.push({ module: from.module, uPos: from.uPos, tagId: tag.tagId, attached: false });
+    }
+    to.module.tags.set(to.uPos, { tagId: tag.tagId, alarmStatus: 0 });
+    changes.push({ module: to.module, uPos: to.uPos, tagId: tag.tagId, attached: true });
+
+    return this.rfidChanges(changes);
+  }
+
+  /**
+   * Open or close the door of a random module
+   * @returns {Array<Object>} Uploads reporting the change
+   */
+  toggleDoor() {
+    const module = this.pick(this.modules);
+    if (!module) {
+      return [];
+    }
+    module.doorState = module.doorState ? 0 : 1;
+    return this.door(module);
+  }
+
+  /**
+   * Raise the tamper alarm of a random tagged U-level
+   * @returns {Array<Object>} Uploads reporting the change
+   */
+  raiseAlarm() {
+    const candidates = this.modules.flatMap((module) =>
+      Array.from(module.tags.entries())
+        .filter(([, tag]) => !tag.alarmStatus)
+        .map(([uPos, tag]) => ({ module, uPos, tag })),
+    );
+    const target = this.pick(candidates);
+    if (!target) {
+      return [];
+    }
+
+    target.tag.alarmStatus = 1;
+    return this.rfidChanges([
+      {
+        module: target.module,
+        uPos: target.uPos,
+        tagId: target.tag.tagId,
+        attached: true,
+        alarm: true,
+      },
+    ]);
+  }
+
+  /**
+   * Clear tamper alarms of a module
+   * @param {Object} module - Module state
+   * @param {Array<number>} positions - U-levels to clear
+   */
+  clearAlarms(module, positions) {
+    for (const uPos of positions) {
+      const tag = module.tags.get(uPos);
+      if (tag) {
+        tag.alarmStatus = 0;
+      }
+    }
+  }
+
+  /**
+   * Drift the sensor readings of a module and return them
+   * @param {Object} module - Module state
+   * @returns {Object} { temp, hum, noise }
+   */
+  readSensors(module) {
+    const drift = (value, step, min, max) =>
+      round2(Math.min(max, Math.max(min, value + (this.random() - 0.5) * step)));
+
+    module.temp = drift(module.temp, 0.6, 15, 40);
+    module.hum = drift(module.hum, 2, 20, 90);
+    module.noise = drift(module.noise, 4, 30, 90);
+    return { temp: module.temp, hum: module.hum, noise: module.noise };
+  }
+
+  /**
+   * Uploads sent when the device connects
+   * @returns {Array<Object>} Messages
+   */
+  startup() {
+    return this.heartbeat();
+  }
+
+  /**
+   * Report RFID changes (snapshot or change notification, per device family)
+   * @param {Array<Object>} _changes - [{ module, uPos, tagId, attached, alarm }]
+   * @returns {Array<Object>} Messages
+   */
+  rfidChanges(_changes) {
+    throw new Error(`${this.deviceType} simulator does not implement rfidChanges()`);
+  }
+
+  /**
+   * Answer a download command
+   * @param {Buffer} _payload - Command payload
+   * @returns {Array<Object>} Response messages (empty when the device ignores the command)
+   */
+  handleCommand(_payload) {
+    throw new Error(`${this.deviceType} simulator does not implement handleCommand()`);
+  }
+}
+
+export default SimulatedDevice;
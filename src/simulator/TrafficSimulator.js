@@ -0,0 +1,277 @@
+/**
+ * TrafficSimulator.js
+ * Publishes simulated V5008/V6800 gateway traffic to an MQTT broker and answers downlinks
+ *
+ * Periodic uploads (heartbeat, rfid, temHum, noise, door) go out for every device at their
+ * configured interval; event scenarios (tagMoves, doors, alarms) change one random device
+ * per tick. Commands published on {deviceType}Download/{deviceId} are answered like the
+ * real gateways do, so the middleware can be load-tested end to end.
+ */
+
+import mqtt from 'mqtt';
+import { logger } from '../core/index.js';
+import { createRandom } from './SimulatedDevice.js';
+import V5008Device from './V5008Device.js';
+import V6800Device from './V6800Device.js';
+
+const DEVICE_CLASSES = {
+  V5008: V5008Device,
+  V6800: V6800Device,
+};
+
+// Scenario name -> device method producing the uploads of one event
+const SCENARIOS = {
+  tagMoves: 'moveTag',
+  doors: 'toggleDoor',
+  alarms: 'raiseAlarm',
+};
+
+const MESSAGE_KINDS = ['heartbeat', 'rfid', 'temHum', 'noise', 'door'];
+
+class TrafficSimulator {
+  /**
+   * @param {Object} config - Simulator configuration (config/simulator.json)
+   * @param {Object} options - Simulator options
+   * @param {Object} options.client - Connected MQTT client (default: connect to config.broker)
+   */
+  constructor(config = {}, options = {}) {
+    this.config = config;
+    this.client = options.client || null;
+    this.ownsClient = !options.client;
+    this.qos = config.qos ?? 1;
+    this.responseDelay = config.responseDelay ?? 0;
+    this.random = createRandom(config.seed ?? Date.now());
+    this.logger = logger.child('TrafficSimulator');
+
+    this.devices = new Map();
+    for (const group of config.devices || []) {
+      const DeviceClass = DEVICE_CLASSES[group.deviceType];
+      if (!DeviceClass) {
+        throw new Error(`Unsupported simulated device type: ${group.deviceType}`);
+      }
+      for (let i = 0; i < (group.count ?? 1); i++) {
+        const deviceId = String(Number(group.firstDeviceId) + i);
+        const device = new DeviceClass({ ...group, deviceId, random: this.random });
+        this.devices.set(`${group.deviceType}:${deviceId}`, device);
+      }
+    }
+
+    this.timers = new Set();
+    this.stats = { published: 0, commands: 0, responses: 0, ignored: 0, errors: 0 };
+  }
+
+  /**
+   * Connect, announce every device and start the configured intervals and scenarios
+   */
+  async start() {
+    if (!this.client) {
+      this.client = await this.connect();
+    }
+
+    this.client.on('message', (topic, message) =>
+      this.handleDownlink(topic, message).catch((error) => this.recordError(error)),
+    );
+    await this.subscribe([
+      ...new Set(Array.from(this.devices.values(), (device) => `${device.deviceType}Download/+`)),
+    ]);
+
+    for (const device of this.devices.values()) {
+      await this.publishAll(device.startup());
+    }
+
+    for (const kind of MESSAGE_KINDS) {
+      this.every(this.config.intervals?.[kind], () => this.emitAll(kind));
+    }
+    for (const name of Object.keys(SCENARIOS)) {
+      this.every(this.config.scenarios?.[name], () => this.runScenario(name));
+    }
+
+    this.logger.info('Simulator started', { devices: this.devices.size });
+  }
+
+  /**
+   * Connect to the configured broker
+   * @returns {Promise<Object>} Connected MQTT client
+   */
+  connect() {
+    const client = mqtt.connect(this.config.broker, {
+      clientId: this.config.clientId,
+      username: this.config.username,
+      password: this.config.password,
+      clean: true,
+    });
+
+    return new Promise((resolve, reject) => {
+      client.once('connect', () => resolve(client));
+      client.once('error', (error) => {
+        client.end(true);
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * Subscribe to download topics
+   * @param {Array<string>} topics - Topic filters
+   * @returns {Promise<void>}
+   */
+  subscribe(topics) {
+    return new Promise((resolve, reject) => {
+      this.client.subscribe(topics, { qos: this.qos }, (error) =>
+        error ? reject(error) : resolve(),
+      );
+    });
+  }
+
+  /**
+   * Run a callback at a fixed interval; 0 or missing disables it
+   * @param {number} interval - Interval in milliseconds
+   * @param {Function} callback - Async callback
+   */
+  every(interval, callback) {
+    if (!interval || interval <= 0) {
+      return;
+    }
+    const timer = setInterval(() => {
+      callback().catch((error) => this.recordError(error));
+    }, interval);
+    this.timers.add(timer);
+  }
+
+  /**
+   * Publish one message kind for every device
+   * @param {string} kind - 'heartbeat', 'rfid', 'temHum', 'noise' or 'door'
+   * @returns {Promise<number>} Number of messages published
+   */
+  async emitAll(kind) {
+    let count = 0;
+    for (const device of this.devices.values()) {
+      count += await this.publishAll(device.messagesFor(kind));
+    }
+    return count;
+  }
+
+  /**
+   * Run one event scenario on a random device
+   * @param {string} name - 'tagMoves', 'doors' or 'alarms'
+   * @returns {Promise<number>} Number of messages published
+   */
+  async runScenario(name) {
+    const method = SCENARIOS[name];
+    if (!method) {
+      throw new Error(`Unknown scenario: ${name}`);
+    }
+
+    const devices = Array.from(this.devices.values());
+    const device = devices[Math.floor(this.random() * devices.length)];
+    return device ? this.publishAll(device[method]()) : 0;
+  }
+
+  /**
+   * Answer a download command after the configured response delay
+   * @param {string} topic - Download topic ({deviceType}Download/{deviceId})
+   * @param {Buffer} message - Command payload
+   * @returns {Promise<number>} Number of responses published
+   */
+  async handleDownlink(topic, message) {
+    const [prefix, deviceId] = topic.split('/');
+    const device = this.devices.get(`${prefix.replace(/Download$/, '')}:${deviceId}`);
+    if (!device) {
+      return 0;
+    }
+
+    this.stats.commands++;
+    const responses = device.handleCommand(message);
+    if (responses.length === 0) {
+      this.stats.ignored++;
+      this.logger.debug('Ignored download command', { topic });
+      return 0;
+    }
+
+    if (this.responseDelay > 0) {
+      await new Promise((resolve) => {
+        const timer = setTimeout(() => {
+          this.timers.delete(timer);
+          resolve();
+        }, this.responseDelay);
+        this.timers.add(timer);
+      });
+    }
+
+    try {
+      const count = await this.publishAll(responses);
+      this.stats.responses += count;
+      return count;
+    } catch (error) {
+      this.recordError(error);
+      return 0;
+    }
+  }
+
+  /**
+   * Publish messages in order
+   * @param {Array<Object>} messages - [{ topic, payload }]
+   * @returns {Promise<number>} Number of messages published
+   */
+  async publishAll(messages) {
+    for (const { topic, payload } of messages) {
+      await this.publish(topic, payload);
+    }
+    return messages.length;
+  }
+
+  /**
+   * Publish one message
+   * @param {string} topic - Upload topic
+   * @param {Buffer} payload - Message payload
+   * @returns {Promise<void>}
+   */
+  publish(topic, payload) {
+    return new Promise((resolve, reject) => {
+      this.client.publish(topic, payload, { qos: this.qos }, (error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        this.stats.published++;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Count and log a failed publish or download command
+   * @param {Error} error - Publish or command error
+   */
+  recordError(error) {
+    this.stats.errors++;
+    this.logger.error('Simulator traffic failed', { error: error.message });
+  }
+
+  /**
+   * Stop all timers and disconnect (when the simulator opened the connection)
+   */
+  async stop() {
+    for (const timer of this.timers) {
+      clearInterval(timer);
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+
+    if (this.client && this.ownsClient) {
+      await new Promise((resolve) => this.client.end(false, {}, resolve));
+    }
+    this.logger.info('Simulator stopped', this.getStats());
+  }
+
+  /**
+   * Get traffic counters
+   * @returns {Object} Counters and device count
+   */
+  getStats() {
+    return { devices: this.devices.size, ...this.stats };
+  }
+}
+
+export { SCENARIOS, MESSAGE_KINDS };
+export default TrafficSimulator;
@@ -0,0 +1,279 @@
+/**
+ * V5008Device.js
+ * Simulated V5008 gateway: binary uploads and download command responses
+ * Frames are encoded from the same definitions the parser decodes (protocol/V5008Frames.js)
+ */
+
+import FrameCodec from '../modules/protocol/FrameCodec.js';
+import { DEFAULT_PROTOCOL_VERSION, framesFor } from '../modules/protocol/V5008Frames.js';
+import SimulatedDevice from './SimulatedDevice.js';
+
+// Result codes of AA command responses
+const RESULT_SUCCESS = 0xa1;
+const RESULT_FAILURE = 0xa0;
+
+// Fixed frame slot counts and sensor address ranges
+const TEMP_HUM_SLOTS = 6;
+const TEMP_HUM_FIRST_ADDR = 10;
+const NOISE_SLOTS = 3;
+const NOISE_FIRST_ADDR = 16;
+const MAX_MODULES = 5;
+
+const GATEWAY_MODEL = '1390';
+
+// Firmware build reported by QRY_DEVICE_RESP
+const GATEWAY_FW_VERSION = 2307101644;
+
+class V5008Device extends SimulatedDevice {
+  /**
+   * @param {Object} options - Device options (see SimulatedDevice)
+   * @param {string} options.protocolVersion - V5008 protocol version (default: 1.4)
+   * @param {Object} options.frames - Frame definitions of versions not built in (see V5008Parser)
+   * @param {number} options.fwVer - Gateway firmware build (default: a 1.4 build)
+   */
+  constructor(options = {}) {
+    super('V5008', options);
+
+    if (this.modules.length > MAX_MODULES) {
+      throw new Error(`V5008 supports at most ${MAX_MODULES} modules, got ${this.modules.length}`);
+    }
+    for (const { modAddr } of this.modules) {
+      if (!Number.isInteger(modAddr) || modAddr < 1 || modAddr > MAX_MODULES) {
+        throw new Error(`Invalid V5008 modAddr: ${modAddr} (expected integer 1-${MAX_MODULES})`);
+      }
+    }
+
+    const protocolVersion = options.protocolVersion || DEFAULT_PROTOCOL_VERSION;
+    this.codec = new FrameCodec(framesFor(protocolVersion, options.frames));
+    this.fwVer = Number(options.fwVer ?? GATEWAY_FW_VERSION);
+  }
+
+  /**
+   * Encode an upload frame
+   * @param {string} messageClass - Topic suffix
+   * @param {string} frameName - Frame definition name
+   * @param {Object} values - Field values (messageId is added)
+   * @returns {Object} { topic, payload }
+   */
+  frame(messageClass, frameName, values) {
+    return {
+      topic: this.uploadTopic(messageClass),
+      payload: this.codec.encode(frameName, { ...values, messageId: this.nextMessageId() }),
+    };
+  }
+
+  /**
+   * Heartbeat listing every module slot (empty slots carry modId 0), or only the connected
+   * modules when the protocol version does not pad the slots
+   * @returns {Array<Object>} Messages
+   */
+  heartbeat() {
+    const { count } = this.codec
+      .getDefinition('HEARTBEAT')
+      .fields.find((field) => field.name === 'modules');
+    const slot = (module) => ({
+      modAddr: module.modAddr,
+      modId: Number(module.modId),
+      uTotal: module.uTotal,
+    });
+
+    const modules = Number.isInteger(count)
+      ? Array.from({ length: count }, (_, i) => {
+          const module = this.getModule(i + 1);
+          return module ? slot(module) : { modAddr: i + 1, modId: 0, uTotal: 0 };
+        })
+      : this.modules.map(slot);
+    return [this.frame('OpeAck', 'HEARTBEAT', { header: 'CC', modules })];
+  }
+
+  /**
+   * Full RFID snapshot of a module
+   * @param {Object} module - Module state
+   * @returns {Array<Object>} Messages
+   */
+  rfid(module) {
+    const items = Array.from(module.tags.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([uPos, tag]) => ({ uPos, alarmStatus: tag.alarmStatus, tagId: tag.tagId }));
+
+    return [
+      this.frame('LabelState', 'RFID', {
+        modAddr: module.modAddr,
+        modId: Number(module.modId),
+        uTotal: module.uTotal,
+        items,
+      }),
+    ];
+  }
+
+  /**
+   * V5008 always reports a full snapshot of every changed module
+   * @param {Array<Object>} changes - [{ module, uPos, tagId, attached }]
+   * @returns {Array<Object>} Messages
+   */
+  rfidChanges(changes) {
+    const modules = [...new Set(changes.map((change) => change.module))];
+    return modules.flatMap((module) => this.rfid(module));
+  }
+
+  /**
+   * Temperature/humidity readings; slots beyond the fitted sensors report zero
+   * @param {Object} module - Module state
+   * @returns {Array<Object>} Messages
+   */
+  temHum(module) {
+    const sensors = Array.from({ length: TEMP_HUM_SLOTS }, (_, i) => {
+      const fitted = i < this.thSensors;
+      const reading = fitted ? this.readSensors(module) : { temp: 0, hum: 0 };
+      return { sensorAddr: TEMP_HUM_FIRST_ADDR + i, temp: reading.temp, hum: reading.hum };
+    });
+
+    return [
+      this.frame('TemHum', 'TEMP_HUM', {
+        modAddr: module.modAddr,
+        modId: Number(module.modId),
+        sensors,
+      }),
+    ];
+  }
+
+  /**
+   * Noise readings of the three noise slots
+   * @param {Object} module - Module state
+   * @returns {Array<Object>} Messages
+   */
+  noise(module) {
+    const sensors = Array.from({ length: NOISE_SLOTS }, (_, i) => ({
+      sensorAddr: NOISE_FIRST_ADDR + i,
+      noise: i === 0 ? this.readSensors(module).noise : 0,
+    }));
+
+    return [
+      this.frame('Noise', 'NOISE', {
+        modAddr: module.modAddr,
+        modId: Number(module.modId),
+        sensors,
+      }),
+    ];
+  }
+
+  /**
+   * Door state of a module
+   * @param {Object} module - Module state
+   * @returns {Array<Object>} Messages
+   */
+  door(module) {
+    return [
+      this.frame('OpeAck', 'DOOR_STATE', {
+        modAddr: module.modAddr,
+        modId: Number(module.modId),
+        doorState: module.doorState,
+      }),
+    ];
+  }
+
+  /**
+   * Gateway model, firmware and network settings
+   * @returns {Array<Object>} Messages
+   */
+  deviceInfo() {
+    const id = Buffer.alloc(4);
+    id.writeUInt32BE(Number(this.deviceId) >>> 0);
+    const host = (Number(this.deviceId) % 200) + 20;
+
+    return [
+      this.frame('OpeAck', 'QRY_DEVICE_RESP', {
+        model: GATEWAY_MODEL,
+        fwVer: this.fwVer,
+        ip: `192.168.0.${host}`,
+        mask: '255.255.0.0',
+        gatewayIp: '192.168.0.1',
+        mac: ['80', '82', ...id.toString('hex').toUpperCase().match(/../g)].join(':'),
+      }),
+    ];
+  }
+
+  /**
+   * Firmware version of every module
+   * @returns {Array<Object>} Messages
+   */
+  moduleInfo() {
+    const modules = this.modules.map(({ modAddr, fwVer }) => ({ modAddr, fwVer: Number(fwVer) }));
+    return [this.frame('OpeAck', 'QRY_MODULE_RESP', { modules })];
+  }
+
+  /**
+   * AA response echoing the full request
+   * @param {string} frameName - Response frame name
+   * @param {Buffer} request - Download frame
+   * @param {boolean} success - Whether the command was applied
+   * @returns {Array<Object>} Messages
+   */
+  commandResponse(frameName, request, success) {
+    return [
+      this.frame('OpeAck', frameName, {
+        gatewayId: Number(this.deviceId),
+        resultCode: success ? RESULT_SUCCESS : RESULT_FAILURE,
+        originalReq: request.toString('hex').toUpperCase(),
+      }),
+    ];
+  }
+
+  /**
+   * Answer a download command the way the gateway does
+   * Frames that do not decode as a known command are ignored, as on the device
+   * @param {Buffer} payload - Download frame
+   * @returns {Array<Object>} Response messages
+   */
+  handleCommand(payload) {
+    let command;
+    try {
+      command = this.codec.decode('Download', Buffer.from(payload));
+    } catch {
+      return [];
+    }
+
+    const { name, values } = command;
+    const module = this.getModule(values.modAddr);
+
+    switch (name) {
+      case 'QRY_DEVICE':
+        return this.deviceInfo();
+      case 'QRY_MODULE':
+        return this.moduleInfo();
+      case 'QRY_RFID':
+        return module ? this.rfid(module) : [];
+      case 'QRY_TEMP_HUM':
+        return module ? this.temHum(module) : [];
+      case 'QRY_NOISE':
+        return module ? this.noise(module) : [];
+      case 'QRY_DOOR_STATE':
+        return module ? this.door(module) : [];
+      case 'QRY_COLOR':
+        return [
+          this.frame('OpeAck', 'QRY_COLOR_RESP', {
+            gatewayId: Number(this.deviceId),
+            resultCode: module ? RESULT_SUCCESS : RESULT_FAILURE,
+            originalReq: Buffer.from(payload).toString('hex').toUpperCase(),
+            colorMap: module ? module.colors : [],
+          }),
+        ];
+      case 'SET_COLOR': {
+        const valid = module && values.colors.every(({ uPos }) => uPos <= module.uTotal);
+        if (valid) {
+          values.colors.forEach(({ uPos, colorCode }) => (module.colors[uPos - 1] = colorCode));
+        }
+        return this.commandResponse('SET_COLOR_RESP', payload, valid);
+      }
+      case 'CLR_ALARM':
+        if (module) {
+          this.clearAlarms(module, values.positions);
+        }
+        return this.commandResponse('CLR_ALARM_RESP', payload, Boolean(module));
+      default:
+        return [];
+    }
+  }
+}
+
+export default V5008Device;
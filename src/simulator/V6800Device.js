@@ -0,0 +1,327 @@
+/**
+ * V6800Device.js
+ * Simulated V6800 gateway: JSON uploads and download command responses
+ * Message keys follow docs/V6800_V1.3.md; responses echo the request uuid_number
+ */
+
+import { MSG_TYPES } from '../modules/protocol/V6800Messages.js';
+import SimulatedDevice from './SimulatedDevice.js';
+
+const TEMP_HUM_FIRST_ADDR = 10;
+const MODULE_FW_VERSION = '2307101644';
+
+// Response code of a successful RFID query
+const QUERY_OK = 200;
+
+class V6800Device extends SimulatedDevice {
+  /**
+   * @param {Object} options - Device options (see SimulatedDevice)
+   */
+  constructor(options = {}) {
+    super('V6800', options);
+  }
+
+  /**
+   * uuid_number is a positive 32-bit signed integer
+   * @returns {number} Maximum message ID
+   */
+  get messageIdMax() {
+    return 2 ** 31 - 1;
+  }
+
+  /**
+   * Build an upload message
+   * @param {string} messageClass - Topic suffix
+   * @param {Object} body - Message fields (msg_type first)
+   * @param {number} uuidNumber - uuid_number to send (default: next message ID)
+   * @returns {Object} { topic, payload }
+   */
+  message(messageClass, body, uuidNumber = this.nextMessageId()) {
+    return {
+      topic: this.uploadTopic(messageClass),
+      payload: Buffer.from(JSON.stringify({ ...body, uuid_number: uuidNumber })),
+    };
+  }
+
+  /**
+   * Module reference keys used by notifications
+   * @param {Object} module - Module state
+   * @returns {Object} { host_gateway_port_index, extend_module_sn }
+   */
+  moduleRef(module) {
+    return { host_gateway_port_index: module.modAddr, extend_module_sn: module.modId };
+  }
+
+  /**
+   * Heartbeat with bus power readings and the module list
+   * @returns {Array<Object>} Messages
+   */
+  heartbeat() {
+    return [
+      this.message('HeartBeat', {
+        msg_type: 'heart_beat_req',
+        module_type: 'mt_gw',
+        module_sn: this.deviceId,
+        bus_V: (23.5 + this.random()).toFixed(2),
+        bus_I: (5 + this.random()).toFixed(2),
+        main_power: 1,
+        backup_power: 0,
+        data: this.modules.map((module, i) => ({
+          module_index: module.modAddr,
+          module_sn: module.modId,
+          module_m_num: i + 1,
+          module_u_num: module.uTotal,
+        })),
+      }),
+    ];
+  }
+
+  /**
+   * Device and module inventory sent after boot
+   * @returns {Array<Object>} Messages
+   */
+  init() {
+    const host = (Number(this.deviceId) % 200) + 20;
+    const mac = Number(this.deviceId).toString(16).toUpperCase().padStart(8, '0');
+
+    return [
+      this.message('Init', {
+        msg_type: 'devies_init_req',
+        gateway_sn: this.deviceId,
+        gateway_ip: `192.168.0.${host}`,
+        gateway_mac: ['08', '80', ...mac.slice(-8).match(/../g)].join(':'),
+        data: this.modules.map((module) => ({
+          module_index: module.modAddr,
+          module_sn: module.modId,
+          module_u_num: module.uTotal,
+          module_sw_version: module.fwVer || MODULE_FW_VERSION,
+        })),
+      }),
+    ];
+  }
+
+  /**
+   * Init followed by the first heartbeat
+   * @returns {Array<Object>} Messages
+   */
+  startup() {
+    return [...this.init(), ...this.heartbeat()];
+  }
+
+  /**
+   * Every occupied U-level of a module, reported as newly attached
+   * @param {Object} module - Module state
+   * @returns {Array<Object>} Messages
+   */
+  rfid(module) {
+    const changes = Array.from(module.tags.entries(), ([uPos, tag]) => ({
+      module,
+      uPos,
+      tagId: tag.tagId,
+      attached: true,
+    }));
+    return changes.length > 0 ? this.rfidChanges(changes) : [];
+  }
+
+  /**
+   * V6800 notifies state changes only, grouped per module
+   * @param {Array<Object>} changes - [{ module, uPos, tagId, attached, alarm }]
+   * @returns {Array<Object>} Messages
+   */
+  rfidChanges(changes) {
+    const modules = [...new Set(changes.map((change) => change.module))];
+
+    return [
+      this.message('LabelState', {
+        msg_type: 'u_state_changed_notify_req',
+        gateway_sn: this.deviceId,
+        data: modules.map((module) => ({
+          ...this.moduleRef(module),
+          u_data: changes
+            .filter((change) => change.module === module)
+            .map(({ uPos, tagId, attached, alarm }) => ({
+              u_index: uPos,
+              new_state: attached ? 1 : 0,
+              // An alarm on a tag already in place keeps both states at 1
+              old_state: attached && !alarm ? 0 : 1,
+              tag_code: tagId,
+              warning: alarm ? 1 : 0,
+            })),
+        })),
+      }),
+    ];
+  }
+
+  /**
+   * Temperature/humidity readings of the fitted sensors
+   * @param {Object} module - Module state
+   * @returns {Array<Object>} Messages
+   */
+  temHum(module) {
+    return [
+      this.message('TemHum', {
+        msg_type: 'temper_humidity_exception_nofity_req',
+        gateway_sn: this.deviceId,
+        data: [
+          {
+            ...this.moduleRef(module),
+            th_data: Array.from({ length: this.thSensors }, (_, i) => {
+              const { temp, hum } = this.readSensors(module);
+              return {
+                temper_position: TEMP_HUM_FIRST_ADDR + i,
+                temper_swot: temp,
+                hygrometer_swot: hum,
+              };
+            }),
+          },
+        ],
+      }),
+    ];
+  }
+
+  /**
+   * V6800 modules have no noise sensors
+   * @returns {Array<Object>} Messages
+   */
+  noise() {
+    return [];
+  }
+
+  /**
+   * Door state of a module
+   * @param {Object} module - Module state
+   * @returns {Array<Object>} Messages
+   */
+  door(module) {
+    return [
+      this.message('Door', {
+        msg_type: 'door_state_changed_notify_req',
+        gateway_sn: this.deviceId,
+        data: [{ ...this.moduleRef(module), new_state: module.doorState }],
+      }),
+    ];
+  }
+
+  /**
+   * Answer a download command the way the gateway does
+   * Payloads that are not a JSON object or carry an unknown msg_type are ignored
+   * @param {Buffer|string} payload - Command JSON
+   * @returns {Array<Object>} Response messages
+   */
+  handleCommand(payload) {
+    let request;
+    try {
+      request = JSON.parse(payload.toString());
+    } catch {
+      return [];
+    }
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+      return [];
+    }
+
+    const uuid = request.uuid_number;
+    const target = Array.isArray(request.data) ? request.data[0] || {} : {};
+    const module = this.getModule(target.host_gateway_port_index ?? target.index);
+
+    switch (request.msg_type) {
+      case MSG_TYPES.QRY_RFID.request:
+        return [
+          this.message(
+            'LabelState',
+            {
+              msg_type: MSG_TYPES.QRY_RFID.response,
+              code: QUERY_OK,
+              gateway_sn: this.deviceId,
+              data: module
+                ? [
+                    {
+                      ...this.moduleRef(module),
+                      u_data: Array.from({ length: module.uTotal }, (_, i) => {
+                        const tag = module.tags.get(i + 1);
+                        return {
+                          u_index: i + 1,
+                          u_state: tag ? 1 : 0,
+                          tag_code: tag ? tag.tagId : null,
+                        };
+                      }),
+                    },
+                  ]
+                : [],
+            },
+            uuid,
+          ),
+        ];
+      case MSG_TYPES.QRY_COLOR.request:
+        return [
+          this.message(
+            'OpeAck',
+            {
+              msg_type: MSG_TYPES.QRY_COLOR.response,
+              gateway_id: this.deviceId,
+              data: module
+                ? [
+                    {
+                      index: module.modAddr,
+                      module_id: module.modId,
+                      u_num: module.uTotal,
+                      color_data: module.colors.map((code, i) => ({ index: i + 1, code })),
+                    },
+                  ]
+                : [],
+            },
+            uuid,
+          ),
+        ];
+      case MSG_TYPES.SET_COLOR.request: {
+        const colors = target.u_color_data || [];
+        const valid =
+          module && colors.every(({ u_index: uPos }) => uPos >= 1 && uPos <= module.uTotal);
+        if (valid) {
+          colors.forEach(({ u_index: uPos, color_code: code }) => (module.colors[uPos - 1] = code));
+        }
+        return [
+          this.message(
+            'OpeAck',
+            {
+              msg_type: MSG_TYPES.SET_COLOR.response,
+              gateway_sn: this.deviceId,
+              data: [
+                {
+                  host_gateway_port_index: target.host_gateway_port_index,
+                  extend_module_sn: module ? module.modId : null,
+                  set_property_result: valid ? 0 : 1,
+                },
+              ],
+            },
+            uuid,
+          ),
+        ];
+      }
+      case MSG_TYPES.CLR_ALARM.request:
+        if (module) {
+          this.clearAlarms(module, target.u_index_list || []);
+        }
+        return [
+          this.message(
+            'OpeAck',
+            {
+              msg_type: MSG_TYPES.CLR_ALARM.response,
+              gateway_id: this.deviceId,
+              data: [
+                {
+                  index: target.index,
+                  module_id: module ? module.modId : null,
+                  ctr_flag: Boolean(module),
+                },
+              ],
+            },
+            uuid,
+          ),
+        ];
+      default:
+        return [];
+    }
+  }
+}
+
+export default V6800Device;
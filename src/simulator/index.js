@@ -0,0 +1,8 @@
+/**
+ * Simulator module exports
+ */
+
+export { default as TrafficSimulator } from './TrafficSimulator.js';
+export { default as SimulatedDevice, createRandom } from './SimulatedDevice.js';
+export { default as V5008Device } from './V5008Device.js';
+export { default as V6800Device } from './V6800Device.js';
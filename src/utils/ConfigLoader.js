@@ -33,6 +33,11 @@ class ConfigLoader {
         types: {
           mqttClient: 'object',
           normalizer: 'object',
+          commandTracker: 'object',
+          presenceTracker: 'object',
+          alarmManager: 'object',
+          doorTracker: 'object',
+          movementMonitor: 'object',
           memoryStorage: 'object',
           databaseStorage: 'object',
           messageRelay: 'object',
@@ -91,6 +96,20 @@ class ConfigLoader {
           reconnectPeriod: 'number',
         },
       },
+      simulator: {
+        required: ['broker', 'clientId', 'devices'],
+        types: {
+          broker: 'string',
+          clientId: 'string',
+          username: 'string',
+          password: 'string',
+          qos: 'number',
+          responseDelay: 'number',
+          devices: 'object',
+          intervals: 'object',
+          scenarios: 'object',
+        },
+      },
       webhook: {
         required: [],
         types: {
@@ -163,6 +182,13 @@ class ConfigLoader {
         port: 'HTTP_PORT',
         host: 'HTTP_HOST',
       },
+      // The simulator talks to the same broker as the middleware, under its own client ID
+      simulator: {
+        broker: 'MQTT_BROKER',
+        username: 'MQTT_USERNAME',
+        password: 'MQTT_PASSWORD',
+        clientId: 'SIMULATOR_CLIENT_ID',
+      },
     };
 
     // Apply mappings if they exist for this config
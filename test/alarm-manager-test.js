@@ -0,0 +1,256 @@
+/**
+ * Test file for the tamper alarm lifecycle
+ * Verifies opening, acknowledgement, CLR_ALARM linking, closing, durations and persistence
+ */
+
+import { strict as assert } from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { eventBus } from '../src/core/index.js';
+import AlarmManager from '../src/modules/alarm/AlarmManager.js';
+import CommandTracker from '../src/modules/command/CommandTracker.js';
+import V5008CommandPublisher from '../src/modules/command/V5008CommandPublisher.js';
+import UnifiedNormalizer from '../src/modules/normalizer/UnifiedNormalizer.js';
+import { createRandom } from '../src/simulator/SimulatedDevice.js';
+import V5008Device from '../src/simulator/V5008Device.js';
+
+const DEVICE_ID = '2437871205';
+
+const BASE = Date.UTC(2025, 11, 19, 9, 0, 0);
+// ISO time a number of seconds after BASE
+const at = (seconds) => new Date(BASE + seconds * 1000).toISOString();
+
+/**
+ * RFID snapshot record of module 1
+ * @param {number} seconds - Event time (seconds after BASE)
+ * @param {Array<Array>} items - [uPos, tagId, alarmStatus] per occupied U-level
+ * @returns {Object} SYS_RFID_SNAPSHOT record
+ */
+const snapshot = (seconds, items) => ({
+  meta: { ts: at(seconds) },
+  identity: { deviceId: DEVICE_ID, deviceType: 'V5008', modAddr: 1, sensorAddr: 0 },
+  type: 'SYS_RFID_SNAPSHOT',
+  payload: {
+    key: 'rfid_snapshot',
+    value: { items: items.map(([uPos, tagId, alarmStatus]) => ({ uPos, tagId, alarmStatus })) },
+  },
+});
+
+/**
+ * Collect the tamper_alarm records published on message.normalized
+ * @returns {Object} { actions, stop }
+ */
+function listen() {
+  const actions = [];
+  const onRecords = (suos) =>
+    suos
+      .filter((suo) => suo.payload.key === 'tamper_alarm')
+      .forEach((suo) => actions.push(`${suo.payload.value.action}:${suo.identity.sensorAddr}`));
+  eventBus.on('message.normalized', onRecords);
+  return { actions, stop: () => eventBus.off('message.normalized', onRecords) };
+}
+
+/**
+ * Alarms open on alarmStatus 1 and close when the position is normal or the tag leaves
+ */
+function testSnapshots() {
+  console.log('\n=== Testing alarms from RFID snapshots ===');
+
+  const manager = new AlarmManager();
+  const { actions, stop } = listen();
+
+  try {
+    manager.handleNormalizedMessages([
+      snapshot(0, [
+        [1, 'DD344A44', 1],
+        [2, 'DD2862B4', 1],
+        [3, 'DD3CE9C4', 1],
+      ]),
+    ]);
+    assert.equal(manager.getAlarms({ state: 'open' }).length, 3);
+
+    // Still alarming: nothing new
+    manager.handleNormalizedMessages([
+      snapshot(10, [
+        [1, 'DD344A44', 1],
+        [2, 'DD2862B4', 1],
+        [3, 'DD3CE9C4', 1],
+      ]),
+    ]);
+    assert.equal(actions.length, 3);
+
+    // Position 1 normal, position 2 tag removed, position 3 tag swapped and still alarming
+    manager.handleNormalizedMessages([
+      snapshot(60, [
+        [1, 'DD344A44', 0],
+        [3, 'DD000001', 1],
+      ]),
+    ]);
+    assert.deepEqual(actions.slice(3), ['closed:1', 'closed:3', 'opened:3', 'closed:2']);
+
+    const closed = manager.getAlarms({ state: 'closed' });
+    assert.deepEqual(
+      closed.map(({ uPos, closeReason }) => `${uPos}:${closeReason}`),
+      ['1:normal', '3:tag_replaced', '2:tag_detached'],
+    );
+    assert.equal(closed[0].durationMs, 60000);
+    assert.equal(closed[0].closedAt, at(60));
+
+    const [open] = manager.getAlarms({ state: 'open' });
+    assert.equal(open.tagId, 'DD000001');
+    assert.equal(open.openedAt, at(60));
+
+    assert.throws(() => manager.acknowledge(closed[0].alarmId), /already closed/);
+    assert.throws(() => manager.acknowledge('nope'), /Unknown alarm/);
+
+    const status = manager.getStatus();
+    assert.equal(status.open, 1);
+    assert.equal(status.opened, 4);
+    assert.equal(status.closed, 3);
+  } finally {
+    stop();
+  }
+}
+
+/**
+ * A simulated gateway alarm is acknowledged, cleared by command and closed by the next report
+ */
+async function testLifecycle() {
+  console.log('\n=== Testing alarm lifecycle with CLR_ALARM ===');
+
+  const normalizer = new UnifiedNormalizer();
+  const tracker = new CommandTracker({ timeout: 1000 });
+  const manager = new AlarmManager();
+  await normalizer.initialize();
+  await tracker.initialize();
+  await manager.initialize();
+  const { actions, stop } = listen();
+
+  try {
+    const device = new V5008Device({
+      deviceId: DEVICE_ID,
+      modules: [{ modAddr: 1, uTotal: 6 }],
+      tagFill: 1,
+      random: createRandom(3),
+    });
+    const publish = (messages) =>
+      messages.forEach(({ topic, payload }) =>
+        eventBus.emit('mqtt.message', { topic, message: payload }),
+      );
+    // The gateway answers downloads after the publish completes
+    const client = {
+      async publish(topic, frame) {
+        setImmediate(() => publish(device.handleCommand(frame)));
+      },
+    };
+    const publisher = new V5008CommandPublisher(client, { tracker });
+
+    const module = device.getModule(1);
+    publish(device.rfid(module));
+    publish(device.raiseAlarm());
+
+    const [alarm] = manager.getAlarms({ state: 'open' });
+    assert.equal(alarm.state, 'open');
+    assert.equal(alarm.deviceId, DEVICE_ID);
+    assert.equal(alarm.modAddr, 1);
+    assert.equal(module.tags.get(alarm.uPos).tagId, alarm.tagId);
+
+    const acknowledged = manager.acknowledge(alarm.alarmId, { by: 'ops-night', note: 'on site' });
+    assert.equal(acknowledged.state, 'acknowledged');
+    assert.equal(acknowledged.acknowledgedBy, 'ops-night');
+    assert.ok(acknowledged.acknowledgeDelayMs >= 0);
+    assert.equal(manager.getStatus().unacknowledged, 0);
+
+    const result = await publisher.clearAlarm(DEVICE_ID, 1, alarm.uPos);
+    assert.equal(result.result, 'Success');
+
+    const cleared = manager.getAlarm(alarm.alarmId);
+    assert.equal(cleared.state, 'acknowledged', 'open until the device reports normal');
+    assert.equal(cleared.clearCommands.length, 1);
+    assert.equal(cleared.clearCommands[0].commandId, result.commandId);
+    assert.equal(cleared.clearCommands[0].result, 'Success');
+
+    publish(device.rfid(module));
+    const closed = manager.getAlarm(alarm.alarmId);
+    assert.equal(closed.state, 'closed');
+    assert.equal(closed.closeReason, 'normal');
+    assert.equal(closed.acknowledgedBy, 'ops-night');
+    assert.ok(closed.durationMs >= 0);
+
+    assert.deepEqual(
+      actions.map((action) => action.split(':')[0]),
+      ['opened', 'acknowledged', 'clear_sent', 'clear_result', 'closed'],
+    );
+    assert.equal(manager.getStatus().cleared, 1);
+  } finally {
+    stop();
+    await manager.shutdown();
+    await tracker.shutdown();
+    await normalizer.shutdown();
+  }
+}
+
+/**
+ * Open alarms survive a restart
+ */
+async function testPersistence() {
+  console.log('\n=== Testing alarm persistence ===');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'alarm-state-'));
+  const stateFile = path.join(dir, 'alarms.json');
+
+  try {
+    const first = new AlarmManager({ stateFile });
+    await first.initialize();
+    first.handleNormalizedMessages([snapshot(0, [[4, 'DD344A44', 1]])]);
+    const [alarm] = first.getAlarms();
+    first.acknowledge(alarm.alarmId, { by: 'ops', at: at(30) });
+    await first.shutdown();
+
+    const second = new AlarmManager({ stateFile });
+    await second.initialize();
+    try {
+      const [restored] = second.getAlarms({ state: 'open' });
+      assert.equal(restored.alarmId, alarm.alarmId);
+      assert.equal(restored.acknowledgedBy, 'ops');
+      assert.equal(restored.acknowledgeDelayMs, 30000);
+
+      second.handleNormalizedMessages([snapshot(90, [[4, 'DD344A44', 0]])]);
+      assert.equal(second.getAlarm(alarm.alarmId).durationMs, 90000);
+      assert.equal(second.getStatus().open, 0);
+    } finally {
+      await second.shutdown();
+    }
+
+    const saved = JSON.parse(await fs.readFile(stateFile, 'utf-8'));
+    assert.deepEqual(saved.entries, {});
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('Starting alarm manager tests...');
+
+  try {
+    testSnapshots();
+    await testLifecycle();
+    await testPersistence();
+
+    console.log('\n✅ All alarm manager tests passed!');
+  } catch (error) {
+    console.error('\n❌ Alarm manager test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testSnapshots, testLifecycle, testPersistence, runAllTests };
@@ -0,0 +1,214 @@
+/**
+ * Test file for device, receive and processing time separation
+ * Verifies clock-skew tracking, the timing fields of SUO meta and late-message handling
+ */
+
+import { strict as assert } from 'assert';
+import { eventBus } from '../src/core/index.js';
+import ClockSkewTracker from '../src/modules/normalizer/ClockSkewTracker.js';
+import UnifiedNormalizer from '../src/modules/normalizer/UnifiedNormalizer.js';
+import UnifyNormalizer from '../src/modules/normalizer/UnifyNormalizer.js';
+import V6800Parser from '../src/modules/normalizer/parsers/V6800Parser.js';
+import MemoryStorage from '../src/modules/storage/MemoryStorage.js';
+
+const DEVICE_ID = '2123456789';
+const DOOR_TOPIC = `V6800Upload/${DEVICE_ID}/Door`;
+
+/**
+ * V6800 door message, optionally carrying a device time
+ * @param {Object} extra - Extra message fields
+ * @returns {Object} Raw message
+ */
+const doorMessage = (extra = {}) => ({
+  msg_type: 'door_state_changed_notify_req',
+  gateway_sn: DEVICE_ID,
+  uuid_number: 1,
+  data: [{ extend_module_sn: '3963041727', host_gateway_port_index: 2, new_state: 1 }],
+  ...extra,
+});
+
+// Offset a base time by seconds (ISO 8601)
+const at = (seconds) => new Date(Date.UTC(2025, 11, 19, 9, 0, 0) + seconds * 1000).toISOString();
+
+/**
+ * Skew follows the device clock; messages far behind it are late
+ */
+function testClockSkewTracker() {
+  console.log('\n=== Testing clock skew tracker ===');
+
+  const tracker = new ClockSkewTracker({ lateThresholdMs: 10000 });
+
+  // Device clock runs 2 s behind, delivery takes a few hundred ms
+  assert.deepEqual(tracker.observe(DEVICE_ID, at(0), at(2.3)), { clockSkewMs: 2300, late: false });
+  assert.deepEqual(tracker.observe(DEVICE_ID, at(10), at(12.1)), {
+    clockSkewMs: 2100,
+    late: false,
+  });
+  assert.equal(tracker.get(DEVICE_ID).skewMs, 2100);
+
+  // Queued for a minute by the gateway
+  assert.deepEqual(tracker.observe(DEVICE_ID, at(20), at(82)), { clockSkewMs: 62000, late: true });
+  assert.deepEqual(tracker.get(DEVICE_ID), {
+    skewMs: 2100,
+    lastSkewMs: 62000,
+    samples: 3,
+    lateCount: 1,
+  });
+
+  // No device clock: nothing to compare
+  assert.deepEqual(tracker.observe('2437871205', null, at(0)), { clockSkewMs: null, late: false });
+  assert.equal(tracker.get('2437871205'), null);
+
+  // A clock reset shows up as a run of late samples, after which it becomes the new baseline
+  const reset = new ClockSkewTracker({ lateThresholdMs: 10000 });
+  reset.observe(DEVICE_ID, at(0), at(0));
+  const lates = [1, 2, 3, 4, 5].map((i) => reset.observe(DEVICE_ID, at(i), at(3600 + i)).late);
+  assert.deepEqual(lates, [true, true, true, true, false]);
+  assert.equal(reset.observe(DEVICE_ID, at(6), at(3606)).late, false);
+  assert.deepEqual(Object.keys(reset.getStatus()), [DEVICE_ID]);
+}
+
+/**
+ * V6800 device times are read in the formats gateways send
+ */
+function testV6800DeviceTime() {
+  console.log('\n=== Testing V6800 device time ===');
+
+  const parser = new V6800Parser();
+  const parse = (extra) => parser.parse(DOOR_TOPIC, JSON.stringify(doorMessage(extra)));
+
+  assert.equal(parse({ time_stamp: '2025-12-19T09:00:00Z' }).deviceTs, '2025-12-19T09:00:00.000Z');
+  assert.equal(parse({ timestamp: 1766134800 }).deviceTs, '2025-12-19T09:00:00.000Z');
+  assert.equal(parse({ time: 1766134800000 }).deviceTs, '2025-12-19T09:00:00.000Z');
+  assert.equal(parse({ time_stamp: 'yesterday' }).deviceTs, null);
+  assert.equal(parse().deviceTs, null);
+}
+
+/**
+ * SUO meta carries device, receive and processing time separately
+ */
+function testSuoTiming() {
+  console.log('\n=== Testing SUO timing fields ===');
+
+  const normalizer = new UnifyNormalizer();
+  const parser = new V6800Parser();
+  const sif = parser.parse(DOOR_TOPIC, JSON.stringify(doorMessage({ time_stamp: at(0) })));
+
+  const [door] = normalizer.normalize({ ...sif, receivedAt: at(1.5) });
+  assert.equal(door.meta.ts, at(0), 'event time is the device time');
+  assert.equal(door.meta.deviceTs, at(0));
+  assert.equal(door.meta.receivedAt, at(1.5));
+  assert.ok(Date.parse(door.meta.processedAt) >= Date.parse(door.meta.receivedAt));
+  assert.equal(door.meta.clockSkewMs, 1500);
+  assert.equal(door.meta.late, false);
+
+  // Without a device clock the event time is the receive time
+  const [untimed] = normalizer.normalize({
+    ...parser.parse(DOOR_TOPIC, JSON.stringify(doorMessage())),
+    receivedAt: at(5),
+  });
+  assert.equal(untimed.meta.ts, at(5));
+  assert.equal(untimed.meta.deviceTs, null);
+  assert.equal(untimed.meta.clockSkewMs, null);
+
+  // Retained messages are replays, whatever their timing
+  const [retained] = normalizer.normalize({ ...sif, receivedAt: at(2), retained: true });
+  assert.equal(retained.meta.late, true);
+}
+
+/**
+ * The normalizer component keeps the MQTT receive time and reports skew in its status
+ */
+async function testReceiveTimePipeline() {
+  console.log('\n=== Testing receive time through the pipeline ===');
+
+  const component = new UnifiedNormalizer({ lateThresholdMs: 10000 });
+  await component.initialize();
+
+  const batches = [];
+  const onNormalized = (suos) => batches.push(suos);
+  eventBus.on('message.normalized', onNormalized);
+
+  try {
+    const publish = (deviceTime, timestamp) =>
+      eventBus.emit('mqtt.message', {
+        topic: DOOR_TOPIC,
+        message: Buffer.from(JSON.stringify(doorMessage({ time_stamp: deviceTime }))),
+        timestamp,
+      });
+
+    publish(at(0), at(0.2));
+    publish(at(10), at(130));
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const [first, second] = batches.map(([suo]) => suo.meta);
+    assert.equal(first.receivedAt, at(0.2));
+    assert.equal(first.late, false);
+    assert.equal(second.clockSkewMs, 120000);
+    assert.equal(second.late, true);
+
+    const { clockSkew } = component.getStatus();
+    assert.equal(clockSkew[DEVICE_ID].lateCount, 1);
+  } finally {
+    eventBus.off('message.normalized', onNormalized);
+    await component.shutdown();
+  }
+}
+
+/**
+ * Late records do not replace newer ones in memory and can be queried
+ */
+function testLateRecordsInMemory() {
+  console.log('\n=== Testing late records in memory storage ===');
+
+  const storage = new MemoryStorage();
+  const suo = (ts, receivedAt, late, state) => ({
+    meta: { ts, receivedAt, late, path: `${DEVICE_ID}/M2/S0` },
+    identity: { deviceId: DEVICE_ID, deviceType: 'V6800', modAddr: 2, sensorAddr: 0 },
+    type: 'SYS_STATE_CHANGE',
+    payload: { key: 'door_state', value: { state } },
+  });
+
+  storage.store(suo(at(60), at(60), false, 'CLOSED'));
+  storage.store(suo(at(0), at(120), true, 'OPEN'));
+
+  const [latest] = storage.getLatestByDevice(DEVICE_ID);
+  assert.equal(latest.payload.value.state, 'CLOSED');
+  assert.equal(storage.getAllDevices()[0].lastSeen, at(120));
+  assert.equal(storage.querySpecific({ deviceId: DEVICE_ID, late: true }).length, 0);
+  assert.equal(storage.querySpecific({ deviceId: DEVICE_ID, late: false }).length, 1);
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('Starting clock skew tests...');
+
+  try {
+    testClockSkewTracker();
+    testV6800DeviceTime();
+    testSuoTiming();
+    await testReceiveTimePipeline();
+    testLateRecordsInMemory();
+
+    console.log('\n✅ All clock skew tests passed!');
+  } catch (error) {
+    console.error('\n❌ Clock skew test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export {
+  testClockSkewTracker,
+  testV6800DeviceTime,
+  testSuoTiming,
+  testReceiveTimePipeline,
+  testLateRecordsInMemory,
+  runAllTests,
+};
@@ -0,0 +1,302 @@
+/**
+ * Test file for CommandTracker
+ * Verifies command/response correlation, result codes and timeouts
+ */
+
+import { strict as assert } from 'assert';
+import { eventBus } from '../src/core/index.js';
+import CommandTracker from '../src/modules/command/CommandTracker.js';
+import V5008CommandPublisher from '../src/modules/command/V5008CommandPublisher.js';
+import V6800CommandPublisher from '../src/modules/command/V6800CommandPublisher.js';
+import V5008Parser from '../src/modules/normalizer/parsers/V5008Parser.js';
+import V6800Parser from '../src/modules/normalizer/parsers/V6800Parser.js';
+
+const V5008_DEVICE_ID = '2437871205';
+const V6800_DEVICE_ID = '2123456789';
+
+const V5008_RESPONSES = {
+  SET_COLOR: 'AA914EF665A1E101050206012B002316',
+  QRY_COLOR: 'AA914EF665A1E4010000000D0D0825015D4C',
+};
+
+/**
+ * Minimal stand-in for MqttClient that records published messages
+ */
+function createRecordingClient() {
+  const published = [];
+  return {
+    published,
+    async publish(topic, message) {
+      published.push({ topic, message });
+    },
+  };
+}
+
+/**
+ * Collect EventBus events for the duration of a test
+ * @param {Array<string>} eventNames - Events to collect
+ * @returns {Object} { events, stop }
+ */
+function collectEvents(eventNames) {
+  const events = [];
+  const handlers = eventNames.map((name) => {
+    const handler = (data) => events.push({ name, data });
+    eventBus.on(name, handler);
+    return [name, handler];
+  });
+
+  return {
+    events,
+    stop: () => handlers.forEach(([name, handler]) => eventBus.off(name, handler)),
+  };
+}
+
+/**
+ * Parse a V5008 OpeAck frame and hand it to the tracker the way the normalizer does
+ * @param {string} hex - Frame as hex
+ * @returns {Object} Parsed data (annotated with commandId when matched)
+ */
+function deliverV5008Response(hex) {
+  const parsed = new V5008Parser().parse(
+    `V5008Upload/${V5008_DEVICE_ID}/OpeAck`,
+    Buffer.from(hex, 'hex'),
+  );
+  eventBus.emit('message.parsed', parsed);
+  return parsed;
+}
+
+/**
+ * A V5008 set color command resolves with the echoed response
+ */
+async function testV5008SetColorAck() {
+  console.log('\n=== Testing V5008 SET_COLOR acknowledgement ===');
+
+  const tracker = new CommandTracker({ timeout: 1000 });
+  await tracker.initialize();
+  const collector = collectEvents(['command.sent', 'command.acked']);
+
+  try {
+    const publisher = new V5008CommandPublisher(createRecordingClient(), { tracker });
+    const pending = publisher.setColor(V5008_DEVICE_ID, 1, [
+      { uPos: 5, colorCode: 2 },
+      { uPos: 6, colorCode: 1 },
+    ]);
+
+    // Let the publish complete before the device answers
+    await new Promise((resolve) => setImmediate(resolve));
+    const parsed = deliverV5008Response(V5008_RESPONSES.SET_COLOR);
+    const result = await pending;
+
+    assert.equal(result.command, 'SET_COLOR');
+    assert.equal(result.result, 'Success');
+    assert.equal(result.response.originalReq, 'E10105020601');
+    assert.equal(parsed.commandId, result.commandId, 'response should be linked to the command');
+    assert.deepEqual(
+      collector.events.map((event) => event.name),
+      ['command.sent', 'command.acked'],
+    );
+    assert.equal(tracker.getStatus().pending, 0);
+  } finally {
+    collector.stop();
+    await tracker.shutdown();
+  }
+}
+
+/**
+ * A V5008 color query resolves with the reported color map
+ */
+async function testV5008QueryColorAck() {
+  console.log('\n=== Testing V5008 QRY_COLOR acknowledgement ===');
+
+  const tracker = new CommandTracker({ timeout: 1000 });
+  await tracker.initialize();
+
+  try {
+    const publisher = new V5008CommandPublisher(createRecordingClient(), { tracker });
+    const pending = publisher.queryColor(V5008_DEVICE_ID, 1);
+
+    await new Promise((resolve) => setImmediate(resolve));
+    deliverV5008Response(V5008_RESPONSES.QRY_COLOR);
+    const result = await pending;
+
+    assert.equal(result.result, 'Success');
+    assert.deepEqual(result.response.colorMap, [0, 0, 0, 13, 13, 8]);
+  } finally {
+    await tracker.shutdown();
+  }
+}
+
+/**
+ * A device that answers before publish() resolves is acked once, after command.sent, and never
+ * times out
+ */
+async function testResponseDuringPublish() {
+  console.log('\n=== Testing response before publish completes ===');
+
+  const tracker = new CommandTracker({ timeout: 50 });
+  await tracker.initialize();
+  const collector = collectEvents(['command.sent', 'command.acked', 'command.timeout']);
+
+  try {
+    const client = {
+      async publish() {
+        deliverV5008Response(V5008_RESPONSES.SET_COLOR);
+      },
+    };
+    const publisher = new V5008CommandPublisher(client, { tracker });
+    const result = await publisher.setColor(V5008_DEVICE_ID, 1, [
+      { uPos: 5, colorCode: 2 },
+      { uPos: 6, colorCode: 1 },
+    ]);
+
+    assert.equal(result.result, 'Success');
+    assert.ok(Number.isFinite(result.latencyMs) && result.latencyMs >= 0);
+
+    // Past the timeout nothing else happens
+    await new Promise((resolve) => setTimeout(resolve, 80));
+    assert.deepEqual(
+      collector.events.map((event) => event.name),
+      ['command.sent', 'command.acked'],
+    );
+    const { acked, timedOut, pending } = tracker.getStatus();
+    assert.deepEqual({ acked, timedOut, pending }, { acked: 1, timedOut: 0, pending: 0 });
+  } finally {
+    collector.stop();
+    await tracker.shutdown();
+  }
+}
+
+/**
+ * V6800 commands are matched on uuid_number only
+ */
+async function testV6800UuidMatching() {
+  console.log('\n=== Testing V6800 uuid_number matching ===');
+
+  const tracker = new CommandTracker({ timeout: 1000 });
+  await tracker.initialize();
+
+  try {
+    const publisher = new V6800CommandPublisher(createRecordingClient(), {
+      tracker,
+      generateUuid: () => 775199553,
+    });
+    const pending = publisher.clearAlarm(V6800_DEVICE_ID, 2, 3);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const parser = new V6800Parser();
+    const topic = `V6800Upload/${V6800_DEVICE_ID}/OpeAck`;
+    const response = (uuidNumber, ctrFlag) =>
+      parser.parse(
+        topic,
+        JSON.stringify({
+          msg_type: 'clear_u_warning',
+          gateway_id: V6800_DEVICE_ID,
+          uuid_number: uuidNumber,
+          data: [{ index: 2, module_id: '3963041727', ctr_flag: ctrFlag }],
+        }),
+      );
+
+    // A response to some other request must not resolve this command
+    eventBus.emit('message.parsed', response(111111111, true));
+    assert.equal(tracker.getStatus().pending, 1);
+
+    eventBus.emit('message.parsed', response(775199553, false));
+    const result = await pending;
+
+    assert.equal(result.messageId, '775199553');
+    assert.equal(result.result, 'Failure');
+    assert.equal(tracker.getStatus().failed, 1);
+  } finally {
+    await tracker.shutdown();
+  }
+}
+
+/**
+ * Unanswered commands reject with a timeout error and emit command.timeout
+ */
+async function testTimeout() {
+  console.log('\n=== Testing command timeout ===');
+
+  const tracker = new CommandTracker({ timeout: 20 });
+  await tracker.initialize();
+  const collector = collectEvents(['command.timeout']);
+
+  try {
+    const publisher = new V5008CommandPublisher(createRecordingClient(), { tracker });
+
+    await assert.rejects(
+      () => publisher.clearAlarm(V5008_DEVICE_ID, 1, 6),
+      (error) => error.code === 'COMMAND_TIMEOUT' && /timed out after 20ms/.test(error.message),
+    );
+
+    assert.equal(collector.events.length, 1);
+    assert.equal(collector.events[0].data.command, 'CLR_ALARM');
+    assert.equal(collector.events[0].data.frame, 'E20106');
+    assert.equal(tracker.getStatus().timedOut, 1);
+    assert.equal(tracker.getStatus().pending, 0);
+  } finally {
+    collector.stop();
+    await tracker.shutdown();
+  }
+}
+
+/**
+ * A failed publish is not left pending
+ */
+async function testPublishFailure() {
+  console.log('\n=== Testing publish failure ===');
+
+  const tracker = new CommandTracker({ timeout: 1000 });
+  await tracker.initialize();
+
+  try {
+    const client = {
+      async publish() {
+        throw new Error('MQTT client is not connected');
+      },
+    };
+    const publisher = new V5008CommandPublisher(client, { tracker });
+
+    await assert.rejects(() => publisher.queryRfid(V5008_DEVICE_ID, 1), /not connected/);
+    assert.equal(tracker.getStatus().pending, 0);
+    assert.equal(tracker.getStatus().sent, 0);
+  } finally {
+    await tracker.shutdown();
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('Starting command tracker tests...');
+
+  try {
+    await testV5008SetColorAck();
+    await testV5008QueryColorAck();
+    await testV6800UuidMatching();
+    await testResponseDuringPublish();
+    await testTimeout();
+    await testPublishFailure();
+
+    console.log('\n✅ All command tracker tests passed!');
+  } catch (error) {
+    console.error('\n❌ Command tracker test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export {
+  testV5008SetColorAck,
+  testV5008QueryColorAck,
+  testV6800UuidMatching,
+  testResponseDuringPublish,
+  testTimeout,
+  testPublishFailure,
+  runAllTests,
+};
@@ -0,0 +1,331 @@
+/**
+ * Test file for DatabaseStorage record mapping
+ * Verifies SUO -> iot_unified_data rows, reads, and the sensor_data compatibility mode
+ */
+
+import { strict as assert } from 'assert';
+import DatabaseStorage from '../src/modules/storage/DatabaseStorage.js';
+
+const TELEMETRY = {
+  meta: {
+    uuid: '550e8400-e29b-41d4-a716-446655440000',
+    ts: '2025-12-19T09:43:00.000Z',
+    receivedAt: '2025-12-19T09:43:00.100Z',
+    messageId: '16854211',
+    path: '2437871205/M1/S10',
+  },
+  identity: { deviceId: '2437871205', deviceType: 'V5008', modAddr: 1, sensorAddr: 10 },
+  type: 'SYS_TELEMETRY',
+  payload: { key: 'temperature', value: 28.48, unit: 'celsius' },
+};
+
+const DOOR = {
+  meta: { ...TELEMETRY.meta, path: '2437871205/M1/S0' },
+  identity: { deviceId: '2437871205', deviceType: 'V5008', modAddr: 1, sensorAddr: 0 },
+  type: 'SYS_STATE_CHANGE',
+  payload: { key: 'door_state', value: { state: 'OPEN', raw: '01' } },
+};
+
+/**
+ * Minimal stand-in for a mysql2/promise pool
+ * @param {Array<Object>} rows - Rows returned by execute()
+ */
+function createRecordingPool(rows = []) {
+  const statements = [];
+  const connection = {
+    async beginTransaction() {},
+    async query(sql, params) {
+      statements.push({ sql, params });
+      return [{ affectedRows: params[0].length }];
+    },
+    async commit() {},
+    async rollback() {},
+    release() {},
+  };
+
+  return {
+    statements,
+    async getConnection() {
+      return connection;
+    },
+    async execute(sql, params) {
+      statements.push({ sql, params });
+      return [rows];
+    },
+  };
+}
+
+/**
+ * SUOs map onto the unified record fields
+ */
+function testUnifiedRecordMapping() {
+  console.log('\n=== Testing unified record mapping ===');
+
+  const storage = new DatabaseStorage();
+
+  assert.deepEqual(storage.toUnifiedRecord(TELEMETRY), {
+    deviceId: '2437871205',
+    deviceType: 'V5008',
+    moduleIndex: 1,
+    sensorIndex: 10,
+    messageClass: 'TELEMETRY',
+    dataKey: 'temperature',
+    numValue: 28.48,
+    strValue: null,
+    jsonValue: null,
+    tsDevice: '2025-12-19T09:43:00.000Z',
+    tsReceived: '2025-12-19T09:43:00.100Z',
+    tsProcessed: null,
+    clockSkewMs: null,
+    late: false,
+    messageId: '16854211',
+    rawMessage: null,
+  });
+
+  const door = storage.toUnifiedRecord(DOOR);
+  assert.equal(door.messageClass, 'STATE');
+  assert.equal(door.strValue, 'OPEN');
+  assert.deepEqual(door.jsonValue, { state: 'OPEN', raw: '01' });
+}
+
+/**
+ * Writes go to iot_unified_data as one multi-row insert
+ */
+async function testUnifiedWrite() {
+  console.log('\n=== Testing unified write ===');
+
+  const storage = new DatabaseStorage();
+  storage.pool = createRecordingPool();
+
+  await storage.writeToDatabase([TELEMETRY, DOOR]);
+
+  const [insert] = storage.pool.statements;
+  assert.match(insert.sql, /^INSERT INTO iot_unified_data \(device_id, .*raw_message\) VALUES \?$/);
+  const [rows] = insert.params;
+  assert.equal(rows.length, 2);
+  assert.equal(rows[0][6], 28.48);
+  assert.equal(rows[1][8], '{"state":"OPEN","raw":"01"}');
+  assert.ok(rows[0][9] instanceof Date);
+}
+
+/**
+ * Reads query iot_unified_data and format its rows
+ */
+async function testUnifiedRead() {
+  console.log('\n=== Testing unified read ===');
+
+  const storage = new DatabaseStorage();
+  storage.pool = createRecordingPool([
+    {
+      device_id: '2437871205',
+      device_type: 'V5008',
+      module_index: 1,
+      sensor_index: 0,
+      message_class: 'STATE',
+      data_key: 'door_state',
+      num_value: null,
+      str_value: 'OPEN',
+      json_value: '{"state":"OPEN","raw":"01"}',
+      ts_device: new Date('2025-12-19T09:43:00.000Z'),
+      ts_server: new Date('2025-12-19T09:43:00.200Z'),
+      message_id: '16854211',
+      raw_message: null,
+    },
+  ]);
+
+  const [record] = await storage.querySpecific({
+    deviceId: '2437871205',
+    modAddr: 1,
+    dataKey: 'door_state',
+  });
+
+  const [select] = storage.pool.statements;
+  assert.match(
+    select.sql,
+    /FROM iot_unified_data WHERE 1=1 AND device_id = \? AND module_index = \?/,
+  );
+  assert.match(select.sql, /AND data_key = \? ORDER BY ts_device DESC LIMIT \?$/);
+  assert.deepEqual(select.params, ['2437871205', 1, 'door_state', 50]);
+
+  assert.equal(record.strValue, 'OPEN');
+  assert.deepEqual(record.jsonValue, { state: 'OPEN', raw: '01' });
+  assert.equal(record.tsServer, '2025-12-19T09:43:00.200Z');
+}
+
+/**
+ * Receive/processing times and the late flag are stored and can be filtered on
+ */
+async function testTimingColumns() {
+  console.log('\n=== Testing timing columns ===');
+
+  const storage = new DatabaseStorage();
+  storage.pool = createRecordingPool([
+    {
+      device_id: '2123456789',
+      device_type: 'V6800',
+      message_class: 'STATE',
+      data_key: 'door_state',
+      ts_device: new Date('2025-12-19T09:40:00.000Z'),
+      ts_received: new Date('2025-12-19T09:43:00.100Z'),
+      ts_processed: new Date('2025-12-19T09:43:00.105Z'),
+      clock_skew_ms: 180100,
+      is_late: 1,
+    },
+  ]);
+
+  const late = {
+    ...DOOR,
+    meta: {
+      ...DOOR.meta,
+      ts: '2025-12-19T09:40:00.000Z',
+      deviceTs: '2025-12-19T09:40:00.000Z',
+      processedAt: '2025-12-19T09:43:00.105Z',
+      clockSkewMs: 180100,
+      late: true,
+    },
+  };
+  await storage.writeToDatabase([late]);
+
+  const [insert] = storage.pool.statements;
+  assert.match(insert.sql, /ts_device, ts_received, ts_processed, clock_skew_ms, is_late, /);
+  const [row] = insert.params[0];
+  assert.equal(row[10].toISOString(), '2025-12-19T09:43:00.100Z');
+  assert.equal(row[12], 180100);
+  assert.equal(row[13], 1);
+
+  const [record] = await storage.querySpecific({ deviceId: '2123456789', late: true });
+  const select = storage.pool.statements[1];
+  assert.match(select.sql, /AND is_late = \? ORDER BY ts_device DESC/);
+  assert.deepEqual(select.params, ['2123456789', 1, 50]);
+  assert.equal(record.tsReceived, '2025-12-19T09:43:00.100Z');
+  assert.equal(record.clockSkewMs, 180100);
+  assert.equal(record.late, true);
+}
+
+/**
+ * SUOs are stored with the sensor_type and msg_type values documented for sensor_data
+ */
+function testSensorDataTypes() {
+  console.log('\n=== Testing sensor_data type mapping ===');
+
+  const storage = new DatabaseStorage({ schema: 'sensor_data' });
+  const types = (type, payload) => storage.toSensorDataTypes({ type, payload });
+
+  assert.deepEqual(types('SYS_TELEMETRY', TELEMETRY.payload), ['TEMP_HUM', 'TEMP_HUM']);
+  assert.deepEqual(types('SYS_TELEMETRY', { key: 'humidity', value: 51 }), [
+    'TEMP_HUM',
+    'TEMP_HUM',
+  ]);
+  assert.deepEqual(types('SYS_TELEMETRY', { key: 'noise', value: 30 }), ['NOISE', 'NOISE']);
+  assert.deepEqual(types('SYS_RFID_EVENT', { key: 'rfid_event', value: {} }), ['USENSOR', 'RFID']);
+  assert.deepEqual(types('SYS_RFID_SNAPSHOT', { key: 'rfid_snapshot', value: {} }), [
+    'USENSOR',
+    'RFID',
+  ]);
+  assert.deepEqual(types('SYS_STATE_CHANGE', DOOR.payload), ['DOOR', 'DOOR']);
+  assert.deepEqual(types('SYS_LIFECYCLE', { key: 'device_status', value: {} }), [
+    'DEVICE',
+    'HEARTBEAT',
+  ]);
+  assert.deepEqual(types('SYS_DEVICE_INFO', { key: 'device_info', value: {} }), [
+    'DEVICE',
+    'QRY_DEVICE',
+  ]);
+  assert.deepEqual(types('SYS_DEVICE_INFO', { key: 'module_info', value: {} }), [
+    'MODULE',
+    'QRY_MODULE',
+  ]);
+  const operation = (name) => ({ key: 'operation_result', value: { operation: name } });
+  assert.deepEqual(types('SYS_STATE_CHANGE', operation('SET_COLOR')), ['USENSOR', 'SET_COLOR']);
+  assert.deepEqual(types('SYS_STATE_CHANGE', operation('CLR_ALARM')), ['USENSOR', 'CLR_ALARM']);
+
+  // Records sensor_data never documented keep their key
+  assert.deepEqual(types('SYS_STATE_CHANGE', operation('UNKNOWN')), [null, 'OPERATION_RESULT']);
+  assert.deepEqual(types('SYS_STATE_CHANGE', { key: 'color_map', value: {} }), [null, 'COLOR_MAP']);
+}
+
+/**
+ * Compatibility mode keeps writing and reading sensor_data
+ */
+async function testSensorDataCompatibility() {
+  console.log('\n=== Testing sensor_data compatibility mode ===');
+
+  const storage = new DatabaseStorage({ schema: 'sensor_data' });
+  storage.pool = createRecordingPool();
+
+  await storage.writeToDatabase([DOOR]);
+  await storage.getDeviceHistory('2437871205', { dataKey: 'door_state' });
+
+  const [insert, select] = storage.pool.statements;
+  assert.match(insert.sql, /^INSERT INTO sensor_data \(device_id, .*, ts\) VALUES \?$/);
+  const [row] = insert.params[0];
+  assert.deepEqual(row.slice(0, 6), ['2437871205', 'V5008', 1, null, 'DOOR', 'DOOR']);
+  assert.deepEqual(JSON.parse(row[6]), DOOR.payload);
+  assert.equal(JSON.parse(row[7]).type, 'SYS_STATE_CHANGE');
+  // Data keys are read from the stored payload
+  assert.match(
+    select.sql,
+    /FROM sensor_data\s+WHERE device_id = \?\s+AND JSON_UNQUOTE\(JSON_EXTRACT\(payload, '\$\.key'\)\) = \?/,
+  );
+  assert.match(select.sql, /ORDER BY ts DESC LIMIT \?$/);
+
+  // Reads restore the SUO
+  storage.pool = createRecordingPool([
+    {
+      device_id: '2437871205',
+      device_type: 'V5008',
+      module_number: 1,
+      module_id: null,
+      sensor_type: 'DOOR',
+      msg_type: 'DOOR',
+      payload: row[6],
+      meta: row[7],
+      ts: new Date(DOOR.meta.ts),
+    },
+  ]);
+  const [record] = await storage.getDeviceHistory('2437871205');
+  assert.equal(record.type, 'SYS_STATE_CHANGE');
+  assert.equal(record.identity.sensorAddr, 0);
+  assert.deepEqual(record.payload, DOOR.payload);
+
+  await assert.rejects(
+    () => new DatabaseStorage({ schema: 'bogus' }).initialize(),
+    /Unknown storage schema/,
+  );
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('Starting DatabaseStorage tests...');
+
+  try {
+    testUnifiedRecordMapping();
+    await testUnifiedWrite();
+    await testUnifiedRead();
+    await testTimingColumns();
+    testSensorDataTypes();
+    await testSensorDataCompatibility();
+
+    console.log('\n✅ All DatabaseStorage tests passed!');
+  } catch (error) {
+    console.error('\n❌ DatabaseStorage test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export {
+  testUnifiedRecordMapping,
+  testUnifiedWrite,
+  testUnifiedRead,
+  testTimingColumns,
+  testSensorDataTypes,
+  testSensorDataCompatibility,
+  runAllTests,
+};
@@ -0,0 +1,265 @@
+/**
+ * Test file for door session tracking
+ * Verifies sessions, door-left-open alerts, daily open time per rack and persistence
+ */
+
+import { strict as assert } from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { eventBus } from '../src/core/index.js';
+import DoorTracker from '../src/modules/door/DoorTracker.js';
+import UnifiedNormalizer from '../src/modules/normalizer/UnifiedNormalizer.js';
+import { createRandom } from '../src/simulator/SimulatedDevice.js';
+import V5008Device from '../src/simulator/V5008Device.js';
+
+const DEVICE_ID = '2437871205';
+
+// 2025-12-19 23:50 UTC
+const BASE = Date.UTC(2025, 11, 19, 23, 50, 0);
+// ISO time a number of seconds after BASE
+const at = (seconds) => new Date(BASE + seconds * 1000).toISOString();
+// Milliseconds since the epoch, seconds after BASE
+const ms = (seconds) => BASE + seconds * 1000;
+
+/**
+ * door_state record
+ * @param {number} seconds - Event time (seconds after BASE)
+ * @param {string} state - 'OPEN' or 'CLOSED'
+ * @param {number} modAddr - Module address
+ * @returns {Object} SYS_STATE_CHANGE record
+ */
+const door = (seconds, state, modAddr = 1) => ({
+  meta: { ts: at(seconds) },
+  identity: { deviceId: DEVICE_ID, deviceType: 'V5008', modAddr, sensorAddr: 0 },
+  type: 'SYS_STATE_CHANGE',
+  payload: { key: 'door_state', value: { state } },
+});
+
+/**
+ * Collect the door events and door_session records
+ * @returns {Object} { events, actions, stop }
+ */
+function listen() {
+  const events = [];
+  const actions = [];
+  const handlers = {};
+  for (const name of ['door.opened', 'door.closed', 'door.left_open']) {
+    handlers[name] = (event) => events.push({ name, ...event });
+    eventBus.on(name, handlers[name]);
+  }
+  const onRecords = (suos) =>
+    suos
+      .filter((suo) => suo.payload.key === 'door_session')
+      .forEach((suo) => actions.push(`${suo.payload.value.action}:${suo.identity.modAddr}`));
+  eventBus.on('message.normalized', onRecords);
+
+  return {
+    events,
+    actions,
+    stop: () => {
+      Object.entries(handlers).forEach(([name, handler]) => eventBus.off(name, handler));
+      eventBus.off('message.normalized', onRecords);
+    },
+  };
+}
+
+/**
+ * An open is paired with the close that follows it
+ */
+function testSessions() {
+  console.log('\n=== Testing door sessions ===');
+
+  const tracker = new DoorTracker();
+  const { events, actions, stop } = listen();
+
+  try {
+    tracker.handleNormalizedMessages([door(0, 'OPEN'), door(10, 'OPEN'), door(5, 'CLOSED', 2)]);
+    assert.deepEqual(actions, ['opened:1']);
+
+    tracker.handleNormalizedMessages([door(120, 'CLOSED')]);
+    assert.deepEqual(actions, ['opened:1', 'closed:1']);
+    assert.deepEqual(
+      events.map(({ name }) => name),
+      ['door.opened', 'door.closed'],
+    );
+
+    const [session] = tracker.getSessions({ deviceId: DEVICE_ID });
+    assert.equal(session.openedAt, at(0));
+    assert.equal(session.closedAt, at(120));
+    assert.equal(session.durationMs, 120000);
+    assert.equal(session.open, false);
+    assert.equal(session.sessionId, events[0].sessionId);
+
+    assert.deepEqual(tracker.getSessions({ open: true }), []);
+    assert.equal(tracker.getStatus().closed, 1);
+  } finally {
+    stop();
+  }
+}
+
+/**
+ * A session open past its threshold raises door.left_open once
+ */
+function testLeftOpen() {
+  console.log('\n=== Testing door left open ===');
+
+  const tracker = new DoorTracker({ leftOpenThresholds: { V5008: 60000 } });
+  const { events, actions, stop } = listen();
+
+  try {
+    tracker.handleNormalizedMessages([door(0, 'OPEN'), door(30, 'OPEN', 2), door(40, 'CLOSED', 2)]);
+
+    tracker.check(ms(59));
+    assert.equal(events.filter(({ name }) => name === 'door.left_open').length, 0);
+
+    tracker.check(ms(61));
+    tracker.check(ms(120));
+    const alerts = events.filter(({ name }) => name === 'door.left_open');
+    assert.equal(alerts.length, 1);
+    assert.equal(alerts[0].modAddr, 1);
+    assert.equal(alerts[0].threshold, 60000);
+    assert.equal(alerts[0].durationMs, 61000);
+    assert.equal(tracker.getStatus().leftOpenNow, 1);
+
+    tracker.handleNormalizedMessages([door(300, 'CLOSED')]);
+    assert.deepEqual(actions, ['opened:1', 'opened:2', 'closed:2', 'left_open:1', 'closed:1']);
+    const [session] = tracker.getSessions({ modAddr: 1 });
+    assert.equal(session.leftOpenAt, at(61));
+    assert.equal(session.durationMs, 300000);
+  } finally {
+    stop();
+  }
+}
+
+/**
+ * Open time is split over the days a session spans
+ */
+function testDailyOpenTime() {
+  console.log('\n=== Testing daily open time ===');
+
+  const tracker = new DoorTracker();
+  const { stop } = listen();
+
+  try {
+    // 23:50 - 00:20 and 00:30 - 00:35 (UTC)
+    tracker.handleNormalizedMessages([
+      door(0, 'OPEN'),
+      door(1800, 'CLOSED'),
+      door(2400, 'OPEN'),
+      door(2700, 'CLOSED'),
+      door(0, 'OPEN', 3),
+      door(60, 'CLOSED', 3),
+    ]);
+
+    assert.deepEqual(tracker.getDailyOpenTime({ deviceId: DEVICE_ID, modAddr: 1 }), [
+      { deviceId: DEVICE_ID, modAddr: 1, date: '2025-12-19', openMs: 600000, sessions: 1 },
+      { deviceId: DEVICE_ID, modAddr: 1, date: '2025-12-20', openMs: 1500000, sessions: 1 },
+    ]);
+    assert.deepEqual(
+      tracker.getDailyOpenTime({ from: '2025-12-20' }).map(({ modAddr }) => modAddr),
+      [1],
+    );
+
+    // One hour ahead of UTC everything happened on the 20th
+    assert.deepEqual(tracker.getDailyOpenTime({ modAddr: 1, utcOffsetMinutes: 60 }), [
+      { deviceId: DEVICE_ID, modAddr: 1, date: '2025-12-20', openMs: 2100000, sessions: 2 },
+    ]);
+
+    // A running session counts up to now
+    const now = new Date(Date.now() - 60000).toISOString();
+    tracker.handleNormalizedMessages([{ ...door(0, 'OPEN', 2), meta: { ts: now } }]);
+    const running = tracker.getDailyOpenTime({ modAddr: 2 });
+    assert.ok(running.reduce((total, row) => total + row.openMs, 0) >= 60000);
+    assert.equal(
+      running.reduce((total, row) => total + row.sessions, 0),
+      1,
+    );
+  } finally {
+    stop();
+  }
+}
+
+/**
+ * Doors reported by a simulated gateway are tracked, and sessions and totals survive a restart
+ */
+async function testPipelineAndRestart() {
+  console.log('\n=== Testing door sessions through the pipeline ===');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'door-state-'));
+  const stateFile = path.join(dir, 'door.json');
+  const normalizer = new UnifiedNormalizer();
+  await normalizer.initialize();
+
+  try {
+    const first = new DoorTracker({ stateFile });
+    await first.initialize();
+
+    const device = new V5008Device({
+      deviceId: DEVICE_ID,
+      modules: [{ modAddr: 1, uTotal: 6 }],
+      random: createRandom(4),
+    });
+    const module = device.getModule(1);
+    const publish = (messages) =>
+      messages.forEach(({ topic, payload }) =>
+        eventBus.emit('mqtt.message', { topic, message: payload }),
+      );
+
+    module.doorState = 1;
+    publish(device.door(module));
+    const [session] = first.getSessions({ open: true });
+    assert.equal(session.deviceId, DEVICE_ID);
+    assert.equal(session.modAddr, 1);
+    await first.shutdown();
+
+    const second = new DoorTracker({ stateFile });
+    await second.initialize();
+    try {
+      assert.equal(second.getSessions({ open: true })[0].sessionId, session.sessionId);
+
+      module.doorState = 0;
+      publish(device.door(module));
+      const [closed] = second.getSessions();
+      assert.equal(closed.sessionId, session.sessionId);
+      assert.equal(closed.open, false);
+      assert.equal(second.getDailyOpenTime()[0].sessions, 1);
+    } finally {
+      await second.shutdown();
+    }
+
+    const restarted = new DoorTracker({ stateFile });
+    await restarted.initialize();
+    assert.equal(restarted.getDailyOpenTime()[0].sessions, 1, 'daily totals are persisted');
+    await restarted.shutdown();
+  } finally {
+    await normalizer.shutdown();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('Starting door tracker tests...');
+
+  try {
+    testSessions();
+    testLeftOpen();
+    testDailyOpenTime();
+    await testPipelineAndRestart();
+
+    console.log('\n✅ All door tracker tests passed!');
+  } catch (error) {
+    console.error('\n❌ Door tracker test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testSessions, testLeftOpen, testDailyOpenTime, testPipelineAndRestart, runAllTests };
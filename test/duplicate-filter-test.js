@@ -0,0 +1,122 @@
+/**
+ * Test file for duplicate message suppression
+ * Verifies the per-device messageId window and that redeliveries never reach normalization
+ */
+
+import { strict as assert } from 'assert';
+import { eventBus } from '../src/core/index.js';
+import DuplicateFilter from '../src/modules/normalizer/DuplicateFilter.js';
+import UnifiedNormalizer from '../src/modules/normalizer/UnifiedNormalizer.js';
+
+const DEVICE_ID = '2437871205';
+const RFID_TOPIC = `V5008Upload/${DEVICE_ID}/LabelState`;
+const RFID_FRAME = Buffer.from(
+  'BB028C090995000C030A00DD344A440B00DD2862B40C00DD3CE9C4050007AD',
+  'hex',
+);
+
+// Offset a base time by seconds (ISO 8601)
+const at = (seconds) => new Date(Date.UTC(2025, 11, 19, 9, 0, 0) + seconds * 1000).toISOString();
+
+/**
+ * Same ID, topic and payload within the window is a duplicate
+ */
+function testWindow() {
+  console.log('\n=== Testing duplicate window ===');
+
+  const filter = new DuplicateFilter({ windowMs: 10000, maxEntries: 3 });
+  const message = (payload, receivedAt, topic = RFID_TOPIC) => ({ topic, payload, receivedAt });
+
+  assert.equal(filter.check(DEVICE_ID, '1', message('a', at(0))), false);
+  assert.equal(filter.check(DEVICE_ID, '1', message('a', at(5))), true);
+
+  // Another device, topic or payload is a different message
+  assert.equal(filter.check('2437871206', '1', message('a', at(5))), false);
+  assert.equal(filter.check(DEVICE_ID, '1', message('a', at(5), 'V5008Upload/x/TemHum')), false);
+  assert.equal(filter.check(DEVICE_ID, '1', message('b', at(6))), false);
+  assert.equal(filter.check(DEVICE_ID, '1', message('b', at(7))), true);
+
+  // Forgotten after the window
+  assert.equal(filter.check(DEVICE_ID, '1', message('b', at(20))), false);
+
+  // Forgotten once more than maxEntries newer IDs were seen
+  ['2', '3', '4'].forEach((id) => filter.check(DEVICE_ID, id, message('c', at(21))));
+  assert.equal(filter.check(DEVICE_ID, '1', message('b', at(22))), false);
+
+  // Messages without an ID are always passed
+  assert.equal(filter.check(DEVICE_ID, '', message('a', at(0))), false);
+  assert.equal(filter.check(DEVICE_ID, '', message('a', at(0))), false);
+
+  assert.deepEqual(filter.getStatus(), {
+    suppressed: 2,
+    byDevice: { [DEVICE_ID]: 2 },
+    tracked: 4,
+  });
+}
+
+/**
+ * A redelivered RFID frame produces no second batch and is counted in status
+ */
+async function testPipeline() {
+  console.log('\n=== Testing duplicate suppression in the pipeline ===');
+
+  const normalizer = new UnifiedNormalizer({ dedup: { windowMs: 60000 } });
+  await normalizer.initialize();
+
+  const batches = [];
+  const parsed = [];
+  const onNormalized = (suos) => batches.push(suos);
+  const onParsed = (data) => parsed.push(data);
+  eventBus.on('message.normalized', onNormalized);
+  eventBus.on('message.parsed', onParsed);
+
+  try {
+    const publish = () =>
+      eventBus.emit('mqtt.message', { topic: RFID_TOPIC, message: RFID_FRAME, timestamp: at(0) });
+
+    publish();
+    publish();
+    eventBus.emit('mqtt.message', {
+      topic: RFID_TOPIC,
+      message: RFID_FRAME,
+      timestamp: at(1),
+      retained: true,
+    });
+
+    assert.equal(parsed.length, 1);
+    assert.equal(batches.length, 1);
+    assert.ok(batches[0].length > 0);
+
+    const { duplicates } = normalizer.getStatus();
+    assert.equal(duplicates.suppressed, 2);
+    assert.equal(duplicates.byDevice[DEVICE_ID], 2);
+  } finally {
+    eventBus.off('message.normalized', onNormalized);
+    eventBus.off('message.parsed', onParsed);
+    await normalizer.shutdown();
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('Starting duplicate filter tests...');
+
+  try {
+    testWindow();
+    await testPipeline();
+
+    console.log('\n✅ All duplicate filter tests passed!');
+  } catch (error) {
+    console.error('\n❌ Duplicate filter test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testWindow, testPipeline, runAllTests };
@@ -0,0 +1,233 @@
+/**
+ * Test file for the declarative frame codec
+ * Verifies that the V5008 frame definitions decode and re-encode every documented frame
+ */
+
+import { strict as assert } from 'assert';
+import FrameCodec, { decodeFrame, encodeFrame } from '../src/modules/protocol/FrameCodec.js';
+import { V5008_FRAMES } from '../src/modules/protocol/V5008Frames.js';
+import ParseError from '../src/modules/normalizer/ParseError.js';
+import V5008Parser from '../src/modules/normalizer/parsers/V5008Parser.js';
+
+const codec = new FrameCodec(V5008_FRAMES['1.4']);
+
+// Sample frames (hex) from docs/V5008_V1.4.md, by topic class and expected frame name
+const UPLINK_FRAMES = [
+  [
+    'OpeAck',
+    'HEARTBEAT',
+    'CC01EC3737BF06028C0909950C0300000000000400000000000500000000000600000000000700000000000800000000000900000000000A0000000000F200168F',
+  ],
+  [
+    'OpeAck',
+    'HEARTBEAT',
+    'CB01EC3737BF06028C0909950C0300000000000400000000000500000000000600000000000700000000000800000000000900000000000A0000000000F200168F',
+  ],
+  ['OpeAck', 'DOOR_STATE', 'BA01EC3737BF010B01C7F8'],
+  ['OpeAck', 'QRY_DEVICE_RESP', 'EF011390958DD85FC0A800D3FFFF0000C0A800018082914EF665F2011CCB'],
+  ['OpeAck', 'QRY_MODULE_RESP', 'EF0201898393CC02898393CCF4010166'],
+  ['OpeAck', 'QRY_COLOR_RESP', 'AA914EF665A1E4010000000D0D0825015D4C'],
+  ['OpeAck', 'SET_COLOR_RESP', 'AA914EF665A1E101050206012B002316'],
+  ['OpeAck', 'CLR_ALARM_RESP', 'AA914EF665A1E2010605AC009ECF'],
+  ['OpeAck', 'UNKNOWN_RESP', 'AA914EF665A1E701AC009ECF'],
+  ['LabelState', 'RFID', 'BB028C090995000C030A00DD344A440B00DD2862B40C00DD3CE9C4050007AD'],
+  [
+    'TemHum',
+    'TEMP_HUM',
+    '01EC3737BF0AFB32331B0B1C08330B0C000000000D000000000E000000000F0000000001012CC3',
+  ],
+  ['Noise', 'NOISE', '01EC3737BF103205000011000000001200000000D500EBD7'],
+];
+
+const hex = (buffer) => buffer.toString('hex').toUpperCase();
+
+/**
+ * Assert that decoding throws a ParseError with the given code
+ * @param {Function} fn - Function expected to throw
+ * @param {string} code - Expected error code
+ */
+function expectParseError(fn, code) {
+  assert.throws(fn, (error) => error instanceof ParseError && error.code === code);
+}
+
+/**
+ * Every documented upload frame decodes and encodes back to the same bytes
+ */
+function testUplinkRoundTrip() {
+  console.log('\n=== Testing uplink round trips ===');
+
+  for (const [group, name, frame] of UPLINK_FRAMES) {
+    const decoded = codec.decode(group, Buffer.from(frame, 'hex'));
+    assert.equal(decoded.name, name);
+    assert.equal(hex(codec.encode(name, decoded.values)), frame, name);
+  }
+}
+
+/**
+ * Decoded fields follow the definitions, including computed counts
+ */
+function testDecodedFields() {
+  console.log('\n=== Testing decoded fields ===');
+
+  const module = codec.decode('OpeAck', Buffer.from('EF0201898393CC02898393CCF4010166', 'hex'));
+  // N = (Total_Packet_Bytes - 6) / 5
+  assert.deepEqual(module.values.modules, [
+    { modAddr: 1, fwVer: 2307101644 },
+    { modAddr: 2, fwVer: 2307101644 },
+  ]);
+
+  const color = codec.decode('OpeAck', Buffer.from('AA914EF665A1E4010000000D0D0825015D4C', 'hex'));
+  assert.equal(color.values.originalReq, 'E401');
+  assert.deepEqual(color.values.colorMap, [0, 0, 0, 13, 13, 8]);
+
+  const temHum = codec.decode(
+    'TemHum',
+    Buffer.from(
+      '01EC3737BF0AFB32331B0B1C08330B0C000000000D000000000E000000000F0000000001012CC3',
+      'hex',
+    ),
+  );
+  // Signed integer byte: FB 32 = -5.50
+  assert.deepEqual(temHum.values.sensors[0], { sensorAddr: 10, temp: -5.5, hum: 51.27 });
+
+  const device = codec.decode(
+    'OpeAck',
+    Buffer.from('EF011390958DD85FC0A800D3FFFF0000C0A800018082914EF665F2011CCB', 'hex'),
+  );
+  assert.equal(device.values.ip, '192.168.0.211');
+  assert.equal(device.values.mac, '80:82:91:4E:F6:65');
+
+  // Compact 3-byte noise slots decode to the same values as padded ones
+  const compact = codec.decode('Noise', Buffer.from('01EC3737BF103205110000120000D500EBD7', 'hex'));
+  assert.deepEqual(compact.values.sensors[0], { sensorAddr: 16, noise: 50.05 });
+}
+
+/**
+ * Download commands are encoded from their definitions and decode back
+ */
+function testDownlinkFrames() {
+  console.log('\n=== Testing downlink frames ===');
+
+  assert.equal(hex(codec.encode('QRY_RFID', { modAddr: 1 })), 'E90101');
+  assert.equal(hex(codec.encode('QRY_NOISE', { modAddr: 5 })), 'E90405');
+  assert.equal(hex(codec.encode('QRY_DEVICE')), 'EF0100');
+  assert.equal(
+    hex(
+      codec.encode('SET_COLOR', {
+        modAddr: 1,
+        colors: [
+          { uPos: 5, colorCode: 2 },
+          { uPos: 6, colorCode: 1 },
+        ],
+      }),
+    ),
+    'E10105020601',
+  );
+  assert.equal(hex(codec.encode('CLR_ALARM', { modAddr: 1, positions: [6, 5] })), 'E2010605');
+
+  const decoded = codec.decode('Download', Buffer.from('E10105020601', 'hex'));
+  assert.equal(decoded.name, 'SET_COLOR');
+  assert.deepEqual(decoded.values.colors, [
+    { uPos: 5, colorCode: 2 },
+    { uPos: 6, colorCode: 1 },
+  ]);
+  assert.equal(codec.decode('Download', Buffer.from('EF0200', 'hex')).name, 'QRY_MODULE');
+}
+
+/**
+ * Counts naming another field are filled in and checked when encoding
+ */
+function testEncodeCounts() {
+  console.log('\n=== Testing encode counts ===');
+
+  const rfid = {
+    modAddr: 2,
+    modId: 0x8c090995,
+    uTotal: 12,
+    items: [{ uPos: 10, alarmStatus: 0, tagId: 'DD344A44' }],
+    messageId: 83888045,
+  };
+  const frame = codec.encode('RFID', rfid);
+  assert.equal(hex(frame), 'BB028C090995000C010A00DD344A44050007AD');
+  assert.equal(codec.decode('LabelState', frame).values.onlineCount, 1);
+
+  assert.throws(() => codec.encode('RFID', { ...rfid, onlineCount: 3 }), /onlineCount: 3/);
+  assert.throws(() => codec.encode('QRY_RFID', { modAddr: 256 }), /Invalid modAddr/);
+  assert.throws(() => codec.encode('QRY_RFID', {}), /Missing value for modAddr/);
+  assert.throws(() => codec.encode('NOPE', {}), /Unknown frame: NOPE/);
+}
+
+/**
+ * Frames that do not fit their definition raise ParseError
+ */
+function testDecodeErrors() {
+  console.log('\n=== Testing decode errors ===');
+
+  const definition = codec.getDefinition('QRY_MODULE_RESP');
+  expectParseError(
+    () => decodeFrame(definition, Buffer.from('EF02F401', 'hex')),
+    'FRAME_TOO_SHORT',
+  );
+  expectParseError(
+    () => decodeFrame(definition, Buffer.from('EF0201898393CCF4010166', 'hex').subarray(0, 10)),
+    'FRAME_LENGTH_MISMATCH',
+  );
+  expectParseError(
+    () => codec.decode('Noise', Buffer.from('01EC3737BF10320500110000001200D500EBD7', 'hex')),
+    'FRAME_LENGTH_MISMATCH',
+  );
+  expectParseError(() => codec.decode('OpeAck', Buffer.from('77', 'hex')), 'UNKNOWN_HEADER');
+  expectParseError(
+    () => codec.decode('Status', Buffer.from('BA', 'hex')),
+    'UNSUPPORTED_MESSAGE_CLASS',
+  );
+
+  // Encoding a definition directly does not need a codec instance
+  assert.equal(hex(encodeFrame(codec.getDefinition('QRY_COLOR'), { modAddr: 3 })), 'E403');
+}
+
+/**
+ * Parsers and encoders select definitions by protocol version
+ */
+function testProtocolVersion() {
+  console.log('\n=== Testing protocol versions ===');
+
+  assert.equal(new V5008Parser().protocolVersion, '1.4');
+  assert.throws(() => new V5008Parser({ protocolVersion: '0.9' }), /Unsupported V5008 protocol/);
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('Starting frame codec tests...');
+
+  try {
+    testUplinkRoundTrip();
+    testDecodedFields();
+    testDownlinkFrames();
+    testEncodeCounts();
+    testDecodeErrors();
+    testProtocolVersion();
+
+    console.log('\n✅ All frame codec tests passed!');
+  } catch (error) {
+    console.error('\n❌ Frame codec test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export {
+  testUplinkRoundTrip,
+  testDecodedFields,
+  testDownlinkFrames,
+  testEncodeCounts,
+  testDecodeErrors,
+  testProtocolVersion,
+  runAllTests,
+};
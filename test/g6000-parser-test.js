@@ -0,0 +1,178 @@
+/**
+ * Test file for G6000Parser.js
+ * Tests parser with sample messages from outdated-doc/message-format-g6000.md
+ */
+
+import { strict as assert } from 'assert';
+import G6000Parser from '../src/modules/normalizer/parsers/G6000Parser.js';
+
+const DEVICE_ID = 'G6000-0012345678';
+const parser = new G6000Parser();
+
+/**
+ * Parse a JSON body on the given message class topic
+ * @param {string} messageClass - Topic suffix
+ * @param {Object} body - Message body
+ * @returns {Object} Parsed intermediate format
+ */
+const parse = (messageClass, body) =>
+  parser.parse(`G6000Upload/${DEVICE_ID}/${messageClass}`, Buffer.from(JSON.stringify(body)));
+
+/**
+ * HEARTBEAT and GATEWAY_STATUS carry gateway health
+ */
+function testGatewayHealth() {
+  console.log('\n=== Testing HEARTBEAT and GATEWAY_STATUS ===');
+
+  const heartbeat = parse('HEARTBEAT', {
+    deviceId: DEVICE_ID,
+    deviceType: 'G6000',
+    timestamp: '2025-11-30T05:17:00.000Z',
+    uptime: 259200,
+    cpuUsage: 15.2,
+    memoryUsage: '68.5',
+    networkStatus: 'connected',
+    activeConnections: 12,
+    firmwareVersion: '3.2.1',
+    hardwareVersion: '2.5',
+  });
+
+  assert.equal(heartbeat.deviceId, DEVICE_ID);
+  assert.equal(heartbeat.deviceType, 'G6000');
+  assert.equal(heartbeat.messageType, 'HEARTBEAT');
+  assert.equal(heartbeat.deviceTs, '2025-11-30T05:17:00.000Z');
+  assert.ok(!Number.isNaN(Date.parse(heartbeat.ts)), 'ts is the parse time');
+  assert.deepEqual(heartbeat.meta, {
+    uptime: 259200,
+    cpuUsage: 15.2,
+    memoryUsage: 68.5,
+    diskUsage: null,
+    networkStatus: 'connected',
+    activeConnections: 12,
+  });
+  assert.deepEqual(heartbeat.device, { fwVer: '3.2.1', hwVer: '2.5' });
+
+  const status = parse('GATEWAY_STATUS', {
+    systemHealth: 'good',
+    connectedDevices: 8,
+    totalDevices: 10,
+    dataRate: { incoming: 1250.5, outgoing: 890.2, unit: 'bytes/sec' },
+    protocols: { mqtt: 'connected' },
+  });
+
+  assert.equal(status.status.systemHealth, 'good');
+  assert.deepEqual(status.status.services, {});
+  assert.deepEqual(status.dataRate, { incoming: 1250.5, outgoing: 890.2, unit: 'bytes/sec' });
+  assert.equal(status.deviceTs, null, 'missing timestamp leaves device time empty');
+}
+
+/**
+ * SENSOR_DATA readings keep their downstream source
+ */
+function testSensorData() {
+  console.log('\n=== Testing SENSOR_DATA ===');
+
+  const parsed = parse('SENSOR_DATA', {
+    sourceDevice: 'V5008-2437871205',
+    sourceDeviceType: 'V5008',
+    sensorType: 'TEMP_HUM',
+    modNum: 2,
+    modId: '3963041727',
+    data: { temperature: 24.5, humidity: 62.3, unit: 'celsius', label: 'rack-a' },
+    quality: 'good',
+    aggregationMethod: 'average',
+    aggregationPeriod: 300,
+  });
+
+  assert.deepEqual(parsed.source, {
+    deviceId: '2437871205',
+    deviceType: 'V5008',
+    modAddr: 2,
+    modId: '3963041727',
+  });
+  assert.deepEqual(parsed.readings, [
+    { key: 'temperature', value: 24.5 },
+    { key: 'humidity', value: 62.3 },
+  ]);
+  assert.equal(parsed.unit, 'celsius');
+  assert.deepEqual(parsed.aggregation, { quality: 'good', method: 'average', period: 300 });
+}
+
+/**
+ * ALERT, SYSTEM_EVENT and query responses use their identifiers as messageId
+ */
+function testEventsAndQueries() {
+  console.log('\n=== Testing ALERT, SYSTEM_EVENT and query responses ===');
+
+  const alert = parse('ALERT', {
+    alertId: 'ALT_123456789',
+    severity: 'warning',
+    category: 'device_offline',
+    message: 'Device offline',
+    acknowledged: false,
+  });
+  assert.equal(alert.messageId, 'ALT_123456789');
+  assert.equal(alert.alert.category, 'device_offline');
+  assert.equal(alert.alert.resolved, false);
+
+  const event = parse('SYSTEM_EVENT', { eventId: 'EVT_1', eventType: 'configuration_change' });
+  assert.equal(event.messageId, 'EVT_1');
+  assert.equal(event.event.severity, 'info');
+
+  for (const queryType of ['QRY_STATUS', 'QRY_SENSORS', 'QRY_GATEWAY']) {
+    const response = parse(queryType, {
+      queryType,
+      queryId: 'req_345678',
+      responseData: { ok: true },
+    });
+    assert.equal(response.messageType, queryType);
+    assert.equal(response.messageId, 'req_345678');
+    assert.deepEqual(response.response, { ok: true });
+  }
+}
+
+/**
+ * Malformed messages are rejected with a descriptive error
+ */
+function testValidation() {
+  console.log('\n=== Testing validation ===');
+
+  assert.throws(() => parse('ALERT', { severity: 'info' }), /missing required field\(s\): alertId/);
+  assert.throws(() => parse('SET_CONFIG', { command: 'SET_CONFIG' }), /Unsupported G6000/);
+  assert.throws(() => parse('HEARTBEAT', [1, 2]), /must be a JSON object/);
+  assert.throws(
+    () => parse('QRY_STATUS', { queryType: 'QRY_SENSORS', responseData: {} }),
+    /does not match topic QRY_STATUS/,
+  );
+  assert.throws(
+    () => parser.parse(`G6000Upload/${DEVICE_ID}/HEARTBEAT`, '{uptime'),
+    /Invalid JSON in G6000 message/,
+  );
+  assert.throws(() => parser.parse('G6000Upload/HEARTBEAT', '{}'), /Invalid G6000 topic/);
+}
+
+/**
+ * Run all tests
+ */
+function runAllTests() {
+  console.log('Starting G6000 parser tests...');
+
+  try {
+    testGatewayHealth();
+    testSensorData();
+    testEventsAndQueries();
+    testValidation();
+
+    console.log('\n✅ All G6000 parser tests passed!');
+  } catch (error) {
+    console.error('\n❌ G6000 parser test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testGatewayHealth, testSensorData, testEventsAndQueries, testValidation, runAllTests };
@@ -0,0 +1,117 @@
+/**
+ * Test file for the golden-frame corpus
+ * Replays every corpus file through the parsers and both normalizers and fails on any
+ * field-level difference; re-record with `node test/golden/replay.js --update`.
+ */
+
+import { strict as assert } from 'assert';
+import fs from 'fs/promises';
+import { V5008_FRAMES } from '../src/modules/protocol/V5008Frames.js';
+import {
+  diffValues,
+  formatDiff,
+  listCorpusFiles,
+  replayCorpus,
+  stripIgnored,
+} from './golden/replay.js';
+
+/**
+ * Load a corpus file
+ * @param {string} file - Corpus file path
+ * @returns {Promise<Object>} Corpus
+ */
+const loadCorpus = async (file) => JSON.parse(await fs.readFile(file, 'utf8'));
+
+/**
+ * Field-level diffs respect ignored paths and report where values differ
+ */
+function testDiffValues() {
+  console.log('\n=== Testing field-level diffs ===');
+
+  const ignore = new Set(['normalized[*].meta.uuid']);
+  const expected = { normalized: [{ meta: { uuid: 'a', messageId: '1' }, payload: [1, 2] }] };
+  const actual = { normalized: [{ meta: { uuid: 'b', messageId: '2' }, payload: [1] }] };
+
+  assert.deepEqual(diffValues(expected, actual, '', ignore), [
+    { path: 'normalized[0].meta.messageId', expected: '1', actual: '2' },
+    { path: 'normalized[0].payload[1]', expected: 2, actual: undefined },
+  ]);
+  assert.deepEqual(diffValues({ a: null }, { a: {} }), [{ path: 'a', expected: null, actual: {} }]);
+  assert.deepEqual(diffValues({ a: [1] }, { a: [1] }), []);
+
+  assert.deepEqual(stripIgnored(actual.normalized, 'normalized', ignore), [
+    { meta: { messageId: '2' }, payload: [1] },
+  ]);
+}
+
+/**
+ * Every recorded case replays without differences
+ */
+async function testCorpusReplays() {
+  console.log('\n=== Testing corpus replays ===');
+
+  const files = await listCorpusFiles();
+  assert.ok(files.length >= 3, 'corpus covers V5008, V6800 and G6000');
+
+  for (const file of files) {
+    const { cases, diffs } = await replayCorpus(await loadCorpus(file));
+    assert.ok(cases > 0, `${file} has cases`);
+    assert.equal(diffs.length, 0, `${file}\n${diffs.map(formatDiff).join('\n')}`);
+  }
+}
+
+/**
+ * A changed frame offset is caught and reported per field and stage
+ */
+async function testOffsetRegression() {
+  console.log('\n=== Testing offset regression detection ===');
+
+  const corpus = await loadCorpus((await listCorpusFiles()).find((f) => f.endsWith('v5008.json')));
+  corpus.cases = corpus.cases.filter((testCase) => testCase.name === 'door closed');
+
+  // Swap modAddr and doorState, as a wrong offset in the door frame would
+  const door = V5008_FRAMES['1.4'].OpeAck.find((definition) => definition.name === 'DOOR_STATE');
+  const original = door.fields;
+  door.fields = [original[0], original[3], original[2], original[1], original[4]];
+
+  try {
+    const { diffs } = await replayCorpus(corpus);
+    const paths = new Set(diffs.map((diff) => `${diff.stage} ${diff.path}`));
+
+    assert.ok(paths.has('parser sif.modAddr'));
+    assert.ok(paths.has('parser sif.doorState'));
+    assert.ok(paths.has('UnifyNormalizer normalized[0].identity.modAddr'));
+    assert.ok(paths.has('UnifiedNormalizer sif.modAddr'));
+
+    const modAddr = diffs.find((diff) => diff.path === 'sif.modAddr');
+    assert.equal(modAddr.case, 'door closed');
+    assert.equal(modAddr.expected, 1);
+  } finally {
+    door.fields = original;
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('Starting golden corpus tests...');
+
+  try {
+    testDiffValues();
+    await testCorpusReplays();
+    await testOffsetRegression();
+
+    console.log('\n✅ All golden corpus tests passed!');
+  } catch (error) {
+    console.error('\n❌ Golden corpus test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testDiffValues, testCorpusReplays, testOffsetRegression, runAllTests };
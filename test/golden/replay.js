@@ -0,0 +1,295 @@
+/**
+ * Golden-frame replay harness
+ * Replays recorded device traffic through the parsers and both normalizers and reports
+ * field-level differences against the expected output stored in the corpus.
+ *
+ * Corpus file format (test/golden/corpus/*.json):
+ * {
+ *   "description": "...",
+ *   "ignore": ["sif.ts", "normalized[*].meta.uuid", ...],   // optional, replaces DEFAULT_IGNORE
+ *   "cases": [
+ *     {
+ *       "name": "heartbeat",
+ *       "topic": "V5008Upload/2437871205/OpeAck",
+ *       "hex": "CC01...",                 // or "json": {...} / "text": "..."
+ *       "expected": { "sif": {...}, "normalized": [...] }   // or { "error": "FRAME_TOO_SHORT" }
+ *     }
+ *   ]
+ * }
+ *
+ * Cases of a file are replayed in order against one normalizer, so RFID baselines and
+ * other state carry over from case to case like recorded traffic.
+ *
+ * Usage:
+ *   node test/golden/replay.js [corpus files...]            report diffs (exit 1 on any)
+ *   node test/golden/replay.js --update [corpus files...]   re-record expected output
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { eventBus } from '../../src/core/index.js';
+import ParserRegistry from '../../src/modules/normalizer/ParserRegistry.js';
+import UnifiedNormalizer from '../../src/modules/normalizer/UnifiedNormalizer.js';
+import UnifyNormalizer from '../../src/modules/normalizer/UnifyNormalizer.js';
+
+export const CORPUS_DIRECTORY = fileURLToPath(new URL('./corpus/', import.meta.url));
+
+// Values generated at replay time; array indices are written as [*]
+export const DEFAULT_IGNORE = [
+  'sif.ts',
+  'sif.rawMessage',
+  'sif.receivedAt',
+  'normalized[*].meta.uuid',
+  'normalized[*].meta.ts',
+  'normalized[*].meta.receivedAt',
+  'normalized[*].meta.processedAt',
+];
+
+/**
+ * Compare two JSON values and list the differing leaves
+ * @param {*} expected - Expected value
+ * @param {*} actual - Actual value
+ * @param {string} at - Path of the values
+ * @param {Set<string>} ignore - Paths (with [*] indices) left out of the comparison
+ * @returns {Array<Object>} [{ path, expected, actual }]
+ */
+export function diffValues(expected, actual, at = '', ignore = new Set()) {
+  if (ignore.has(at.replace(/\[\d+\]/g, '[*]'))) {
+    return [];
+  }
+
+  const isObject = (value) => value !== null && typeof value === 'object';
+  if (
+    !isObject(expected) ||
+    !isObject(actual) ||
+    Array.isArray(expected) !== Array.isArray(actual)
+  ) {
+    return Object.is(expected, actual) ? [] : [{ path: at, expected, actual }];
+  }
+
+  const keys = Array.isArray(expected)
+    ? Array.from({ length: Math.max(expected.length, actual.length) }, (_, i) => i)
+    : [...new Set([...Object.keys(expected), ...Object.keys(actual)])];
+
+  return keys.flatMap((key) =>
+    diffValues(
+      expected[key],
+      actual[key],
+      Array.isArray(expected) ? `${at}[${key}]` : at ? `${at}.${key}` : key,
+      ignore,
+    ),
+  );
+}
+
+/**
+ * Drop ignored paths from a value so recorded output only holds compared fields
+ * @param {*} value - JSON value
+ * @param {string} at - Path of the value
+ * @param {Set<string>} ignore - Paths (with [*] indices) to drop
+ * @returns {*} Value without the ignored paths
+ */
+export function stripIgnored(value, at, ignore) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, i) => stripIgnored(item, `${at}[${i}]`, ignore));
+  }
+  return Object.fromEntries(
+    Object.entries(value)
+      .map(([key, item]) => [key, `${at}.${key}`, item])
+      .filter(([, itemPath]) => !ignore.has(itemPath.replace(/\[\d+\]/g, '[*]')))
+      .map(([key, itemPath, item]) => [key, stripIgnored(item, itemPath, ignore)]),
+  );
+}
+
+/**
+ * Build the MQTT payload of a case as it arrives off the wire
+ * @param {Object} testCase - Corpus case
+ * @returns {Buffer} Payload
+ */
+export function casePayload(testCase) {
+  if (typeof testCase.hex === 'string') {
+    return Buffer.from(testCase.hex, 'hex');
+  }
+  if (testCase.json !== undefined) {
+    return Buffer.from(JSON.stringify(testCase.json));
+  }
+  return Buffer.from(testCase.text ?? '');
+}
+
+// Round-trip through JSON so results compare like the stored corpus (undefined keys dropped)
+const toJson = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Describe a failure the way the corpus records it
+ * @param {Error} error - Parser or normalizer error
+ * @returns {Object} { error }
+ */
+const toErrorResult = (error) => ({ error: error.code || error.message });
+
+/**
+ * Replay cases through the registered parsers and UnifyNormalizer
+ * @param {Array<Object>} cases - Corpus cases
+ * @returns {Promise<Array<Object>>} Result per case: { sif, normalized } or { error }
+ */
+async function replayDirect(cases) {
+  const registry = new ParserRegistry();
+  await registry.load();
+  const normalizer = new UnifyNormalizer();
+
+  return cases.map((testCase) => {
+    try {
+      const parser = registry.resolve(testCase.topic);
+      if (!parser) {
+        throw new Error(`No parser registered for topic: ${testCase.topic}`);
+      }
+      const sif = parser.parse(testCase.topic, casePayload(testCase));
+      const sifJson = toJson(sif);
+      return { sif: sifJson, normalized: toJson(normalizer.normalize(sif)) };
+    } catch (error) {
+      return toErrorResult(error);
+    }
+  });
+}
+
+/**
+ * Replay cases through the UnifiedNormalizer component on the event bus
+ * @param {Array<Object>} cases - Corpus cases
+ * @returns {Promise<Array<Object>>} Result per case: { sif, normalized } or { error }
+ */
+async function replayComponent(cases) {
+  const component = new UnifiedNormalizer();
+  await component.initialize();
+
+  let current = {};
+  const onParsed = (sif) => (current.sif = toJson(sif));
+  const onNormalized = (suos) => (current.normalized = toJson(suos));
+  // handleError also reports on message.error without the message data; keep the first report
+  const onError = ({ error, data } = {}) => {
+    if (data && !current.error) {
+      current.error = toErrorResult(error).error;
+    }
+  };
+
+  eventBus.on('message.parsed', onParsed);
+  eventBus.on('message.normalized', onNormalized);
+  eventBus.on('message.error', onError);
+
+  const results = [];
+  try {
+    for (const testCase of cases) {
+      current = {};
+      eventBus.emit('mqtt.message', { topic: testCase.topic, message: casePayload(testCase) });
+      await new Promise((resolve) => setImmediate(resolve));
+      results.push(current.error ? { error: current.error } : { normalized: [], ...current });
+    }
+  } finally {
+    eventBus.off('message.parsed', onParsed);
+    eventBus.off('message.normalized', onNormalized);
+    eventBus.off('message.error', onError);
+    await component.shutdown();
+  }
+
+  return results;
+}
+
+/**
+ * Replay one corpus and compare every stage against the expected output
+ * @param {Object} corpus - Parsed corpus file
+ * @returns {Promise<Object>} { cases, diffs: [{ case, stage, path, expected, actual }], results }
+ */
+export async function replayCorpus(corpus) {
+  const cases = corpus.cases || [];
+  const ignore = new Set(corpus.ignore || DEFAULT_IGNORE);
+  const direct = await replayDirect(cases);
+  const component = await replayComponent(cases);
+  const diffs = [];
+
+  cases.forEach((testCase, i) => {
+    const stages = [
+      ['parser', { sif: direct[i].sif, error: direct[i].error }, ['sif', 'error']],
+      ['UnifyNormalizer', direct[i], ['normalized']],
+      ['UnifiedNormalizer', component[i], ['sif', 'normalized', 'error']],
+    ];
+
+    for (const [stage, actual, keys] of stages) {
+      for (const key of keys) {
+        for (const diff of diffValues(testCase.expected?.[key], actual[key], key, ignore)) {
+          diffs.push({ case: testCase.name, stage, ...diff });
+        }
+      }
+    }
+  });
+
+  return { cases: cases.length, diffs, results: direct };
+}
+
+/**
+ * List the corpus files of a directory
+ * @param {string} directory - Corpus directory
+ * @returns {Promise<Array<string>>} File paths
+ */
+export async function listCorpusFiles(directory = CORPUS_DIRECTORY) {
+  const files = await fs.readdir(directory);
+  return files
+    .filter((file) => file.endsWith('.json'))
+    .sort()
+    .map((file) => path.join(directory, file));
+}
+
+/**
+ * Format a diff for the console
+ * @param {Object} diff - { case, stage, path, expected, actual }
+ * @returns {string} One report line
+ */
+export const formatDiff = (diff) =>
+  `  [${diff.case}] ${diff.stage} ${diff.path}: expected ${JSON.stringify(diff.expected)}, got ${JSON.stringify(diff.actual)}`;
+
+/**
+ * Replay corpus files, printing a report (and re-recording expected output on update)
+ * @param {Array<string>} files - Corpus file paths
+ * @param {Object} options - { update: boolean }
+ * @returns {Promise<number>} Number of diffs found
+ */
+export async function run(files, { update = false } = {}) {
+  let total = 0;
+
+  for (const file of files) {
+    const corpus = JSON.parse(await fs.readFile(file, 'utf8'));
+    const { cases, diffs, results } = await replayCorpus(corpus);
+
+    if (update) {
+      const ignore = new Set(corpus.ignore || DEFAULT_IGNORE);
+      corpus.cases.forEach((testCase, i) => {
+        testCase.expected = Object.fromEntries(
+          Object.entries(results[i]).map(([key, value]) => [key, stripIgnored(value, key, ignore)]),
+        );
+      });
+      await fs.writeFile(file, `${JSON.stringify(corpus, null, 2)}\n`);
+      console.log(`${path.basename(file)}: recorded ${cases} cases`);
+      continue;
+    }
+
+    console.log(`${path.basename(file)}: ${cases} cases, ${diffs.length} diffs`);
+    diffs.forEach((diff) => console.log(formatDiff(diff)));
+    total += diffs.length;
+  }
+
+  return total;
+}
+
+// Run the harness if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const update = args.includes('--update');
+  const files = args.filter((arg) => arg !== '--update').map((file) => path.resolve(file));
+
+  run(files.length > 0 ? files : await listCorpusFiles(), { update })
+    .then((diffs) => process.exit(diffs > 0 ? 1 : 0))
+    .catch((error) => {
+      console.error('Replay failed:', error);
+      process.exit(1);
+    });
+}
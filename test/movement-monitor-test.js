@@ -0,0 +1,327 @@
+/**
+ * Test file for unauthorized asset movement detection
+ * Verifies violations against expected positions and change windows, and LED flashing
+ */
+
+import { strict as assert } from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { eventBus } from '../src/core/index.js';
+import V5008CommandPublisher from '../src/modules/command/V5008CommandPublisher.js';
+import MovementMonitor from '../src/modules/movement/MovementMonitor.js';
+import UnifiedNormalizer from '../src/modules/normalizer/UnifiedNormalizer.js';
+import { createRandom } from '../src/simulator/SimulatedDevice.js';
+import V5008Device from '../src/simulator/V5008Device.js';
+
+const DEVICE_ID = '2437871205';
+
+const BASE = Date.UTC(2025, 11, 19, 9, 0, 0);
+// ISO time a number of seconds after BASE
+const at = (seconds) => new Date(BASE + seconds * 1000).toISOString();
+
+const ASSET = {
+  tagId: 'DD3CE9C4',
+  hostname: 'db-prod-01',
+  owner: 'dba',
+  serial: 'SN-48213',
+  expectedDeviceId: DEVICE_ID,
+  expectedModAddr: 1,
+  expectedUPos: 12,
+};
+
+/**
+ * Enriched RFID event record
+ * @param {number} seconds - Event time (seconds after BASE)
+ * @param {string} action - 'ATTACHED' or 'DETACHED'
+ * @param {number} modAddr - Module address
+ * @param {number} uPos - U-level
+ * @param {Object|null} asset - Tag registry asset (null for an unregistered tag)
+ * @returns {Object} SYS_RFID_EVENT record
+ */
+const rfidEvent = (seconds, action, modAddr, uPos, asset = ASSET) => ({
+  meta: { ts: at(seconds) },
+  identity: { deviceId: DEVICE_ID, deviceType: 'V5008', modAddr, sensorAddr: uPos },
+  type: 'SYS_RFID_EVENT',
+  payload: {
+    key: 'rfid_event',
+    value: { action, uPos, tagId: asset ? asset.tagId : 'DD000001', ...(asset && { asset }) },
+  },
+});
+
+/**
+ * Collect the asset.violation events and asset_violation records
+ * @returns {Object} { events, records, stop }
+ */
+function listen() {
+  const events = [];
+  const records = [];
+  const onViolation = (event) => events.push(event);
+  const onRecords = (suos) =>
+    records.push(...suos.filter((suo) => suo.payload.key === 'asset_violation'));
+  eventBus.on('asset.violation', onViolation);
+  eventBus.on('message.normalized', onRecords);
+
+  return {
+    events,
+    records,
+    stop: () => {
+      eventBus.off('asset.violation', onViolation);
+      eventBus.off('message.normalized', onRecords);
+    },
+  };
+}
+
+/**
+ * Attaches away from the expected position, removals and unknown tags are violations
+ */
+function testViolations() {
+  console.log('\n=== Testing movement violations ===');
+
+  const monitor = new MovementMonitor();
+  const { events, records, stop } = listen();
+
+  try {
+    monitor.handleNormalizedMessages([rfidEvent(0, 'ATTACHED', 1, 12)]);
+    assert.equal(events.length, 0, 'the expected position is allowed');
+
+    monitor.handleNormalizedMessages([
+      rfidEvent(60, 'DETACHED', 1, 12),
+      rfidEvent(60, 'ATTACHED', 2, 12),
+      rfidEvent(90, 'ATTACHED', 1, 3, null),
+    ]);
+    assert.deepEqual(
+      events.map(({ violation }) => violation),
+      ['unauthorized_removal', 'unexpected_position', 'unknown_tag'],
+    );
+
+    const [, moved] = events;
+    assert.equal(moved.tagId, 'DD3CE9C4');
+    assert.equal(moved.modAddr, 2);
+    assert.equal(moved.uPos, 12);
+    assert.equal(moved.at, at(60));
+    assert.equal(moved.asset.hostname, 'db-prod-01');
+    assert.deepEqual(moved.expected, { deviceId: DEVICE_ID, modAddr: 1, uPos: 12 });
+
+    // Violations are stored as records of the affected U-level
+    assert.equal(records.length, 3);
+    assert.equal(records[1].type, 'SYS_STATE_CHANGE');
+    assert.equal(records[1].meta.path, `${DEVICE_ID}/M2/S12`);
+    assert.equal(records[1].payload.value.violationId, moved.violationId);
+
+    // Unset expected fields match anything
+    const anyU = { ...ASSET, expectedUPos: null };
+    monitor.handleNormalizedMessages([rfidEvent(120, 'ATTACHED', 1, 30, anyU)]);
+    assert.equal(events.length, 3);
+
+    assert.deepEqual(
+      monitor.getViolations({ tagId: 'DD3CE9C4' }).map(({ violation }) => violation),
+      ['unexpected_position', 'unauthorized_removal'],
+    );
+    assert.equal(monitor.getViolations({ violation: 'unknown_tag' }).length, 1);
+    assert.equal(monitor.getViolations({ since: at(61) }).length, 1);
+
+    const status = monitor.getStatus();
+    assert.equal(status.unexpectedPosition, 1);
+    assert.equal(status.unauthorizedRemoval, 1);
+    assert.equal(status.unknownTag, 1);
+  } finally {
+    stop();
+  }
+
+  const quiet = new MovementMonitor({ reportUnknownTags: false });
+  quiet.handleNormalizedMessages([rfidEvent(0, 'ATTACHED', 1, 3, null)]);
+  assert.equal(quiet.getViolations().length, 0);
+}
+
+/**
+ * Removals inside a change window are authorized
+ */
+function testChangeWindows() {
+  console.log('\n=== Testing change windows ===');
+
+  const monitor = new MovementMonitor({
+    changeWindows: [{ deviceId: DEVICE_ID, modAddr: 1, start: at(0), end: at(3600) }],
+  });
+
+  monitor.handleNormalizedMessages([rfidEvent(60, 'DETACHED', 1, 12)]);
+  monitor.handleNormalizedMessages([rfidEvent(60, 'DETACHED', 2, 12)]);
+  monitor.handleNormalizedMessages([rfidEvent(4000, 'DETACHED', 1, 12)]);
+  assert.deepEqual(
+    monitor.getViolations().map(({ modAddr, at: time }) => `${modAddr}@${time}`),
+    [`1@${at(4000)}`, `2@${at(60)}`],
+  );
+
+  const changeWindow = monitor.openChangeWindow({
+    start: at(4000),
+    end: at(5000),
+    reason: 'CHG-1042',
+  });
+  monitor.handleNormalizedMessages([rfidEvent(4500, 'DETACHED', 2, 12)]);
+  assert.equal(monitor.getViolations().length, 2);
+  assert.equal(monitor.getChangeWindows(BASE).length, 2);
+
+  assert.equal(monitor.closeChangeWindow(changeWindow.windowId), true);
+  monitor.handleNormalizedMessages([rfidEvent(4500, 'DETACHED', 2, 12)]);
+  assert.equal(monitor.getViolations().length, 3);
+
+  assert.throws(() => monitor.openChangeWindow({ start: at(10), end: at(0) }), /Invalid change/);
+}
+
+/**
+ * A tag moved on a simulated gateway is reported and its U-levels flash red
+ */
+async function testPipelineAndLed() {
+  console.log('\n=== Testing movement detection through the pipeline ===');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'movement-'));
+  const device = new V5008Device({
+    deviceId: DEVICE_ID,
+    modules: [
+      { modAddr: 1, uTotal: 6 },
+      { modAddr: 2, uTotal: 6 },
+    ],
+    tagFill: 0.5,
+    random: createRandom(11),
+  });
+  const publish = (messages) =>
+    messages.forEach(({ topic, payload }) =>
+      eventBus.emit('mqtt.message', { topic, message: payload }),
+    );
+
+  // Every fitted tag is registered where it is now
+  const file = path.join(dir, 'tags.json');
+  const assets = device.modules.flatMap((module) =>
+    Array.from(module.tags, ([uPos, { tagId }]) => ({
+      tagId,
+      hostname: `host-${module.modAddr}-${uPos}`,
+      expectedDeviceId: DEVICE_ID,
+      expectedModAddr: module.modAddr,
+      expectedUPos: uPos,
+    })),
+  );
+  await fs.writeFile(file, JSON.stringify(assets));
+
+  const normalizer = new UnifiedNormalizer({ tagRegistry: { file } });
+  const monitor = new MovementMonitor({ flashLed: true });
+  await normalizer.initialize();
+  await monitor.initialize();
+  const frames = [];
+  monitor.setCommandPublishers({
+    V5008: new V5008CommandPublisher({
+      async publish(topic, frame) {
+        frames.push(frame);
+        setImmediate(() => publish(device.handleCommand(frame)));
+      },
+    }),
+  });
+  const { events, stop } = listen();
+
+  try {
+    device.modules.forEach((module) => publish(device.rfid(module)));
+    assert.equal(events.length, 0, 'every tag is where it belongs');
+
+    publish(device.moveTag());
+    assert.deepEqual(events.map(({ violation }) => violation).sort(), [
+      'unauthorized_removal',
+      'unexpected_position',
+    ]);
+    const moved = events.find(({ violation }) => violation === 'unexpected_position');
+    assert.equal(device.getModule(moved.modAddr).tags.get(moved.uPos).tagId, moved.tagId);
+    assert.match(moved.asset.hostname, /^host-/);
+
+    // The SET_COLOR downloads reach the gateway after the violations are emitted
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.ok(frames.length >= 1);
+    for (const { modAddr, uPos } of events) {
+      assert.equal(device.getModule(modAddr).colors[uPos - 1], 8, 'red flashing');
+    }
+    assert.equal(monitor.getStatus().ledCommands, frames.length);
+    assert.equal(monitor.getStatus().ledFailures, 0);
+  } finally {
+    stop();
+    await monitor.shutdown();
+    await normalizer.shutdown();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Tags of a module's first snapshot are no movements, even when they are not registered
+ */
+async function testFirstSnapshot() {
+  console.log('\n=== Testing first snapshot without a baseline ===');
+
+  const monitor = new MovementMonitor();
+  const initial = rfidEvent(0, 'ATTACHED', 1, 3, null);
+  initial.payload.value.initial = true;
+  assert.equal(monitor.check(initial), null);
+  assert.equal(monitor.check(rfidEvent(0, 'ATTACHED', 1, 3, null)).violation, 'unknown_tag');
+
+  const device = new V5008Device({
+    deviceId: DEVICE_ID,
+    modules: [{ modAddr: 1, uTotal: 6 }],
+    tagFill: 0.5,
+    random: createRandom(11),
+  });
+  const publish = (messages) =>
+    messages.forEach(({ topic, payload }) =>
+      eventBus.emit('mqtt.message', { topic, message: payload }),
+    );
+
+  // No tag registry: every tag is unknown
+  const normalizer = new UnifiedNormalizer();
+  const pipelineMonitor = new MovementMonitor({ flashLed: true });
+  await normalizer.initialize();
+  await pipelineMonitor.initialize();
+  const frames = [];
+  pipelineMonitor.setCommandPublishers({
+    V5008: new V5008CommandPublisher({
+      async publish(topic, frame) {
+        frames.push(frame);
+      },
+    }),
+  });
+  const { events, stop } = listen();
+
+  try {
+    assert.ok(device.getModule(1).tags.size > 0);
+    publish(device.rfid(device.getModule(1)));
+    assert.equal(events.length, 0, 'first snapshot raises no violations');
+    assert.equal(frames.length, 0, 'and flashes no LEDs');
+
+    // With the baseline in place, moving an unknown tag is reported
+    publish(device.moveTag());
+    assert.ok(events.some(({ violation }) => violation === 'unknown_tag'));
+  } finally {
+    stop();
+    await pipelineMonitor.shutdown();
+    await normalizer.shutdown();
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('Starting movement monitor tests...');
+
+  try {
+    testViolations();
+    testChangeWindows();
+    await testPipelineAndLed();
+    await testFirstSnapshot();
+
+    console.log('\n✅ All movement monitor tests passed!');
+  } catch (error) {
+    console.error('\n❌ Movement monitor test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testViolations, testChangeWindows, testPipelineAndLed, testFirstSnapshot, runAllTests };
@@ -0,0 +1,170 @@
+/**
+ * Test file for the binary-safe ingestion path
+ * Verifies that MqttClient forwards raw Buffers and the parsers decode them byte-for-byte
+ */
+
+import { strict as assert } from 'assert';
+import { eventBus } from '../src/core/index.js';
+import MqttClient from '../src/modules/mqtt/MqttClient.js';
+import V5008Parser from '../src/modules/normalizer/parsers/V5008Parser.js';
+import V6800Parser from '../src/modules/normalizer/parsers/V6800Parser.js';
+
+const V5008_FRAMES = {
+  HEARTBEAT: {
+    topic: 'V5008Upload/2437871205/OpeAck',
+    hex: 'CC01EC3737BF06028C0909950C0300000000000400000000000500000000000600000000000700000000000800000000000900000000000A0000000000F200168F',
+  },
+  RFID: {
+    topic: 'V5008Upload/2437871205/LabelState',
+    hex: 'BB028C090995000C030A00DD344A440B00DD2862B40C00DD3CE9C4050007AD',
+  },
+  TEMPHUM: {
+    topic: 'V5008Upload/2437871205/TemHum',
+    hex: '01EC3737BF0A1C30331B0B1C08330B0C000000000D000000000E000000000F0000000001012CC3',
+  },
+};
+
+const V6800_HEARTBEAT = {
+  topic: 'V6800Upload/2123456789/HeartBeat',
+  json: {
+    msg_type: 'heart_beat_req',
+    module_sn: '2123456789',
+    bus_V: '23.89',
+    bus_I: '5.70',
+    main_power: 1,
+    backup_power: 0,
+    uuid_number: 1534195387,
+    data: [{ module_index: 2, module_sn: '3963041727', module_m_num: 1, module_u_num: 6 }],
+  },
+};
+
+/**
+ * Deliver a payload through MqttClient.handleMessage and capture the emitted event
+ * @param {string} topic - MQTT topic
+ * @param {Buffer} payload - Raw payload
+ * @returns {Object} mqtt.message event data
+ */
+function deliver(topic, payload) {
+  const client = new MqttClient({ broker: 'mqtt://localhost:1883', clientId: 'test' });
+  let captured = null;
+  const handler = (data) => {
+    captured = data;
+  };
+
+  eventBus.on('mqtt.message', handler);
+  client.handleMessage(topic, payload);
+  eventBus.off('mqtt.message', handler);
+
+  assert.ok(captured, 'mqtt.message was not emitted');
+  return captured;
+}
+
+/**
+ * Binary frames must be emitted as the original Buffer with no text form
+ */
+function testBinaryFrameEvent() {
+  console.log('\n=== Testing binary frame event ===');
+
+  const payload = Buffer.from(V5008_FRAMES.RFID.hex, 'hex');
+  const event = deliver(V5008_FRAMES.RFID.topic, payload);
+
+  assert.ok(Buffer.isBuffer(event.message), 'message should be a Buffer');
+  assert.equal(event.message.toString('hex').toUpperCase(), V5008_FRAMES.RFID.hex);
+  assert.equal(event.text, null);
+  assert.ok(event.timestamp);
+}
+
+/**
+ * JSON payloads keep the Buffer and add a decoded text form
+ */
+function testJsonPayloadEvent() {
+  console.log('\n=== Testing JSON payload event ===');
+
+  const payload = Buffer.from(JSON.stringify(V6800_HEARTBEAT.json));
+  const event = deliver(V6800_HEARTBEAT.topic, payload);
+
+  assert.ok(Buffer.isBuffer(event.message), 'message should be a Buffer');
+  assert.equal(event.text, payload.toString('utf8'));
+
+  const parsed = new V6800Parser().parse(event.topic, event.message);
+  assert.equal(parsed.messageId, '1534195387');
+  assert.equal(parsed.modules.length, 1);
+}
+
+/**
+ * V5008 frames decode correctly from the emitted event
+ */
+function testV5008DecodeFromEvent() {
+  console.log('\n=== Testing V5008 decode from event ===');
+
+  const parser = new V5008Parser();
+
+  const heartbeat = deliver(
+    V5008_FRAMES.HEARTBEAT.topic,
+    Buffer.from(V5008_FRAMES.HEARTBEAT.hex, 'hex'),
+  );
+  const parsedHeartbeat = parser.parse(heartbeat.topic, heartbeat.message);
+  assert.equal(parsedHeartbeat.messageType, 'HEARTBEAT');
+  assert.deepEqual(parsedHeartbeat.modules, [
+    { modAddr: 1, modId: '3963041727', uTotal: 6 },
+    { modAddr: 2, modId: '2349402517', uTotal: 12 },
+  ]);
+  assert.equal(parsedHeartbeat.messageId, '4060092047');
+
+  const rfid = deliver(V5008_FRAMES.RFID.topic, Buffer.from(V5008_FRAMES.RFID.hex, 'hex'));
+  const parsedRfid = parser.parse(rfid.topic, rfid.message);
+  assert.deepEqual(
+    parsedRfid.items.map((item) => item.tagId),
+    ['DD344A44', 'DD2862B4', 'DD3CE9C4'],
+  );
+
+  const temHum = deliver(V5008_FRAMES.TEMPHUM.topic, Buffer.from(V5008_FRAMES.TEMPHUM.hex, 'hex'));
+  const parsedTemHum = parser.parse(temHum.topic, temHum.message);
+  assert.equal(parsedTemHum.sensors[0].temp, 28.48);
+  assert.equal(parsedTemHum.sensors[0].hum, 51.27);
+  assert.equal(parsedTemHum.messageId, '16854211');
+}
+
+/**
+ * A decoded string is rejected instead of being silently mis-parsed
+ */
+function testV5008RejectsStrings() {
+  console.log('\n=== Testing V5008 rejects decoded strings ===');
+
+  const parser = new V5008Parser();
+  const lossy = Buffer.from(V5008_FRAMES.RFID.hex, 'hex').toString();
+
+  assert.throws(() => parser.parse(V5008_FRAMES.RFID.topic, lossy), /must be a Buffer/);
+}
+
+/**
+ * Run all tests
+ */
+function runAllTests() {
+  console.log('Starting binary ingestion tests...');
+
+  try {
+    testBinaryFrameEvent();
+    testJsonPayloadEvent();
+    testV5008DecodeFromEvent();
+    testV5008RejectsStrings();
+
+    console.log('\n✅ All binary ingestion tests passed!');
+  } catch (error) {
+    console.error('\n❌ Binary ingestion test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export {
+  testBinaryFrameEvent,
+  testJsonPayloadEvent,
+  testV5008DecodeFromEvent,
+  testV5008RejectsStrings,
+  runAllTests,
+};
@@ -0,0 +1,542 @@
+/**
+ * Test file for the normalizer pipeline
+ * Drives mqtt.message events through UnifiedNormalizer and checks the SUO arrays it emits
+ */
+
+import { strict as assert } from 'assert';
+import { eventBus } from '../src/core/index.js';
+import UnifiedNormalizer from '../src/modules/normalizer/UnifiedNormalizer.js';
+import MemoryStorage from '../src/modules/storage/MemoryStorage.js';
+
+const V5008_ID = '2437871205';
+const V6800_ID = '2123456789';
+const G6000_ID = 'G6000-0012345678';
+
+// One frame per V5008 message type (hex)
+const V5008_FRAMES = [
+  [
+    'OpeAck',
+    'CC01EC3737BF06028C0909950C0300000000000400000000000500000000000600000000000700000000000800000000000900000000000A0000000000F200168F',
+  ],
+  ['LabelState', 'BB028C090995000C030A00DD344A440B00DD2862B40C00DD3CE9C4050007AD'],
+  ['TemHum', '01EC3737BF0A1C30331B0B1C08330B0C000000000D000000000E000000000F0000000001012CC3'],
+  ['Noise', '01EC3737BF103205000011000000001200000000D500EBD7'],
+  ['OpeAck', 'BA01EC3737BF010B01C7F8'],
+  ['OpeAck', 'EF011390958DD85FC0A800D3FFFF0000C0A800018082914EF665F2011CCB'],
+  ['OpeAck', 'EF0201898393CC02898393CCF4010166'],
+  ['OpeAck', 'AA914EF665A1E4010000000D0D0825015D4C'],
+  ['OpeAck', 'AA914EF665A1E101050206012B002316'],
+  ['OpeAck', 'AA914EF665A1E2010605AC009ECF'],
+];
+
+// One message per V6800 message type
+const V6800_MESSAGES = [
+  [
+    'HeartBeat',
+    {
+      msg_type: 'heart_beat_req',
+      bus_V: '23.89',
+      bus_I: '5.70',
+      main_power: 1,
+      backup_power: 0,
+      uuid_number: 1534195387,
+      data: [{ module_index: 2, module_sn: '3963041727', module_u_num: 6 }],
+    },
+  ],
+  [
+    'LabelState',
+    {
+      msg_type: 'u_state_changed_notify_req',
+      uuid_number: 727046823,
+      data: [
+        {
+          host_gateway_port_index: 2,
+          extend_module_sn: '3963041727',
+          u_data: [{ u_index: 3, new_state: 1, old_state: 0, tag_code: 'DD23B0B4', warning: 0 }],
+        },
+      ],
+    },
+  ],
+  [
+    'TemHum',
+    {
+      msg_type: 'temper_humidity_exception_nofity_req',
+      uuid_number: 685205293,
+      data: [
+        {
+          host_gateway_port_index: 2,
+          th_data: [{ temper_position: 10, temper_swot: 28.79, hygrometer_swot: 53.79 }],
+        },
+      ],
+    },
+  ],
+  [
+    'Door',
+    {
+      msg_type: 'door_state_changed_notify_req',
+      uuid_number: 333321551,
+      data: [{ host_gateway_port_index: 2, new_state: 1 }],
+    },
+  ],
+  [
+    'Init',
+    {
+      msg_type: 'devies_init_req',
+      gateway_ip: '192.168.0.212',
+      uuid_number: 797991388,
+      data: [{ module_index: 2, module_sn: '3963041727', module_u_num: 6 }],
+    },
+  ],
+  [
+    'LabelState',
+    {
+      msg_type: 'u_state_resp',
+      uuid_number: 423018504,
+      data: [
+        {
+          host_gateway_port_index: 4,
+          u_data: [
+            { u_index: 4, u_state: 0, tag_code: null },
+            { u_index: 3, u_state: 1, tag_code: 'DD344A44' },
+          ],
+        },
+      ],
+    },
+  ],
+  [
+    'OpeAck',
+    {
+      msg_type: 'u_color',
+      uuid_number: 82941514,
+      data: [{ index: 2, u_num: 2, color_data: [{ index: 1, code: 13 }] }],
+    },
+  ],
+  [
+    'OpeAck',
+    {
+      msg_type: 'set_module_property_result_req',
+      uuid_number: 245761302,
+      data: [{ host_gateway_port_index: 2, set_property_result: 0 }],
+    },
+  ],
+  [
+    'OpeAck',
+    {
+      msg_type: 'clear_u_warning',
+      uuid_number: 775199553,
+      data: [{ index: 2, ctr_flag: false }],
+    },
+  ],
+];
+
+// One message per G6000 upload class (from message-format-g6000.md)
+const G6000_MESSAGES = [
+  [
+    'HEARTBEAT',
+    {
+      deviceId: G6000_ID,
+      timestamp: '2025-11-30T05:17:00.000Z',
+      uptime: 259200,
+      cpuUsage: 15.2,
+      memoryUsage: 68.5,
+      diskUsage: 45.8,
+      networkStatus: 'connected',
+      activeConnections: 12,
+      firmwareVersion: '3.2.1',
+      hardwareVersion: '2.5',
+    },
+  ],
+  [
+    'GATEWAY_STATUS',
+    {
+      timestamp: '2025-11-30T05:17:30.000Z',
+      systemHealth: 'good',
+      connectedDevices: 8,
+      totalDevices: 10,
+      dataRate: { incoming: 1250.5, outgoing: 890.2, unit: 'bytes/sec' },
+      protocols: { mqtt: 'connected' },
+      services: { dataCollector: 'running' },
+    },
+  ],
+  [
+    'SENSOR_DATA',
+    {
+      timestamp: '2025-11-30T05:18:00.000Z',
+      sourceDevice: `V5008-${V5008_ID}`,
+      sourceDeviceType: 'V5008',
+      sensorType: 'TEMP_HUM',
+      modNum: 2,
+      modId: '3963041727',
+      data: { temperature: 24.5, humidity: 62.3, unit: 'celsius' },
+      quality: 'good',
+      aggregationMethod: 'average',
+      aggregationPeriod: 300,
+    },
+  ],
+  [
+    'ALERT',
+    {
+      timestamp: '2025-11-30T05:18:15.000Z',
+      alertId: 'ALT_123456789',
+      severity: 'warning',
+      category: 'device_offline',
+      sourceDevice: 'V6800-6800123456789',
+      sourceDeviceType: 'V6800',
+      message: 'Device V6800-6800123456789 has been offline for more than 5 minutes',
+      details: { offlineDuration: 305 },
+      acknowledged: false,
+      resolved: false,
+    },
+  ],
+  [
+    'SYSTEM_EVENT',
+    {
+      timestamp: '2025-11-30T05:18:30.000Z',
+      eventId: 'EVT_987654321',
+      eventType: 'configuration_change',
+      severity: 'info',
+      message: 'Gateway configuration updated',
+      impact: 'service_restart_required',
+    },
+  ],
+  [
+    'QRY_SENSORS',
+    {
+      timestamp: '2025-11-30T05:18:45.000Z',
+      queryType: 'QRY_SENSORS',
+      queryId: 'req_345678',
+      responseData: { totalSensors: 24, activeSensors: 22 },
+    },
+  ],
+  [
+    'QRY_GATEWAY',
+    {
+      timestamp: '2025-11-30T05:19:00.000Z',
+      queryType: 'QRY_GATEWAY',
+      queryId: 'req_345679',
+      responseData: { firmwareVersion: '3.2.1', hardwareVersion: '2.5' },
+    },
+  ],
+];
+
+/**
+ * Start a normalizer and collect every SUO array it emits
+ * @returns {Promise<Object>} { normalizer, batches, stop }
+ */
+async function startNormalizer() {
+  const normalizer = new UnifiedNormalizer();
+  await normalizer.initialize();
+
+  const batches = [];
+  const handler = (suos) => batches.push(suos);
+  eventBus.on('message.normalized', handler);
+
+  return {
+    normalizer,
+    batches,
+    stop: async () => {
+      eventBus.off('message.normalized', handler);
+      await normalizer.shutdown();
+    },
+  };
+}
+
+/**
+ * Publish a message the way MqttClient does and wait for the handlers to run
+ * @param {string} topic - MQTT topic
+ * @param {Buffer} message - Raw payload
+ */
+async function deliver(topic, message) {
+  eventBus.emit('mqtt.message', { topic, message, timestamp: new Date().toISOString() });
+  await new Promise((resolve) => setImmediate(resolve));
+}
+
+/**
+ * Summarize a batch as "TYPE:key" strings
+ * @param {Array<Object>} suos - SUO objects
+ * @returns {Array<string>} Distinct type/key pairs
+ */
+const summarize = (suos) => [...new Set(suos.map((suo) => `${suo.type}:${suo.payload.key}`))];
+
+/**
+ * Every V5008 message type produces an SUO array
+ */
+async function testV5008Coverage() {
+  console.log('\n=== Testing V5008 coverage ===');
+
+  const { batches, stop } = await startNormalizer();
+
+  try {
+    for (const [suffix, hex] of V5008_FRAMES) {
+      await deliver(`V5008Upload/${V5008_ID}/${suffix}`, Buffer.from(hex, 'hex'));
+    }
+
+    assert.deepEqual(batches.map(summarize), [
+      ['SYS_LIFECYCLE:device_status'],
+      ['SYS_RFID_EVENT:rfid_event', 'SYS_RFID_SNAPSHOT:rfid_snapshot'],
+      ['SYS_TELEMETRY:temperature', 'SYS_TELEMETRY:humidity'],
+      ['SYS_TELEMETRY:noise'],
+      ['SYS_STATE_CHANGE:door_state'],
+      ['SYS_DEVICE_INFO:device_info'],
+      ['SYS_DEVICE_INFO:module_info'],
+      ['SYS_STATE_CHANGE:color_map'],
+      ['SYS_STATE_CHANGE:operation_result'],
+      ['SYS_STATE_CHANGE:operation_result'],
+    ]);
+
+    const [deviceInfo] = batches[5];
+    assert.equal(deviceInfo.payload.value.ip, '192.168.0.211');
+    assert.equal(deviceInfo.identity.modAddr, null);
+    assert.ok(deviceInfo.meta.messageId, 'SUO meta should carry the device messageId');
+
+    const [colorMap] = batches[7];
+    assert.equal(colorMap.identity.modAddr, 1);
+    assert.deepEqual(colorMap.payload.value.colorMap[3], {
+      uPos: 4,
+      colorCode: 13,
+      colorName: 'BLUE_F',
+    });
+
+    const [clearAlarm] = batches[9];
+    assert.deepEqual(clearAlarm.payload.value, {
+      operation: 'CLR_ALARM',
+      result: 'Success',
+      originalReq: 'E2010605',
+    });
+  } finally {
+    await stop();
+  }
+}
+
+/**
+ * Every V6800 message type produces an SUO array
+ */
+async function testV6800Coverage() {
+  console.log('\n=== Testing V6800 coverage ===');
+
+  const { batches, stop } = await startNormalizer();
+
+  try {
+    for (const [suffix, body] of V6800_MESSAGES) {
+      await deliver(`V6800Upload/${V6800_ID}/${suffix}`, Buffer.from(JSON.stringify(body)));
+    }
+
+    assert.deepEqual(batches.map(summarize), [
+      ['SYS_LIFECYCLE:device_status', 'SYS_TELEMETRY:voltage', 'SYS_TELEMETRY:current'],
+      ['SYS_RFID_EVENT:rfid_event', 'SYS_RFID_SNAPSHOT:rfid_snapshot'],
+      ['SYS_TELEMETRY:temperature', 'SYS_TELEMETRY:humidity'],
+      ['SYS_STATE_CHANGE:door_state'],
+      ['SYS_DEVICE_INFO:device_info', 'SYS_DEVICE_INFO:module_info'],
+      ['SYS_RFID_EVENT:rfid_event', 'SYS_RFID_SNAPSHOT:rfid_snapshot'],
+      ['SYS_STATE_CHANGE:color_map'],
+      ['SYS_STATE_CHANGE:operation_result'],
+      ['SYS_STATE_CHANGE:operation_result'],
+    ]);
+
+    // RFID query responses are diffed; empty U-levels are not tags. The module's first
+    // snapshot has no baseline, so its tags are marked initial
+    const [attached, snapshot] = batches[5];
+    assert.deepEqual(attached.payload.value, {
+      action: 'ATTACHED',
+      uPos: 3,
+      tagId: 'DD344A44',
+      alarmStatus: 0,
+      initial: true,
+    });
+    assert.equal(snapshot.payload.value.items.length, 1);
+
+    const [clearAlarm] = batches[8];
+    assert.equal(clearAlarm.identity.modAddr, 2);
+    assert.deepEqual(clearAlarm.payload.value, { operation: 'CLR_ALARM', result: 'Failure' });
+    assert.equal(clearAlarm.meta.messageId, '775199553');
+  } finally {
+    await stop();
+  }
+}
+
+/**
+ * Every G6000 message class maps onto telemetry, lifecycle, alert or device info SUOs
+ */
+async function testG6000Coverage() {
+  console.log('\n=== Testing G6000 message coverage ===');
+
+  const { batches, stop } = await startNormalizer();
+  const errors = [];
+  const onError = (error) => errors.push(error);
+  eventBus.on('message.error', onError);
+
+  try {
+    for (const [messageClass, body] of G6000_MESSAGES) {
+      await deliver(`G6000Upload/${G6000_ID}/${messageClass}`, Buffer.from(JSON.stringify(body)));
+    }
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(batches.map(summarize), [
+      [
+        'SYS_LIFECYCLE:device_status',
+        'SYS_TELEMETRY:cpu_usage',
+        'SYS_TELEMETRY:memory_usage',
+        'SYS_TELEMETRY:disk_usage',
+      ],
+      [
+        'SYS_STATE_CHANGE:gateway_status',
+        'SYS_TELEMETRY:data_rate_in',
+        'SYS_TELEMETRY:data_rate_out',
+      ],
+      ['SYS_TELEMETRY:temperature', 'SYS_TELEMETRY:humidity'],
+      ['SYS_ALERT:alert'],
+      ['SYS_ALERT:system_event'],
+      ['SYS_DEVICE_INFO:sensor_inventory'],
+      ['SYS_DEVICE_INFO:device_info'],
+    ]);
+
+    // Aggregated readings are attributed to the downstream device
+    const [temperature] = batches[2];
+    assert.deepEqual(temperature.identity, {
+      deviceId: V5008_ID,
+      deviceType: 'V5008',
+      modAddr: 2,
+      sensorAddr: 0,
+    });
+    assert.deepEqual(temperature.payload, { key: 'temperature', value: 24.5, unit: 'celsius' });
+    assert.equal(temperature.meta.ts, '2025-11-30T05:18:00.000Z');
+
+    const [alert] = batches[3];
+    assert.equal(alert.identity.deviceId, G6000_ID);
+    assert.equal(alert.meta.messageId, 'ALT_123456789');
+    assert.equal(alert.payload.value.severity, 'warning');
+
+    assert.equal(batches[6][0].payload.value.firmwareVersion, '3.2.1');
+  } finally {
+    eventBus.off('message.error', onError);
+    await stop();
+  }
+}
+
+/**
+ * Malformed G6000 messages are reported on message.error instead of being stored
+ */
+async function testG6000Errors() {
+  console.log('\n=== Testing G6000 errors ===');
+
+  const { batches, stop } = await startNormalizer();
+  const errors = [];
+  const onError = (error) => errors.push(error);
+  eventBus.on('message.error', onError);
+
+  try {
+    await deliver(`G6000Upload/${G6000_ID}/ALERT`, Buffer.from('{"severity":"info"}'));
+    await deliver(`G6000Upload/${G6000_ID}/Status`, Buffer.from('{"online":true}'));
+
+    assert.equal(batches.length, 0);
+    assert.deepEqual(
+      errors.filter((error) => error.data).map((error) => error.data.topic),
+      [`G6000Upload/${G6000_ID}/ALERT`, `G6000Upload/${G6000_ID}/Status`],
+    );
+  } finally {
+    eventBus.off('message.error', onError);
+    await stop();
+  }
+}
+
+/**
+ * Command responses annotated on message.parsed carry the commandId into the SUO meta
+ */
+async function testCommandIdLinking() {
+  console.log('\n=== Testing commandId linking ===');
+
+  const { batches, stop } = await startNormalizer();
+  const annotate = (parsed) => {
+    if (parsed.messageType === 'SET_COLOR_RESP') {
+      parsed.commandId = 'cmd-1';
+    }
+  };
+  eventBus.on('message.parsed', annotate);
+
+  try {
+    await deliver(
+      `V5008Upload/${V5008_ID}/OpeAck`,
+      Buffer.from('AA914EF665A1E101050206012B002316', 'hex'),
+    );
+    await deliver(`V5008Upload/${V5008_ID}/OpeAck`, Buffer.from('BA01EC3737BF010B01C7F8', 'hex'));
+
+    assert.equal(batches[0][0].meta.commandId, 'cmd-1');
+    assert.equal('commandId' in batches[1][0].meta, false);
+  } finally {
+    eventBus.off('message.parsed', annotate);
+    await stop();
+  }
+}
+
+/**
+ * MemoryStorage keeps the latest SUO per path and key
+ */
+async function testMemoryStorage() {
+  console.log('\n=== Testing MemoryStorage consumes SUO arrays ===');
+
+  const { stop } = await startNormalizer();
+  const storage = new MemoryStorage();
+  await storage.initialize();
+
+  try {
+    const tempHum = V5008_FRAMES[2][1];
+    await deliver(`V5008Upload/${V5008_ID}/TemHum`, Buffer.from(tempHum, 'hex'));
+    await deliver(`V5008Upload/${V5008_ID}/TemHum`, Buffer.from(tempHum, 'hex'));
+
+    const latest = storage.getLatestByDevice(V5008_ID);
+    assert.equal(latest.length, 4, 'repeated readings replace the previous value');
+
+    const temperature = storage.querySpecific({
+      deviceId: V5008_ID,
+      sensorAddr: 10,
+      key: 'temperature',
+    });
+    assert.equal(temperature.length, 1);
+    assert.equal(temperature[0].meta.path, `${V5008_ID}/M1/S10`);
+
+    assert.deepEqual(
+      storage.getAllDevices().map((device) => device.deviceType),
+      ['V5008'],
+    );
+    assert.equal(storage.getStatus().totalEntries, 4);
+  } finally {
+    await storage.shutdown();
+    await stop();
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('Starting normalizer pipeline tests...');
+
+  try {
+    await testV5008Coverage();
+    await testV6800Coverage();
+    await testG6000Coverage();
+    await testG6000Errors();
+    await testCommandIdLinking();
+    await testMemoryStorage();
+
+    console.log('\n✅ All normalizer pipeline tests passed!');
+  } catch (error) {
+    console.error('\n❌ Normalizer pipeline test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export {
+  testV5008Coverage,
+  testV6800Coverage,
+  testG6000Coverage,
+  testG6000Errors,
+  testCommandIdLinking,
+  testMemoryStorage,
+  runAllTests,
+};
@@ -0,0 +1,178 @@
+/**
+ * Test file for ParserRegistry
+ * Verifies parser loading, topic resolution and rejection of conflicting claims
+ */
+
+import { strict as assert } from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import ParserRegistry, {
+  topicMatches,
+  topicsOverlap,
+} from '../src/modules/normalizer/ParserRegistry.js';
+import UnifiedNormalizer from '../src/modules/normalizer/UnifiedNormalizer.js';
+
+// Minimal third-party parser module
+const CUSTOM_PARSER = `
+export default class X1000Parser {
+  constructor() {
+    this.deviceType = 'X1000';
+    this.version = '0.1.0';
+    this.topics = ['X1000Upload/+/Data'];
+  }
+
+  parse(topic, message) {
+    return { deviceId: topic.split('/')[1], deviceType: this.deviceType, raw: String(message) };
+  }
+}
+`;
+
+/**
+ * Write a parser module into a fresh temp directory
+ * @param {string} fileName - Module file name
+ * @param {string} source - Module source
+ * @returns {Promise<string>} Directory path
+ */
+async function writeParserModule(fileName, source) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'parsers-'));
+  await fs.writeFile(path.join(dir, fileName), source);
+  return dir;
+}
+
+/**
+ * Build a parser stub
+ * @param {string} deviceType - Device type
+ * @param {Array<string>} topics - Claimed topic filters
+ * @returns {Object} Parser stub
+ */
+const stubParser = (deviceType, topics) => ({
+  deviceType,
+  version: '1.0.0',
+  topics,
+  parse: () => ({}),
+});
+
+/**
+ * MQTT filter matching and overlap
+ */
+function testTopicFilters() {
+  console.log('\n=== Testing topic filters ===');
+
+  assert.equal(topicMatches('V5008Upload/#', 'V5008Upload/2437871205/TemHum'), true);
+  assert.equal(topicMatches('V5008Upload/+/TemHum', 'V5008Upload/2437871205/TemHum'), true);
+  assert.equal(topicMatches('V5008Upload/+/TemHum', 'V5008Upload/2437871205/Door'), false);
+  assert.equal(topicMatches('V5008Upload/+', 'V5008Upload/2437871205/TemHum'), false);
+  assert.equal(topicMatches('V6800Upload/#', 'V5008Upload/2437871205/TemHum'), false);
+
+  assert.equal(topicsOverlap('V5008Upload/#', 'V5008Upload/+/TemHum'), true);
+  assert.equal(topicsOverlap('+/1/Door', 'V5008Upload/+/Door'), true);
+  assert.equal(topicsOverlap('V5008Upload/+/TemHum', 'V5008Upload/+/Door'), false);
+  assert.equal(topicsOverlap('V5008Upload/+', 'V5008Upload/+/Door'), false);
+}
+
+/**
+ * Built-in parsers load from the default directory and resolve their topics
+ */
+async function testBuiltinParsers() {
+  console.log('\n=== Testing built-in parsers ===');
+
+  const registry = new ParserRegistry();
+  const parsers = await registry.load();
+
+  assert.deepEqual(
+    parsers.map((parser) => parser.deviceType),
+    ['G6000', 'V5008', 'V6800'],
+  );
+  assert.equal(registry.resolve('V6800Upload/2123456789/HeartBeat').deviceType, 'V6800');
+  assert.equal(registry.resolve('G6000Upload/G1/ALERT').deviceType, 'G6000');
+  assert.equal(registry.resolve('Unknown/1/TemHum'), null);
+  assert.equal(registry.get('V5008').version, '1.0.0');
+}
+
+/**
+ * Parsers can come from a directory or a package list
+ */
+async function testCustomParsers() {
+  console.log('\n=== Testing custom parser loading ===');
+
+  const dir = await writeParserModule('X1000Parser.js', CUSTOM_PARSER);
+  await fs.writeFile(path.join(dir, 'helpers.js'), 'export default 42;');
+
+  const fromDirectory = new ParserRegistry();
+  await fromDirectory.load({ directory: dir });
+  assert.deepEqual(fromDirectory.list(), [
+    { deviceType: 'X1000', version: '0.1.0', topics: ['X1000Upload/+/Data'] },
+  ]);
+
+  const fromPackage = new ParserRegistry();
+  await fromPackage.load({ packages: [path.join(dir, 'X1000Parser.js')] });
+  assert.equal(fromPackage.list().length, 4);
+  assert.deepEqual(fromPackage.resolve('X1000Upload/7/Data').parse('X1000Upload/7/Data', 'hi'), {
+    deviceId: '7',
+    deviceType: 'X1000',
+    raw: 'hi',
+  });
+}
+
+/**
+ * Duplicate device types, overlapping topics and incomplete parsers are rejected
+ */
+async function testConflicts() {
+  console.log('\n=== Testing conflicting claims ===');
+
+  const registry = new ParserRegistry();
+  registry.register(stubParser('V5008', ['V5008Upload/#']));
+  registry.register(stubParser('V5008X', ['V5008Upload2/#']));
+
+  assert.throws(
+    () => registry.register(stubParser('V5009', ['V5008Upload/+/TemHum'])),
+    /V5009 topic V5008Upload\/\+\/TemHum overlaps V5008Upload\/# claimed by V5008/,
+  );
+  assert.throws(
+    () => registry.register(stubParser('V5008', ['Other/#'])),
+    /Duplicate parser for device type V5008/,
+  );
+  assert.throws(
+    () => registry.register({ ...stubParser('V7000', ['V7000/#']), version: undefined }),
+    /does not declare a version/,
+  );
+  assert.throws(
+    () => registry.register({ ...stubParser('V7000', []) }),
+    /must declare topic filters/,
+  );
+
+  // A dropped-in parser that clashes with a built-in one fails startup
+  const clash = CUSTOM_PARSER.replace("'X1000Upload/+/Data'", "'V5008Upload/+/Data'");
+  const dir = await writeParserModule('X1000Parser.js', clash);
+  const normalizer = new UnifiedNormalizer({
+    parsers: { packages: [path.join(dir, 'X1000Parser.js')] },
+  });
+  await assert.rejects(() => normalizer.initialize(), /overlaps V5008Upload\/#/);
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('Starting ParserRegistry tests...');
+
+  try {
+    testTopicFilters();
+    await testBuiltinParsers();
+    await testCustomParsers();
+    await testConflicts();
+
+    console.log('\n✅ All ParserRegistry tests passed!');
+  } catch (error) {
+    console.error('\n❌ ParserRegistry test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testTopicFilters, testBuiltinParsers, testCustomParsers, testConflicts, runAllTests };
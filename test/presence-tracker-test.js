@@ -0,0 +1,261 @@
+/**
+ * Test file for heartbeat-driven presence tracking
+ * Verifies online/offline transitions of gateways and modules, interval learning and uptime
+ */
+
+import { strict as assert } from 'assert';
+import { eventBus } from '../src/core/index.js';
+import PresenceTracker from '../src/modules/presence/PresenceTracker.js';
+import UnifiedNormalizer from '../src/modules/normalizer/UnifiedNormalizer.js';
+import MemoryStorage from '../src/modules/storage/MemoryStorage.js';
+import { createRandom } from '../src/simulator/SimulatedDevice.js';
+import V5008Device from '../src/simulator/V5008Device.js';
+
+const V5008_ID = '2437871205';
+const V6800_ID = '2123456789';
+
+const BASE = Date.UTC(2025, 11, 19, 9, 0, 0);
+// ISO time a number of seconds after BASE
+const at = (seconds) => new Date(BASE + seconds * 1000).toISOString();
+// Milliseconds since the epoch, seconds after BASE
+const ms = (seconds) => BASE + seconds * 1000;
+
+/**
+ * Parsed V5008 heartbeat listing modules
+ * @param {number} seconds - Receive time (seconds after BASE)
+ * @param {Array<number>} modAddrs - Listed module addresses
+ * @returns {Object} Parsed message
+ */
+const heartbeat = (seconds, modAddrs = [1, 2]) => ({
+  deviceId: V5008_ID,
+  deviceType: 'V5008',
+  messageType: 'HEARTBEAT',
+  modules: modAddrs.map((modAddr) => ({ modAddr, modId: String(1000 + modAddr), uTotal: 6 })),
+  receivedAt: at(seconds),
+});
+
+/**
+ * Collect the events and records a tracker emits
+ * @returns {Object} { events, records, stop }
+ */
+function listen() {
+  const events = [];
+  const records = [];
+  const handlers = {};
+  for (const name of ['device.online', 'device.offline', 'module.online', 'module.offline']) {
+    handlers[name] = (event) => events.push(`${name}:${event.deviceId}/${event.modAddr}`);
+    eventBus.on(name, handlers[name]);
+  }
+  const onRecords = (suos) => records.push(...suos);
+  eventBus.on('message.normalized', onRecords);
+
+  return {
+    events,
+    records,
+    stop: () => {
+      Object.entries(handlers).forEach(([name, handler]) => eventBus.off(name, handler));
+      eventBus.off('message.normalized', onRecords);
+    },
+  };
+}
+
+/**
+ * Gateways and modules go offline after missed heartbeats and come back with the next one
+ */
+function testTransitions() {
+  console.log('\n=== Testing presence transitions ===');
+
+  const tracker = new PresenceTracker({ heartbeatIntervals: { V5008: 30000 } });
+  const { events, records, stop } = listen();
+
+  try {
+    tracker.handleParsedMessage(heartbeat(0));
+    assert.deepEqual(events, [
+      `device.online:${V5008_ID}/0`,
+      `module.online:${V5008_ID}/1`,
+      `module.online:${V5008_ID}/2`,
+    ]);
+
+    // Module 2 disappears from the heartbeat
+    events.length = 0;
+    tracker.handleParsedMessage(heartbeat(30, [1]));
+    assert.deepEqual(events, [`module.offline:${V5008_ID}/2`]);
+
+    // Three missed heartbeats (90 s) since the last message at 30 s
+    events.length = 0;
+    tracker.check(ms(119));
+    assert.deepEqual(events, []);
+    tracker.check(ms(121));
+    assert.deepEqual(events, [`device.offline:${V5008_ID}/0`, `module.offline:${V5008_ID}/1`]);
+
+    const offline = records.find(
+      (record) => record.identity.modAddr === 0 && record.payload.value.status === 'offline',
+    );
+    assert.equal(offline.type, 'SYS_LIFECYCLE');
+    assert.equal(offline.payload.key, 'presence');
+    assert.equal(offline.meta.path, `${V5008_ID}/M0/S0`);
+    assert.equal(offline.meta.ts, at(60), 'offline since the first missed heartbeat');
+    assert.equal(offline.payload.value.reason, 'missed_heartbeats');
+    assert.equal(offline.payload.value.lastSeenAt, at(30));
+
+    // Any message brings the gateway back; the heartbeat brings its modules back
+    events.length = 0;
+    tracker.handleParsedMessage(heartbeat(180));
+    assert.deepEqual(events, [
+      `device.online:${V5008_ID}/0`,
+      `module.online:${V5008_ID}/1`,
+      `module.online:${V5008_ID}/2`,
+    ]);
+
+    // Retained replays are not signs of life
+    tracker.check(ms(400));
+    events.length = 0;
+    tracker.handleParsedMessage({ ...heartbeat(401), retained: true });
+    assert.deepEqual(events, []);
+  } finally {
+    stop();
+  }
+}
+
+/**
+ * Heartbeat intervals are learned unless configured
+ */
+function testIntervalLearning() {
+  console.log('\n=== Testing heartbeat interval learning ===');
+
+  const tracker = new PresenceTracker({
+    defaultHeartbeatInterval: 60000,
+    heartbeatIntervals: { [V6800_ID]: 5000 },
+  });
+  const { stop } = listen();
+
+  try {
+    tracker.handleParsedMessage(heartbeat(0));
+    assert.equal(tracker.getPresence(V5008_ID).heartbeatInterval, 60000);
+    tracker.handleParsedMessage(heartbeat(10));
+    assert.equal(tracker.getPresence(V5008_ID).heartbeatInterval, 10000);
+    tracker.handleParsedMessage(heartbeat(25));
+    assert.equal(tracker.getPresence(V5008_ID).heartbeatInterval, 11000);
+
+    // Outages do not stretch the interval
+    tracker.handleParsedMessage(heartbeat(500));
+    assert.equal(tracker.getPresence(V5008_ID).heartbeatInterval, 11000);
+
+    // Other messages are signs of life but not heartbeats
+    tracker.handleParsedMessage({
+      deviceId: V6800_ID,
+      deviceType: 'V6800',
+      messageType: 'Door',
+      receivedAt: at(0),
+    });
+    const presence = tracker.getPresence(V6800_ID, ms(10));
+    assert.equal(presence.status, 'online');
+    assert.equal(presence.heartbeatInterval, 5000);
+    assert.equal(presence.lastHeartbeatAt, null);
+  } finally {
+    stop();
+  }
+}
+
+/**
+ * Uptime is accounted per device and module
+ */
+function testUptime() {
+  console.log('\n=== Testing uptime statistics ===');
+
+  const tracker = new PresenceTracker({ heartbeatIntervals: { V5008: 10000 } });
+  const { stop } = listen();
+
+  try {
+    tracker.handleParsedMessage(heartbeat(0));
+    tracker.handleParsedMessage(heartbeat(10, [1]));
+    tracker.check(ms(41)); // offline since 20 s
+    tracker.handleParsedMessage(heartbeat(60));
+
+    const presence = tracker.getPresence(V5008_ID, ms(100));
+    assert.equal(presence.status, 'online');
+    assert.equal(presence.onlineMs, 20000 + 40000);
+    assert.equal(presence.offlineMs, 40000);
+    assert.equal(presence.uptimeRatio, 0.6);
+    assert.equal(presence.transitions, 3);
+
+    const [module1, module2] = presence.modules;
+    assert.equal(module1.onlineMs, 60000);
+    assert.equal(module2.onlineMs, 10000 + 40000);
+    assert.equal(module2.offlineMs, 50000);
+    assert.equal(module2.status, 'online');
+
+    assert.equal(tracker.getPresence('0000000000'), null);
+    const status = tracker.getStatus();
+    assert.equal(status.devices, 1);
+    assert.equal(status.online, 1);
+    assert.equal(status.wentOffline, 3);
+  } finally {
+    stop();
+  }
+}
+
+/**
+ * Presence records reach storage through the normal pipeline
+ */
+async function testPipeline() {
+  console.log('\n=== Testing presence through the pipeline ===');
+
+  const normalizer = new UnifiedNormalizer();
+  const tracker = new PresenceTracker({ checkInterval: 60000 });
+  const storage = new MemoryStorage();
+  await normalizer.initialize();
+  await tracker.initialize();
+  await storage.initialize();
+
+  try {
+    const device = new V5008Device({
+      deviceId: V5008_ID,
+      modules: [{ modAddr: 1, uTotal: 6 }],
+      random: createRandom(9),
+    });
+    const [{ topic, payload }] = device.heartbeat();
+    eventBus.emit('mqtt.message', { topic, message: payload });
+
+    assert.equal(tracker.getPresence(V5008_ID).modules[0].status, 'online');
+
+    tracker.check(Date.now() + 10 * 60000);
+    const stored = storage
+      .getLatestByDevice(V5008_ID)
+      .filter((record) => record.payload.key === 'presence');
+    assert.deepEqual(stored.map((record) => record.payload.value.status).sort(), [
+      'offline',
+      'offline',
+    ]);
+  } finally {
+    await storage.shutdown();
+    await tracker.shutdown();
+    await normalizer.shutdown();
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('Starting presence tracker tests...');
+
+  try {
+    testTransitions();
+    testIntervalLearning();
+    testUptime();
+    await testPipeline();
+
+    console.log('\n✅ All presence tracker tests passed!');
+  } catch (error) {
+    console.error('\n❌ Presence tracker test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testTransitions, testIntervalLearning, testUptime, testPipeline, runAllTests };
@@ -0,0 +1,199 @@
+/**
+ * Test file for persisted RFID diff state
+ * Verifies that RFID baselines survive a restart and no phantom events are produced
+ */
+
+import { strict as assert } from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import StateCache from '../src/modules/normalizer/StateCache.js';
+import UnifyNormalizer from '../src/modules/normalizer/UnifyNormalizer.js';
+import UnifiedNormalizer from '../src/modules/normalizer/UnifiedNormalizer.js';
+import V5008Parser from '../src/modules/normalizer/parsers/V5008Parser.js';
+
+const RFID_TOPIC = 'V5008Upload/2437871205/LabelState';
+
+// Three tags on module 2
+const RFID_THREE_TAGS = 'BB028C090995000C030A00DD344A440B00DD2862B40C00DD3CE9C4050007AD';
+// Same module, tag at uPos 12 removed
+const RFID_TWO_TAGS = 'BB028C090995000C020A00DD344A440B00DD2862B4050007AD';
+
+/**
+ * Create a unique snapshot file path in the OS temp directory
+ * @returns {Promise<string>} Snapshot file path
+ */
+async function createSnapshotPath() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rfid-state-'));
+  return path.join(dir, 'state.json');
+}
+
+/**
+ * Parse and normalize an RFID frame, returning only the RFID events
+ * @param {UnifyNormalizer} normalizer - Normalizer instance
+ * @param {string} hex - LabelState frame as hex
+ * @returns {Array<Object>} SYS_RFID_EVENT objects
+ */
+function rfidEvents(normalizer, hex) {
+  const parsed = new V5008Parser().parse(RFID_TOPIC, Buffer.from(hex, 'hex'));
+  return normalizer.normalize(parsed).filter((obj) => obj.type === 'SYS_RFID_EVENT');
+}
+
+/**
+ * A restarted normalizer does not re-announce tags that were already present
+ */
+async function testNoPhantomAttachAfterRestart() {
+  console.log('\n=== Testing no phantom ATTACHED events after restart ===');
+
+  const snapshotFile = await createSnapshotPath();
+
+  const before = new StateCache({ snapshotFile });
+  const firstRun = new UnifyNormalizer({ stateCache: before });
+  assert.equal(rfidEvents(firstRun, RFID_THREE_TAGS).length, 3, 'first start attaches all tags');
+  await before.save();
+
+  const after = new StateCache({ snapshotFile });
+  assert.equal(await after.load(), 1);
+  const secondRun = new UnifyNormalizer({ stateCache: after });
+  assert.deepEqual(rfidEvents(secondRun, RFID_THREE_TAGS), []);
+}
+
+/**
+ * Changes that happened while the middleware was down are still reported
+ */
+async function testChangesDuringDowntime() {
+  console.log('\n=== Testing changes during downtime ===');
+
+  const snapshotFile = await createSnapshotPath();
+
+  const before = new StateCache({ snapshotFile });
+  rfidEvents(new UnifyNormalizer({ stateCache: before }), RFID_THREE_TAGS);
+  await before.save();
+
+  const after = new StateCache({ snapshotFile });
+  await after.load();
+  const events = rfidEvents(new UnifyNormalizer({ stateCache: after }), RFID_TWO_TAGS);
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].payload.value.action, 'DETACHED');
+  assert.equal(events[0].payload.value.tagId, 'DD3CE9C4');
+}
+
+/**
+ * Missing and corrupt snapshots are handled
+ */
+async function testSnapshotEdgeCases() {
+  console.log('\n=== Testing snapshot edge cases ===');
+
+  const snapshotFile = await createSnapshotPath();
+
+  // First start: no file yet
+  assert.equal(await new StateCache({ snapshotFile }).load(), 0);
+
+  // In-memory cache never writes
+  assert.equal(await new StateCache().save(), false);
+
+  await fs.writeFile(snapshotFile, '{"version":99,"entries":{}}');
+  await assert.rejects(() => new StateCache({ snapshotFile }).load(), /Unsupported state snapshot/);
+}
+
+/**
+ * Overlapping saves are serialized and the dirty flag tracks what reached the file
+ */
+async function testConcurrentSaves() {
+  console.log('\n=== Testing concurrent snapshot saves ===');
+
+  const snapshotFile = await createSnapshotPath();
+  const cache = new StateCache({ snapshotFile });
+  let writes = 0;
+  const writeSnapshot = cache.writeSnapshot.bind(cache);
+  cache.writeSnapshot = () => {
+    writes++;
+    return writeSnapshot();
+  };
+
+  cache.set('2437871205', 1, 'rfid', { 10: { tagId: 'DD344A44', alarmStatus: 0 } });
+  const first = cache.save();
+  // Changed while the first snapshot is being written
+  cache.set('2437871205', 2, 'rfid', { 11: { tagId: 'DD2862B4', alarmStatus: 0 } });
+  assert.equal(cache.dirty, true);
+  const second = cache.save();
+  const third = cache.save();
+
+  assert.deepEqual(await Promise.all([first, second, third]), [true, true, true]);
+  assert.equal(writes, 2, 'saves queued during a write are coalesced');
+  assert.equal(cache.dirty, false);
+  const saved = JSON.parse(await fs.readFile(snapshotFile, 'utf-8'));
+  assert.deepEqual(Object.keys(saved.entries), ['2437871205:1:rfid', '2437871205:2:rfid']);
+  await assert.rejects(() => fs.access(`${snapshotFile}.tmp`), { code: 'ENOENT' });
+
+  // A failed write keeps the changes dirty for the next save
+  const blocked = new StateCache({ snapshotFile: path.join(snapshotFile, 'state.json') });
+  blocked.set('2437871205', 1, 'rfid', {});
+  await assert.rejects(() => blocked.save());
+  assert.equal(blocked.dirty, true);
+}
+
+/**
+ * The UnifiedNormalizer component restores state on initialize and saves it on shutdown
+ */
+async function testComponentLifecycle() {
+  console.log('\n=== Testing normalizer component lifecycle ===');
+
+  const stateFile = await createSnapshotPath();
+
+  const first = new UnifiedNormalizer({ stateFile });
+  await first.initialize();
+  first.stateCache.set('2437871205', 2, 'rfid', { 10: { tagId: 'DD344A44', alarmStatus: 0 } });
+  await first.shutdown();
+
+  const saved = JSON.parse(await fs.readFile(stateFile, 'utf-8'));
+  assert.deepEqual(saved.entries['2437871205:2:rfid'], {
+    10: { tagId: 'DD344A44', alarmStatus: 0 },
+  });
+
+  const second = new UnifiedNormalizer({ stateFile });
+  await second.initialize();
+  try {
+    assert.deepEqual(second.stateCache.get('2437871205', 2, 'rfid'), {
+      10: { tagId: 'DD344A44', alarmStatus: 0 },
+    });
+    assert.equal(second.getStatus().stateEntries, 1);
+  } finally {
+    await second.shutdown();
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('Starting RFID state persistence tests...');
+
+  try {
+    await testNoPhantomAttachAfterRestart();
+    await testChangesDuringDowntime();
+    await testSnapshotEdgeCases();
+    await testConcurrentSaves();
+    await testComponentLifecycle();
+
+    console.log('\n✅ All RFID state persistence tests passed!');
+  } catch (error) {
+    console.error('\n❌ RFID state persistence test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export {
+  testNoPhantomAttachAfterRestart,
+  testChangesDuringDowntime,
+  testSnapshotEdgeCases,
+  testConcurrentSaves,
+  testComponentLifecycle,
+  runAllTests,
+};
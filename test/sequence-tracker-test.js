@@ -0,0 +1,183 @@
+/**
+ * Test file for message sequence tracking
+ * Verifies gap, reorder and counter reset detection and the device events they raise
+ */
+
+import { strict as assert } from 'assert';
+import { eventBus } from '../src/core/index.js';
+import SequenceTracker from '../src/modules/normalizer/SequenceTracker.js';
+import UnifiedNormalizer from '../src/modules/normalizer/UnifiedNormalizer.js';
+import { createRandom } from '../src/simulator/SimulatedDevice.js';
+import V5008Device from '../src/simulator/V5008Device.js';
+
+const V5008_ID = '2437871205';
+const V6800_ID = '2123456789';
+
+// Parsed message fields the tracker reads
+const v5008 = (messageId) => ({ deviceId: V5008_ID, deviceType: 'V5008', messageId });
+
+// Counter-numbered device types (tracking is opt-in)
+const DEVICE_TYPES = ['V5008', 'V6800'];
+
+/**
+ * IDs ahead count skipped IDs as lost until they arrive out of order
+ */
+function testGapsAndReorder() {
+  console.log('\n=== Testing gaps and reordering ===');
+
+  const tracker = new SequenceTracker({ deviceTypes: DEVICE_TYPES, maxGap: 100 });
+  const statuses = ['10', '11', '14', '12', '15', '13'].map(
+    (id) => tracker.observe(v5008(id)).status,
+  );
+  assert.deepEqual(statuses, ['first', 'next', 'gap', 'reordered', 'next', 'reordered']);
+
+  assert.deepEqual(tracker.observe(v5008('20')), { status: 'gap', expected: 16, missing: 4 });
+  assert.deepEqual(tracker.get(V5008_ID), {
+    lastMessageId: '20',
+    received: 7,
+    lost: 4,
+    gaps: 2,
+    outOfOrder: 2,
+    resets: 0,
+    lossRate: 4 / 11,
+  });
+}
+
+/**
+ * Jumps beyond maxGap or back to an ID already seen are counter resets
+ */
+function testResets() {
+  console.log('\n=== Testing counter resets ===');
+
+  const tracker = new SequenceTracker({ deviceTypes: DEVICE_TYPES, maxGap: 100 });
+  tracker.observe(v5008('500'));
+  tracker.observe(v5008('501'));
+
+  // Back to a low counter after a reboot
+  assert.deepEqual(tracker.observe(v5008('1')), { status: 'reset', previousId: 501 });
+  assert.equal(tracker.observe(v5008('2')).status, 'next');
+
+  // Far ahead
+  assert.equal(tracker.observe(v5008('90000')).status, 'reset');
+  assert.equal(tracker.get(V5008_ID).resets, 2);
+
+  // The counter wraps without a reset
+  const wrapping = new SequenceTracker({ deviceTypes: DEVICE_TYPES });
+  wrapping.observe(v5008(String(2 ** 32 - 1)));
+  assert.equal(wrapping.observe(v5008('0')).status, 'next');
+}
+
+/**
+ * Only device counters of enabled device types are sequenced
+ */
+function testSequencedMessages() {
+  console.log('\n=== Testing sequenced messages ===');
+
+  // Off by default: the protocol documents describe messageId as random
+  assert.equal(new SequenceTracker().observe(v5008('10')), null);
+  assert.equal(
+    new SequenceTracker({ deviceTypes: ['V5008'] }).observe(v5008('10')).status,
+    'first',
+  );
+  assert.throws(() => new SequenceTracker({ deviceTypes: ['G6000'] }), /Unsupported sequence/);
+
+  const tracker = new SequenceTracker({ deviceTypes: DEVICE_TYPES });
+  const v6800 = (rawMessageType) => ({
+    deviceId: V6800_ID,
+    deviceType: 'V6800',
+    messageId: '77',
+    rawMessageType,
+  });
+
+  assert.equal(tracker.isSequenced(v6800('heart_beat_req')), true);
+  // Responses echo the command uuid_number
+  assert.equal(tracker.isSequenced(v6800('u_state_resp')), false);
+  assert.equal(tracker.isSequenced(v6800('set_module_property_result_req')), false);
+  assert.equal(tracker.isSequenced({ deviceType: 'G6000', messageId: 'ALT_1' }), false);
+  assert.equal(tracker.isSequenced({ deviceType: 'V6800', messageId: '' }), false);
+  assert.equal(tracker.observe(v6800('u_color')), null);
+}
+
+/**
+ * The normalizer emits device.sequence_gap and device.rebooted and reports loss statistics
+ */
+async function testDeviceEvents() {
+  console.log('\n=== Testing sequence events ===');
+
+  const normalizer = new UnifiedNormalizer({ sequence: { deviceTypes: ['V5008'] } });
+  await normalizer.initialize();
+
+  const gaps = [];
+  const reboots = [];
+  const onGap = (event) => gaps.push(event);
+  const onReboot = (event) => reboots.push(event);
+  eventBus.on('device.sequence_gap', onGap);
+  eventBus.on('device.rebooted', onReboot);
+
+  try {
+    const device = new V5008Device({
+      deviceId: V5008_ID,
+      modules: [{ modAddr: 1, uTotal: 6 }],
+      random: createRandom(5),
+    });
+    const publish = (messages) =>
+      messages.forEach(({ topic, payload }) =>
+        eventBus.emit('mqtt.message', { topic, message: payload }),
+      );
+
+    const module = device.getModule(1);
+    publish(device.heartbeat());
+    device.temHum(module); // lost on the way
+    device.noise(module); // lost on the way
+    publish(device.door(module));
+
+    assert.equal(gaps.length, 1);
+    assert.equal(gaps[0].deviceId, V5008_ID);
+    assert.equal(gaps[0].missing, 2);
+    assert.equal(Number(gaps[0].messageId), Number(gaps[0].expectedMessageId) + 2);
+
+    // Retained replays are not sequenced
+    const [retained] = device.heartbeat();
+    eventBus.emit('mqtt.message', { ...retained, message: retained.payload, retained: true });
+    assert.equal(normalizer.getStatus().sequences[V5008_ID].received, 2);
+
+    device.messageId = 0;
+    publish(device.heartbeat());
+    assert.equal(reboots.length, 1);
+    assert.equal(reboots[0].messageId, '1');
+
+    const stats = normalizer.getStatus().sequences[V5008_ID];
+    assert.equal(stats.lost, 2);
+    assert.equal(stats.resets, 1);
+  } finally {
+    eventBus.off('device.sequence_gap', onGap);
+    eventBus.off('device.rebooted', onReboot);
+    await normalizer.shutdown();
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('Starting sequence tracker tests...');
+
+  try {
+    testGapsAndReorder();
+    testResets();
+    testSequencedMessages();
+    await testDeviceEvents();
+
+    console.log('\n✅ All sequence tracker tests passed!');
+  } catch (error) {
+    console.error('\n❌ Sequence tracker test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testGapsAndReorder, testResets, testSequencedMessages, testDeviceEvents, runAllTests };
@@ -0,0 +1,379 @@
+/**
+ * Test file for the device traffic simulator
+ * Checks that simulated uploads parse like real device traffic and that download commands
+ * built by the middleware get the responses the command tracker expects
+ */
+
+import { strict as assert } from 'assert';
+import { EventEmitter } from 'events';
+import V5008CommandEncoder from '../src/modules/command/V5008CommandEncoder.js';
+import V6800CommandBuilder from '../src/modules/command/V6800CommandBuilder.js';
+import V5008Parser from '../src/modules/normalizer/parsers/V5008Parser.js';
+import V6800Parser from '../src/modules/normalizer/parsers/V6800Parser.js';
+import TrafficSimulator from '../src/simulator/TrafficSimulator.js';
+import { createRandom } from '../src/simulator/SimulatedDevice.js';
+import V5008Device from '../src/simulator/V5008Device.js';
+import V6800Device from '../src/simulator/V6800Device.js';
+
+const V5008_ID = '2437871205';
+const V6800_ID = '2123456789';
+
+const parsers = { V5008: new V5008Parser(), V6800: new V6800Parser() };
+
+/**
+ * In-memory MQTT client recording publishes and delivering injected messages
+ */
+class FakeClient extends EventEmitter {
+  constructor() {
+    super();
+    this.published = [];
+    this.subscriptions = [];
+  }
+
+  publish(topic, payload, options, callback) {
+    this.published.push({ topic, payload });
+    callback();
+  }
+
+  subscribe(topics, options, callback) {
+    this.subscriptions.push(...topics);
+    callback();
+  }
+
+  end(force, options, callback) {
+    callback();
+  }
+}
+
+/**
+ * Parse a simulated message with the parser of its device type
+ * @param {Object} message - { topic, payload }
+ * @returns {Object} Parsed intermediate format
+ */
+const parse = ({ topic, payload }) => parsers[topic.substring(0, 5)].parse(topic, payload);
+
+const createV5008 = (seed = 1) =>
+  new V5008Device({
+    deviceId: V5008_ID,
+    modules: [
+      { modAddr: 1, uTotal: 12 },
+      { modAddr: 2, uTotal: 6 },
+    ],
+    thSensors: 3,
+    random: createRandom(seed),
+  });
+
+const createV6800 = (seed = 1) =>
+  new V6800Device({
+    deviceId: V6800_ID,
+    modules: [
+      { modAddr: 2, uTotal: 6 },
+      { modAddr: 4, uTotal: 12 },
+    ],
+    random: createRandom(seed),
+  });
+
+/**
+ * Every V5008 upload decodes with V5008Parser and reflects the device state
+ */
+function testV5008Uploads() {
+  console.log('\n=== Testing V5008 uploads ===');
+
+  const device = createV5008();
+
+  const [heartbeat] = device.heartbeat().map(parse);
+  assert.equal(heartbeat.messageType, 'HEARTBEAT');
+  assert.deepEqual(
+    heartbeat.modules.map(({ modAddr, uTotal }) => [modAddr, uTotal]),
+    [
+      [1, 12],
+      [2, 6],
+    ],
+  );
+
+  const module = device.getModule(1);
+  const [rfid] = device.rfid(module).map(parse);
+  assert.equal(rfid.messageType, 'RFID');
+  assert.equal(rfid.modId, module.modId);
+  assert.equal(rfid.onlineCount, module.tags.size);
+
+  const [temHum] = device.temHum(module).map(parse);
+  assert.equal(temHum.sensors.filter((sensor) => sensor.temp !== null).length, 3);
+  assert.equal(temHum.sensors[0].sensorAddr, 10);
+
+  const [noise] = device.noise(module).map(parse);
+  assert.equal(noise.messageType, 'NOISE');
+  assert.equal(noise.sensors[0].sensorAddr, 16);
+
+  const [door] = device.toggleDoor().map(parse);
+  assert.equal(door.messageType, 'DOOR_STATE');
+  assert.equal(door.doorState, '01');
+
+  // Message IDs increase per upload
+  assert.equal(Number(door.messageId), Number(noise.messageId) + 1);
+
+  assert.throws(
+    () => new V5008Device({ deviceId: V5008_ID, modules: [{ modAddr: 6 }] }),
+    /Invalid V5008 modAddr/,
+  );
+}
+
+/**
+ * Tag moves and alarms show up in the next RFID snapshot
+ */
+function testV5008Scenarios() {
+  console.log('\n=== Testing V5008 scenarios ===');
+
+  const device = createV5008(7);
+  const before = device.modules.reduce((count, module) => count + module.tags.size, 0);
+
+  const snapshots = device.moveTag().map(parse);
+  assert.ok(snapshots.length >= 1 && snapshots.length <= 2);
+  const after = device.modules.reduce((count, module) => count + module.tags.size, 0);
+  assert.equal(after, before || 1);
+
+  const [alarm] = device.raiseAlarm().map(parse);
+  assert.equal(alarm.items.filter((item) => item.alarmStatus === 1).length, 1);
+}
+
+/**
+ * Every V6800 upload parses with V6800Parser
+ */
+function testV6800Uploads() {
+  console.log('\n=== Testing V6800 uploads ===');
+
+  const device = createV6800();
+
+  const [init, heartbeat] = device.startup().map(parse);
+  assert.equal(init.messageType, 'Init');
+  assert.deepEqual(
+    init.modules.map(({ modAddr, uTotal }) => [modAddr, uTotal]),
+    [
+      [2, 6],
+      [4, 12],
+    ],
+  );
+  assert.equal(heartbeat.messageType, 'HeartBeat');
+  assert.equal(heartbeat.meta.mainPower, true);
+
+  const [moved] = device.moveTag().map(parse);
+  assert.equal(moved.messageType, 'LabelState');
+  const actions = moved.data.flatMap((module) => module.items.map((item) => item.action));
+  assert.ok(actions.includes('attached'));
+
+  const [temHum] = device.temHum(device.getModule(2)).map(parse);
+  assert.equal(temHum.data[0].sensors.length, 2);
+  assert.ok(temHum.data[0].sensors[0].temp > 0);
+
+  const [door] = device.toggleDoor().map(parse);
+  assert.equal(door.data[0].doorState, '01');
+
+  assert.deepEqual(device.noise(), []);
+}
+
+/**
+ * V5008 download commands are answered with the frames CommandTracker matches on
+ */
+function testV5008Downlinks() {
+  console.log('\n=== Testing V5008 downlinks ===');
+
+  const device = createV5008();
+  const encoder = new V5008CommandEncoder();
+  const answer = (frame) => device.handleCommand(frame).map(parse);
+
+  const setColor = encoder.setColor(1, [{ uPos: 3, colorCode: 8 }]);
+  const [colorResp] = answer(setColor);
+  assert.equal(colorResp.messageType, 'SET_COLOR_RESP');
+  assert.equal(colorResp.result, 'Success');
+  assert.equal(colorResp.originalReq, setColor.toString('hex').toUpperCase());
+
+  const [query] = answer(encoder.queryColor(1));
+  assert.equal(query.messageType, 'QRY_COLOR_RESP');
+  assert.equal(query.colorMap.length, 12);
+  assert.equal(query.colorMap[2], 8);
+
+  const [unknownModule] = answer(encoder.setColor(3, [{ uPos: 1, colorCode: 1 }]));
+  assert.equal(unknownModule.result, 'Failure');
+
+  const [alarm] = device.raiseAlarm();
+  const { modAddr, items } = parse(alarm);
+  const uPos = items.find((item) => item.alarmStatus === 1).uPos;
+  const [cleared] = answer(encoder.clearAlarm(modAddr, uPos));
+  assert.equal(cleared.messageType, 'CLR_ALARM_RESP');
+  assert.equal(device.getModule(modAddr).tags.get(uPos).alarmStatus, 0);
+
+  assert.equal(answer(encoder.queryRfid(2))[0].messageType, 'RFID');
+  assert.equal(answer(encoder.queryTempHum(2))[0].messageType, 'TEMP_HUM');
+  assert.equal(answer(encoder.queryDoorState(2))[0].messageType, 'DOOR_STATE');
+  assert.equal(answer(encoder.queryNoise(2))[0].messageType, 'NOISE');
+  assert.equal(answer(encoder.queryDeviceInfo())[0].mac, '80:82:91:4E:F6:65');
+  assert.equal(answer(encoder.queryModuleInfo())[0].modules.length, 2);
+
+  // Unknown frames are dropped like on the device
+  assert.deepEqual(device.handleCommand(Buffer.from('7701', 'hex')), []);
+}
+
+/**
+ * V6800 download commands are answered with the request uuid_number
+ */
+function testV6800Downlinks() {
+  console.log('\n=== Testing V6800 downlinks ===');
+
+  const device = createV6800();
+  const builder = new V6800CommandBuilder();
+  const answer = (command) => device.handleCommand(Buffer.from(JSON.stringify(command))).map(parse);
+
+  const queryRfid = builder.queryRfid(V6800_ID, 4);
+  const [rfid] = answer(queryRfid);
+  assert.equal(rfid.rawMessageType, 'u_state_resp');
+  assert.equal(rfid.messageId, String(queryRfid.uuid_number));
+  assert.equal(rfid.data[0].items.length, 12);
+
+  const setColor = builder.setColor(V6800_ID, 2, [{ uPos: 1, colorCode: 4 }]);
+  const [setResp] = answer(setColor);
+  assert.equal(setResp.messageId, String(setColor.uuid_number));
+  assert.equal(setResp.data[0].result, 'Success');
+
+  const [colors] = answer(builder.queryColor(V6800_ID, 2));
+  assert.deepEqual(colors.data[0].colorMap, [4, 0, 0, 0, 0, 0]);
+
+  const [cleared] = answer(builder.clearAlarm(V6800_ID, 2, [1, 2]));
+  assert.equal(cleared.rawMessageType, 'clear_u_warning');
+  assert.equal(cleared.data[0].result, 'Success');
+
+  const [failed] = answer(builder.setColor(V6800_ID, 9, [{ uPos: 1, colorCode: 4 }]));
+  assert.equal(failed.data[0].result, 'Failure');
+
+  assert.deepEqual(device.handleCommand(Buffer.from('not json')), []);
+  for (const payload of ['null', '42', '[]']) {
+    assert.deepEqual(device.handleCommand(Buffer.from(payload)), []);
+  }
+}
+
+/**
+ * The simulator publishes startup traffic, runs scenarios and answers downlinks over MQTT
+ */
+async function testTrafficSimulator() {
+  console.log('\n=== Testing traffic simulator ===');
+
+  const client = new FakeClient();
+  const simulator = new TrafficSimulator(
+    {
+      seed: 42,
+      devices: [
+        { deviceType: 'V5008', count: 2, firstDeviceId: V5008_ID },
+        { deviceType: 'V6800', count: 1, firstDeviceId: V6800_ID },
+      ],
+      intervals: { heartbeat: 0 },
+    },
+    { client },
+  );
+
+  await simulator.start();
+  assert.deepEqual(client.subscriptions, ['V5008Download/+', 'V6800Download/+']);
+  // Heartbeat per V5008, Init + heartbeat for the V6800
+  assert.equal(client.published.length, 4);
+  assert.ok(client.published.some(({ topic }) => topic === 'V5008Upload/2437871206/OpeAck'));
+
+  assert.equal(await simulator.emitAll('temHum'), 6);
+  assert.equal(await simulator.emitAll('noise'), 4);
+  assert.ok((await simulator.runScenario('doors')) === 1);
+  await assert.rejects(() => simulator.runScenario('meteor'), /Unknown scenario/);
+
+  const encoder = new V5008CommandEncoder();
+  const responses = await simulator.handleDownlink(
+    `V5008Download/${V5008_ID}`,
+    encoder.queryDeviceInfo(),
+  );
+  assert.equal(responses, 1);
+  assert.equal(client.published.at(-1).topic, `V5008Upload/${V5008_ID}/OpeAck`);
+
+  assert.equal(await simulator.handleDownlink('V5008Download/1', encoder.queryDeviceInfo()), 0);
+  for (const { topic, payload } of client.published) {
+    parse({ topic, payload });
+  }
+
+  await simulator.stop();
+  const stats = simulator.getStats();
+  assert.equal(stats.devices, 3);
+  assert.equal(stats.commands, 1);
+  assert.equal(stats.responses, 1);
+  assert.equal(stats.published, client.published.length);
+
+  assert.throws(
+    () => new TrafficSimulator({ devices: [{ deviceType: 'G6000' }] }, { client }),
+    /Unsupported simulated device type/,
+  );
+}
+
+/**
+ * A download command that fails is counted as an error instead of escaping the MQTT listener
+ */
+async function testDownlinkErrors() {
+  console.log('\n=== Testing failed downlinks ===');
+
+  const client = new FakeClient();
+  const simulator = new TrafficSimulator(
+    {
+      seed: 42,
+      devices: [
+        { deviceType: 'V5008', count: 1, firstDeviceId: V5008_ID },
+        { deviceType: 'V6800', count: 1, firstDeviceId: V6800_ID },
+      ],
+      intervals: { heartbeat: 0 },
+    },
+    { client },
+  );
+  await simulator.start();
+
+  client.emit('message', `V6800Download/${V6800_ID}`, Buffer.from('null'));
+  simulator.devices.get(`V5008:${V5008_ID}`).handleCommand = () => {
+    throw new Error('Device failure');
+  };
+  client.emit('message', `V5008Download/${V5008_ID}`, Buffer.from([0xef, 0x01]));
+  await new Promise((resolve) => setImmediate(resolve));
+
+  await simulator.stop();
+  const stats = simulator.getStats();
+  assert.equal(stats.commands, 2);
+  assert.equal(stats.ignored, 1);
+  assert.equal(stats.errors, 1);
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('Starting simulator tests...');
+
+  try {
+    testV5008Uploads();
+    testV5008Scenarios();
+    testV6800Uploads();
+    testV5008Downlinks();
+    testV6800Downlinks();
+    await testTrafficSimulator();
+    await testDownlinkErrors();
+
+    console.log('\n✅ All simulator tests passed!');
+  } catch (error) {
+    console.error('\n❌ Simulator test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export {
+  testV5008Uploads,
+  testV5008Scenarios,
+  testV6800Uploads,
+  testV5008Downlinks,
+  testV6800Downlinks,
+  testTrafficSimulator,
+  testDownlinkErrors,
+  runAllTests,
+};
@@ -156,13 +156,51 @@ const SAMPLE_NORMALIZED_DATA = [
   }
 ];
 
+/**
+ * Minimal stand-in for a mysql2/promise pool that records executed statements
+ * @param {Object} options - { failOn: substring of a statement that should throw }
+ */
+function createRecordingPool(options = {}) {
+  const statements = [];
+  const events = [];
+  const connection = {
+    async beginTransaction() {
+      events.push('begin');
+    },
+    async query(sql, params) {
+      if (options.failOn && sql.includes(options.failOn)) {
+        throw new Error('Simulated database failure');
+      }
+      statements.push({ sql, rows: params[0] });
+      return [{ affectedRows: params[0].length }];
+    },
+    async commit() {
+      events.push('commit');
+    },
+    async rollback() {
+      events.push('rollback');
+    },
+    release() {
+      events.push('release');
+    },
+  };
+
+  return {
+    statements,
+    events,
+    async getConnection() {
+      return connection;
+    },
+  };
+}
+
 /**
  * Test StorageService initialization
  */
 async function testInitialization() {
   console.log('\n=== Testing StorageService Initialization ===');
   
-  const storageService = new StorageService();
+  const storageService = new StorageService({ pool: createRecordingPool() });
   
   try {
     await storageService.initialize();
@@ -187,7 +225,7 @@ async function testInitialization() {
 async function testBatchSave() {
   console.log('\n=== Testing Batch Save ===');
   
-  const storageService = new StorageService();
+  const storageService = new StorageService({ pool: createRecordingPool() });
   
   try {
     await storageService.initialize();
@@ -222,7 +260,7 @@ async function testBatchSave() {
 async function testDataTypeProcessing() {
   console.log('\n=== Testing Data Type Processing ===');
   
-  const storageService = new StorageService();
+  const storageService = new StorageService({ pool: createRecordingPool() });
   
   try {
     await storageService.initialize();
@@ -275,13 +313,91 @@ async function testDataTypeProcessing() {
   }
 }
 
+/**
+ * Test multi-row statements and device state upserts
+ */
+async function testMultiRowBatching() {
+  console.log('\n=== Testing Multi-Row Batching ===');
+
+  const pool = createRecordingPool();
+  const storageService = new StorageService({ pool, maxRowsPerInsert: 2 });
+
+  try {
+    await storageService.initialize();
+
+    const [telemetry, , snapshot] = SAMPLE_NORMALIZED_DATA;
+    const readings = [28.48, 28.5, 28.52].map((value, index) => ({
+      ...telemetry,
+      meta: { ...telemetry.meta, ts: `2025-12-19T09:43:0${index}.000Z`, late: index === 2 },
+      payload: { ...telemetry.payload, value },
+    }));
+    const newerSnapshot = {
+      ...snapshot,
+      meta: { ...snapshot.meta, ts: '2025-12-19T09:44:00.000Z' },
+      payload: { key: 'rfid_snapshot', value: { items: [] } },
+    };
+    const invalidReading = { ...telemetry, payload: { key: 'temperature', value: 'n/a' } };
+
+    const results = await storageService.saveBatch([
+      ...readings,
+      newerSnapshot,
+      snapshot,
+      invalidReading,
+    ]);
+
+    // Three readings with 2 rows per statement -> 2 telemetry statements
+    const telemetryStatements = pool.statements.filter((s) => s.sql.includes('iot_telemetry'));
+    assert.deepEqual(
+      telemetryStatements.map((s) => s.rows.length),
+      [2, 1],
+    );
+    assert.equal(telemetryStatements[0].rows[0][5], 28.48);
+    assert.deepEqual(telemetryStatements[0].rows[0].slice(6), [
+      new Date('2025-12-19T09:43:00.100Z'),
+      null,
+      null,
+      0,
+    ]);
+    assert.ok(telemetryStatements[0].sql.includes('ON DUPLICATE KEY UPDATE'));
+    assert.equal(telemetryStatements[1].rows[0][9], 1, 'Late readings should set is_late');
+    assert.equal(results.telemetry.processed, 3);
+    assert.equal(results.telemetry.errors, 1, 'Non-numeric telemetry should be skipped');
+
+    // Two snapshots of the same module collapse into one upsert row, latest wins
+    const stateStatements = pool.statements.filter((s) => s.sql.includes('iot_device_state'));
+    assert.equal(stateStatements.length, 1);
+    assert.equal(stateStatements[0].rows.length, 1);
+    assert.deepEqual(stateStatements[0].rows[0].slice(0, 4), [
+      '2437871205',
+      1,
+      'rfid_map',
+      '{"items":[]}',
+    ]);
+    // Late state never overwrites a newer stored value
+    assert.match(
+      stateStatements[0].sql,
+      /json_value = IF\(last_updated IS NULL OR VALUES\(last_updated\) >= last_updated, VALUES\(json_value\), json_value\)/,
+    );
+    assert.match(stateStatements[0].sql, /last_updated = IF\(.*, VALUES\(last_updated\), last_updated\)\s*$/);
+
+    assert.deepEqual(pool.events, ['begin', 'commit', 'release']);
+    console.log('✅ Multi-row batching test passed');
+
+    await storageService.shutdown();
+    return true;
+  } catch (error) {
+    console.error('❌ Multi-row batching test failed:', error.message);
+    return false;
+  }
+}
+
 /**
  * Test error handling
  */
 async function testErrorHandling() {
   console.log('\n=== Testing Error Handling ===');
   
-  const storageService = new StorageService();
+  const storageService = new StorageService({ pool: createRecordingPool() });
   
   try {
     await storageService.initialize();
@@ -306,6 +422,14 @@ async function testErrorHandling() {
       console.log('✅ Uninitialized service error test passed');
     }
     
+    // A failing statement rolls back the whole batch
+    const failingPool = createRecordingPool({ failOn: 'iot_rfid_events' });
+    const failingService = new StorageService({ pool: failingPool });
+    await failingService.initialize();
+    await assert.rejects(() => failingService.saveBatch(SAMPLE_NORMALIZED_DATA), /Simulated/);
+    assert.deepEqual(failingPool.events, ['begin', 'rollback', 'release']);
+    console.log('✅ Rollback on failure test passed');
+
     console.log('✅ All error handling tests passed');
     
     await storageService.shutdown();
@@ -326,6 +450,7 @@ async function runAllTests() {
     { name: 'Initialization', fn: testInitialization },
     { name: 'Batch Save', fn: testBatchSave },
     { name: 'Data Type Processing', fn: testDataTypeProcessing },
+    { name: 'Multi-Row Batching', fn: testMultiRowBatching },
     { name: 'Error Handling', fn: testErrorHandling }
   ];
   
@@ -366,6 +491,7 @@ export {
   testInitialization,
   testBatchSave,
   testDataTypeProcessing,
+  testMultiRowBatching,
   testErrorHandling,
   runAllTests
 };
\ No newline at end of file
@@ -0,0 +1,339 @@
+/**
+ * Test file for the RFID tag inventory
+ * Verifies tag locations, position history and movement queries in memory and database storage
+ */
+
+import { strict as assert } from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { eventBus } from '../src/core/index.js';
+import UnifiedNormalizer from '../src/modules/normalizer/UnifiedNormalizer.js';
+import DatabaseStorage from '../src/modules/storage/DatabaseStorage.js';
+import MemoryStorage from '../src/modules/storage/MemoryStorage.js';
+import TagInventory from '../src/modules/storage/TagInventory.js';
+import { createRandom } from '../src/simulator/SimulatedDevice.js';
+import V5008Device from '../src/simulator/V5008Device.js';
+
+const DEVICE_ID = '2437871205';
+const OTHER_ID = '2437871206';
+
+const BASE = Date.UTC(2025, 11, 19, 9, 0, 0);
+// ISO time a number of seconds after BASE
+const at = (seconds) => new Date(BASE + seconds * 1000).toISOString();
+
+/**
+ * Tag event
+ * @param {number} seconds - Event time (seconds after BASE)
+ * @param {string} action - 'ATTACHED' or 'DETACHED'
+ * @param {string} tagId - Tag ID
+ * @param {string} deviceId - Gateway
+ * @param {number} modAddr - Module address
+ * @param {number} uPos - U-level
+ * @returns {Object} Tag event
+ */
+const tagEvent = (seconds, action, tagId, deviceId, modAddr, uPos) => ({
+  tagId,
+  action,
+  deviceId,
+  deviceType: 'V5008',
+  modAddr,
+  uPos,
+  at: at(seconds),
+});
+
+/**
+ * Stays and movements follow a tag across racks
+ */
+function testInventory() {
+  console.log('\n=== Testing tag inventory ===');
+
+  const inventory = new TagInventory();
+
+  inventory.apply(tagEvent(0, 'ATTACHED', 'DD344A44', DEVICE_ID, 1, 3));
+  inventory.apply(tagEvent(0, 'ATTACHED', 'DD2862B4', DEVICE_ID, 1, 4));
+  assert.deepEqual(inventory.locate('DD344A44'), {
+    tagId: 'DD344A44',
+    present: true,
+    deviceId: DEVICE_ID,
+    deviceType: 'V5008',
+    modAddr: 1,
+    uPos: 3,
+    arrivedAt: at(0),
+    departedAt: null,
+  });
+
+  // Moved within the rack: detach reported first
+  inventory.apply(tagEvent(60, 'DETACHED', 'DD344A44', DEVICE_ID, 1, 3));
+  assert.equal(inventory.locate('DD344A44').present, false);
+  const moved = inventory.apply(tagEvent(60, 'ATTACHED', 'DD344A44', DEVICE_ID, 2, 7));
+  assert.equal(moved.moved, true);
+  assert.deepEqual(moved.from, { deviceId: DEVICE_ID, deviceType: 'V5008', modAddr: 1, uPos: 3 });
+
+  // Moved to another rack that reported before the old one
+  inventory.apply(tagEvent(120, 'ATTACHED', 'DD344A44', OTHER_ID, 1, 1));
+  inventory.apply(tagEvent(130, 'DETACHED', 'DD344A44', DEVICE_ID, 2, 7));
+  assert.equal(inventory.locate('DD344A44').deviceId, OTHER_ID);
+  assert.equal(inventory.locate('DD344A44').present, true);
+
+  assert.deepEqual(
+    inventory
+      .getHistory('DD344A44')
+      .map(({ modAddr, uPos, arrivedAt, departedAt }) => [modAddr, uPos, arrivedAt, departedAt]),
+    [
+      [1, 3, at(0), at(60)],
+      [2, 7, at(60), at(120)],
+      [1, 1, at(120), null],
+    ],
+  );
+
+  assert.deepEqual(
+    inventory.getMovements({ since: at(30), movedOnly: true }).map(({ at: time }) => time),
+    [at(120), at(60)],
+  );
+  assert.equal(inventory.getMovements({ tagId: 'DD2862B4' }).length, 1);
+  assert.equal(inventory.getMovements({ deviceId: OTHER_ID }).length, 1);
+  assert.equal(inventory.getMovements({ limit: 2 }).length, 2);
+
+  assert.deepEqual(
+    inventory.getPresent().map(({ tagId }) => tagId),
+    ['DD2862B4', 'DD344A44'],
+  );
+  assert.deepEqual(inventory.getPresent({ deviceId: OTHER_ID, modAddr: 2 }), []);
+  assert.equal(inventory.locate('nope'), null);
+  assert.equal(inventory.size, 2);
+
+  // Snapshots place listed tags and clear unlisted ones without recording movements
+  const movements = inventory.getMovements().length;
+  const snapshot = (seconds, items) => ({
+    deviceId: DEVICE_ID,
+    deviceType: 'V5008',
+    modAddr: 1,
+    items,
+    at: at(seconds),
+  });
+  assert.equal(inventory.reconcile(snapshot(200, [{ uPos: 5, tagId: 'DD000001' }])), 2);
+  assert.equal(inventory.locate('DD000001').uPos, 5);
+  assert.equal(inventory.locate('DD000001').arrivedAt, at(200));
+  assert.equal(inventory.locate('DD2862B4').present, false, 'no longer listed on module 1');
+  assert.equal(inventory.locate('DD344A44').deviceId, OTHER_ID, 'other gateways are untouched');
+  assert.equal(inventory.reconcile(snapshot(260, [{ uPos: 5, tagId: 'DD000001' }])), 0);
+  assert.equal(inventory.locate('DD000001').arrivedAt, at(200));
+  assert.equal(inventory.getMovements().length, movements);
+}
+
+/**
+ * Memory storage answers tag queries for tags reported by a simulated gateway
+ */
+async function testMemoryStorage() {
+  console.log('\n=== Testing tag queries in memory storage ===');
+
+  const normalizer = new UnifiedNormalizer();
+  const storage = new MemoryStorage();
+  await normalizer.initialize();
+  await storage.initialize();
+
+  try {
+    const device = new V5008Device({
+      deviceId: DEVICE_ID,
+      modules: [
+        { modAddr: 1, uTotal: 6 },
+        { modAddr: 2, uTotal: 6 },
+      ],
+      tagFill: 0.5,
+      random: createRandom(7),
+    });
+    const publish = (messages) =>
+      messages.forEach(({ topic, payload }) =>
+        eventBus.emit('mqtt.message', { topic, message: payload }),
+      );
+
+    device.modules.forEach((module) => publish(device.rfid(module)));
+    const tagged = device.modules.flatMap((module) =>
+      Array.from(module.tags, ([uPos, { tagId }]) => ({ modAddr: module.modAddr, uPos, tagId })),
+    );
+    assert.ok(tagged.length > 0);
+    assert.equal(storage.getTagsPresent({ deviceId: DEVICE_ID }).length, tagged.length);
+    for (const { modAddr, uPos, tagId } of tagged) {
+      const location = storage.findTag(tagId);
+      assert.equal(location.present, true);
+      assert.equal(location.modAddr, modAddr);
+      assert.equal(location.uPos, uPos);
+    }
+
+    publish(device.moveTag());
+    const [movement] = storage.getTagMovements({ movedOnly: true });
+    assert.ok(movement, 'the move is reported');
+    const location = storage.findTag(movement.tagId);
+    assert.equal(device.getModule(location.modAddr).tags.get(location.uPos).tagId, movement.tagId);
+    assert.equal(storage.getTagHistory(movement.tagId).length, 2);
+    assert.equal(storage.getStatistics().trackedTags, tagged.length);
+
+    storage.clear();
+    assert.equal(storage.findTag(movement.tagId), null);
+  } finally {
+    await storage.shutdown();
+    await normalizer.shutdown();
+  }
+}
+
+/**
+ * After a restart the saved RFID baseline suppresses ATTACHED events, and the first snapshots
+ * tell memory storage where the tags are
+ */
+async function testRestart() {
+  console.log('\n=== Testing tag queries after a restart ===');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tag-inventory-'));
+  const stateFile = path.join(dir, 'state.json');
+  const device = new V5008Device({
+    deviceId: DEVICE_ID,
+    modules: [{ modAddr: 1, uTotal: 6 }],
+    tagFill: 0.5,
+    random: createRandom(7),
+  });
+  const publish = (messages) =>
+    messages.forEach(({ topic, payload }) =>
+      eventBus.emit('mqtt.message', { topic, message: payload }),
+    );
+  const module = device.getModule(1);
+
+  try {
+    const before = new UnifiedNormalizer({ stateFile });
+    await before.initialize();
+    publish(device.rfid(module));
+    await before.shutdown();
+
+    const normalizer = new UnifiedNormalizer({ stateFile });
+    const storage = new MemoryStorage();
+    await normalizer.initialize();
+    await storage.initialize();
+    try {
+      publish(device.rfid(module));
+      assert.equal(storage.getTagMovements().length, 0, 'no phantom attaches');
+      assert.ok(module.tags.size > 0);
+      for (const [uPos, { tagId }] of module.tags) {
+        const location = storage.findTag(tagId);
+        assert.equal(location.present, true);
+        assert.equal(location.uPos, uPos);
+      }
+    } finally {
+      await storage.shutdown();
+      await normalizer.shutdown();
+    }
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Stored iot_unified_data row of an RFID event
+ * @param {number} seconds - Event time (seconds after BASE)
+ * @param {string} action - 'ATTACHED' or 'DETACHED'
+ * @param {string} tagId - Tag ID
+ * @param {number} modAddr - Module address
+ * @param {number} uPos - U-level
+ * @returns {Object} Database row
+ */
+const row = (seconds, action, tagId, modAddr, uPos) => ({
+  device_id: DEVICE_ID,
+  device_type: 'V5008',
+  module_index: modAddr,
+  sensor_index: uPos,
+  message_class: 'RFID',
+  data_key: 'rfid_event',
+  num_value: null,
+  str_value: tagId,
+  json_value: JSON.stringify({ action, uPos, tagId }),
+  ts_device: new Date(at(seconds)),
+});
+
+/**
+ * Database storage replays stored RFID events, newest first, into tag answers
+ */
+async function testDatabaseStorage() {
+  console.log('\n=== Testing tag queries in database storage ===');
+
+  const rows = [
+    row(60, 'ATTACHED', 'DD344A44', 2, 7),
+    row(60, 'DETACHED', 'DD344A44', 1, 3),
+    row(0, 'ATTACHED', 'DD344A44', 1, 3),
+  ];
+  const statements = [];
+  const storage = new DatabaseStorage();
+  storage.pool = {
+    async execute(sql, params) {
+      statements.push({ sql, params });
+      return [rows];
+    },
+  };
+
+  const location = await storage.findTag('DD344A44');
+  assert.equal(location.present, true);
+  assert.equal(location.modAddr, 2);
+  assert.equal(location.uPos, 7);
+  assert.equal(location.arrivedAt, at(60));
+
+  const [select] = statements;
+  assert.match(
+    select.sql,
+    /FROM iot_unified_data WHERE data_key = \? AND str_value = \? ORDER BY ts_device DESC, id DESC LIMIT \?$/,
+  );
+  assert.deepEqual(select.params, ['rfid_event', 'DD344A44', 1000]);
+
+  const history = await storage.getTagHistory('DD344A44', { limit: 50 });
+  assert.deepEqual(
+    history.map(({ uPos }) => uPos),
+    [3, 7],
+  );
+  assert.equal(statements[1].params[2], 50);
+
+  const movements = await storage.getTagMovements({ since: at(30), deviceId: DEVICE_ID });
+  assert.match(statements[2].sql, /AND device_id = \? AND ts_device >= \?/);
+  assert.deepEqual(statements[2].params, ['rfid_event', DEVICE_ID, at(30), 1000]);
+  assert.deepEqual(
+    movements.map(({ action }) => action),
+    ['ATTACHED', 'DETACHED'],
+  );
+  assert.equal(movements[0].moved, true);
+
+  // sensor_data keeps the SUO payload as JSON
+  const legacy = new DatabaseStorage({ schema: 'sensor_data' });
+  legacy.pool = {
+    async execute(sql, params) {
+      statements.push({ sql, params });
+      return [[]];
+    },
+  };
+  assert.equal(await legacy.findTag('DD344A44'), null);
+  assert.match(
+    statements[3].sql,
+    /WHERE JSON_UNQUOTE\(JSON_EXTRACT\(payload, '\$\.key'\)\) = \? AND JSON_UNQUOTE\(JSON_EXTRACT\(payload, '\$\.value\.tagId'\)\) = \?/,
+  );
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('Starting tag inventory tests...');
+
+  try {
+    testInventory();
+    await testMemoryStorage();
+    await testRestart();
+    await testDatabaseStorage();
+
+    console.log('\n✅ All tag inventory tests passed!');
+  } catch (error) {
+    console.error('\n❌ Tag inventory test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testInventory, testMemoryStorage, testRestart, testDatabaseStorage, runAllTests };
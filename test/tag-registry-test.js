@@ -0,0 +1,206 @@
+/**
+ * Test file for the RFID tag asset registry
+ * Verifies CSV/JSON import and export, the registry file and enrichment of normalized RFID records
+ */
+
+import { strict as assert } from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { eventBus } from '../src/core/index.js';
+import TagRegistry from '../src/modules/normalizer/TagRegistry.js';
+import UnifiedNormalizer from '../src/modules/normalizer/UnifiedNormalizer.js';
+import DatabaseStorage from '../src/modules/storage/DatabaseStorage.js';
+import { createRandom } from '../src/simulator/SimulatedDevice.js';
+import V5008Device from '../src/simulator/V5008Device.js';
+
+const DEVICE_ID = '2437871205';
+
+const CSV = [
+  '\uFEFFtagId,hostname,owner,serial,expectedDeviceId,expectedModAddr,expectedUPos,notes',
+  `dd3ce9c4,db-prod-01,"Ops, Storage",SN-48213,${DEVICE_ID},1,12,ignored`,
+  'DD344A44,"web ""edge"" 02",,SN-1,,,',
+  '',
+].join('\r\n');
+
+/**
+ * CSV and JSON imports validate every entry and round-trip through export
+ */
+function testImportExport() {
+  console.log('\n=== Testing tag registry import and export ===');
+
+  const registry = new TagRegistry();
+  assert.equal(registry.importCsv(CSV), 2);
+
+  assert.deepEqual(registry.get('DD3CE9C4'), {
+    tagId: 'DD3CE9C4',
+    hostname: 'db-prod-01',
+    owner: 'Ops, Storage',
+    serial: 'SN-48213',
+    expectedDeviceId: DEVICE_ID,
+    expectedModAddr: 1,
+    expectedUPos: 12,
+  });
+  assert.equal(registry.get('dd344a44').hostname, 'web "edge" 02');
+  assert.equal(registry.get('DD344A44').expectedUPos, null);
+  assert.equal(registry.get('nope'), null);
+
+  const csv = registry.exportCsv();
+  assert.equal(
+    csv.split('\n')[0],
+    'tagId,hostname,owner,serial,expectedDeviceId,expectedModAddr,expectedUPos',
+  );
+  assert.match(csv, /^DD344A44,"web ""edge"" 02",,SN-1,,,$/m);
+
+  const copy = new TagRegistry();
+  copy.importCsv(csv);
+  assert.deepEqual(copy.list(), registry.list());
+  copy.importJson(registry.exportJson(), { replace: true });
+  assert.deepEqual(copy.list(), registry.list());
+
+  // A bad entry rejects the whole import
+  assert.throws(
+    () => registry.importJson([{ tagId: 'DD000001' }, { tagId: 'DD000002', expectedUPos: 'top' }]),
+    /entry 2: Invalid expectedUPos for tag DD000002/,
+  );
+  assert.throws(() => registry.importCsv('hostname\nweb-01\n'), /tagId column/);
+  assert.throws(() => registry.importJson('{}'), /must be an array/);
+  assert.equal(registry.size, 2);
+
+  registry.importJson([{ tagId: 'DD000001', hostname: 'spare' }], { replace: true });
+  assert.deepEqual(
+    registry.list().map(({ tagId }) => tagId),
+    ['DD000001'],
+  );
+  assert.equal(registry.delete('dd000001'), true);
+  assert.equal(registry.size, 0);
+}
+
+/**
+ * The registry file is read and written in the format of its extension
+ */
+async function testRegistryFile() {
+  console.log('\n=== Testing tag registry file ===');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tag-registry-'));
+
+  try {
+    const csvFile = path.join(dir, 'tags.csv');
+    await fs.writeFile(csvFile, CSV);
+    const registry = new TagRegistry({ file: csvFile });
+    assert.equal(await registry.load(), 2);
+
+    registry.set({ tagId: 'DD000001', hostname: 'spare' });
+    assert.equal(await registry.save(), true);
+    assert.match(await fs.readFile(csvFile, 'utf-8'), /^DD000001,spare,,,,,$/m);
+
+    const jsonFile = path.join(dir, 'nested', 'tags.json');
+    const json = new TagRegistry({ file: jsonFile });
+    assert.equal(await json.load(), 0, 'a missing file is an empty registry');
+    json.importCsv(CSV);
+    await json.save();
+    assert.equal(JSON.parse(await fs.readFile(jsonFile, 'utf-8')).length, 2);
+
+    const reloaded = new TagRegistry({ file: jsonFile });
+    await reloaded.load();
+    assert.deepEqual(reloaded.list(), json.list());
+
+    assert.equal(await new TagRegistry().save(), false);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * RFID events and snapshots of a simulated gateway are enriched before they are emitted
+ */
+async function testEnrichment() {
+  console.log('\n=== Testing RFID record enrichment ===');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tag-registry-'));
+  const device = new V5008Device({
+    deviceId: DEVICE_ID,
+    modules: [{ modAddr: 1, uTotal: 6 }],
+    tagFill: 1,
+    random: createRandom(5),
+  });
+  const module = device.getModule(1);
+  const [[uPos, { tagId }]] = module.tags;
+
+  const file = path.join(dir, 'tags.json');
+  await fs.writeFile(
+    file,
+    JSON.stringify([{ tagId: tagId.toLowerCase(), hostname: 'db-prod-01', owner: 'dba' }]),
+  );
+
+  const normalizer = new UnifiedNormalizer({ tagRegistry: { file } });
+  await normalizer.initialize();
+  const records = [];
+  const onRecords = (suos) => records.push(...suos);
+  eventBus.on('message.normalized', onRecords);
+
+  try {
+    device
+      .rfid(module)
+      .forEach(({ topic, payload }) => eventBus.emit('mqtt.message', { topic, message: payload }));
+
+    const events = records.filter((suo) => suo.type === 'SYS_RFID_EVENT');
+    assert.equal(events.length, module.tags.size);
+    const event = events.find((suo) => suo.payload.value.tagId === tagId);
+    assert.equal(event.payload.value.asset.hostname, 'db-prod-01');
+    assert.equal(event.payload.value.asset.owner, 'dba');
+    assert.equal(
+      events.filter((suo) => suo.payload.value.asset).length,
+      1,
+      'unregistered tags stay as they are',
+    );
+
+    const snapshot = records.find((suo) => suo.type === 'SYS_RFID_SNAPSHOT');
+    const item = snapshot.payload.value.items.find((entry) => entry.uPos === uPos);
+    assert.equal(item.asset.tagId, tagId);
+
+    // The asset is stored with the event
+    const stored = new DatabaseStorage().toUnifiedRecord(event);
+    assert.equal(stored.strValue, tagId);
+    assert.equal(stored.jsonValue.asset.hostname, 'db-prod-01');
+
+    assert.deepEqual(normalizer.getStatus().tagRegistry, { assets: 1, enrichedTags: 2 });
+
+    // An invalid registry does not block startup
+    const brokenFile = path.join(dir, 'broken.csv');
+    await fs.writeFile(brokenFile, 'hostname\nweb-01\n');
+    const broken = new UnifiedNormalizer({ tagRegistry: { file: brokenFile } });
+    await broken.initialize();
+    assert.equal(broken.getStatus().tagRegistry.assets, 0);
+    await broken.shutdown();
+  } finally {
+    eventBus.off('message.normalized', onRecords);
+    await normalizer.shutdown();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('Starting tag registry tests...');
+
+  try {
+    testImportExport();
+    await testRegistryFile();
+    await testEnrichment();
+
+    console.log('\n✅ All tag registry tests passed!');
+  } catch (error) {
+    console.error('\n❌ Tag registry test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testImportExport, testRegistryFile, testEnrichment, runAllTests };
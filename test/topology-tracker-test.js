@@ -0,0 +1,238 @@
+/**
+ * Test file for module topology change detection
+ * Verifies added, removed, replaced and resized modules from heartbeats and the module events
+ */
+
+import { strict as assert } from 'assert';
+import { eventBus } from '../src/core/index.js';
+import StateCache from '../src/modules/normalizer/StateCache.js';
+import TopologyTracker from '../src/modules/normalizer/TopologyTracker.js';
+import UnifiedNormalizer from '../src/modules/normalizer/UnifiedNormalizer.js';
+import { createRandom } from '../src/simulator/SimulatedDevice.js';
+import V6800Device from '../src/simulator/V6800Device.js';
+
+const V5008_ID = '2437871205';
+const V6800_ID = '2123456789';
+
+const EVENTS = ['module.added', 'module.removed', 'module.replaced', 'module.resized'];
+
+/**
+ * Parsed V5008 heartbeat
+ * @param {Array<Array>} modules - [modAddr, modId, uTotal] per listed module
+ * @returns {Object} Parsed message
+ */
+const heartbeat = (modules) => ({
+  deviceId: V5008_ID,
+  deviceType: 'V5008',
+  messageType: 'HEARTBEAT',
+  modules: modules.map(([modAddr, modId, uTotal]) => ({ modAddr, modId, uTotal })),
+  receivedAt: '2025-12-19T09:00:00.000Z',
+});
+
+// Change type and address of each change, for compact assertions
+const summary = (changes) => changes.map(({ change, modAddr }) => `${change}:${modAddr}`);
+
+/**
+ * Each heartbeat is compared with the last known topology
+ */
+function testChanges() {
+  console.log('\n=== Testing topology changes ===');
+
+  const tracker = new TopologyTracker();
+
+  // The first heartbeat is the baseline
+  assert.deepEqual(
+    tracker.observe(
+      heartbeat([
+        [1, '1001', 6],
+        [2, '1002', 12],
+      ]),
+    ),
+    [],
+  );
+  assert.deepEqual(tracker.get(V5008_ID).modules[2], { modId: '1002', uTotal: 12, present: true });
+
+  // Unchanged
+  assert.deepEqual(
+    tracker.observe(
+      heartbeat([
+        [2, '1002', 12],
+        [1, '1001', 6],
+      ]),
+    ),
+    [],
+  );
+
+  // Strip swapped at address 1, module 2 unplugged, module 3 plugged in
+  const changes = tracker.observe(
+    heartbeat([
+      [1, '2001', 6],
+      [3, '1003', 24],
+    ]),
+  );
+  assert.deepEqual(summary(changes), ['replaced:1', 'removed:2', 'added:3']);
+  assert.deepEqual(changes[0], {
+    change: 'replaced',
+    modAddr: 1,
+    modId: '2001',
+    uTotal: 6,
+    previousModId: '1001',
+    previousUTotal: 6,
+  });
+  assert.deepEqual(changes[1], {
+    change: 'removed',
+    modAddr: 2,
+    modId: null,
+    uTotal: null,
+    previousModId: '1002',
+    previousUTotal: 12,
+  });
+  assert.equal(changes[2].previousModId, null);
+
+  // Same module reporting a different strip length
+  assert.deepEqual(
+    summary(
+      tracker.observe(
+        heartbeat([
+          [1, '2001', 12],
+          [3, '1003', 24],
+        ]),
+      ),
+    ),
+    ['resized:1'],
+  );
+
+  // Address 2 comes back: the same module is re-added, another one replaces it
+  const back = tracker.observe(
+    heartbeat([
+      [1, '2001', 12],
+      [2, '1002', 12],
+      [3, '1003', 24],
+    ]),
+  );
+  assert.deepEqual(summary(back), ['added:2']);
+  assert.equal(back[0].previousModId, '1002');
+
+  tracker.observe(heartbeat([[1, '2001', 12]]));
+  const swapped = tracker.observe(
+    heartbeat([
+      [1, '2001', 12],
+      [3, '3003', 24],
+    ]),
+  );
+  assert.deepEqual(summary(swapped), ['replaced:3']);
+  assert.equal(swapped[0].previousModId, '1003');
+
+  assert.deepEqual(tracker.getStatus(), { added: 2, removed: 3, replaced: 2, resized: 1 });
+
+  // Heartbeats without a module list (G6000) are not topology
+  assert.equal(tracker.observe({ deviceId: 'G1', messageType: 'HEARTBEAT' }), null);
+}
+
+/**
+ * The topology lives in the shared state cache and survives a restart
+ */
+function testRestart() {
+  console.log('\n=== Testing topology across restarts ===');
+
+  const stateCache = new StateCache();
+  new TopologyTracker({ stateCache }).observe(heartbeat([[1, '1001', 6]]));
+
+  const restarted = new TopologyTracker({ stateCache });
+  assert.deepEqual(summary(restarted.observe(heartbeat([[1, '1001', 6]]))), []);
+  assert.deepEqual(summary(restarted.observe(heartbeat([[1, '2001', 6]]))), ['replaced:1']);
+}
+
+/**
+ * The normalizer emits one module event per change
+ */
+async function testModuleEvents() {
+  console.log('\n=== Testing module events ===');
+
+  const normalizer = new UnifiedNormalizer();
+  await normalizer.initialize();
+
+  const events = [];
+  const handlers = {};
+  for (const name of EVENTS) {
+    handlers[name] = (event) => events.push({ name, ...event });
+    eventBus.on(name, handlers[name]);
+  }
+
+  try {
+    const device = new V6800Device({
+      deviceId: V6800_ID,
+      modules: [
+        { modAddr: 1, modId: 3963041727, uTotal: 6 },
+        { modAddr: 2, modId: 2349402517, uTotal: 12 },
+      ],
+      random: createRandom(11),
+    });
+    const publish = (messages) =>
+      messages.forEach(({ topic, payload }) =>
+        eventBus.emit('mqtt.message', { topic, message: payload }),
+      );
+
+    publish(device.heartbeat());
+    assert.equal(events.length, 0);
+
+    // Someone swaps the strip of module 2
+    device.getModule(2).modId = '1111111111';
+    publish(device.heartbeat());
+    assert.equal(events.length, 1);
+    assert.equal(events[0].name, 'module.replaced');
+    assert.equal(events[0].deviceId, V6800_ID);
+    assert.equal(events[0].deviceType, 'V6800');
+    assert.equal(events[0].modAddr, 2);
+    assert.equal(events[0].modId, '1111111111');
+    assert.equal(events[0].previousModId, '2349402517');
+    assert.ok(events[0].receivedAt);
+
+    // Retained replays describe an old topology
+    device.modules.pop();
+    const [retained] = device.heartbeat();
+    eventBus.emit('mqtt.message', { ...retained, message: retained.payload, retained: true });
+    assert.equal(events.length, 1);
+
+    publish(device.heartbeat());
+    assert.deepEqual(
+      events.slice(1).map(({ name, modAddr }) => `${name}:${modAddr}`),
+      ['module.removed:2'],
+    );
+
+    assert.deepEqual(normalizer.getStatus().topologyChanges, {
+      added: 0,
+      removed: 1,
+      replaced: 1,
+      resized: 0,
+    });
+  } finally {
+    Object.entries(handlers).forEach(([name, handler]) => eventBus.off(name, handler));
+    await normalizer.shutdown();
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('Starting topology tracker tests...');
+
+  try {
+    testChanges();
+    testRestart();
+    await testModuleEvents();
+
+    console.log('\n✅ All topology tracker tests passed!');
+  } catch (error) {
+    console.error('\n❌ Topology tracker test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { testChanges, testRestart, testModuleEvents, runAllTests };
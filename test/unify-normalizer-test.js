@@ -276,6 +276,28 @@ function testRfidStateManagement() {
   });
 }
 
+/**
+ * Test that V6800 tamper warnings on a tag that stays in place reach the snapshot
+ */
+function testV6800AlarmStatus() {
+  console.log('\n=== Testing V6800 Alarm Status ===');
+
+  const normalizer = new UnifyNormalizer();
+  const labelState = (action, alarmStatus) => ({
+    deviceId: '2123456789',
+    deviceType: 'V6800',
+    messageType: 'LabelState',
+    rawMessageType: 'u_state_changed_notify_req',
+    data: [{ modAddr: 1, modId: '3963041727', items: [{ uPos: 3, tagId: 'DD344A44', alarmStatus, action }] }],
+  });
+
+  normalizer.normalize(labelState('attached', 0));
+  const results = normalizer.normalize(labelState('unknown', 1));
+  const snapshot = results.find(obj => obj.type === 'SYS_RFID_SNAPSHOT');
+
+  assert.deepEqual(snapshot.payload.value.items, [{ uPos: 3, tagId: 'DD344A44', alarmStatus: 1 }]);
+}
+
 /**
  * Test path generation
  */
@@ -309,6 +331,7 @@ function runAllTests() {
     testV5008Normalization();
     testV6800Normalization();
     testRfidStateManagement();
+    testV6800AlarmStatus();
     testPathGeneration();
     
     console.log('\n✅ All UnifyNormalizer tests passed!');
@@ -327,6 +350,7 @@ export {
   testV5008Normalization,
   testV6800Normalization,
   testRfidStateManagement,
+  testV6800AlarmStatus,
   testPathGeneration,
   runAllTests
 };
\ No newline at end of file
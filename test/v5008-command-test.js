@@ -0,0 +1,165 @@
+/**
+ * Test file for the V5008 command encoder and publisher
+ * Verifies frames against the V5008 Download Message Quick References
+ */
+
+import { strict as assert } from 'assert';
+import V5008CommandEncoder, { COLOR_CODES } from '../src/modules/command/V5008CommandEncoder.js';
+import V5008CommandPublisher from '../src/modules/command/V5008CommandPublisher.js';
+
+const DEVICE_ID = '2437871205';
+
+/**
+ * Minimal stand-in for MqttClient that records published messages
+ */
+function createRecordingClient() {
+  const published = [];
+  return {
+    published,
+    async publish(topic, message) {
+      published.push({ topic, message });
+    },
+  };
+}
+
+const hex = (buffer) => buffer.toString('hex').toUpperCase();
+
+/**
+ * Query frames match the documented fixed-length commands
+ */
+function testQueryFrames() {
+  console.log('\n=== Testing query frames ===');
+
+  const encoder = new V5008CommandEncoder();
+
+  assert.equal(hex(encoder.queryRfid(1)), 'E90101');
+  assert.equal(hex(encoder.queryTempHum(2)), 'E90202');
+  assert.equal(hex(encoder.queryDoorState(3)), 'E90303');
+  assert.equal(hex(encoder.queryNoise(5)), 'E90405');
+  assert.equal(hex(encoder.queryDeviceInfo()), 'EF0100');
+  assert.equal(hex(encoder.queryModuleInfo()), 'EF0200');
+  assert.equal(hex(encoder.queryColor(1)), 'E401');
+}
+
+/**
+ * Set color and clear alarm frames match the originalReq echoed in the spec responses
+ */
+function testSetFrames() {
+  console.log('\n=== Testing set frames ===');
+
+  const encoder = new V5008CommandEncoder();
+
+  const setColor = encoder.setColor(1, [
+    { uPos: 5, colorCode: COLOR_CODES.PURPLE },
+    { uPos: 6, colorCode: COLOR_CODES.RED },
+  ]);
+  assert.equal(hex(setColor), 'E10105020601');
+  assert.equal(hex(encoder.clearAlarm(1, 6)), 'E20106');
+  assert.equal(hex(encoder.clearAlarm(1, [6, 5])), 'E2010605');
+}
+
+/**
+ * Invalid arguments are rejected before anything is published
+ */
+function testArgumentValidation() {
+  console.log('\n=== Testing argument validation ===');
+
+  const encoder = new V5008CommandEncoder();
+
+  assert.throws(() => encoder.queryRfid(0), /Invalid modAddr/);
+  assert.throws(() => encoder.queryRfid(6), /Invalid modAddr/);
+  assert.throws(() => encoder.queryRfid('1'), /Invalid modAddr/);
+  assert.throws(() => encoder.clearAlarm(1, 55), /Invalid uPos/);
+  assert.throws(() => encoder.clearAlarm(1, []), /non-empty array/);
+  assert.throws(() => encoder.setColor(1, []), /non-empty array/);
+  assert.throws(() => encoder.setColor(1, [{ uPos: 3, colorCode: 15 }]), /Invalid colorCode/);
+  assert.throws(
+    () =>
+      encoder.setColor(1, [
+        { uPos: 3, colorCode: 1 },
+        { uPos: 3, colorCode: 2 },
+      ]),
+    /Duplicate uPos/,
+  );
+}
+
+/**
+ * The publisher sends binary frames to V5008Download/{deviceId}
+ */
+async function testPublish() {
+  console.log('\n=== Testing publish ===');
+
+  const client = createRecordingClient();
+  const publisher = new V5008CommandPublisher(client);
+
+  const sent = await publisher.setColor(DEVICE_ID, 1, [{ uPos: 5, colorCode: COLOR_CODES.RED_F }]);
+
+  assert.equal(client.published.length, 1);
+  assert.equal(client.published[0].topic, `V5008Download/${DEVICE_ID}`);
+  assert.ok(Buffer.isBuffer(client.published[0].message), 'frame should be published as a Buffer');
+  assert.equal(hex(client.published[0].message), 'E1010508');
+
+  assert.equal(sent.command, 'SET_COLOR');
+  assert.equal(sent.deviceId, DEVICE_ID);
+  assert.equal(sent.frame, 'E1010508');
+  assert.ok(sent.sentAt);
+
+  await publisher.queryDeviceInfo(DEVICE_ID);
+  assert.equal(hex(client.published[1].message), 'EF0100');
+}
+
+/**
+ * Invalid device IDs and arguments never reach the broker
+ */
+async function testPublishRejectsInvalid() {
+  console.log('\n=== Testing publish rejects invalid input ===');
+
+  const client = createRecordingClient();
+  const publisher = new V5008CommandPublisher(client);
+
+  await assert.rejects(() => publisher.queryRfid('V5008/1', 1), /Invalid V5008 deviceId/);
+
+  // Encoder validation rejects as well, it never throws synchronously
+  let pending;
+  assert.doesNotThrow(() => {
+    pending = publisher.queryRfid(DEVICE_ID, 9);
+  });
+  await assert.rejects(pending, /Invalid modAddr: 9/);
+  await assert.rejects(publisher.clearAlarm(DEVICE_ID, 1, 0), /Invalid uPos/);
+  await assert.rejects(publisher.setColor(DEVICE_ID, 1, []), /non-empty array/);
+  assert.equal(client.published.length, 0);
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('Starting V5008 command tests...');
+
+  try {
+    testQueryFrames();
+    testSetFrames();
+    testArgumentValidation();
+    await testPublish();
+    await testPublishRejectsInvalid();
+
+    console.log('\n✅ All V5008 command tests passed!');
+  } catch (error) {
+    console.error('\n❌ V5008 command test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export {
+  testQueryFrames,
+  testSetFrames,
+  testArgumentValidation,
+  testPublish,
+  testPublishRejectsInvalid,
+  runAllTests,
+};
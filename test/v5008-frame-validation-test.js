@@ -0,0 +1,232 @@
+/**
+ * Test file for V5008 frame validation
+ * Verifies that truncated, mis-sized and unknown frames raise ParseError and are counted
+ */
+
+import { strict as assert } from 'assert';
+import { eventBus } from '../src/core/index.js';
+import ParseError from '../src/modules/normalizer/ParseError.js';
+import UnifiedNormalizer from '../src/modules/normalizer/UnifiedNormalizer.js';
+import V5008Parser from '../src/modules/normalizer/parsers/V5008Parser.js';
+
+const DEVICE_ID = '2437871205';
+const parser = new V5008Parser();
+
+// Valid frames (hex) per topic suffix
+const FRAMES = {
+  heartbeat: [
+    'OpeAck',
+    'CC01EC3737BF06028C0909950C0300000000000400000000000500000000000600000000000700000000000800000000000900000000000A0000000000F200168F',
+  ],
+  door: ['OpeAck', 'BA01EC3737BF010B01C7F8'],
+  device: ['OpeAck', 'EF011390958DD85FC0A800D3FFFF0000C0A800018082914EF665F2011CCB'],
+  module: ['OpeAck', 'EF0201898393CC02898393CCF4010166'],
+  color: ['OpeAck', 'AA914EF665A1E4010000000D0D0825015D4C'],
+  rfid: ['LabelState', 'BB028C090995000C030A00DD344A440B00DD2862B40C00DD3CE9C4050007AD'],
+  temHum: [
+    'TemHum',
+    '01EC3737BF0A1C30331B0B1C08330B0C000000000D000000000E000000000F0000000001012CC3',
+  ],
+  noise: ['Noise', '01EC3737BF103205000011000000001200000000D500EBD7'],
+};
+
+/**
+ * Parse a hex frame on a V5008 topic
+ * @param {string} messageClass - Topic suffix
+ * @param {string} hex - Frame as hex
+ * @returns {Object} Parsed data
+ */
+const parse = (messageClass, hex) =>
+  parser.parse(`V5008Upload/${DEVICE_ID}/${messageClass}`, Buffer.from(hex, 'hex'));
+
+/**
+ * Assert that parsing throws a ParseError with the given code
+ * @param {Function} fn - Function expected to throw
+ * @param {string} code - Expected error code
+ * @returns {ParseError} The thrown error
+ */
+function expectParseError(fn, code) {
+  let thrown = null;
+  try {
+    fn();
+  } catch (error) {
+    thrown = error;
+  }
+  assert.ok(thrown instanceof ParseError, `expected ParseError ${code}, got ${thrown}`);
+  assert.equal(thrown.code, code, thrown.message);
+  return thrown;
+}
+
+/**
+ * Check a parsed value for NaN numbers at any depth
+ * @param {*} value - Parsed value
+ * @returns {boolean} True if a NaN was found
+ */
+const hasNaN = (value) =>
+  typeof value === 'number'
+    ? Number.isNaN(value)
+    : value !== null && typeof value === 'object' && Object.values(value).some(hasNaN);
+
+/**
+ * Every valid frame still parses without NaN fields
+ */
+function testValidFrames() {
+  console.log('\n=== Testing valid frames ===');
+
+  for (const [name, [messageClass, hex]] of Object.entries(FRAMES)) {
+    const parsed = parse(messageClass, hex);
+    assert.equal(hasNaN(parsed), false, name);
+    assert.notEqual(parsed.messageId, 'NaN', name);
+  }
+}
+
+/**
+ * Frames cut short by one byte are discarded, for every message type
+ * (except QRY_COLOR_RESP, whose color count is derived from the frame length)
+ */
+function testTruncatedFrames() {
+  console.log('\n=== Testing truncated frames ===');
+
+  for (const [name, [messageClass, hex]] of Object.entries(FRAMES)) {
+    if (name === 'color') {
+      continue;
+    }
+
+    const truncated = hex.substring(0, hex.length - 2);
+    const error = expectParseError(
+      () => parse(messageClass, truncated),
+      // Variable-length frames whose body no longer fits whole entries
+      name === 'module' || name === 'noise' ? 'FRAME_LENGTH_MISMATCH' : 'FRAME_TOO_SHORT',
+    );
+    assert.equal(error.deviceId, DEVICE_ID);
+  }
+
+  // Below the fixed part of a variable-length frame
+  expectParseError(() => parse('LabelState', 'BB028C090995000C'), 'FRAME_TOO_SHORT');
+  expectParseError(() => parse('OpeAck', 'AA914EF665A1E4'), 'FRAME_TOO_SHORT');
+  expectParseError(() => parse('Noise', '01EC3737BF1032'), 'FRAME_TOO_SHORT');
+}
+
+/**
+ * Frames that do not match their declared structure are discarded
+ */
+function testStructureMismatch() {
+  console.log('\n=== Testing structure mismatches ===');
+
+  // RFID frame declaring 4 tags but carrying 3
+  const rfid = FRAMES.rfid[1].replace('000C03', '000C04');
+  expectParseError(() => parse('LabelState', rfid), 'FRAME_TOO_SHORT');
+
+  // Door frame with a trailing byte
+  expectParseError(() => parse('OpeAck', `${FRAMES.door[1]}00`), 'FRAME_LENGTH_MISMATCH');
+
+  // TemHum frame with an extra slot
+  expectParseError(() => parse('TemHum', `${FRAMES.temHum[1]}1000000000`), 'FRAME_LENGTH_MISMATCH');
+}
+
+/**
+ * Unknown headers and topics carry their context
+ */
+function testUnknownHeaders() {
+  console.log('\n=== Testing unknown headers ===');
+
+  const error = expectParseError(() => parse('OpeAck', '7701EC3737BF010B01C7F8'), 'UNKNOWN_HEADER');
+  assert.equal(error.topic, `V5008Upload/${DEVICE_ID}/OpeAck`);
+  assert.equal(error.hexExcerpt, '7701EC3737BF010B01C7F8');
+
+  expectParseError(() => parse('OpeAck', 'EF0301898393CC02898393CCF4010166'), 'UNKNOWN_HEADER');
+  expectParseError(() => parse('LabelState', FRAMES.door[1]), 'UNKNOWN_HEADER');
+  expectParseError(() => parse('Status', FRAMES.door[1]), 'UNSUPPORTED_MESSAGE_CLASS');
+  expectParseError(
+    () => parser.parse(`V5008Upload/${DEVICE_ID}/OpeAck`, 'BA01'),
+    'INVALID_PAYLOAD',
+  );
+
+  // Long frames are cut to a 32-byte excerpt
+  const long = expectParseError(
+    () => parse('OpeAck', `${FRAMES.heartbeat[1]}00`),
+    'FRAME_LENGTH_MISMATCH',
+  );
+  assert.equal(long.hexExcerpt, `${FRAMES.heartbeat[1].substring(0, 64)}...`);
+}
+
+/**
+ * The normalizer counts parse errors by code and reports them on message.error
+ */
+async function testNormalizerCounts() {
+  console.log('\n=== Testing normalizer parse error counts ===');
+
+  const normalizer = new UnifiedNormalizer();
+  await normalizer.initialize();
+
+  const errors = [];
+  const batches = [];
+  const onError = (data) => errors.push(data);
+  const onNormalized = (suos) => batches.push(suos);
+  eventBus.on('message.error', onError);
+  eventBus.on('message.normalized', onNormalized);
+
+  const deliver = async (messageClass, hex) => {
+    eventBus.emit('mqtt.message', {
+      topic: `V5008Upload/${DEVICE_ID}/${messageClass}`,
+      message: Buffer.from(hex, 'hex'),
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+  };
+
+  try {
+    await deliver('TemHum', FRAMES.temHum[1].substring(0, 20));
+    await deliver('OpeAck', '7701EC3737BF010B01C7F8');
+    await deliver('OpeAck', '7801EC3737BF010B01C7F8');
+    await deliver('OpeAck', FRAMES.door[1]);
+
+    assert.equal(batches.length, 1, 'only the valid frame is normalized');
+    assert.deepEqual(normalizer.getStatus().parseErrors, {
+      total: 3,
+      byCode: { FRAME_TOO_SHORT: 1, UNKNOWN_HEADER: 2 },
+    });
+
+    // One structured report per discarded frame
+    assert.equal(errors.length, 3);
+    assert.ok(errors.every(({ error }) => error instanceof ParseError));
+    assert.equal(errors[0].error.toJSON().deviceId, DEVICE_ID);
+  } finally {
+    eventBus.off('message.error', onError);
+    eventBus.off('message.normalized', onNormalized);
+    await normalizer.shutdown();
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('Starting V5008 frame validation tests...');
+
+  try {
+    testValidFrames();
+    testTruncatedFrames();
+    testStructureMismatch();
+    testUnknownHeaders();
+    await testNormalizerCounts();
+
+    console.log('\n✅ All V5008 frame validation tests passed!');
+  } catch (error) {
+    console.error('\n❌ V5008 frame validation test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export {
+  testValidFrames,
+  testTruncatedFrames,
+  testStructureMismatch,
+  testUnknownHeaders,
+  testNormalizerCounts,
+  runAllTests,
+};
@@ -0,0 +1,172 @@
+/**
+ * Test file for the V6800 command builder and publisher
+ * Verifies request keys and uuid_number generation
+ */
+
+import { strict as assert } from 'assert';
+import V6800CommandBuilder, { MSG_TYPES } from '../src/modules/command/V6800CommandBuilder.js';
+import V6800CommandPublisher from '../src/modules/command/V6800CommandPublisher.js';
+
+const DEVICE_ID = '2123456789';
+
+/**
+ * Minimal stand-in for MqttClient that records published messages
+ */
+function createRecordingClient() {
+  const published = [];
+  return {
+    published,
+    async publish(topic, message) {
+      published.push({ topic, message });
+    },
+  };
+}
+
+/**
+ * Each command uses the key style of its matching response
+ */
+function testCommandShapes() {
+  console.log('\n=== Testing command shapes ===');
+
+  const builder = new V6800CommandBuilder({ generateUuid: () => 423018504 });
+
+  assert.deepEqual(builder.queryRfid(DEVICE_ID, 4), {
+    msg_type: 'u_state_req',
+    gateway_sn: DEVICE_ID,
+    uuid_number: 423018504,
+    data: [{ host_gateway_port_index: 4 }],
+  });
+
+  assert.deepEqual(builder.queryColor(DEVICE_ID, 2), {
+    msg_type: 'get_u_color',
+    gateway_id: DEVICE_ID,
+    uuid_number: 423018504,
+    data: [{ index: 2 }],
+  });
+
+  assert.deepEqual(builder.setColor(DEVICE_ID, 2, [{ uPos: 1, colorCode: 13 }]), {
+    msg_type: 'set_module_property_req',
+    gateway_sn: DEVICE_ID,
+    uuid_number: 423018504,
+    data: [{ host_gateway_port_index: 2, u_color_data: [{ u_index: 1, color_code: 13 }] }],
+  });
+
+  assert.deepEqual(builder.clearAlarm(DEVICE_ID, 2, [3, 4]), {
+    msg_type: 'clear_u_warning',
+    gateway_id: DEVICE_ID,
+    uuid_number: 423018504,
+    data: [{ index: 2, u_index_list: [3, 4] }],
+  });
+
+  assert.equal(MSG_TYPES.SET_COLOR.response, 'set_module_property_result_req');
+}
+
+/**
+ * Generated uuid_number values are positive integers and differ between commands
+ */
+function testUuidGeneration() {
+  console.log('\n=== Testing uuid_number generation ===');
+
+  const builder = new V6800CommandBuilder();
+  const uuids = new Set();
+
+  for (let i = 0; i < 50; i++) {
+    const { uuid_number: uuid } = builder.queryRfid(DEVICE_ID, 1);
+    assert.ok(Number.isInteger(uuid) && uuid > 0 && uuid < 2 ** 31, `bad uuid_number ${uuid}`);
+    uuids.add(uuid);
+  }
+
+  assert.ok(uuids.size > 45, 'uuid_number values should not repeat');
+}
+
+/**
+ * Invalid arguments are rejected
+ */
+function testArgumentValidation() {
+  console.log('\n=== Testing argument validation ===');
+
+  const builder = new V6800CommandBuilder();
+
+  assert.throws(() => builder.queryRfid('', 1), /Invalid V6800 deviceId/);
+  assert.throws(() => builder.queryRfid('21/#', 1), /Invalid V6800 deviceId/);
+  assert.throws(() => builder.queryColor(DEVICE_ID, 0), /Invalid modAddr/);
+  assert.throws(() => builder.setColor(DEVICE_ID, 1, []), /non-empty array/);
+  assert.throws(() => builder.setColor(DEVICE_ID, 1, [{ uPos: 60, colorCode: 1 }]), /Invalid uPos/);
+  assert.throws(() => builder.clearAlarm(DEVICE_ID, 1, []), /non-empty array/);
+}
+
+/**
+ * The publisher sends JSON to V6800Download/{deviceId} and reports the messageId
+ */
+async function testPublish() {
+  console.log('\n=== Testing publish ===');
+
+  const client = createRecordingClient();
+  const publisher = new V6800CommandPublisher(client, { generateUuid: () => 775199553 });
+
+  const sent = await publisher.clearAlarm(DEVICE_ID, 2, 5);
+
+  assert.equal(client.published.length, 1);
+  assert.equal(client.published[0].topic, `V6800Download/${DEVICE_ID}`);
+  assert.deepEqual(JSON.parse(client.published[0].message), sent.payload);
+  assert.equal(sent.command, 'CLR_ALARM');
+  assert.equal(sent.messageId, '775199553');
+}
+
+/**
+ * Invalid arguments reject and never reach the broker
+ */
+async function testPublishRejectsInvalid() {
+  console.log('\n=== Testing publish rejects invalid input ===');
+
+  const client = createRecordingClient();
+  const publisher = new V6800CommandPublisher(client);
+
+  // Builder validation rejects, it never throws synchronously
+  let pending;
+  assert.doesNotThrow(() => {
+    pending = publisher.clearAlarm(DEVICE_ID, 1, []);
+  });
+  await assert.rejects(pending, /non-empty array/);
+  await assert.rejects(publisher.queryRfid('21/#', 1), /Invalid V6800 deviceId/);
+  await assert.rejects(publisher.queryColor(DEVICE_ID, 0), /Invalid modAddr/);
+  await assert.rejects(
+    publisher.setColor(DEVICE_ID, 1, [{ uPos: 60, colorCode: 1 }]),
+    /Invalid uPos/,
+  );
+  assert.equal(client.published.length, 0);
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('Starting V6800 command tests...');
+
+  try {
+    testCommandShapes();
+    testUuidGeneration();
+    testArgumentValidation();
+    await testPublish();
+    await testPublishRejectsInvalid();
+
+    console.log('\n✅ All V6800 command tests passed!');
+  } catch (error) {
+    console.error('\n❌ V6800 command test failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export {
+  testCommandShapes,
+  testUuidGeneration,
+  testArgumentValidation,
+  testPublish,
+  testPublishRejectsInvalid,
+  runAllTests,
+};